@@ -1,5 +1,6 @@
 //Google Earth Engine Script
 // This script processes Sentinel-2 imagery to compute NDVI for specified polygons in Arizona.
+// Harmonized Landsat 5/7/8/9 imagery can be added to extend the record before Sentinel-2.
 // It includes steps for data filtering, cloud masking, annual NDVI composites, trend analysis,
 // and exporting results as GeoTIFFs. The script is designed to handle multiple years of data
 // and provides visualizations for the computed NDVI values.
@@ -17,12 +18,38 @@
 // Record start time for performance report
 var startTime = new Date();
 
+// --- 0. CONFIGURATION ---
+// Polygon asset, years, season window, scale, export folder and cloud masking come from the shared config module.
+// Pass overrides to build(), e.g. config.build({polygonAsset: config.POLYGON_ASSETS.priority3North}).
+// Every export goes through modules/outputs.js: cfg.output selects Drive, a GCS bucket or Earth Engine assets,
+// the naming template and the table format, e.g. config.build({output: {destination: 'GCS', bucket: 'usfs-runs'}}).
+// cfg.landCover restricts the composites, trends and polygon means to tree canopy (modules/land_cover.js),
+// e.g. config.build({landCover: {source: 'NLCD', canopyThreshold: 25}}).
+var config = require('users/paularellano/GEE_scripts:modules/config.js');
+var s2Masking = require('users/paularellano/GEE_scripts:modules/s2_masking.js');
+var spectralIndices = require('users/paularellano/GEE_scripts:modules/spectral_indices.js');
+var trendStatistics = require('users/paularellano/GEE_scripts:modules/trend_stats.js');
+var composites = require('users/paularellano/GEE_scripts:modules/composites.js');
+var polygonClimate = require('users/paularellano/GEE_scripts:modules/polygon_climate.js');
+var phenology = require('users/paularellano/GEE_scripts:modules/phenology.js');
+var disturbance = require('users/paularellano/GEE_scripts:modules/disturbance.js');
+var outputs = require('users/paularellano/GEE_scripts:modules/outputs.js');
+var manifest = require('users/paularellano/GEE_scripts:modules/manifest.js');
+var landCover = require('users/paularellano/GEE_scripts:modules/land_cover.js');
+// This script keeps its original Spring/Summer window, March 1 to June 17 (end exclusive); the config
+// default (March 1 to September 30) is the window of the RVI and anomaly scripts.
+var cfg = config.build({season: {startMonth: 3, startDay: 1, endMonth: 6, endDay: 17}});
+config.checkSensorYears(cfg, config.opticalRecordSensor(cfg)); // S2_SR_HARMONIZED starts in 2017, Landsat in 1984
+print('Configuration:', cfg);
+if (!config.hasTrendLength(cfg)) {
+  print('WARNING: ' + cfg.startYear + '-' + cfg.endYear + ' has fewer than ' + cfg.minTrendYears +
+        ' years; every trend would be masked, so the trend GeoTIFFs and trend CSVs are not exported.');
+}
+
 // --- 1. SETUP: Import Polygons and Define Study Area ---
 
-// Import your polygons asset. Ensure this path is correct.
-//var polygons = ee.FeatureCollection("projects/paul-gee/assets/Priority2");
-//var polygons = ee.FeatureCollection("projects/paul-gee/assets/Priority_3_WGS84_Arizona_cleaned_north");
-var polygons = ee.FeatureCollection("projects/paul-gee/assets/Priority1_WGS84_Arizona_4_2");
+// Import your polygons asset (set in the config).
+var polygons = ee.FeatureCollection(cfg.polygonAsset);
 // Define the study area as the union of all polygon geometries.
 var studyArea = polygons.geometry();
 
@@ -31,66 +58,54 @@ Map.centerObject(polygons, 8); // Adjust zoom level if needed
 Map.addLayer(polygons, {color: 'FF0000'}, 'Priority Polygons');
 
 
-// Check for ANY Sentinel-2 data for the study areas in 2023 ---
-print('--- DIAGNOSTIC: Checking raw data availability for 2023 ---');
-var rawS2_2023 = ee.ImageCollection("COPERNICUS/S2_SR_HARMONIZED")
+// Check for ANY Sentinel-2 data for the study areas in the first analysis year ---
+print('--- DIAGNOSTIC: Checking raw data availability for ' + cfg.startYear + ' ---');
+var rawS2FirstYear = ee.ImageCollection("COPERNICUS/S2_SR_HARMONIZED")
   .filterBounds(studyArea)
-  .filterDate('2023-01-01', '2023-12-31'); // Filter for the ENTIRE year 2023
+  .filterDate(ee.Date.fromYMD(cfg.startYear, 1, 1), ee.Date.fromYMD(cfg.startYear + 1, 1, 1)); // Filter for the ENTIRE first year
 
-print('Raw Sentinel-2 images for 2023 (full year, no cloud filter):', rawS2_2023.size());
+print('Raw Sentinel-2 images for ' + cfg.startYear + ' (full year, no cloud filter):', rawS2FirstYear.size());
 
 // Visualiztion of  he first image from this raw collection (will be cloudy/hazy?)
-var firstRawS2_2023 = rawS2_2023.first();
-if (firstRawS2_2023) {
+var firstRawS2FirstYear = rawS2FirstYear.first();
+if (firstRawS2FirstYear) {
   // Scale raw bands for visualization (they are typically ints 0-10000)
   var visParamsRaw = {bands: ['B4', 'B3', 'B2'], min: 0, max: 2000};
-  Map.addLayer(firstRawS2_2023.clip(studyArea), visParamsRaw, 'First Raw S2 2023 (clipped)');
-  print('First Raw S2 image for 2023 (clipped for inspection):', firstRawS2_2023.clip(studyArea));
+  Map.addLayer(firstRawS2FirstYear.clip(studyArea), visParamsRaw, 'First Raw S2 ' + cfg.startYear + ' (clipped)');
+  print('First Raw S2 image for ' + cfg.startYear + ' (clipped for inspection):', firstRawS2FirstYear.clip(studyArea));
 } else {
-  print('WARNING: No raw Sentinel-2 images found for this polygon in 2023, even for the full year and no cloud filter.');
+  print('WARNING: No raw Sentinel-2 images found for this polygon in ' + cfg.startYear + ', even for the full year and no cloud filter.');
 }
 print('----------------------------------------------------');
 
 
-// --- 2. DATA FILTERING AND CLOUD MASKING (from previous script, keep this for now) ---
+// --- 2. DATA FILTERING AND CLOUD MASKING ---
+
+var analysisRange = config.analysisRange(cfg); // First season start to last season end
 
-var sentinel2 = ee.ImageCollection("COPERNICUS/S2_SR_HARMONIZED")
+var rawSentinel2 = ee.ImageCollection("COPERNICUS/S2_SR_HARMONIZED")
   .filterBounds(studyArea) // Filter by the combined study area
-  .filterDate('2023-03-01', '2024-09-30') // Overall date range for your analysis
-  //.filter(ee.Filter.lt('CLOUDY_PIXEL_PERCENTAGE', 80)); // THIS LINE REMAINS COMMENTED OUT for now
+  .filterDate(analysisRange.start, analysisRange.end); // Overall date range for your analysis
 
 // Print the initial collection size (after initial filters).
-print('Initial Sentinel-2 Collection Size (before mask):', sentinel2.size());
-
-// Function to mask clouds using QA60 and SCL bands (Sentinel-2 L2A). This function may be usefull for winter and fall seasons
-//function maskS2clouds(image) {
-//  var qa = image.select('QA60');
-//  var cloudBitMask = 1 << 10;
-//  var cirrusBitMask = 1 << 11;
-
-//  var qa_mask = qa.bitwiseAnd(cloudBitMask).eq(0)
-//    .and(qa.bitwiseAnd(cirrusBitMask).eq(0));
+print('Initial Sentinel-2 Collection Size (before mask):', rawSentinel2.size());
 
-//  var scl = image.select('SCL');
-//  var scl_mask = scl.neq(10) // Mask cirrus
-//                 .and(scl.neq(11)) // Mask saturated/defective
-                 // Keeping these commented out as per our last debugging attempt:
-                 // .and(scl.neq(3))  // Mask cloud shadows
-                 // .and(scl.neq(8))  // Mask clouds medium probability
-//                 .and(scl.neq(9));   // Mask clouds high probability
+// Apply the scene-level CLOUDY_PIXEL_PERCENTAGE prefilter and the selected pixel mask
+// (cfg.cloudMask.mode: 'NONE', 'QA60', 'SCL', 'CS_PLUS' or 'S2CLOUDLESS').
+// Reflectance bands are scaled from 0-10000 to 0-1.
+var sentinel2 = s2Masking.maskCollection(rawSentinel2, cfg.cloudMask);
 
-//  var combinedMask = qa_mask.and(scl_mask);
+// Print the collection size after cloud masking (scenes above the prefilter are dropped, pixels are masked).
+print('Filtered Sentinel-2 Collection Size (after mask, mode ' + cfg.cloudMask.mode + '):', sentinel2.size());
 
-//  return image.updateMask(combinedMask)
-//    .select(['B8', 'B4', 'B2', 'B3', 'B11', 'B12'])
-//    .divide(10000);
-//}
+// Percentage of pixel observations masked per polygon and per year, to document the masking choice.
+var maskingReport = s2Masking.maskingReport(rawSentinel2, cfg.cloudMask, polygons, cfg);
+print('Cloud masking report (first rows):', maskingReport.limit(10));
 
-// Apply the cloud masking function to the Sentinel-2 collection.
-//sentinel2 = sentinel2.map(maskS2clouds);
-
-// Print the collection size after cloud masking (size remains same, but pixels are masked).
-print('Filtered Sentinel-2 Collection Size (after mask):', sentinel2.size());
+outputs.exportTable(maskingReport, 'S2_Mask_Stats_Per_Polygon_' + cfg.cloudMask.mode, cfg, {
+  selectors: ['polygon_id_prop', 'year', 'mask_mode', 'scenes_used', 'obs_count', 'clear_count', 'masked_pct'],
+  geometry: false
+});
 
 // --- Inspect individual masked Sentinel-2 images (clipped to studyArea) ---
 var firstMaskedS2 = sentinel2.first();
@@ -104,264 +119,260 @@ if (firstMaskedS2) {
 }
 
 
-// --- 3. COMPUTE NDVI ---
+// --- 2.1 OPTICAL SOURCES (Sentinel-2 and/or harmonized Landsat) ---
+// cfg.opticalSources selects which sources feed the index composites. Landsat 5/7/8/9 Collection 2
+// Level-2 images are scaled, QA_PIXEL-masked, renamed to the S2 band names and (optionally) harmonized
+// to S2 MSI reflectance (modules/landsat.js), so they follow the same compositing and trend path.
+// Every image carries a 'sensor' property; the yearly composites record the mix in 'sensor_mix'.
 
-function computeNDVI(image) {
-  var ndvi = image.normalizedDifference(['B8', 'B4']).rename('NDVI');
-  return image.addBands(ndvi);
+var opticalCollection = composites.opticalCollection(cfg, studyArea, sentinel2); // modules/composites.js
+if (cfg.opticalSources.indexOf('LANDSAT') !== -1) {
+  print('Landsat Collection Size (' + cfg.landsat.sensors.join(', ') + '):',
+        opticalCollection.filter(ee.Filter.stringStartsWith('sensor', 'LANDSAT')).size());
 }
+print('Optical Collection Size (' + cfg.opticalSources.join(' + ') + '):', opticalCollection.size());
+
+
+// --- 3. COMPUTE SPECTRAL INDICES ---
+// The indices listed in cfg.indices (default ['NDVI']) are added as bands from the spectral index
+// registry (modules/spectral_indices.js). Every later section loops over indexNames, so ndviCollection
+// and yearlyNDVI carry one band per requested index. The first index is the primary index used for
+// the diagnostics and the final report.
+
+var indexNames = cfg.indices;
+var primaryIndex = indexNames[0];
 
-var ndviCollection = sentinel2.map(computeNDVI);
+var ndviCollection = opticalCollection.map(spectralIndices.addIndices(indexNames));
 
-print('NDVI Collection Size:', ndviCollection.size());
+print('Spectral Index Collection Size (' + indexNames.join(', ') + '):', ndviCollection.size());
 
-var firstNDVI = ndviCollection.select('NDVI').first();
+var firstNDVI = ndviCollection.select(primaryIndex).first();
 if (firstNDVI) {
   var clippedFirstNDVI = firstNDVI.clip(studyArea);
-  Map.addLayer(clippedFirstNDVI, {min: 0, max: 0.8, palette: ['red', 'yellow', 'green']}, 'First NDVI (individual, clipped)');
-  print('First NDVI image (clipped for inspection):', clippedFirstNDVI);
+  Map.addLayer(clippedFirstNDVI, spectralIndices.vis(primaryIndex), 'First ' + primaryIndex + ' (individual, clipped)');
+  print('First ' + primaryIndex + ' image (clipped for inspection):', clippedFirstNDVI);
 } else {
-  print('Warning: No NDVI images in collection. Check previous steps.');
+  print('Warning: No ' + primaryIndex + ' images in collection. Check previous steps.');
 }
 
 
-// --- 4. COMPUTE ANNUAL NDVI COMPOSITES (Spring/Summer, with robust band checks) ---
-
-var years = ee.List.sequence(2023, 2024);
-
-var yearlyNDVI = years.map(function(year) {
-  year = ee.Number(year);
-  var springSummerStartDate = ee.Date.fromYMD(year, 3, 1); // March 1st
-  var springSummerEndDate = ee.Date.fromYMD(year, 6, 17);   // Jun 17st
-
-  var collectionForYear = ndviCollection.filterDate(springSummerStartDate, springSummerEndDate).select('NDVI');
-  var numImagesInYear = collectionForYear.size();
-
-  // Calculate 95th percentile composite instead of median
-  // The input to .reduce is collectionForYear which has only the 'NDVI' band.
-  // The output band from percentile reducer will be 'NDVI_p95'.
-  var tempComposite = collectionForYear.reduce(ee.Reducer.percentile([95]));
-  var p95BandName = ee.String('NDVI_p95'); // Expected output band name
-
-  // Rename the percentile band to 'NDVI' for consistency if it exists.
-  // If tempComposite has no bands (e.g., collectionForYear was empty),
-  // this will result in an image with no bands.
-  var composite = ee.Image(ee.Algorithms.If(
-      tempComposite.bandNames().contains(p95BandName),
-      tempComposite.select([p95BandName], ['NDVI']), // Select the p95 band and rename it to NDVI
-      ee.Image() // An empty image if no p95 band
-  ));
-  composite = ee.Image(composite);
-
-  var defaultImage = ee.Image.constant(0).rename('NDVI')
-    .set('system:time_start', springSummerStartDate.millis())
-    .set('system:time_end', springSummerEndDate.millis())
-    .clip(studyArea);
-
-  var compositeHasBands = composite.bandNames().size().gt(0);
-  // If compositeHasBands is true, 'composite' now contains the 'NDVI' band (renamed from 'NDVI_p95').
-  // If false, 'composite' is an empty image (0 bands), and defaultImage will be used.
-
-  var baseImage = ee.Algorithms.If(
-      compositeHasBands,
-      composite.clip(studyArea),
-      defaultImage
-  );
-  baseImage = ee.Image(baseImage);
-
-  var countDict = ee.Algorithms.If(
-      baseImage.bandNames().contains('NDVI'),
-      baseImage.mask().reduceRegion({
-          reducer: ee.Reducer.count(),
-          geometry: studyArea,
-          scale: 30,
-          tileScale: 16
-      }),
-      ee.Dictionary({})
-  );
-  countDict = ee.Dictionary(countDict);
-  var hasKey = countDict.keys().contains('NDVI');
-  var hasUnmaskedPixels = ee.Algorithms.If(
-      hasKey,
-      countDict.get('NDVI'),
-      ee.Number(0)
-  );
-  var resultHasData = ee.Number(hasUnmaskedPixels).gt(0);
-
-  var finalResultImage = ee.Algorithms.If(
-    resultHasData,
-    baseImage,
-    defaultImage
-  );
-  finalResultImage = ee.Image(finalResultImage);
-
-  return finalResultImage
-    .set('year', year)
-    .set('system:time_start', springSummerStartDate.millis())
-    .set('system:time_end', springSummerEndDate.millis())
-    .set('num_images_in_composite', numImagesInYear)
-    .set('has_data_in_polygons', resultHasData) // This 'composite' is after potential renaming
-    .set('composite_band_names_pre_clip', composite.bandNames()) // Bands of the image that was candidate for baseImage (either p95 renamed or empty)
-    .set('base_image_band_names', baseImage.bandNames())
-    .set('final_image_band_names', finalResultImage.bandNames());
-});
+// --- 4. COMPUTE ANNUAL INDEX COMPOSITES (Spring/Summer, with robust band checks) ---
 
-yearlyNDVI = ee.ImageCollection(yearlyNDVI);
-print('Yearly NDVI ImageCollection (Spring/Summer):', yearlyNDVI);
+// For each analysis year, the Spring/Summer images (config season) are reduced to a 95th percentile
+// composite of every index band (modules/composites.js). Pixels and years without clear observations are
+// masked, not zero-filled; each composite has the quality bands 'obs_count' (clear observations per pixel),
+// 'first_obs_doy', 'last_obs_doy' (day of year of the first/last one) and '<INDEX>_stddev' (spread between
+// the observations), and records 'num_images_in_composite', 'sensor_mix' and 'has_data_in_polygons'.
+var yearlyNDVI = composites.yearlyIndexComposites(ndviCollection, indexNames, cfg, studyArea);
+print('Yearly Index ImageCollection (Spring/Summer, bands ' + indexNames.join(', ') + '):', yearlyNDVI);
 
 
 // --- 5. VISUALIZATION OF YEARLY COMPOSITES ---
 
-var vizParams = { min: 0, max: 1, palette: ['red', 'yellow', 'green'] };
+config.yearsList(cfg).forEach(function(year) {
+  var ndviYear = yearlyNDVI.filter(ee.Filter.eq('year', year)).first();
+  if (ndviYear) {
+    indexNames.forEach(function(indexName) {
+      Map.addLayer(ndviYear.select(indexName), spectralIndices.vis(indexName), indexName + ' ' + year + ' Composite');
+    });
+    print('Index ' + year + ' Composite image (for properties check):', ndviYear);
+  } else {
+    print('Warning: No ' + year + ' index composite found for visualization.');
+  }
+});
 
-var ndvi2023 = yearlyNDVI.filter(ee.Filter.eq('year', 2023)).first();
-if (ndvi2023) {
-  Map.addLayer(ndvi2023, vizParams, 'NDVI 2023 Composite');
-  print('NDVI 2023 Composite image (for properties check):', ndvi2023);
-} else {
-  print('Warning: No 2023 NDVI composite found for visualization.');
+// Pixels kept by the tree canopy mask (hidden by default; only with cfg.landCover.source other than 'NONE').
+if (landCover.isEnabled(cfg)) {
+  Map.addLayer(landCover.treeMask(cfg, studyArea).selfMask().clip(studyArea), {palette: ['1B5E20']},
+               'Tree Canopy Mask (' + landCover.describe(cfg) + ')', false);
 }
 
-var ndvi2024 = yearlyNDVI.filter(ee.Filter.eq('year', 2024)).first();
-if (ndvi2024) {
-  Map.addLayer(ndvi2024, vizParams, 'NDVI 2024 Composite');
-  print('NDVI 2024 Composite image (for properties check):', ndvi2024);
-} else {
-  print('Warning: No 2024 NDVI composite found for visualization.');
-}
+// --- 6. COMPUTE INDEX TRENDS ---
+
+// Trend statistics of one index over the yearly composites (modules/trend_stats.js):
+// OLS slope 'scale', 'offset', 'r2' and 'se', Sen's slope 'sen_slope', Mann-Kendall 'mk_tau'
+// and 'mk_p', 'n_years' and 'sig_decline' (1 = decline significant at cfg.trendAlpha). Pixels with
+// fewer than cfg.minTrendYears valid years are masked.
+var computeIndexTrend = function(indexName) {
+  return trendStatistics.pixelTrend(yearlyNDVI, indexName, cfg.trendAlpha, cfg.minTrendYears).clip(studyArea);
+};
 
-// --- 6. COMPUTE NDVI TREND ---
+var indexTrends = {};
+indexNames.forEach(function(indexName) {
+  var trend = computeIndexTrend(indexName);
+  indexTrends[indexName] = trend;
+  print(indexName + ' Trend Image (OLS, Sen\'s slope, Mann-Kendall):', trend);
 
-var ndviTrend = yearlyNDVI.map(function(image) {
-  var year = ee.Number(image.get('year'));
-  var xBand = ee.Image.constant(year).rename('x').toFloat();
-  var yBand = image.select('NDVI').rename('y');
-  return xBand.addBands(yBand);
-}).reduce(ee.Reducer.linearFit());
+  if (trend && trend.bandNames().contains('scale')) {
+    Map.addLayer(trend.select('scale'), { min: -0.05, max: 0.05, palette: ['blue', 'white', 'green'] }, indexName + ' Trend (Slope)');
+    Map.addLayer(trend.select('sen_slope'), { min: -0.05, max: 0.05, palette: ['blue', 'white', 'green'] }, indexName + ' Trend (Sen\'s Slope)', false);
+    Map.addLayer(trend.select('sig_decline').selfMask(), { palette: ['red'] }, indexName + ' Significant Decline (p < ' + cfg.trendAlpha + ')');
+  } else {
+    print('Warning: ' + indexName + ' Trend image does not have "scale" band for visualization or is null.');
+  }
+});
 
-var clippedNdviTrend = ee.Algorithms.If(
-  ndviTrend && ndviTrend.bandNames().contains('scale'),
-  ndviTrend.clip(studyArea),
-  ee.Image.constant(0).rename('scale').clip(studyArea)
-);
-ndviTrend = ee.Image(clippedNdviTrend);
+// Trend of the primary index, used by the final report.
+var ndviTrend = indexTrends[primaryIndex];
 
-print('NDVI Trend Image (slope and offset):', ndviTrend);
 
-if (ndviTrend && ndviTrend.bandNames().contains('scale')) {
-  Map.addLayer(ndviTrend.select('scale'), { min: -0.05, max: 0.05, palette: ['blue', 'white', 'green'] }, 'NDVI Trend (Slope)');
+// --- 6.1 DISTURBANCE DETECTION (LandTrendr breakpoints) ---
+// The straight-line trend above cannot separate an abrupt kill from a gradual decline, so each pixel's
+// yearly composites are also segmented with LandTrendr (modules/disturbance.js, settings in
+// cfg.disturbance). For the segment with the greatest loss: 'loss_year', 'loss_magnitude',
+// 'loss_duration', 'pre_slope', 'post_slope', 'recovery_rate' (fraction of the loss regained per year),
+// 'n_segments' and 'fit_rmse'. Per polygon, the area whose greatest loss falls in each year is exported.
+
+var indexDisturbance = {};
+if (config.hasDisturbanceLength(cfg)) {
+  indexNames.forEach(function(indexName) {
+    var lossImage = disturbance.greatestLoss(yearlyNDVI, indexName, cfg).clip(studyArea);
+    indexDisturbance[indexName] = lossImage;
+    print(indexName + ' Greatest Loss (LandTrendr):', lossImage);
+
+    Map.addLayer(lossImage.select('loss_year'), { min: cfg.startYear, max: cfg.endYear, palette: ['yellow', 'orange', 'red', 'purple'] }, indexName + ' Year of Greatest Loss', false);
+    Map.addLayer(lossImage.select('loss_magnitude'), { min: cfg.disturbance.minLossMagnitude, max: 0.5, palette: ['white', 'red'] }, indexName + ' Greatest Loss Magnitude', false);
+
+    outputs.exportImage(lossImage.select(disturbance.DISTURBANCE_BANDS).unmask(-9999), indexName + '_Disturbance_LandTrendr', cfg, {
+      region: studyArea.bounds()
+    });
+
+    outputs.exportTable(disturbance.disturbedArea(lossImage, polygons, cfg), indexName + '_Disturbed_Area_Per_Polygon_Year', cfg, {
+      selectors: ['polygon_id_prop', 'year', 'disturbed_area_ha', 'polygon_area_ha'],
+      geometry: false
+    });
+  });
 } else {
-  print('Warning: NDVI Trend image does not have "scale" band for visualization or is null.');
+  print('Skipping disturbance detection: ' + cfg.startYear + '-' + cfg.endYear + ' has fewer than ' +
+        cfg.disturbance.minObservations + ' years (cfg.disturbance.minObservations).');
 }
 
 
-// --- 7. EXTRACT NDVI PER POLYGON (Mean Statistics) ---
+// --- 7. EXTRACT INDICES PER POLYGON (Mean Statistics) ---
+
+// One feature per polygon and year with one mean property per index (named after the index),
+// 'year', 'polygon_id_prop', 'valid_fraction' (share of the polygon with valid pixels; of its tree canopy
+// with cfg.landCover) and 'masked_area_fraction' (share outside the canopy mask, 0 without one); polygon-years
+// below cfg.minCoverage are dropped (modules/composites.js).
+var ndviStats = composites.polygonMeans(yearlyNDVI, indexNames, polygons, cfg);
+
+print('Index Statistics per Polygon:', ndviStats);
+
+// Long-format table behind every per-polygon slope, for statistics in R/Python: one row per polygon, year
+// and index with the polygon's original attributes (prefixed attr_), mean, median, stddev, p10/p90, min/max, the valid
+// pixel count and area (ha), the polygon area, the valid fraction and the masked area fraction (outside the
+// cfg.landCover canopy). Rows are not filtered by cfg.minCoverage. No selectors are set, so every polygon
+// attribute is written.
+var ndviLongStats = composites.polygonLongStats(yearlyNDVI, indexNames, polygons, cfg);
+print('Index Statistics per Polygon, Year and Index (first rows):', ndviLongStats.limit(10));
+
+outputs.exportTable(ndviLongStats, 'Index_Stats_Per_Polygon_Year_Long', cfg, {geometry: false});
+
+
+// --- 7.1 CLIMATE ANOMALIES PER POLYGON AND YEAR ---
+// Reduces the Spring/Summer precip, tmmx, etr (GRIDMET) and total_evaporation (ERA5-Land) anomalies
+// against the 1991-2020 normal over each polygon and year, and attaches them to the index means above
+// (modules/polygon_climate.js). Each row: polygon, year, index mean(s), climate anomalies. With startYear 2020
+// or earlier the normal overlaps the analysis years, which is printed as a note.
+
+var climateOptions = polygonClimate.DEFAULT_OPTIONS;
+var ndviClimateStats = polygonClimate.attachAnomalies(ndviStats, climateOptions, cfg);
+print('Index and Climate Anomalies per Polygon and Year (first rows):', ndviClimateStats.limit(10));
 
-var ndviStats = yearlyNDVI.map(function(image) {
-  return image.select('NDVI').reduceRegions({
-    collection: polygons,
-    reducer: ee.Reducer.mean(),
-    scale: 30,
-    tileScale: 4
-  }).map(function(f) {
-    return f.set('year', image.get('year'));
+outputs.exportTable(ndviClimateStats, 'Index_Climate_Anomalies_Per_Polygon_Year', cfg, {
+  selectors: ['polygon_id_prop', 'year'].concat(indexNames, ['valid_fraction', 'masked_area_fraction'], polygonClimate.anomalyColumns(climateOptions))
+});
+
+
+// --- 8. COMPUTE AND EXPORT PER-POLYGON INDEX TREND STATISTICS ---
+
+print('--- Computing Per-Polygon Index Trend Statistics ---');
+
+// Trend statistics of one index for a single polygon (modules/composites.js): the polygon's yearly
+// mean index values are fitted when there are at least cfg.minTrendYears of them, giving the OLS fit
+// (slope, offset, R², SE), Sen's slope and the Mann-Kendall tau/p-value (modules/trend_stats.js) as
+// '<INDEX>_slope', '<INDEX>_sen_slope', ... plus 'polygon_id_prop', 'trend_status', 'mean_valid_fraction'
+// and 'years_below_coverage'. Years whose valid-pixel fraction is below cfg.minCoverage are left out.
+var calculatePolygonTrend = function(polygonFeature, indexName) {
+  return composites.polygonTrend(polygonFeature, yearlyNDVI, indexName, cfg);
+};
+
+// Per-polygon trend statistics for each index, keyed by index name.
+var polygonTrendStats = {};
+indexNames.forEach(function(indexName) {
+  var polygonsWithTrendStats = polygons.map(function(polygonFeature) {
+    return calculatePolygonTrend(polygonFeature, indexName);
   });
-}).flatten();
-
-print('NDVI Statistics per Polygon:', ndviStats);
-
-
-// --- 8. COMPUTE AND EXPORT PER-POLYGON NDVI TREND STATISTICS ---
-
-print('--- Computing Per-Polygon NDVI Trend Statistics ---');
-
-// Function to calculate linear trend statistics for a single polygon
-var calculatePolygonTrend = function(polygonFeature) {
-  // Attempt to get a unique identifier for the polygon for chart titles and data.
-  // Adjust property names like 'Name' or 'PolygonID' if yours are different.
-  var polygonId = ee.String(polygonFeature.id()); // Default to system:index
-  polygonId = ee.Algorithms.If(polygonFeature.get('Name'), ee.String(polygonFeature.get('Name')), polygonId);
-  // Create a time series of mean NDVI for this polygon
-  var perPolygonTimeSeries = yearlyNDVI.map(function(image) {
-    var year = image.getNumber('year'); // Independent variable (x)
-    
-    // Calculate mean NDVI within the polygon for the current year's composite
-    var meanNdviInPolygon = image.select('NDVI').reduceRegion({
-      reducer: ee.Reducer.mean(),
-      geometry: polygonFeature.geometry(),
-      scale: 30,
-      maxPixels: 1e9, // Max pixels to process in the region
-      tileScale: 4    // Use a tileScale consistent with other reductions
-    }).get('NDVI');   // Dependent variable (y)
-
-    return ee.Feature(null, {
-      'polygon_id': polygonId, // Add polygon identifier to each time series point
-      // year is already an ee.Number from getNumber('year')
-      'year': year,          // Property for the independent variable (renamed for clarity)
-      'ndvi_y': meanNdviInPolygon // Property for the dependent variable
+  polygonTrendStats[indexName] = polygonsWithTrendStats;
+
+  print('Per-Polygon ' + indexName + ' Trend Statistics:', polygonsWithTrendStats);
+
+  // Export the per-polygon trend statistics as a CSV file
+  // This CSV contains one row per polygon with its slope, offset, R², SE, Sen's slope,
+  // Mann-Kendall tau/p-value, the number of years used and the significant-decline flag.
+  // Skipped with fewer than cfg.minTrendYears analysis years, where every polygon is insufficient_years.
+  if (config.hasTrendLength(cfg)) {
+    outputs.exportTable(polygonsWithTrendStats, indexName + '_Trend_Stats_Per_Polygon_SpringSummer', cfg, {
+      selectors: ['polygon_id_prop'].concat(composites.polygonTrendColumns(indexName)) // Add original polygon ID properties if needed
     });
-  });
+  }
+});
 
-  // Filter out any features where ndvi_y might be null (e.g., no valid pixels in polygon for a year)
-  perPolygonTimeSeries = perPolygonTimeSeries.filter(ee.Filter.notNull(['year', 'ndvi_y']));
-
-  // The perPolygonTimeSeries now contains the raw data points for trend calculation for this polygon.
-  // We will export this collection later, flattened for all polygons.
-
-  // --- Calculate Trend Stats (slope/offset) for this polygon ---
-  var seriesSize = perPolygonTimeSeries.size();
-  var defaultFit = ee.Dictionary({scale: null, offset: null}); // Default if not enough data
-
-  var trendStats = ee.Algorithms.If(
-    seriesSize.gte(2),
-    // Apply linear fit. Selectors are [independent_var_property, dependent_var_property]
-    perPolygonTimeSeries.reduceColumns({
-      reducer: ee.Reducer.linearFit(), 
-      selectors: ['year', 'ndvi_y'] // Output is a dictionary with 'scale' and 'offset'
-    }),
-    defaultFit // Use default if not enough points
-  );
-  trendStats = ee.Dictionary(trendStats); // Cast the result of ee.Algorithms.If
-
-  // Return the original polygon feature with new properties for slope and offset
-  return polygonFeature.set({
-    'polygon_id_prop': polygonId, // Store the ID used
-    'NDVI_slope': trendStats.get('scale'),
-    'NDVI_offset': trendStats.get('offset'),
-    'trend_points_used': seriesSize // Number of years used in the trend calculation for this polygon
-    // We are not attaching 'time_series_data' directly here anymore for the main collection,
-    // as charts will be generated on the fly.
-  });
-};
 
-var polygonsWithTrendStats = polygons.map(calculatePolygonTrend);
+// --- 8.1 SUB-ANNUAL COMPOSITES AND HARMONIC PHENOLOGY ---
+// Yearly Spring/Summer composites hide within-season dieback or late green-up, so the full index
+// series is also summarized within the year (modules/phenology.js):
+//   - monthly or 16-day median composites (cfg.phenology.compositeMode), masked where empty;
+//   - a harmonic regression (cfg.phenology.harmonics Fourier terms plus a linear trend) per pixel
+//     and per polygon, giving the seasonal amplitude, phase, peak-of-season day of year and the
+//     season length (days above half the seasonal range).
+// Per-polygon charts of the observations with the fitted curve are in the polygon explorer app.
+
+print('--- Computing Sub-Annual Composites and Harmonic Phenology ---');
 
-print('Per-Polygon NDVI Trend Statistics:', polygonsWithTrendStats);
+var subAnnualNDVI = phenology.subAnnualComposites(ndviCollection, indexNames, cfg, studyArea);
+print('Sub-Annual Index Composites (' + cfg.phenology.compositeMode + '):', subAnnualNDVI);
 
-// Export the per-polygon trend statistics as a CSV file
-// This CSV contains one row per polygon with its slope, offset, etc.
-Export.table.toDrive({
-  collection: polygonsWithTrendStats,
-  description: 'NDVI_Trend_Stats_Per_Polygon_SpringSummer',
-  fileNamePrefix: 'NDVI_Trend_Stats_Per_Polygon_SpringSummer',
-  fileFormat: 'CSV',
-  selectors: ['polygon_id_prop', 'NDVI_slope', 'NDVI_offset', 'trend_points_used'] // Add original polygon ID properties if needed
+var phenologyColumns = [];
+indexNames.forEach(function(indexName) {
+  var harmonicFit = phenology.harmonicFit(ndviCollection, indexName, cfg.phenology.harmonics).clip(studyArea);
+  print(indexName + ' Harmonic Phenology Image:', harmonicFit);
+
+  Map.addLayer(harmonicFit.select('amplitude'), { min: 0, max: 0.3, palette: ['white', 'green'] }, indexName + ' Seasonal Amplitude', false);
+  Map.addLayer(harmonicFit.select('peak_doy'), { min: 1, max: 365, palette: ['blue', 'green', 'yellow', 'red', 'blue'] }, indexName + ' Peak of Season (DOY)', false);
+  Map.addLayer(harmonicFit.select('season_length'), { min: 0, max: 365, palette: ['white', 'darkgreen'] }, indexName + ' Season Length (days)', false);
+
+  outputs.exportImage(harmonicFit.select(phenology.metricNames(cfg.phenology.harmonics)).unmask(-9999), indexName + '_Harmonic_Phenology', cfg, {
+    region: studyArea.bounds()
+  });
+  phenologyColumns = phenologyColumns.concat(phenology.phenologyColumns(indexName, cfg.phenology.harmonics));
 });
 
+// One row per polygon with the harmonic fit of each index over the polygon's mean values.
+var polygonPhenology = polygons.map(function(polygonFeature) {
+  return indexNames.reduce(function(feature, indexName) {
+    return phenology.polygonHarmonics(feature, ndviCollection, indexName, cfg);
+  }, polygonFeature);
+});
 
-// --- 9. NDVI TREND PLOT (Time-Series Chart for overall study area) ---
-print('--- Generating NDVI Trend Plots (Overall and Per Polygon) ---');
+outputs.exportTable(polygonPhenology, 'Index_Phenology_Per_Polygon', cfg, {
+  selectors: ['polygon_id_prop'].concat(phenologyColumns)
+});
+
+
+// --- 9. INDEX TREND PLOT (Time-Series Chart for overall study area) ---
+print('--- Generating Index Trend Plot (Overall Study Area) ---');
 
 // --- 9.1 Overall Trend Chart for the entire study area ---
 var overallTrendChart = ui.Chart.image.series({
-  imageCollection: yearlyNDVI.select('NDVI'),
+  imageCollection: yearlyNDVI.select(indexNames),
   region: polygons.geometry(),
   reducer: ee.Reducer.mean(),
-  scale: 30,
+  scale: cfg.scale,
   xProperty: 'system:time_start'
 }).setOptions({
-  title: 'Overall Study Area NDVI Trend (Mean)',
-  vAxis: { title: 'NDVI' },
+  title: 'Overall Study Area ' + indexNames.join(', ') + ' Trend (Mean)',
+  vAxis: { title: indexNames.join(' / ') },
   hAxis: { title: 'Year', format: 'yyyy' },
   lineWidth: 1,
   pointSize: 3,
@@ -369,105 +380,60 @@ var overallTrendChart = ui.Chart.image.series({
 
 print(overallTrendChart);
 
-// --- 9.2 Generate and Print Individual Trend Charts for Each Polygon ---
-// To generate UI charts per feature, we often need to bring feature info to the client.
-polygons.evaluate(function(polygonsClientSide) {
-  // polygonsClientSide is a GeoJSON FeatureCollection
-  polygonsClientSide.features.forEach(function(featureGeoJSON, index) {
-    var polygonFeature = ee.Feature(featureGeoJSON); // Convert GeoJSON feature back to ee.Feature
-
-    // Get an identifier for the polygon for the chart title
-    // Initialize with a fallback in case no specific properties are found
-    var polygonIdentifierClient = 'Polygon ' + (index + 1); 
-    
-    // Attempt to get a more descriptive ID from feature properties
-    // Prioritize the 'ID' field if it exists and has a meaningful value.
-    if (featureGeoJSON.properties && 
-        (featureGeoJSON.properties.ID !== null && typeof featureGeoJSON.properties.ID !== 'undefined' && String(featureGeoJSON.properties.ID).trim() !== '')) {
-      polygonIdentifierClient = String(featureGeoJSON.properties.ID); // Ensure it's a string
-    } else if (featureGeoJSON.properties && featureGeoJSON.properties.Name) { // Then check for 'Name' property
-      polygonIdentifierClient = String(featureGeoJSON.properties.Name);
-    } else if (featureGeoJSON.properties && featureGeoJSON.properties.PolygonID) { // Check for 'PolygonID'
-      polygonIdentifierClient = String(featureGeoJSON.properties.PolygonID);
-    } else if (featureGeoJSON.properties && featureGeoJSON.properties.polygon_id_prop) {
-      polygonIdentifierClient = String(featureGeoJSON.properties.polygon_id_prop);
-    } else if (featureGeoJSON.id) { // Fallback to GeoJSON feature's own ID if available
-      polygonIdentifierClient = String(featureGeoJSON.id);
-    } else {
-      polygonIdentifierClient = 'Polygon (Index ' + index + ')'; // Ultimate fallback
-    }
-
-
-    var chartPerPolygon = ui.Chart.image.series({
-      imageCollection: yearlyNDVI.select('NDVI'),
-      region: polygonFeature.geometry(), // Use the individual polygon's geometry
-      reducer: ee.Reducer.mean(),
-      scale: 30,
-      xProperty: 'system:time_start'
-    }).setOptions({
-      title: 'NDVI Trend - ID: ' + polygonIdentifierClient, // Prepend "ID: " for clarity
-      vAxis: {title: 'NDVI'},
-      hAxis: {title: 'Year', format: 'yyyy'},
-      lineWidth: 1,
-      pointSize: 3,
-    });
-    // Print only the chart widget, not the label "Chart for..." and the object details
-    print(chartPerPolygon);
-  });
-});
+// --- 9.2 Individual Trend Charts per Polygon ---
+// Per-polygon charts are no longer printed for every feature (hundreds of charts flooded the console).
+// Use the polygon explorer app (GEE_USFS_Polygon_Explorer_App.js): click a polygon to chart its
+// index/RVI time series and trend statistics, and export only the selected polygons.
 
 
-// --- 10. EXPORT NDVI RESULTS AS GEOTIFFS ---
+// --- 10. EXPORT INDEX RESULTS AS GEOTIFFS ---
 
-var exportNDVI = function(year) {
+// Exports one index band of one yearly composite with its quality bands, e.g. NDVI_SpringSummer_2023
+// with the bands NDVI, obs_count, first_obs_doy, last_obs_doy and NDVI_stddev (modules/composites.js),
+// so unreliable pixels (few observations, a narrow date range, a high spread) can be masked downstream.
+var exportNDVI = function(year, indexName) {
   var image = yearlyNDVI.filter(ee.Filter.eq('year', year)).first();
-  if (image && image.bandNames().contains('NDVI')) {
+  if (image && image.bandNames().contains(indexName)) {
     // Create an image with the desired noData value.
     // unmask() will replace masked pixels with this value.
-    var imageWithNoData = image.select('NDVI').unmask(-9999);
+    var imageWithNoData = image.select([indexName].concat(composites.qualityBandNames(indexName))).toFloat().unmask(-9999);
 
-    Export.image.toDrive({
-      image: imageWithNoData,
-      description: 'NDVI_SpringSummer_' + year.getInfo(),
-      fileNamePrefix: 'NDVI_SpringSummer_' + year.getInfo(),
+    // Cloud-optimized GeoTIFF on Drive/GCS; with cfg.output.destination 'ASSET', an image of the
+    // '<INDEX>_SpringSummer' ImageCollection with a 'year' property.
+    outputs.exportImage(imageWithNoData, indexName + '_SpringSummer', cfg, {
       region: studyArea.bounds(),
-      scale: 30,
-      fileFormat: 'GEO_TIFF', // Specify GeoTIFF format
-      formatOptions: {
-        cloudOptimized: true // Enable COG format
-      },
-      maxPixels: 1e13
+      year: year
     });
   } else {
-    print('Skipping export for NDVI_SpringSummer_' + year.getInfo() + ': No valid composite or NDVI band found.');
+    print('Skipping export for ' + indexName + '_SpringSummer_' + year + ': No valid composite or ' + indexName + ' band found.');
   }
 };
 
-var yearsList = [2023, 2024];
+// Client-side list of years to export (validated against the analysis years by the config).
+var yearsList = config.exportYearsList(cfg);
 yearsList.forEach(function(year) {
-  exportNDVI(ee.Number(year));
+  indexNames.forEach(function(indexName) {
+    exportNDVI(year, indexName);
+  });
 });
 
 
-if (ndviTrend && ndviTrend.bandNames().contains('scale')) {
-  // Create an image with the desired noData value for the trend slope.
-  var trendWithNoData = ndviTrend.select('scale').unmask(-9999);
-
-  Export.image.toDrive({
-    image: trendWithNoData,
-    description: 'NDVI_Trend_Slope_SpringSummer',
-    fileNamePrefix: 'NDVI_Trend_Slope_SpringSummer',
-    region: studyArea.bounds(),
-    scale: 30,
-    fileFormat: 'GEO_TIFF', // Specify GeoTIFF format
-    formatOptions: {
-      cloudOptimized: true // Enable COG format
-    },
-    maxPixels: 1e13
-  });
-} else {
-  print('Skipping export for NDVI Trend: Trend image is not valid or "scale" band is missing.');
-}
+indexNames.forEach(function(indexName) {
+  var trend = indexTrends[indexName];
+  if (!config.hasTrendLength(cfg)) {
+    print('Skipping export for ' + indexName + ' Trend: fewer than ' + cfg.minTrendYears + ' analysis years.');
+  } else if (trend && trend.bandNames().contains('scale')) {
+    // Create an image with the desired noData value for the trend bands
+    // (OLS slope first, then offset, R², SE, Sen's slope, Mann-Kendall tau/p, n_years, sig_decline).
+    var trendWithNoData = trend.select(trendStatistics.STAT_NAMES).unmask(-9999);
+
+    outputs.exportImage(trendWithNoData, indexName + '_Trend_Slope_SpringSummer', cfg, {
+      region: studyArea.bounds()
+    });
+  } else {
+    print('Skipping export for ' + indexName + ' Trend: Trend image is not valid or "scale" band is missing.');
+  }
+});
 
 
 // --- 11. FINAL REPORT ---
@@ -489,7 +455,7 @@ if (ndviTrend && ndviTrend.bandNames().contains('scale')) {
   var pixelCountDict = ndviTrend.select('scale').reduceRegion({
     reducer: ee.Reducer.count(),
     geometry: studyArea, // Use the defined study area
-    scale: 30, // Use the same scale as your analysis
+    scale: cfg.scale, // Use the same scale as your analysis
     maxPixels: 1e13 // Ensure enough pixels can be counted for large areas
   });
   processedPixels = ee.Number(pixelCountDict.get('scale', 0)); // Get the count, use 0 as default if key is not found.
@@ -497,4 +463,13 @@ if (ndviTrend && ndviTrend.bandNames().contains('scale')) {
 print('2. Number of Pixels Processed (in final trend image):', processedPixels);
 print('3. Total Script Execution Time (client-side):', durationSeconds.format('%.2f').cat(' seconds')); // Format for display
 print('4. GEE Clusters Used: This metric is not available to users. Earth Engine automatically manages and scales compute resources on the backend.');
+
+// Run manifest (modules/manifest.js): polygon asset and version, collections, season windows, reducer,
+// masking mode, image IDs per year, every export task above and the full config, for reproducing the outputs.
+var runManifest = manifest.exportManifest('GEE_Change_Detection_USFS_Flights_Areas_2025', cfg, {
+  polygons: polygons,
+  optical: ndviCollection,
+  climate: climateOptions
+});
+print('5. Run manifest (' + outputs.exportedTasks().length + ' export tasks, run ' + outputs.runId(cfg) + '):', runManifest);
 print('---------------------------------');
@@ -4,6 +4,8 @@
 // and exporting results as GeoTIFFs. The script is designed to handle multiple years of data
 // and provides visualizations for the computed NDVI values.
 // The Study Areas are defined by polygons imported from an asset.
+// Years without data are masked, not zero-filled (modules/composites.js), and trends need
+// cfg.minTrendYears valid years (modules/trend_stats.js).
 // 
 // Date: Jun 24th, 2025
 //
@@ -17,12 +19,22 @@
 // Record start time for performance report
 var startTime = new Date();
 
+var config = require('users/paularellano/GEE_scripts:modules/config.js');
+var trendStatistics = require('users/paularellano/GEE_scripts:modules/trend_stats.js');
+var composites = require('users/paularellano/GEE_scripts:modules/composites.js');
+
+// Analysis years (2023-2024 by default), the March 1 - June 17 season and the polygons asset.
+var cfg = config.build({
+  season: {startMonth: 3, startDay: 1, endMonth: 6, endDay: 17},
+  polygonAsset: config.POLYGON_ASSETS.priority1
+});
+
 // --- 1. SETUP: Import Polygons and Define Study Area ---
 
 // Import your polygons asset. Ensure this path is correct.
 //var polygons = ee.FeatureCollection("projects/paul-gee/assets/Priority2");
 //var polygons = ee.FeatureCollection("projects/paul-gee/assets/Priority_3_WGS84_Arizona_cleaned_north");
-var polygons = ee.FeatureCollection("projects/paul-gee/assets/Priority1_WGS84_Arizona_4_2");
+var polygons = ee.FeatureCollection(cfg.polygonAsset);
 // Define the study area as the union of all polygon geometries.
 var studyArea = polygons.geometry();
 
@@ -54,9 +66,11 @@ print('----------------------------------------------------');
 
 // --- 2. DATA FILTERING AND CLOUD MASKING (from previous script, keep this for now) ---
 
+var analysisRange = config.analysisRange(cfg); // First season start to last season end
+
 var sentinel2 = ee.ImageCollection("COPERNICUS/S2_SR_HARMONIZED")
   .filterBounds(studyArea) // Filter by the combined study area
-  .filterDate('2023-03-01', '2024-09-30') // Overall date range for your analysis
+  .filterDate(analysisRange.start, analysisRange.end) // Overall date range for your analysis
   //.filter(ee.Filter.lt('CLOUDY_PIXEL_PERCENTAGE', 80)); // THIS LINE REMAINS COMMENTED OUT for now
 
 // Print the initial collection size (after initial filters).
@@ -127,86 +141,10 @@ if (firstNDVI) {
 
 // --- 4. COMPUTE ANNUAL NDVI COMPOSITES (Spring/Summer, with robust band checks) ---
 
-var years = ee.List.sequence(2023, 2024);
-
-var yearlyNDVI = years.map(function(year) {
-  year = ee.Number(year);
-  var springSummerStartDate = ee.Date.fromYMD(year, 3, 1); // March 1st
-  var springSummerEndDate = ee.Date.fromYMD(year, 6, 17);   // Jun 17st
-
-  var collectionForYear = ndviCollection.filterDate(springSummerStartDate, springSummerEndDate).select('NDVI');
-  var numImagesInYear = collectionForYear.size();
-
-  // Calculate 95th percentile composite instead of median
-  // The input to .reduce is collectionForYear which has only the 'NDVI' band.
-  // The output band from percentile reducer will be 'NDVI_p95'.
-  var tempComposite = collectionForYear.reduce(ee.Reducer.percentile([95]));
-  var p95BandName = ee.String('NDVI_p95'); // Expected output band name
-
-  // Rename the percentile band to 'NDVI' for consistency if it exists.
-  // If tempComposite has no bands (e.g., collectionForYear was empty),
-  // this will result in an image with no bands.
-  var composite = ee.Image(ee.Algorithms.If(
-      tempComposite.bandNames().contains(p95BandName),
-      tempComposite.select([p95BandName], ['NDVI']), // Select the p95 band and rename it to NDVI
-      ee.Image() // An empty image if no p95 band
-  ));
-  composite = ee.Image(composite);
-
-  var defaultImage = ee.Image.constant(0).rename('NDVI')
-    .set('system:time_start', springSummerStartDate.millis())
-    .set('system:time_end', springSummerEndDate.millis())
-    .clip(studyArea);
-
-  var compositeHasBands = composite.bandNames().size().gt(0);
-  // If compositeHasBands is true, 'composite' now contains the 'NDVI' band (renamed from 'NDVI_p95').
-  // If false, 'composite' is an empty image (0 bands), and defaultImage will be used.
-
-  var baseImage = ee.Algorithms.If(
-      compositeHasBands,
-      composite.clip(studyArea),
-      defaultImage
-  );
-  baseImage = ee.Image(baseImage);
-
-  var countDict = ee.Algorithms.If(
-      baseImage.bandNames().contains('NDVI'),
-      baseImage.mask().reduceRegion({
-          reducer: ee.Reducer.count(),
-          geometry: studyArea,
-          scale: 30,
-          tileScale: 16
-      }),
-      ee.Dictionary({})
-  );
-  countDict = ee.Dictionary(countDict);
-  var hasKey = countDict.keys().contains('NDVI');
-  var hasUnmaskedPixels = ee.Algorithms.If(
-      hasKey,
-      countDict.get('NDVI'),
-      ee.Number(0)
-  );
-  var resultHasData = ee.Number(hasUnmaskedPixels).gt(0);
-
-  var finalResultImage = ee.Algorithms.If(
-    resultHasData,
-    baseImage,
-    defaultImage
-  );
-  finalResultImage = ee.Image(finalResultImage);
-
-  return finalResultImage
-    .set('year', year)
-    .set('system:time_start', springSummerStartDate.millis())
-    .set('system:time_end', springSummerEndDate.millis())
-    .set('num_images_in_composite', numImagesInYear)
-    .set('has_data_in_polygons', resultHasData) // This 'composite' is after potential renaming
-    .set('composite_band_names_pre_clip', composite.bandNames()) // Bands of the image that was candidate for baseImage (either p95 renamed or empty)
-    .set('base_image_band_names', baseImage.bandNames())
-    .set('final_image_band_names', finalResultImage.bandNames());
-});
-
-yearlyNDVI = ee.ImageCollection(yearlyNDVI);
+// 95th-percentile composite of each year's March 1 - June 17 images (modules/composites.js).
+// A year or pixel without images stays masked (has_data_in_polygons = false) instead of
+// being filled with a constant 0 image, so it never enters the trend fit as a real zero.
+var yearlyNDVI = composites.yearlyIndexComposites(ndviCollection, ['NDVI'], cfg, studyArea);
 print('Yearly NDVI ImageCollection (Spring/Summer):', yearlyNDVI);
 
 
@@ -232,19 +170,9 @@ if (ndvi2024) {
 
 // --- 6. COMPUTE NDVI TREND ---
 
-var ndviTrend = yearlyNDVI.map(function(image) {
-  var year = ee.Number(image.get('year'));
-  var xBand = ee.Image.constant(year).rename('x').toFloat();
-  var yBand = image.select('NDVI').rename('y');
-  return xBand.addBands(yBand);
-}).reduce(ee.Reducer.linearFit());
-
-var clippedNdviTrend = ee.Algorithms.If(
-  ndviTrend && ndviTrend.bandNames().contains('scale'),
-  ndviTrend.clip(studyArea),
-  ee.Image.constant(0).rename('scale').clip(studyArea)
-);
-ndviTrend = ee.Image(clippedNdviTrend);
+// OLS slope 'scale' and offset plus Sen's slope and Mann-Kendall (modules/trend_stats.js).
+// Masked years are left out of the fit; pixels with fewer than cfg.minTrendYears valid years are masked.
+var ndviTrend = trendStatistics.pixelTrend(yearlyNDVI, 'NDVI', cfg.trendAlpha, cfg.minTrendYears).clip(studyArea);
 
 print('NDVI Trend Image (slope and offset):', ndviTrend);
 
@@ -275,63 +203,10 @@ print('NDVI Statistics per Polygon:', ndviStats);
 
 print('--- Computing Per-Polygon NDVI Trend Statistics ---');
 
-// Function to calculate linear trend statistics for a single polygon
+// Trend statistics for a single polygon (modules/composites.js): its yearly mean NDVI values,
+// without the years below cfg.minCoverage valid pixels, are fitted when at least cfg.minTrendYears remain.
 var calculatePolygonTrend = function(polygonFeature) {
-  // Attempt to get a unique identifier for the polygon for chart titles and data.
-  // Adjust property names like 'Name' or 'PolygonID' if yours are different.
-  var polygonId = ee.String(polygonFeature.id()); // Default to system:index
-  polygonId = ee.Algorithms.If(polygonFeature.get('Name'), ee.String(polygonFeature.get('Name')), polygonId);
-  // Create a time series of mean NDVI for this polygon
-  var perPolygonTimeSeries = yearlyNDVI.map(function(image) {
-    var year = image.getNumber('year'); // Independent variable (x)
-    
-    // Calculate mean NDVI within the polygon for the current year's composite
-    var meanNdviInPolygon = image.select('NDVI').reduceRegion({
-      reducer: ee.Reducer.mean(),
-      geometry: polygonFeature.geometry(),
-      scale: 30,
-      maxPixels: 1e9, // Max pixels to process in the region
-      tileScale: 4    // Use a tileScale consistent with other reductions
-    }).get('NDVI');   // Dependent variable (y)
-
-    return ee.Feature(null, {
-      'polygon_id': polygonId, // Add polygon identifier to each time series point
-      // year is already an ee.Number from getNumber('year')
-      'year': year,          // Property for the independent variable (renamed for clarity)
-      'ndvi_y': meanNdviInPolygon // Property for the dependent variable
-    });
-  });
-
-  // Filter out any features where ndvi_y might be null (e.g., no valid pixels in polygon for a year)
-  perPolygonTimeSeries = perPolygonTimeSeries.filter(ee.Filter.notNull(['year', 'ndvi_y']));
-
-  // The perPolygonTimeSeries now contains the raw data points for trend calculation for this polygon.
-  // We will export this collection later, flattened for all polygons.
-
-  // --- Calculate Trend Stats (slope/offset) for this polygon ---
-  var seriesSize = perPolygonTimeSeries.size();
-  var defaultFit = ee.Dictionary({scale: null, offset: null}); // Default if not enough data
-
-  var trendStats = ee.Algorithms.If(
-    seriesSize.gte(2),
-    // Apply linear fit. Selectors are [independent_var_property, dependent_var_property]
-    perPolygonTimeSeries.reduceColumns({
-      reducer: ee.Reducer.linearFit(), 
-      selectors: ['year', 'ndvi_y'] // Output is a dictionary with 'scale' and 'offset'
-    }),
-    defaultFit // Use default if not enough points
-  );
-  trendStats = ee.Dictionary(trendStats); // Cast the result of ee.Algorithms.If
-
-  // Return the original polygon feature with new properties for slope and offset
-  return polygonFeature.set({
-    'polygon_id_prop': polygonId, // Store the ID used
-    'NDVI_slope': trendStats.get('scale'),
-    'NDVI_offset': trendStats.get('offset'),
-    'trend_points_used': seriesSize // Number of years used in the trend calculation for this polygon
-    // We are not attaching 'time_series_data' directly here anymore for the main collection,
-    // as charts will be generated on the fly.
-  });
+  return composites.polygonTrend(polygonFeature, yearlyNDVI, 'NDVI', cfg);
 };
 
 var polygonsWithTrendStats = polygons.map(calculatePolygonTrend);
@@ -340,13 +215,18 @@ print('Per-Polygon NDVI Trend Statistics:', polygonsWithTrendStats);
 
 // Export the per-polygon trend statistics as a CSV file
 // This CSV contains one row per polygon with its slope, offset, etc.
-Export.table.toDrive({
-  collection: polygonsWithTrendStats,
-  description: 'NDVI_Trend_Stats_Per_Polygon_SpringSummer',
-  fileNamePrefix: 'NDVI_Trend_Stats_Per_Polygon_SpringSummer',
-  fileFormat: 'CSV',
-  selectors: ['polygon_id_prop', 'NDVI_slope', 'NDVI_offset', 'trend_points_used'] // Add original polygon ID properties if needed
-});
+// Skipped with fewer than cfg.minTrendYears analysis years, where every polygon is insufficient_years.
+if (config.hasTrendLength(cfg)) {
+  Export.table.toDrive({
+    collection: polygonsWithTrendStats,
+    description: 'NDVI_Trend_Stats_Per_Polygon_SpringSummer',
+    fileNamePrefix: 'NDVI_Trend_Stats_Per_Polygon_SpringSummer',
+    fileFormat: 'CSV',
+    selectors: ['polygon_id_prop'].concat(composites.polygonTrendColumns('NDVI')) // Add original polygon ID properties if needed
+  });
+} else {
+  print('Skipping export for NDVI_Trend_Stats_Per_Polygon_SpringSummer: fewer than ' + cfg.minTrendYears + ' analysis years.');
+}
 
 
 // --- 9. NDVI TREND PLOT (Time-Series Chart for overall study area) ---
@@ -443,13 +323,15 @@ var exportNDVI = function(year) {
   }
 };
 
-var yearsList = [2023, 2024];
+var yearsList = config.yearsList(cfg);
 yearsList.forEach(function(year) {
   exportNDVI(ee.Number(year));
 });
 
 
-if (ndviTrend && ndviTrend.bandNames().contains('scale')) {
+if (!config.hasTrendLength(cfg)) {
+  print('Skipping export for NDVI Trend: fewer than ' + cfg.minTrendYears + ' analysis years.');
+} else if (ndviTrend && ndviTrend.bandNames().contains('scale')) {
   // Create an image with the desired noData value for the trend slope.
   var trendWithNoData = ndviTrend.select('scale').unmask(-9999);
 
@@ -1,7 +1,8 @@
 //Google Earth Engine Script
 // This script processes Sentinel-1 GRD imagery to assess forest health using the Radar Vegetation Index (RVI)
-// for specified polygons in Arizona. It includes steps for data filtering, converting backscatter to linear power,
-// calculating RVI, creating annual composites, performing trend analysis, extracting per-polygon statistics,
+// for specified polygons in Arizona. It includes steps for data filtering, border-noise masking, speckle filtering,
+// terrain flattening, converting backscatter to linear power,
+// calculating RVI and the other SAR metrics in cfg.sarIndices (modules/sar_indices.js), creating annual composites, performing trend analysis, extracting per-polygon statistics,
 // and exporting results as GeoTIFFs and a CSV.
 // The Study Areas are defined by polygons imported from an asset.
 //
@@ -17,12 +18,39 @@
 // Record start time for performance report
 var startTime = new Date();
 
+// --- 0. CONFIGURATION ---
+// Polygon asset, years, season window, scale and export folder come from the shared config module.
+// Sentinel-1 preprocessing steps are toggled in cfg.sentinel1 (all off by default, as in the original script), e.g.
+// config.build({sentinel1: {speckleFilter: 'GAMMA_MAP', terrainFlattening: true}}) to compare their effects.
+// Exports go through modules/outputs.js (cfg.output: Drive, GCS bucket or Earth Engine assets, naming template).
+// cfg.landCover masks the SAR composites to tree canopy before compositing (modules/land_cover.js).
+var config = require('users/paularellano/GEE_scripts:modules/config.js');
+var trendStatistics = require('users/paularellano/GEE_scripts:modules/trend_stats.js');
+var polygonClimate = require('users/paularellano/GEE_scripts:modules/polygon_climate.js');
+var sentinel1 = require('users/paularellano/GEE_scripts:modules/sentinel1.js');
+var sarIndices = require('users/paularellano/GEE_scripts:modules/sar_indices.js');
+var composites = require('users/paularellano/GEE_scripts:modules/composites.js');
+var phenology = require('users/paularellano/GEE_scripts:modules/phenology.js');
+var outputs = require('users/paularellano/GEE_scripts:modules/outputs.js');
+var manifest = require('users/paularellano/GEE_scripts:modules/manifest.js');
+var cfg = config.build({
+  polygonAsset: config.POLYGON_ASSETS.priority2Cleaned,
+  exportFolder: 'GEE_Exports_RVI'
+});
+config.checkSensorYears(cfg, 'S1'); // S1 GRD starts in 2015
+print('Configuration:', cfg);
+if (!config.hasTrendLength(cfg)) {
+  print('WARNING: ' + cfg.startYear + '-' + cfg.endYear + ' has fewer than ' + cfg.minTrendYears +
+        ' years; every trend would be masked, so the trend GeoTIFFs and trend CSVs are not exported.');
+}
+
+// Year range label used in export names, e.g. '2023-2024'.
+var yearRangeLabel = cfg.startYear + '-' + cfg.endYear;
+
 // --- 1. SETUP: Import Polygons and Define Study Area ---
 
-// Import your polygons asset. Ensure this path is correct.
-//var polygons = ee.FeatureCollection("projects/paul-gee/assets/Priority2");
-//var polygons = ee.FeatureCollection("projects/paul-gee/assets/Priority_3_WGS84_Arizona_cleaned_north");
-var polygons = ee.FeatureCollection("projects/paul-gee/assets/Priority_2_WGS84_Arizona_cleaned");
+// Import your polygons asset (set in the config).
+var polygons = ee.FeatureCollection(cfg.polygonAsset);
 // Define the study area as the union of all polygon geometries.
 var studyArea = polygons.geometry();
 
@@ -34,272 +62,240 @@ Map.addLayer(polygons, {color: 'FF0000'}, 'Priority Polygons');
 // --- 2. DATA ACQUISITION AND PREPARATION (SENTINEL-1) ---
 
 // Load Sentinel-1 GRD (Ground Range Detected) data. This data is in decibels (dB).
-var s1_collection = ee.ImageCollection("COPERNICUS/S1_GRD")
-  .filterBounds(studyArea) // Filter by the combined study area
-  .filterDate('2023-03-01', '2024-09-30') // Overall date range for your analysis
-  // Filter to 'IW' (Interferometric Wide) mode, the standard mode over land.
-  .filter(ee.Filter.eq('instrumentMode', 'IW'))
-  // Filter to include images with both VV and VH polarizations.
-  .filter(ee.Filter.listContains('transmitterReceiverPolarisation', 'VV'))
-  .filter(ee.Filter.listContains('transmitterReceiverPolarisation', 'VH'))
-  // Filter to a single orbit pass ('ASCENDING' or 'DESCENDING') for consistent viewing geometry.
-  .filter(ee.Filter.eq('orbitProperties_pass', 'ASCENDING'));
-
-// Select the primary polarization bands to analyze.
-var s1_processed = s1_collection.select(['VV', 'VH', 'angle']);
+var analysisRange = config.analysisRange(cfg); // First season start to last season end
+
+// IW mode, VV + VH, orbit passes from cfg.sentinel1.orbitPasses (e.g. ['ASCENDING', 'DESCENDING'] doubles
+// the observations); bands VV, VH and angle, plus the 'track_id' property (modules/sentinel1.js).
+// Border-noise masking (incidence angle), the speckle filter (cfg.sentinel1.speckleFilter) and
+// volume-model terrain flattening over the DEM are applied in linear power when switched on in
+// cfg.sentinel1; the output is back in dB.
+var s1_processed = sentinel1.loadCollection(studyArea, analysisRange.start, analysisRange.end, cfg.sentinel1);
+print('Sentinel-1 tracks (pass_relativeOrbit):', s1_processed.aggregate_array('track_id').distinct().sort());
+print('Sentinel-1 preprocessing: border noise ' + cfg.sentinel1.borderNoise + ', speckle filter ' +
+      cfg.sentinel1.speckleFilter + ', terrain flattening ' + cfg.sentinel1.terrainFlattening);
 
 // Print the initial collection size.
 print('Filtered Sentinel-1 Collection Size:', s1_processed.size());
 
 
-// --- 3. CALCULATE RADAR VEGETATION INDEX (RVI) ---
-// RVI is a robust indicator for vegetation structure and biomass.
-// It must be calculated from backscatter in linear power scale, not dB.
-// RVI = (4 * VH) / (VV + VH)
-
-function addRVI(image) {
-  // Convert dB to linear power
-  var vv_lin = ee.Image(10).pow(image.select('VV').divide(10));
-  var vh_lin = ee.Image(10).pow(image.select('VH').divide(10));
-  
-  // Calculate RVI
-  // The numerator is 4 * VH
-  var rvi_num = vh_lin.multiply(4);
-  // The denominator is VV + VH
-  var rvi_den = vv_lin.add(vh_lin);
-  // RVI calculation
-  var rvi = rvi_num.divide(rvi_den).rename('RVI');
-  
-  // The cross-polarization ratio (VH/VV) is another useful index.
-  // var cross_pol_ratio = vh_lin.divide(vv_lin).rename('VH_VV_Ratio');
-  
-  return image.addBands(rvi);
-}
-
-var s1_with_rvi = s1_processed.map(addRVI);
-print('Sentinel-1 Collection with RVI:', s1_with_rvi.first());
+// --- 3. CALCULATE SAR VEGETATION METRICS (RVI and cfg.sarIndices) ---
+// The metrics listed in cfg.sarIndices (default ['RVI']) come from the SAR index registry
+// (modules/sar_indices.js): RVI = (4 * VH) / (VV + VH), the dual-pol RVI (RVI_DP), DpRVI from the
+// covariance matrix (DPRVI), the cross-pol ratio (VH_VV_RATIO), VV/VH in dB (VV_DB, VH_DB) and the
+// year-to-year log-ratio change (VV_LR, VH_LR). Ratios and RVIs are calculated from backscatter in
+// linear power, not dB. Every later section loops over sarNames; the first metric is the primary one.
 
+var sarNames = cfg.sarIndices;
+var primarySar = sarNames[0];
+// Per-image bands to composite (the change metrics are computed from the VV_DB / VH_DB composites).
+var sarImageNames = sarIndices.compositeBands(sarNames);
 
-// --- 4. COMPUTE ANNUAL RVI COMPOSITES (Spring/Summer) ---
-// Using a median reducer is a common and effective way to reduce speckle noise.
+// With cfg.sentinel1.normalizeTracks, each metric of each track (cfg.sentinel1.trackGrouping: orbit pass or
+// relative orbit) is shifted per pixel to the mean of all tracks, so viewing geometry does not show up as trend.
+var s1_with_rvi = sentinel1.normalizeTracks(s1_processed.map(sarIndices.addIndices(sarNames)), sarImageNames, cfg.sentinel1);
+print('Sentinel-1 Collection with SAR metrics (' + sarImageNames.join(', ') + '):', s1_with_rvi.first());
 
-var years = ee.List.sequence(2023, 2024);
 
-var yearlyRVI = years.map(function(year) {
-  year = ee.Number(year);
-  var springSummerStartDate = ee.Date.fromYMD(year, 3, 1); // March 1st
-  var springSummerEndDate = ee.Date.fromYMD(year, 9, 30);   // Sep 30
+// --- 4. COMPUTE ANNUAL SAR COMPOSITES (Spring/Summer) ---
+// The seasonal median reduces the speckle left after the per-image filter.
 
-  var collectionForYear = s1_with_rvi.filterDate(springSummerStartDate, springSummerEndDate).select('RVI');
-  var numImagesInYear = collectionForYear.size();
+// Pixels and years without images are masked, not zero-filled, and each composite has the quality bands
+// 'obs_count', 'first_obs_doy', 'last_obs_doy' and '<METRIC>_stddev' (modules/composites.js). Log-ratio change bands are added to each year's composite from the previous year (the first year is masked).
+var yearlyRVI = sarIndices.addChangeBands(composites.yearlySarComposites(s1_with_rvi, sarImageNames, cfg, studyArea), sarNames);
+print('Yearly SAR ImageCollection (Spring/Summer, bands ' + sarNames.join(', ') + '):', yearlyRVI);
 
-  // Calculate median composite to reduce speckle.
-  var composite = collectionForYear.reduce(ee.Reducer.median()).rename('RVI');
 
-  // The following logic ensures that an image is created even if no source images were found for the year.
-  var defaultImage = ee.Image.constant(0).rename('RVI') // Use a no-data value of 0 for RVI
-    .set('system:time_start', springSummerStartDate.millis())
-    .clip(studyArea);
+// --- 5. VISUALIZATION OF YEARLY SAR COMPOSITES ---
 
-  var finalResultImage = ee.Algorithms.If(
-    numImagesInYear.gt(0),
-    composite.clip(studyArea), // Clip the valid composite
-    defaultImage
-  );
-  finalResultImage = ee.Image(finalResultImage);
-
-  return finalResultImage
-    .set('year', year)
-    .set('system:time_start', springSummerStartDate.millis())
-    .set('system:time_end', springSummerEndDate.millis())    
-    .set('num_images_in_composite', numImagesInYear);
+// Default palettes come from the registry (sarIndices.vis); RVI shows low values in red/yellow and
+// high values in green.
+config.yearsList(cfg).forEach(function(year) {
+  var rviYear = yearlyRVI.filter(ee.Filter.eq('year', year)).first();
+  sarNames.forEach(function(sarName) {
+    Map.addLayer(ee.Image(rviYear).select(sarName), sarIndices.vis(sarName), sarName + ' ' + year + ' Composite', sarName === primarySar);
+  });
 });
 
 
+// --- 6. COMPUTE SAR TRENDS ---
+
+// OLS slope 'scale', 'offset', 'r2' and 'se', Sen's slope 'sen_slope', Mann-Kendall 'mk_tau' and 'mk_p',
+// 'n_years' and 'sig_decline' (1 = decline significant at cfg.trendAlpha). See modules/trend_stats.js.
+// Pixels with fewer than cfg.minTrendYears valid years are masked.
+var sarTrends = {};
+sarNames.forEach(function(sarName) {
+  var trend = trendStatistics.pixelTrend(yearlyRVI, sarName, cfg.trendAlpha, cfg.minTrendYears).clip(studyArea);
+  sarTrends[sarName] = trend;
+  print(sarName + ' Trend Image (OLS, Sen\'s slope, Mann-Kendall):', trend);
+  // Visualize the slope of the trend. Green indicates an increasing value (for RVI, potential growth/recovery),
+  // while blue indicates a decreasing value (for RVI, potential stress/degradation).
+  Map.addLayer(trend.select('scale'), {min: -0.1, max: 0.1, palette: ['blue', 'white', 'green']}, sarName + ' Trend (Slope)', sarName === primarySar);
+  Map.addLayer(trend.select('sen_slope'), {min: -0.1, max: 0.1, palette: ['blue', 'white', 'green']}, sarName + ' Trend (Sen\'s Slope)', false);
+  Map.addLayer(trend.select('sig_decline').selfMask(), {palette: ['red']}, sarName + ' Significant Decline (p < ' + cfg.trendAlpha + ')', sarName === primarySar);
+});
 
-var yearlyRVI = ee.ImageCollection(yearlyRVI);
-print('Yearly RVI ImageCollection (Spring/Summer):', yearlyRVI);
-
-
-// --- 5. VISUALIZATION OF YEARLY RVI COMPOSITES ---
-
-// RVI values typically range from 0 to 1. Higher values indicate more vegetation.
-// This palette shows low RVI in red/yellow and high RVI in green.
-var rviVizParams = { min: 0.2, max: 0.8, palette: ['#CE7E45', '#DF923D', '#F1B555', '#FCD163', '#99B718', '#74A901', '#66A000', '#529400', '#3E8601', '#207401', '#056201', '#004C00', '#023B01', '#012E01', '#011D01', '#011301']};
-
-// RVI Layers
-var rvi2023 = yearlyRVI.filter(ee.Filter.eq('year', 2023)).first();
-Map.addLayer(rvi2023, rviVizParams, 'RVI 2023 Composite');
-var rvi2024 = yearlyRVI.filter(ee.Filter.eq('year', 2024)).first();
-Map.addLayer(rvi2024, rviVizParams, 'RVI 2024 Composite');
-
-
-// --- 6. COMPUTE RVI TREND ---
-
-var rviTrend = yearlyRVI.map(function(image) {
-  var year = ee.Number(image.get('year'));
-  var xBand = ee.Image.constant(year).rename('x').toFloat();
-  var yBand = image.select('RVI').rename('y');
-  return xBand.addBands(yBand);
-}).reduce(ee.Reducer.linearFit()).clip(studyArea);
-
-print('RVI Trend Image (slope and offset):', rviTrend);
-// Visualize the slope of the trend. Green indicates an increasing RVI (potential growth/recovery),
-// while blue indicates a decreasing RVI (potential stress/degradation).
-Map.addLayer(rviTrend.select('scale'), {min: -0.1, max: 0.1, palette: ['blue', 'white', 'green']}, 'RVI Trend (Slope)');
+// Trend of the primary SAR metric.
+var rviTrend = sarTrends[primarySar];
 
 
-// --- 7. EXTRACT RVI PER POLYGON & CHARTING ---
+// --- 7. EXTRACT SAR METRICS PER POLYGON & CHARTING ---
 
-print('--- Generating RVI Trend Plots (Overall and Per Polygon) ---');
+print('--- Generating SAR Trend Plot (Overall Study Area) ---');
 
 // --- 7.1 Overall Trend Chart for the entire study area ---
 var overallTrendChart = ui.Chart.image.series({
-  imageCollection: yearlyRVI.select('RVI'),
+  imageCollection: yearlyRVI.select(sarNames),
   region: polygons.geometry(),
   reducer: ee.Reducer.mean(),
-  scale: 30, // Scale for the reduction
+  scale: cfg.scale, // Scale for the reduction
   xProperty: 'system:time_start'
 }).setOptions({
-  title: 'Overall Study Area RVI Trend (Mean)',
-  vAxis: { title: 'Mean RVI' },
+  title: 'Overall Study Area ' + sarNames.join(', ') + ' Trend (Mean)',
+  vAxis: { title: 'Mean ' + sarNames.join(' / ') },
   hAxis: { title: 'Year', format: 'yyyy' },
   lineWidth: 1,
-  pointSize: 4,
-  series: {0: {color: 'green'}}
+  pointSize: 4
 });
 print(overallTrendChart);
 
 
-// --- 7.2 Per-Polygon Trend Statistics & Individual Charts ---
-var calculatePolygonTrend = function(polygonFeature) {
-  var polygonId = ee.String(polygonFeature.id());
-  polygonId = ee.Algorithms.If(polygonFeature.get('Name'), ee.String(polygonFeature.get('Name')), polygonId);
-
-  var perPolygonTimeSeries = yearlyRVI.map(function(image) {
-    var year = image.getNumber('year');
-    var meanRviInPolygon = image.select('RVI').reduceRegion({
-      reducer: ee.Reducer.mean(),
-      geometry: polygonFeature.geometry(),
-      scale: 30,
-      maxPixels: 1e9,
-      tileScale: 4
-    }).get('RVI');
-    return ee.Feature(null, {'year': year, 'rvi_y': meanRviInPolygon});
-  }).filter(ee.Filter.notNull(['year', 'rvi_y']));
-
-  var seriesSize = perPolygonTimeSeries.size();
-  var defaultFit = ee.Dictionary({scale: null, offset: null});
-
-  var trendStats = ee.Algorithms.If(
-    seriesSize.gte(2),
-    perPolygonTimeSeries.reduceColumns({
-      reducer: ee.Reducer.linearFit(),
-      selectors: ['year', 'rvi_y']
-    }),
-    defaultFit
-  );
-  trendStats = ee.Dictionary(trendStats);
-
-  return polygonFeature.set({
-    'polygon_id_prop': polygonId,
-    'RVI_slope': trendStats.get('scale'),
-    'RVI_offset': trendStats.get('offset'),
-    'trend_points_used': seriesSize
-  });
+// --- 7.2 Per-Polygon Trend Statistics ---
+// OLS slope/offset/R²/SE, Sen's slope and Mann-Kendall tau/p-value of the polygon's yearly mean of one
+// metric (null below cfg.minTrendYears), plus 'polygon_id_prop', 'trend_status', 'mean_valid_fraction' and
+// 'years_below_coverage' (modules/composites.js). Years whose valid-pixel fraction is below cfg.minCoverage
+// are left out of the fit.
+var calculatePolygonTrend = function(polygonFeature, sarName) {
+  return composites.polygonTrend(polygonFeature, yearlyRVI, sarName, cfg);
 };
 
-var polygonsWithTrendStats = polygons.map(calculatePolygonTrend);
-print('Per-Polygon RVI Trend Statistics:', polygonsWithTrendStats);
-
-// --- 7.3 Generate and Print Individual Trend Charts for Each Polygon ---
-polygons.evaluate(function(polygonsClientSide) {
-  polygonsClientSide.features.forEach(function(featureGeoJSON) {
-    var polygonFeature = ee.Feature(featureGeoJSON);
-    var polygonIdentifierClient = 'Polygon ' + featureGeoJSON.id;
-    if (featureGeoJSON.properties && featureGeoJSON.properties.Name) {
-      polygonIdentifierClient = String(featureGeoJSON.properties.Name);
-    }
-
-    var chartPerPolygon = ui.Chart.image.series({
-      imageCollection: yearlyRVI.select('RVI'),
-      region: polygonFeature.geometry(),
-      reducer: ee.Reducer.mean(),
-      scale: 30,
-      xProperty: 'system:time_start'
-    }).setOptions({
-      title: 'RVI Trend - ID: ' + polygonIdentifierClient,
-      vAxis: {title: 'Mean RVI'},
-      hAxis: {title: 'Year', format: 'yyyy'},
-      lineWidth: 1,
-      pointSize: 4,
-      series: {0: {color: 'green'}}
-    });
-    print(chartPerPolygon);
+// Per-polygon trend statistics for each metric, keyed by name.
+var polygonTrendStats = {};
+sarNames.forEach(function(sarName) {
+  polygonTrendStats[sarName] = polygons.map(function(polygonFeature) {
+    return calculatePolygonTrend(polygonFeature, sarName);
   });
+  print('Per-Polygon ' + sarName + ' Trend Statistics:', polygonTrendStats[sarName]);
 });
 
+// --- 7.3 Individual Trend Charts per Polygon ---
+// Per-polygon charts are no longer printed for every feature (hundreds of charts flooded the console).
+// Use the polygon explorer app (GEE_USFS_Polygon_Explorer_App.js): click a polygon to chart its
+// RVI time series and trend statistics, and export only the selected polygons.
+
+
+// --- 7.4 SAR Metrics and Climate Anomalies per Polygon and Year ---
+// Mean of each SAR metric per polygon and year, joined with the Spring/Summer precip, tmmx, etr (GRIDMET) and
+// total_evaporation (ERA5-Land) anomalies against the 1991-2020 normal (modules/polygon_climate.js; a startYear
+// of 2020 or earlier only prints a note that the normal overlaps the analysis years).
+// 'tracks' and 'n_tracks' record the Sentinel-1 tracks that covered each polygon in each year; 'valid_fraction'
+// is the share of the polygon (of its tree canopy with cfg.landCover) with valid pixels (polygon-years below
+// cfg.minCoverage are dropped) and 'masked_area_fraction' the share outside the canopy mask.
+var rviStats = composites.polygonTracks(composites.polygonMeans(yearlyRVI, sarNames, polygons, cfg), s1_with_rvi, cfg);
+
+var climateOptions = polygonClimate.DEFAULT_OPTIONS;
+var rviClimateStats = polygonClimate.attachAnomalies(rviStats, climateOptions, cfg);
+print('SAR Metrics and Climate Anomalies per Polygon and Year (first rows):', rviClimateStats.limit(10));
 
-// --- 8. EXPORT RESULTS TO GOOGLE DRIVE ---
-
-// --- 8.1 Export Annual RVI Composites ---
-Export.image.toDrive({
-  image: rvi2023,
-  description: 'RVI_Composite_2023',
-  folder: 'GEE_Exports_RVI',
-  fileNamePrefix: 'RVI_Composite_2023',
-  region: studyArea.bounds(),
-  scale: 30,
-  fileFormat: 'GEO_TIFF',
-  formatOptions: {
-    cloudOptimized: true
-  },
-  maxPixels: 1e13
+// Long-format table behind every per-polygon slope: one row per polygon, year and metric with the polygon's
+// original attributes (prefixed attr_) and the distribution of the valid pixels (modules/composites.js, polygonLongStats).
+var rviLongStats = composites.polygonLongStats(yearlyRVI, sarNames, polygons, cfg);
+
+
+// --- 7.5 Sub-Annual SAR Composites and Harmonic Phenology ---
+// Monthly or 16-day median composites (cfg.phenology.compositeMode) and a harmonic regression of the
+// full series of each per-image metric per pixel and per polygon: seasonal amplitude, phase,
+// peak-of-season day of year and season length (modules/phenology.js).
+var phenologyNames = sarNames.filter(function(sarName) {
+  return sarImageNames.indexOf(sarName) !== -1; // Change metrics have no per-image series
+});
+var subAnnualRVI = phenology.subAnnualComposites(s1_with_rvi, sarImageNames, cfg, studyArea);
+print('Sub-Annual SAR Composites (' + cfg.phenology.compositeMode + '):', subAnnualRVI);
+
+var sarPhenology = {};
+phenologyNames.forEach(function(sarName) {
+  var fit = phenology.harmonicFit(s1_with_rvi, sarName, cfg.phenology.harmonics).clip(studyArea);
+  sarPhenology[sarName] = fit;
+  print(sarName + ' Harmonic Phenology Image:', fit);
+  Map.addLayer(fit.select('amplitude'), {min: 0, max: 0.2, palette: ['white', 'green']}, sarName + ' Seasonal Amplitude', false);
+  Map.addLayer(fit.select('peak_doy'), {min: 1, max: 365, palette: ['blue', 'green', 'yellow', 'red', 'blue']}, sarName + ' Peak of Season (DOY)', false);
 });
 
-Export.image.toDrive({
-  image: rvi2024,
-  description: 'RVI_Composite_2024',
-  folder: 'GEE_Exports_RVI',
-  fileNamePrefix: 'RVI_Composite_2024',
-  region: studyArea.bounds(),
-  scale: 30,
-  fileFormat: 'GEO_TIFF',
-  formatOptions: {
-  cloudOptimized: true
-  },
-  maxPixels: 1e13
+var polygonsWithPhenology = polygons.map(function(polygonFeature) {
+  return phenologyNames.reduce(function(feature, sarName) {
+    return phenology.polygonHarmonics(feature, s1_with_rvi, sarName, cfg);
+  }, polygonFeature);
 });
 
-// --- 8.2 Export RVI Trend Slope Image ---
-Export.image.toDrive({
-  image: rviTrend.select('scale').unmask(-9999),
-  description: 'RVI_Trend_Slope_2023-2024',
-  folder: 'GEE_Exports_RVI',
-  fileNamePrefix: 'RVI_Trend_Slope_2023-2024',
-  region: studyArea.bounds(),
-  scale: 30,
-  fileFormat: 'GEO_TIFF',
-  formatOptions: {
-    cloudOptimized: true
-  },  
-  maxPixels: 1e13
+
+// --- 8. EXPORT RESULTS (Drive, GCS or assets, cfg.output) ---
+
+// --- 8.1 Export Annual SAR Composites (one GeoTIFF per metric and year, e.g. RVI_Composite_2023) ---
+// Each file also holds the quality bands obs_count, first_obs_doy, last_obs_doy and, for per-image metrics,
+// '<METRIC>_stddev' (modules/composites.js); change metrics (VV_LR, VH_LR) have no spread of their own.
+var exportBands = function(sarName) {
+  return sarImageNames.indexOf(sarName) !== -1 ?
+    [sarName].concat(composites.qualityBandNames(sarName)) :
+    [sarName].concat(composites.QUALITY_BANDS);
+};
+
+config.exportYearsList(cfg).forEach(function(year) {
+  sarNames.forEach(function(sarName) {
+    var image = ee.Image(yearlyRVI.filter(ee.Filter.eq('year', year)).first()).select(exportBands(sarName)).toFloat().unmask(-9999); // Masked pixels as -9999, not 0
+    outputs.exportImage(image, sarName + '_Composite', cfg, {
+      region: studyArea.bounds(),
+      year: year
+    });
+  });
 });
 
-// --- 8.3 Export Per-Polygon Statistics as CSV ---
-Export.table.toDrive({
-  collection: polygonsWithTrendStats,
-  description: 'RVI_Trend_Stats_Per_Polygon_2023-2024',
-  folder: 'GEE_Exports_RVI',
-  fileNamePrefix: 'RVI_Trend_Stats_Per_Polygon_2023-2024',
-  fileFormat: 'CSV',
-  selectors: ['polygon_id_prop', 'RVI_slope', 'RVI_offset', 'trend_points_used']
+// Trends need cfg.minTrendYears analysis years; with fewer, every trend band and polygon trend is empty.
+if (config.hasTrendLength(cfg)) {
+  sarNames.forEach(function(sarName) {
+    // --- 8.2 Export Trend Images (OLS slope first, then the other trend statistics) ---
+    outputs.exportImage(sarTrends[sarName].select(trendStatistics.STAT_NAMES).unmask(-9999), sarName + '_Trend_Slope_' + yearRangeLabel, cfg, {
+      region: studyArea.bounds()
+    });
+
+    // --- 8.3 Export Per-Polygon Trend Statistics as CSV ---
+    outputs.exportTable(polygonTrendStats[sarName], sarName + '_Trend_Stats_Per_Polygon_' + yearRangeLabel, cfg, {
+      selectors: ['polygon_id_prop'].concat(composites.polygonTrendColumns(sarName))
+    });
+  });
+}
+
+
+// --- 8.4 Export SAR Metrics and Climate Anomalies per Polygon and Year as CSV ---
+outputs.exportTable(rviClimateStats, 'RVI_Climate_Anomalies_Per_Polygon_Year', cfg, {
+  selectors: ['polygon_id_prop', 'year'].concat(sarNames, ['valid_fraction', 'masked_area_fraction', 'tracks', 'n_tracks'], polygonClimate.anomalyColumns(climateOptions))
 });
 
+// Long format (no selectors, so every polygon attribute is written).
+outputs.exportTable(rviLongStats, 'RVI_Stats_Per_Polygon_Year_Long', cfg, {geometry: false});
 
-print('✅ All RVI composites, trends, and stats computed. Export tasks submitted.');
 
+// --- 8.5 Export Harmonic Phenology (one image per metric and a per-polygon CSV) ---
+var phenologyColumns = [];
+phenologyNames.forEach(function(sarName) {
+  outputs.exportImage(sarPhenology[sarName].select(phenology.metricNames(cfg.phenology.harmonics)).unmask(-9999), sarName + '_Harmonic_Phenology_' + yearRangeLabel, cfg, {
+    region: studyArea.bounds()
+  });
+  phenologyColumns = phenologyColumns.concat(phenology.phenologyColumns(sarName, cfg.phenology.harmonics));
+});
 
+if (phenologyNames.length > 0) {
+  outputs.exportTable(polygonsWithPhenology, 'RVI_Phenology_Per_Polygon_' + yearRangeLabel, cfg, {
+    selectors: ['polygon_id_prop'].concat(phenologyColumns)
+  });
+}
 
 
+// --- 8.6 Export the Run Manifest (inputs, image IDs per year, export tasks and config; modules/manifest.js) ---
+var runManifest = manifest.exportManifest('GEE_Change_Detection_USFS_Flights_Areas_2025_v4_Sentinel_INDEX', cfg, {
+  polygons: polygons,
+  sar: s1_with_rvi,
+  climate: climateOptions
+});
+print('Run manifest (run ' + outputs.runId(cfg) + '):', runManifest);
+
 
+print('✅ All SAR composites, trends, and stats computed. Export tasks submitted.');
@@ -0,0 +1,99 @@
+//Google Earth Engine Script
+// This script runs the before/after change detection for the USFS priority polygons: it compares
+// a pre-period with a post-period of the Spring/Summer index composites (cfg.changeDetection,
+// default 2019-2021 vs. 2024) instead of fitting a trend through every year.
+// Per pixel it computes dNDVI, dNBR, RdNBR and a z-score of the NDVI change against the pre-period
+// year-to-year variability (modules/change_detection.js), classifies the pixels into severity
+// classes (unchanged, low, moderate, high) with configurable thresholds, and reports the area of
+// each class per polygon. Composites use the same modules and config as the Sentinel-2 script.
+//
+// Date: Oct 19th, 2026
+//
+// By: Paul Arellan - Paul Gee
+// Email: paul.arellano@nau.edu
+//
+
+// --- 0. CONFIGURATION ---
+// The periods are set once in changeOptions; the analysis years are derived from them so the yearly
+// composites cover both. severityMetric and thresholds can be added to changeOptions, e.g.
+// {severityMetric: 'dNBR', thresholds: [100, 270, 660]} (Key & Benson) or {severityMetric: 'z_score', thresholds: [1, 2, 3]}.
+var config = require('users/paularellano/GEE_scripts:modules/config.js');
+var spectralIndices = require('users/paularellano/GEE_scripts:modules/spectral_indices.js');
+var composites = require('users/paularellano/GEE_scripts:modules/composites.js');
+var changeDetection = require('users/paularellano/GEE_scripts:modules/change_detection.js');
+var outputs = require('users/paularellano/GEE_scripts:modules/outputs.js');
+var manifest = require('users/paularellano/GEE_scripts:modules/manifest.js');
+var changeOptions = {
+  preStartYear: 2019,
+  preEndYear: 2021,
+  postStartYear: 2024,
+  postEndYear: 2024
+};
+var cfg = config.build({
+  startYear: changeOptions.preStartYear,
+  endYear: changeOptions.postEndYear,
+  indices: changeDetection.REQUIRED_INDICES,
+  changeDetection: changeOptions
+});
+config.checkChangePeriods(cfg);
+config.checkSensorYears(cfg, config.opticalRecordSensor(cfg));
+print('Configuration:', cfg);
+
+var changeLabel = changeDetection.changeLabel(cfg);
+var severityPalette = ['lightgray', 'yellow', 'orange', 'red'];
+
+
+// --- 1. SETUP: Import Polygons and Define Study Area ---
+
+var polygons = ee.FeatureCollection(cfg.polygonAsset);
+var studyArea = polygons.geometry();
+Map.centerObject(polygons, 8);
+
+
+// --- 2. YEARLY INDEX COMPOSITES ---
+// Spring/Summer 95th-percentile NDVI and NBR composites for every year from the pre-period start to
+// the post-period end (modules/composites.js); years without images are left out of the period means.
+
+var indexCollection = composites.opticalCollection(cfg, studyArea).map(spectralIndices.addIndices(cfg.indices));
+var yearlyNDVI = composites.yearlyIndexComposites(indexCollection, cfg.indices, cfg, studyArea);
+print('Images per yearly composite:', yearlyNDVI.aggregate_array('num_images_in_composite'));
+
+
+// --- 3. PER-PIXEL CHANGE AND SEVERITY ---
+
+var change = changeDetection.changeImage(yearlyNDVI, cfg).clip(studyArea);
+print('Change ' + changeLabel + ':', change);
+
+Map.addLayer(change.select('dNDVI'), {min: -0.3, max: 0.3, palette: ['green', 'white', 'red']}, 'dNDVI ' + changeLabel, false);
+Map.addLayer(change.select('dNBR'), {min: -300, max: 700, palette: ['green', 'white', 'yellow', 'red']}, 'dNBR ' + changeLabel, false);
+Map.addLayer(change.select('RdNBR'), {min: -300, max: 900, palette: ['green', 'white', 'yellow', 'red']}, 'RdNBR ' + changeLabel, false);
+Map.addLayer(change.select('z_score'), {min: -3, max: 3, palette: ['green', 'white', 'red']}, 'NDVI change z-score ' + changeLabel, false);
+Map.addLayer(change.select('severity'), {min: 0, max: 3, palette: severityPalette},
+             'Severity (' + cfg.changeDetection.severityMetric + ': ' + changeDetection.SEVERITY_CLASSES.join(', ') + ')');
+Map.addLayer(polygons, {color: 'FF0000'}, 'Priority Polygons');
+
+var changeBands = changeDetection.CHANGE_BANDS.concat(['severity', 'pre_years', 'post_years']);
+outputs.exportImage(change.select(changeBands).toFloat().unmask(-9999), 'Change_' + changeLabel, cfg, {
+  region: studyArea.bounds()
+});
+
+
+// --- 4. SEVERITY AREA PER POLYGON ---
+// One row per polygon and severity class.
+
+var severityArea = changeDetection.severityArea(change, polygons, cfg);
+print('Severity area per polygon (first rows):', severityArea.limit(20));
+
+outputs.exportTable(severityArea, 'Change_Severity_Area_Per_Polygon_' + changeLabel, cfg, {
+  selectors: ['polygon_id_prop', 'severity_class', 'area_ha', 'area_pct', 'polygon_area_ha'],
+  geometry: false
+});
+
+
+// --- 5. RUN MANIFEST ---
+// Inputs, image IDs per year, export tasks and config of this run (modules/manifest.js).
+
+print('Run manifest:', manifest.exportManifest('GEE_USFS_Change_Detection_Pre_Post', cfg, {
+  polygons: polygons,
+  optical: indexCollection
+}));
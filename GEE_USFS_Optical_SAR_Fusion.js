@@ -0,0 +1,111 @@
+//Google Earth Engine Script
+// This script compares the Sentinel-2 index and Sentinel-1 SAR composites over the USFS priority
+// polygons. The Sentinel-2 and Sentinel-1 RVI scripts build the same yearly composites separately;
+// here both are aligned to a common grid (modules/fusion.js) and compared per pixel and per polygon:
+// whether both sensors decline, increase or diverge, a combined change score (mean relative Sen's
+// slope, % per year, positive = decline) and a confidence class. Polygons where both sensors agree
+// on a significant decline come first in the exported table, to prioritize flights.
+// Composites, preprocessing and trends use the same modules and config as the two scripts.
+//
+// Date: Oct 19th, 2026
+//
+// By: Paul Arellan - Paul Gee
+// Email: paul.arellano@nau.edu
+//
+
+// --- 0. CONFIGURATION ---
+// The primary spectral index (cfg.indices[0]) is compared with the primary SAR metric (cfg.sarIndices[0]).
+var config = require('users/paularellano/GEE_scripts:modules/config.js');
+var spectralIndices = require('users/paularellano/GEE_scripts:modules/spectral_indices.js');
+var sarIndices = require('users/paularellano/GEE_scripts:modules/sar_indices.js');
+var sentinel1 = require('users/paularellano/GEE_scripts:modules/sentinel1.js');
+var composites = require('users/paularellano/GEE_scripts:modules/composites.js');
+var fusion = require('users/paularellano/GEE_scripts:modules/fusion.js');
+var outputs = require('users/paularellano/GEE_scripts:modules/outputs.js');
+var manifest = require('users/paularellano/GEE_scripts:modules/manifest.js');
+var cfg = config.build({
+  startYear: 2019,
+  exportFolder: 'GEE_Exports_Fusion'
+});
+config.checkSensorYears(cfg, config.opticalRecordSensor(cfg));
+config.checkSensorYears(cfg, 'S1');
+print('Configuration:', cfg);
+if (!config.hasTrendLength(cfg)) {
+  print('WARNING: ' + cfg.startYear + '-' + cfg.endYear + ' has fewer than ' + cfg.minTrendYears +
+        ' years; every polygon will be reported as insufficient_years.');
+}
+
+var opticalBand = cfg.indices[0];
+var sarBand = cfg.sarIndices[0];
+var yearRangeLabel = cfg.startYear + '-' + cfg.endYear;
+
+
+// --- 1. SETUP: Import Polygons and Define Study Area ---
+
+var polygons = ee.FeatureCollection(cfg.polygonAsset);
+var studyArea = polygons.geometry();
+Map.centerObject(polygons, 8);
+Map.addLayer(polygons, {color: 'FF0000'}, 'Priority Polygons');
+
+
+// --- 2. YEARLY COMPOSITES OF BOTH SENSORS ---
+
+// Sentinel-2 (and/or Landsat, cfg.opticalSources) Spring/Summer 95th-percentile index composites.
+var indexCollection = composites.opticalCollection(cfg, studyArea).map(spectralIndices.addIndices(cfg.indices));
+var yearlyNDVI = composites.yearlyIndexComposites(indexCollection, cfg.indices, cfg, studyArea);
+
+// Sentinel-1 Spring/Summer median composites, preprocessed and track-normalized as in the RVI script.
+var analysisRange = config.analysisRange(cfg);
+var sarImageNames = sarIndices.compositeBands(cfg.sarIndices);
+var s1Collection = sentinel1.normalizeTracks(
+  sentinel1.loadCollection(studyArea, analysisRange.start, analysisRange.end, cfg.sentinel1)
+    .map(sarIndices.addIndices(cfg.sarIndices)),
+  sarImageNames, cfg.sentinel1);
+var yearlyRVI = sarIndices.addChangeBands(composites.yearlySarComposites(s1Collection, sarImageNames, cfg, studyArea), cfg.sarIndices);
+
+
+// --- 3. ALIGN TO A COMMON GRID ---
+// Both composites are averaged from 10 m into cfg.scale cells of cfg.fusion.crs.
+
+var fused = fusion.alignComposites(yearlyNDVI, opticalBand, yearlyRVI, sarBand, cfg);
+print('Fused ' + opticalBand + ' / ' + sarBand + ' composites:', fused);
+
+
+// --- 4. PER-PIXEL AGREEMENT AND CHANGE SCORE ---
+
+var pixelScore = fusion.pixelChangeScore(fused, opticalBand, sarBand, cfg).clip(studyArea);
+Map.addLayer(pixelScore.select('change_score'), {min: -10, max: 10, palette: ['green', 'white', 'red']}, 'Change Score (% decline / year)');
+Map.addLayer(pixelScore.select('agreement'), {min: 0, max: 3, palette: ['lightgray', 'red', 'green', 'orange']}, 'Agreement (stable, both decline, both increase, divergent)', false);
+Map.addLayer(pixelScore.select('confidence').selfMask(), {min: 1, max: 3, palette: ['yellow', 'orange', 'red']}, 'Decline Confidence (low, medium, high)');
+
+outputs.exportImage(pixelScore.unmask(-9999), 'Fusion_' + opticalBand + '_' + sarBand + '_Change_Score_' + yearRangeLabel, cfg, {
+  region: studyArea.bounds(),
+  crs: cfg.fusion.crs
+});
+
+
+// --- 5. PER-POLYGON AGREEMENT AND FLIGHT PRIORITY ---
+// One row per polygon, sorted so that 'high' confidence declines with the largest change score come first.
+
+var confidenceRank = ee.Dictionary({high: 3, medium: 2, low: 1, none: 0});
+var polygonScores = polygons.map(function(polygonFeature) {
+  var scored = fusion.polygonAgreement(polygonFeature, fused, opticalBand, sarBand, cfg);
+  return scored.set('confidence_rank', confidenceRank.get(scored.get('confidence')));
+}).sort('change_score', false).sort('confidence_rank', false);
+
+print('Polygons by decline confidence and change score (first rows):', polygonScores.limit(20));
+print('Polygons per agreement class:', polygonScores.aggregate_histogram('agreement'));
+
+outputs.exportTable(polygonScores, 'Fusion_' + opticalBand + '_' + sarBand + '_Agreement_Per_Polygon_' + yearRangeLabel, cfg, {
+  selectors: ['polygon_id_prop'].concat(fusion.fusionColumns(opticalBand, sarBand))
+});
+
+
+// --- 6. RUN MANIFEST ---
+// Inputs, image IDs per year, export tasks and config of this run (modules/manifest.js).
+
+print('Run manifest:', manifest.exportManifest('GEE_USFS_Optical_SAR_Fusion', cfg, {
+  polygons: polygons,
+  optical: indexCollection,
+  sar: s1Collection
+}));
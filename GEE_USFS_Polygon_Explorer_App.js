@@ -0,0 +1,351 @@
+//Google Earth Engine App
+// Interactive explorer for the USFS priority polygons. Instead of printing one chart per
+// polygon to the console, this app lets you:
+//   1. Pick the polygon asset, ID property, years, spectral index and whether to include
+//      Sentinel-1 RVI in the sidebar, then click "Load polygons".
+//   2. Click polygons on the map to select them (click again to deselect). The last clicked
+//      polygon's yearly index/RVI time series, trend statistics and the harmonic (phenology)
+//      fit of every observation are shown in the sidebar.
+//   3. Queue exports (per-polygon CSVs and composites clipped to the selection) for just the
+//      selected polygons.
+// Composites and trends are computed exactly as in the Sentinel-2 and Sentinel-1 RVI scripts
+// (modules/composites.js, modules/trend_stats.js, modules/phenology.js), with the defaults of
+// modules/config.js.
+//
+// By: Paul Arellan - Paul Gee
+// Email: paul.arellano@nau.edu
+//
+
+// --- 0. MODULES ---
+var config = require('users/paularellano/GEE_scripts:modules/config.js');
+var spectralIndices = require('users/paularellano/GEE_scripts:modules/spectral_indices.js');
+var trendStatistics = require('users/paularellano/GEE_scripts:modules/trend_stats.js');
+var composites = require('users/paularellano/GEE_scripts:modules/composites.js');
+var sentinel1 = require('users/paularellano/GEE_scripts:modules/sentinel1.js');
+var sarIndices = require('users/paularellano/GEE_scripts:modules/sar_indices.js');
+var phenology = require('users/paularellano/GEE_scripts:modules/phenology.js');
+var legend = require('users/paularellano/GEE_scripts:modules/legend.js');
+var outputs = require('users/paularellano/GEE_scripts:modules/outputs.js');
+
+// --- 1. APP STATE ---
+// Rebuilt by loadAnalysis() from the sidebar inputs.
+var state = {
+  cfg: null,
+  polygons: null,
+  studyArea: null,
+  indexCollection: null,
+  yearlyIndex: null,
+  rviCollection: null,
+  yearlyRvi: null,   // null when RVI is not included
+  selected: []       // {id, label, feature} of the selected polygons, in click order
+};
+var legendPanel = null;
+var selectionLayer = ui.Map.Layer(ee.FeatureCollection([]), {}, 'Selected Polygons');
+
+// --- 2. SIDEBAR WIDGETS ---
+
+var sectionLabel = function(text) {
+  return ui.Label(text, {fontWeight: 'bold', fontSize: '14px', margin: '12px 8px 4px 8px'});
+};
+
+var assetSelect = ui.Select({items: Object.keys(config.POLYGON_ASSETS), value: 'priority1', style: {stretch: 'horizontal'}});
+var customAssetBox = ui.Textbox({placeholder: 'Custom asset ID (overrides the list)', style: {stretch: 'horizontal'}});
+var idPropertyBox = ui.Textbox({value: config.DEFAULTS.idProperty, placeholder: 'Polygon ID property'});
+var startYearBox = ui.Textbox({value: String(config.DEFAULTS.startYear), placeholder: 'Start year'});
+var endYearBox = ui.Textbox({value: String(config.DEFAULTS.endYear), placeholder: 'End year'});
+var indexSelect = ui.Select({items: spectralIndices.names(), value: config.DEFAULTS.indices[0]});
+var rviCheckbox = ui.Checkbox({label: 'Include Sentinel-1 RVI', value: true});
+var loadButton = ui.Button({label: 'Load polygons', style: {stretch: 'horizontal'}});
+
+var statusLabel = ui.Label('Pick a polygon asset and years, then click "Load polygons".', {whiteSpace: 'pre-wrap'});
+var selectionLabel = ui.Label('Selected polygons: none', {whiteSpace: 'pre-wrap'});
+var clearButton = ui.Button({label: 'Clear selection', disabled: true});
+var exportStatsButton = ui.Button({label: 'Export CSVs (selected)', disabled: true});
+var exportCompositesButton = ui.Button({label: 'Export composites (selected)', disabled: true});
+var chartPanel = ui.Panel();
+
+// --- 3. HELPERS ---
+
+// Client-side label of a GeoJSON feature: the configured ID property, else its ID.
+var featureLabel = function(featureGeoJSON, cfg) {
+  var value = featureGeoJSON.properties ? featureGeoJSON.properties[cfg.idProperty] : null;
+  if (value !== null && typeof value !== 'undefined' && String(value).trim() !== '') {
+    return String(value);
+  }
+  return 'Polygon ' + featureGeoJSON.id;
+};
+
+var formatValue = function(value) {
+  return typeof value === 'number' ? value.toFixed(4) : 'n/a';
+};
+
+var selectedCollection = function() {
+  return ee.FeatureCollection(state.selected.map(function(entry) {
+    return entry.feature;
+  }));
+};
+
+// Bands charted and exported: the chosen index, plus RVI when included.
+var analysisBands = function() {
+  var bands = [{name: state.cfg.indices[0], yearly: state.yearlyIndex, collection: state.indexCollection}];
+  if (state.yearlyRvi) {
+    bands.push({name: 'RVI', yearly: state.yearlyRvi, collection: state.rviCollection});
+  }
+  return bands;
+};
+
+var setLegend = function(title, vis) {
+  if (legendPanel) {
+    Map.remove(legendPanel);
+  }
+  legendPanel = legend.colorbar(title, vis, 'bottom-left');
+  Map.add(legendPanel);
+};
+
+var updateSelection = function() {
+  selectionLayer.setEeObject(selectedCollection().style({color: 'FFFF00', width: 3, fillColor: 'FFFF0033'}));
+  var count = state.selected.length;
+  selectionLabel.setValue(count === 0 ? 'Selected polygons: none' :
+    'Selected polygons (' + count + '): ' + state.selected.map(function(entry) { return entry.label; }).join(', '));
+  clearButton.setDisabled(count === 0);
+  exportStatsButton.setDisabled(count === 0);
+  exportCompositesButton.setDisabled(count === 0);
+};
+
+// --- 4. CHARTS AND TREND STATISTICS FOR ONE POLYGON ---
+
+var seriesChart = function(yearly, bandName, entry) {
+  return ui.Chart.image.series({
+    imageCollection: yearly.select(bandName),
+    region: entry.feature.geometry(),
+    reducer: ee.Reducer.mean(),
+    scale: state.cfg.scale,
+    xProperty: 'system:time_start'
+  }).setOptions({
+    title: bandName + ' Trend - ID: ' + entry.label,
+    vAxis: {title: 'Mean ' + bandName},
+    hAxis: {title: 'Year', format: 'yyyy'},
+    lineWidth: 1,
+    pointSize: 3,
+    series: {0: {color: 'green'}}
+  });
+};
+
+// Adds a panel that fills in with the polygon's trend statistics once they are computed.
+var trendTable = function(yearly, bandName, entry) {
+  var panel = ui.Panel([ui.Label(bandName + ' trend statistics: computing...')]);
+  composites.polygonTrend(entry.feature, yearly, bandName, state.cfg).toDictionary().evaluate(function(stats, error) {
+    panel.clear();
+    if (error) {
+      panel.add(ui.Label(bandName + ' trend statistics failed: ' + error));
+      return;
+    }
+    panel.add(ui.Label(bandName + ' trend statistics (' + stats.trend_status + ')', {fontWeight: 'bold'}));
+    trendStatistics.trendColumns(bandName).concat(['mean_valid_fraction', 'years_below_coverage', 'masked_area_fraction']).forEach(function(column) {
+      panel.add(ui.Label(column + ': ' + formatValue(stats[column]), {margin: '0 8px'}));
+    });
+  });
+  return panel;
+};
+
+// Every observation of the polygon (mean per image) with the fitted harmonic curve.
+var phenologyChart = function(collection, bandName, entry) {
+  return ui.Chart.feature.byFeature({
+    features: phenology.polygonFitSeries(entry.feature, collection, bandName, state.cfg),
+    xProperty: 'system:time_start',
+    yProperties: ['observed', 'fitted']
+  }).setOptions({
+    title: bandName + ' Observations and Harmonic Fit - ID: ' + entry.label,
+    vAxis: {title: 'Mean ' + bandName},
+    hAxis: {title: 'Date', format: 'MMM yyyy'},
+    series: {
+      0: {color: 'green', lineWidth: 0, pointSize: 3},
+      1: {color: 'black', lineWidth: 2, pointSize: 0}
+    }
+  });
+};
+
+var showPolygon = function(entry) {
+  chartPanel.clear();
+  chartPanel.add(sectionLabel(entry.label));
+  analysisBands().forEach(function(band) {
+    chartPanel.add(seriesChart(band.yearly, band.name, entry));
+    chartPanel.add(trendTable(band.yearly, band.name, entry));
+    chartPanel.add(phenologyChart(band.collection, band.name, entry));
+  });
+};
+
+// --- 5. LOADING AND SELECTION ---
+
+var loadAnalysis = function() {
+  var customAsset = customAssetBox.getValue() ? customAssetBox.getValue().trim() : '';
+  var cfg;
+  try {
+    cfg = config.build({
+      polygonAsset: customAsset || config.POLYGON_ASSETS[assetSelect.getValue()],
+      idProperty: idPropertyBox.getValue(),
+      startYear: parseInt(startYearBox.getValue(), 10),
+      endYear: parseInt(endYearBox.getValue(), 10),
+      indices: [indexSelect.getValue()]
+    });
+    config.checkSensorYears(cfg, config.opticalRecordSensor(cfg));
+    if (rviCheckbox.getValue()) {
+      config.checkSensorYears(cfg, 'S1');
+    }
+  } catch (error) {
+    statusLabel.setValue('Configuration error: ' + error.message);
+    return;
+  }
+
+  var indexName = cfg.indices[0];
+  state.cfg = cfg;
+  state.polygons = ee.FeatureCollection(cfg.polygonAsset);
+  state.studyArea = state.polygons.geometry();
+  state.indexCollection = composites.opticalCollection(cfg, state.studyArea).map(spectralIndices.addIndices(cfg.indices));
+  state.yearlyIndex = composites.yearlyIndexComposites(state.indexCollection, cfg.indices, cfg, state.studyArea);
+  state.rviCollection = null;
+  state.yearlyRvi = null;
+  if (rviCheckbox.getValue()) {
+    var range = config.analysisRange(cfg);
+    state.rviCollection = sentinel1.normalizeTracks(
+      sentinel1.loadCollection(state.studyArea, range.start, range.end, cfg.sentinel1).map(sarIndices.addIndices(['RVI'])), ['RVI'], cfg.sentinel1);
+    state.yearlyRvi = composites.yearlySarComposites(state.rviCollection, ['RVI'], cfg, state.studyArea);
+  }
+  state.selected = [];
+
+  Map.layers().reset();
+  var lastIndex = state.yearlyIndex.filter(ee.Filter.eq('year', cfg.endYear)).first();
+  Map.addLayer(ee.Image(lastIndex).select(indexName), spectralIndices.vis(indexName), indexName + ' ' + cfg.endYear + ' Composite');
+  if (state.yearlyRvi) {
+    var lastRvi = state.yearlyRvi.filter(ee.Filter.eq('year', cfg.endYear)).first();
+    Map.addLayer(ee.Image(lastRvi), sarIndices.vis('RVI'), 'RVI ' + cfg.endYear + ' Composite', false);
+  }
+  Map.addLayer(state.polygons.style({color: 'FF0000', width: 1, fillColor: '00000000'}), {}, 'Priority Polygons');
+  Map.layers().add(selectionLayer);
+  Map.centerObject(state.polygons, 8);
+  setLegend(indexName + ' ' + cfg.endYear + ' Composite', spectralIndices.vis(indexName));
+
+  chartPanel.clear();
+  updateSelection();
+  statusLabel.setValue('Loaded ' + cfg.polygonAsset + ' (' + cfg.startYear + '-' + cfg.endYear + ').\n' +
+                       'Click a polygon to select it and chart it; click it again to deselect.');
+};
+
+// Selects (or deselects) the clicked polygon.
+var toggleSelection = function(featureGeoJSON) {
+  var position = -1;
+  state.selected.forEach(function(entry, i) {
+    if (entry.id === featureGeoJSON.id) {
+      position = i;
+    }
+  });
+  if (position !== -1) {
+    state.selected.splice(position, 1);
+    statusLabel.setValue('Deselected ' + featureLabel(featureGeoJSON, state.cfg) + '.');
+  } else {
+    var entry = {id: featureGeoJSON.id, label: featureLabel(featureGeoJSON, state.cfg), feature: ee.Feature(featureGeoJSON)};
+    state.selected.push(entry);
+    statusLabel.setValue('Selected ' + entry.label + '.');
+    showPolygon(entry);
+  }
+  updateSelection();
+};
+
+var onMapClick = function(coords) {
+  if (!state.polygons) {
+    statusLabel.setValue('Load a polygon asset first.');
+    return;
+  }
+  statusLabel.setValue('Looking for a polygon at this location...');
+  var point = ee.Geometry.Point(coords.lon, coords.lat);
+  state.polygons.filterBounds(point).first().evaluate(function(featureGeoJSON, error) {
+    if (error) {
+      statusLabel.setValue('Error: ' + error);
+    } else if (!featureGeoJSON) {
+      statusLabel.setValue('No polygon at this location.');
+    } else {
+      toggleSelection(featureGeoJSON);
+    }
+  });
+};
+
+// --- 6. EXPORTS FOR THE SELECTED POLYGONS ---
+// Tasks are queued in the Tasks tab, like the exports of the scripts.
+
+var selectionSuffix = function() {
+  return '_Selected_' + state.cfg.startYear + '-' + state.cfg.endYear;
+};
+
+// Per-polygon yearly means and trend statistics, one pair of CSVs per band.
+var exportSelectedStats = function() {
+  var cfg = state.cfg;
+  var selected = selectedCollection();
+  analysisBands().forEach(function(band) {
+    var means = composites.polygonMeans(band.yearly, [band.name], selected, cfg);
+    var columns = ['polygon_id_prop', 'year', band.name, 'valid_fraction', 'masked_area_fraction'];
+    if (band.name === 'RVI') {
+      // Record the Sentinel-1 tracks behind each polygon-year.
+      means = composites.polygonTracks(means, band.collection, cfg);
+      columns = columns.concat(['tracks', 'n_tracks']);
+    }
+    outputs.exportTable(means, band.name + '_Per_Polygon_Year' + selectionSuffix(), cfg, {selectors: columns});
+    var trends = selected.map(function(feature) {
+      return composites.polygonTrend(feature, band.yearly, band.name, cfg);
+    });
+    outputs.exportTable(trends, band.name + '_Trend_Stats_Per_Polygon' + selectionSuffix(), cfg, {
+      selectors: ['polygon_id_prop'].concat(composites.polygonTrendColumns(band.name))
+    });
+  });
+  statusLabel.setValue('CSV export tasks queued for ' + state.selected.length + ' polygon(s). Start them in the Tasks tab.');
+};
+
+// Yearly composites (cfg export years) with their quality bands, clipped to the selected polygons.
+var exportSelectedComposites = function() {
+  var cfg = state.cfg;
+  var selectedGeometry = selectedCollection().geometry();
+  analysisBands().forEach(function(band) {
+    config.exportYearsList(cfg).forEach(function(year) {
+      var image = ee.Image(band.yearly.filter(ee.Filter.eq('year', year)).first());
+      outputs.exportImage(image.select([band.name].concat(composites.qualityBandNames(band.name))).toFloat().clip(selectedGeometry).unmask(-9999),
+                          band.name + '_SpringSummer_' + year + '_Selected', cfg, {region: selectedGeometry.bounds()});
+    });
+  });
+  statusLabel.setValue('Composite export tasks queued for ' + state.selected.length + ' polygon(s). Start them in the Tasks tab.');
+};
+
+// --- 7. LAYOUT ---
+
+loadButton.onClick(loadAnalysis);
+clearButton.onClick(function() {
+  state.selected = [];
+  chartPanel.clear();
+  updateSelection();
+});
+exportStatsButton.onClick(exportSelectedStats);
+exportCompositesButton.onClick(exportSelectedComposites);
+Map.onClick(onMapClick);
+Map.style().set('cursor', 'crosshair');
+
+var sidebar = ui.Panel({
+  widgets: [
+    ui.Label('USFS Priority Polygon Explorer', {fontWeight: 'bold', fontSize: '18px'}),
+    sectionLabel('1. Polygons'),
+    assetSelect,
+    customAssetBox,
+    ui.Panel([ui.Label('ID property:'), idPropertyBox], ui.Panel.Layout.flow('horizontal')),
+    sectionLabel('2. Years and indices'),
+    ui.Panel([ui.Label('From'), startYearBox, ui.Label('to'), endYearBox], ui.Panel.Layout.flow('horizontal')),
+    ui.Panel([ui.Label('Spectral index:'), indexSelect], ui.Panel.Layout.flow('horizontal')),
+    rviCheckbox,
+    loadButton,
+    statusLabel,
+    sectionLabel('3. Selection and exports'),
+    selectionLabel,
+    ui.Panel([clearButton, exportStatsButton], ui.Panel.Layout.flow('horizontal')),
+    exportCompositesButton,
+    sectionLabel('4. Time series and trend'),
+    chartPanel
+  ],
+  style: {width: '400px', padding: '8px'}
+});
+ui.root.insert(0, sidebar);
@@ -0,0 +1,148 @@
+// Google Earth Engine Module: Pre/Post-Period Change Detection and Severity
+// The trend scripts fit a line through every year; aerial survey reviews also need the classic
+// before/after products. This module compares a pre-period with a post-period of the yearly
+// index composites (cfg.changeDetection, e.g. 2019-2021 vs. 2024), per pixel:
+//   dNDVI   - pre-period mean NDVI - post-period mean NDVI
+//   dNBR    - (pre-period mean NBR - post-period mean NBR) * 1000
+//   RdNBR   - dNBR / sqrt(|pre-period mean NBR|) (Miller & Thode 2007; |NBR| floored at 0.001)
+//   z_score - (pre-period mean NDVI - post-period mean NDVI) / standard deviation of the
+//             pre-period yearly NDVI (needs two or more valid pre-period years)
+//   severity - class index of SEVERITY_CLASSES, from cfg.changeDetection.severityMetric and
+//             cfg.changeDetection.thresholds (lower bounds of 'low', 'moderate' and 'high')
+// Every metric is positive for a loss. Years without images are left out of the period means.
+// The yearly composites must hold NDVI and NBR (cfg.indices).
+//
+// Usage (Code Editor):
+//   var changeDetection = require('users/paularellano/GEE_scripts:modules/change_detection.js');
+//   var change = changeDetection.changeImage(yearlyNDVI, cfg);
+//   var areaPerClass = changeDetection.severityArea(change, polygons, cfg);
+//
+// By: Paul Arellan - Paul Gee
+// Email: paul.arellano@nau.edu
+//
+
+var composites = require('users/paularellano/GEE_scripts:modules/composites.js');
+
+// --- 1. CONSTANTS ---
+
+var CHANGE_BANDS = ['dNDVI', 'dNBR', 'RdNBR', 'z_score'];
+var SEVERITY_CLASSES = ['unchanged', 'low', 'moderate', 'high'];
+var REQUIRED_INDICES = ['NDVI', 'NBR'];
+
+// Smallest |pre-period NBR| in the RdNBR denominator and smallest pre-period NDVI standard deviation.
+var MIN_PRE_NBR = 0.001;
+var MIN_PRE_STD = 0.01;
+
+// --- 2. PERIOD COMPOSITES ---
+
+// '2019-2021', or '2024' for a one-year period.
+var periodLabel = function(startYear, endYear) {
+  return startYear === endYear ? String(startYear) : startYear + '-' + endYear;
+};
+
+// e.g. '2019-2021_vs_2024', for export names.
+var changeLabel = function(cfg) {
+  var cd = cfg.changeDetection;
+  return periodLabel(cd.preStartYear, cd.preEndYear) + '_vs_' + periodLabel(cd.postStartYear, cd.postEndYear);
+};
+
+// Yearly composites from startYear to endYear that have images, plus a fully masked image so the
+// period reducers still return REQUIRED_INDICES when no year is valid.
+var periodComposites = function(yearly, startYear, endYear) {
+  var valid = yearly
+    .filter(ee.Filter.rangeContains('year', startYear, endYear))
+    .filter(ee.Filter.gt('num_images_in_composite', 0))
+    .filter(ee.Filter.eq('has_data_in_polygons', true))
+    .select(REQUIRED_INDICES);
+  var empty = ee.Image.constant([0, 0]).rename(REQUIRED_INDICES).toFloat().updateMask(0);
+  return valid.merge(ee.ImageCollection([empty]));
+};
+
+// --- 3. PER-PIXEL CHANGE ---
+
+// Severity class index (SEVERITY_CLASSES) of one change band, from cfg.changeDetection.thresholds.
+var classify = function(metric, cfg) {
+  var t = cfg.changeDetection.thresholds;
+  return ee.Image(0)
+    .where(metric.gte(t[0]), 1)
+    .where(metric.gte(t[1]), 2)
+    .where(metric.gte(t[2]), 3)
+    .updateMask(metric.mask())
+    .rename('severity');
+};
+
+// CHANGE_BANDS, 'severity', 'pre_years' and 'post_years' (valid yearly values per pixel) for the
+// periods in cfg.changeDetection.
+var changeImage = function(yearly, cfg) {
+  REQUIRED_INDICES.forEach(function(name) {
+    if (cfg.indices.indexOf(name) === -1) {
+      throw new Error('Change detection needs ' + name + ' in cfg.indices (got ' + cfg.indices.join(', ') + ').');
+    }
+  });
+  var cd = cfg.changeDetection;
+  var pre = periodComposites(yearly, cd.preStartYear, cd.preEndYear);
+  var post = periodComposites(yearly, cd.postStartYear, cd.postEndYear);
+  var preMean = pre.mean();
+  var postMean = post.mean();
+  var preYears = pre.select('NDVI').count().rename('pre_years');
+  var postYears = post.select('NDVI').count().rename('post_years');
+
+  var dNDVI = preMean.select('NDVI').subtract(postMean.select('NDVI')).rename('dNDVI');
+  var dNBR = preMean.select('NBR').subtract(postMean.select('NBR')).multiply(1000).rename('dNBR');
+  var rdNBR = dNBR.divide(preMean.select('NBR').abs().max(MIN_PRE_NBR).sqrt()).rename('RdNBR');
+  var preStd = pre.select('NDVI').reduce(ee.Reducer.stdDev()).max(MIN_PRE_STD);
+  var zScore = dNDVI.divide(preStd).updateMask(preYears.gte(2)).rename('z_score');
+
+  var change = ee.Image.cat([dNDVI, dNBR, rdNBR, zScore]).toFloat();
+  return change
+    .addBands(classify(change.select(cd.severityMetric), cfg).toByte())
+    .addBands(ee.Image.cat([preYears, postYears]).toByte())
+    .set({
+      'pre_period': periodLabel(cd.preStartYear, cd.preEndYear),
+      'post_period': periodLabel(cd.postStartYear, cd.postEndYear),
+      'severity_metric': cd.severityMetric
+    });
+};
+
+// --- 4. PER-POLYGON AREA PER CLASS ---
+
+// Area of each severity class per polygon: one feature per polygon and class with
+// 'polygon_id_prop', 'severity_class', 'area_ha', 'area_pct' (of the polygon) and 'polygon_area_ha'.
+// Pixels without a valid pre- or post-period value are not counted in any class.
+var severityArea = function(change, polygons, cfg) {
+  var bandNames = SEVERITY_CLASSES.map(function(name) { return 'area_' + name; });
+  var severity = change.select('severity');
+  var hectares = ee.Image.pixelArea().divide(1e4);
+  var areaByClass = ee.Image.cat(SEVERITY_CLASSES.map(function(name, i) {
+    return hectares.multiply(severity.eq(i).unmask(0)).rename(bandNames[i]);
+  }));
+
+  var sums = areaByClass.reduceRegions({
+    collection: polygons,
+    reducer: ee.Reducer.sum().forEach(bandNames),
+    scale: cfg.scale,
+    tileScale: 4
+  });
+
+  return sums.map(function(f) {
+    var polygonArea = f.geometry().area(1).divide(1e4);
+    return ee.FeatureCollection(SEVERITY_CLASSES.map(function(name, i) {
+      var area = ee.Number(f.get(bandNames[i]));
+      return ee.Feature(null, {
+        'polygon_id_prop': composites.polygonId(f, cfg),
+        'severity_class': name,
+        'area_ha': area,
+        'area_pct': area.divide(polygonArea.max(1e-9)).multiply(100),
+        'polygon_area_ha': polygonArea
+      });
+    }));
+  }).flatten();
+};
+
+exports.CHANGE_BANDS = CHANGE_BANDS;
+exports.SEVERITY_CLASSES = SEVERITY_CLASSES;
+exports.REQUIRED_INDICES = REQUIRED_INDICES;
+exports.periodLabel = periodLabel;
+exports.changeLabel = changeLabel;
+exports.changeImage = changeImage;
+exports.severityArea = severityArea;
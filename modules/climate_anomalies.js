@@ -0,0 +1,393 @@
+// Google Earth Engine Module: Seasonal Climate Anomaly Engine
+// This module computes Spring/Summer climate anomalies (target season minus the long-term
+// mean of the same season over a baseline period) for any variable described by a dataset
+// descriptor, over any region. The Arizona anomaly scripts (ARIZONA_GRIDMET_anomalies,
+// ARIZONA_CHRISP_ANOMALIES, ARIZONA_ERA5_ANOMALIES) are thin wrappers around runAnomalies().
+//
+// A dataset descriptor (VARIABLES) holds:
+//   collection, band - Earth Engine ImageCollection ID and band
+//   reducer          - temporal aggregation over the season ('sum' or 'mean')
+//   multiplier, offset - unit conversion applied after aggregation (value * multiplier + offset)
+//   units, scale     - output units and native resolution (m, used for exports)
+//   palette, visRange - anomaly map palette and symmetric display range (+/- visRange)
+//   exportName       - file name stem of the exports (<exportName>_Anomaly_<year>_<units>)
+//   firstYear        - first year of the record, checked against the baseline period
+// Monthly datasets (ERA5-Land, TerraClimate) use every month whose first day falls in the season.
+// Custom datasets can be added with registerVariable().
+//
+// standardizedAnomaly() adds per-pixel baseline statistics so anomalies can be compared
+// across variables and regions:
+//   anomaly       - target minus baseline mean (variable units)
+//   zscore        - anomaly / baseline standard deviation (standard deviations)
+//   pct_of_normal - target / baseline mean * 100 (%)
+//   percentile    - empirical percentile rank of the target among the baseline years (%),
+//                   counting ties as half
+//   baseline_mean, baseline_sd - baseline statistics (variable units)
+//
+// Usage (Code Editor):
+//   var climateAnomalies = require('users/paularellano/GEE_scripts:modules/climate_anomalies.js');
+//   climateAnomalies.runAnomalies({variables: ['prism_ppt', 'daymet_tmax'], region: 'New Mexico'}, cfg);
+//   var precip2024 = climateAnomalies.seasonalAnomaly('precip', 2024, '1991-01-01', '2020-12-31', cfg.season);
+//
+// By: Paul Arellan - Paul Gee
+// Email: paul.arellano@nau.edu
+//
+
+var config = require('users/paularellano/GEE_scripts:modules/config.js');
+var outputs = require('users/paularellano/GEE_scripts:modules/outputs.js');
+
+// --- 1. DATASET DESCRIPTORS ---
+
+var DRY_WET_PALETTE = ['#8B4513', 'white', '#0066FF'];  // Brown = Drier, Blue = Wetter
+var COOL_HOT_PALETTE = ['blue', 'white', 'red'];        // Blue = Cooler, Red = Hotter
+var LOW_HIGH_ET_PALETTE = ['green', 'white', '#FF4500']; // Green = Lower ET, Orange = Higher ET
+
+var VARIABLES = {
+  // GRIDMET (University of Idaho), daily, 1979-present
+  precip: {
+    collection: 'IDAHO_EPSCOR/GRIDMET', band: 'pr', reducer: 'sum', multiplier: 1, offset: 0,
+    units: 'mm', scale: 4000, palette: DRY_WET_PALETTE, visRange: 100,
+    exportName: 'Precipitation', firstYear: 1979
+  },
+  tmmx: {
+    collection: 'IDAHO_EPSCOR/GRIDMET', band: 'tmmx', reducer: 'mean', multiplier: 1, offset: -273.15,
+    units: 'C', scale: 4000, palette: COOL_HOT_PALETTE, visRange: 3,
+    exportName: 'MaxTemperature', firstYear: 1979
+  },
+  etr: {
+    collection: 'IDAHO_EPSCOR/GRIDMET', band: 'etr', reducer: 'sum', multiplier: 1, offset: 0,
+    units: 'mm', scale: 4000, palette: LOW_HIGH_ET_PALETTE, visRange: 80,
+    exportName: 'Evapotranspiration', firstYear: 1979
+  },
+  // CHIRPS, daily, 1981-present
+  chirps_precip: {
+    collection: 'UCSB-CHG/CHIRPS/DAILY', band: 'precipitation', reducer: 'sum', multiplier: 1, offset: 0,
+    units: 'mm', scale: 5500, palette: ['red', 'white', 'blue'], visRange: 200,
+    exportName: 'Precip', firstYear: 1981
+  },
+  // ERA5-Land monthly averages, 1950-present (meters of water -> mm)
+  total_evaporation: {
+    collection: 'ECMWF/ERA5_LAND/MONTHLY', band: 'total_evaporation', reducer: 'sum', multiplier: 1000, offset: 0,
+    units: 'mm', scale: 10000, palette: ['blue', 'white', 'red'], visRange: 100,
+    exportName: 'Total_Evaporation', firstYear: 1950
+  },
+  total_precipitation: {
+    collection: 'ECMWF/ERA5_LAND/MONTHLY', band: 'total_precipitation', reducer: 'sum', multiplier: 1000, offset: 0,
+    units: 'mm', scale: 10000, palette: ['red', 'white', 'blue'], visRange: 200,
+    exportName: 'Total_Precipitation', firstYear: 1950
+  },
+  // PRISM AN81d, daily, 1981-present (CONUS)
+  prism_ppt: {
+    collection: 'OREGONSTATE/PRISM/AN81d', band: 'ppt', reducer: 'sum', multiplier: 1, offset: 0,
+    units: 'mm', scale: 4638.3, palette: DRY_WET_PALETTE, visRange: 100,
+    exportName: 'PRISM_Precipitation', firstYear: 1981
+  },
+  prism_tmax: {
+    collection: 'OREGONSTATE/PRISM/AN81d', band: 'tmax', reducer: 'mean', multiplier: 1, offset: 0,
+    units: 'C', scale: 4638.3, palette: COOL_HOT_PALETTE, visRange: 3,
+    exportName: 'PRISM_MaxTemperature', firstYear: 1981
+  },
+  // Daymet V4, daily, 1980-present (North America)
+  daymet_prcp: {
+    collection: 'NASA/ORNL/DAYMET_V4', band: 'prcp', reducer: 'sum', multiplier: 1, offset: 0,
+    units: 'mm', scale: 1000, palette: DRY_WET_PALETTE, visRange: 100,
+    exportName: 'Daymet_Precipitation', firstYear: 1980
+  },
+  daymet_tmax: {
+    collection: 'NASA/ORNL/DAYMET_V4', band: 'tmax', reducer: 'mean', multiplier: 1, offset: 0,
+    units: 'C', scale: 1000, palette: COOL_HOT_PALETTE, visRange: 3,
+    exportName: 'Daymet_MaxTemperature', firstYear: 1980
+  },
+  // TerraClimate, monthly, 1958-present (scaled integers)
+  terraclimate_pr: {
+    collection: 'IDAHO_EPSCOR/TERRACLIMATE', band: 'pr', reducer: 'sum', multiplier: 1, offset: 0,
+    units: 'mm', scale: 4638.3, palette: DRY_WET_PALETTE, visRange: 100,
+    exportName: 'TerraClimate_Precipitation', firstYear: 1958
+  },
+  terraclimate_tmmx: {
+    collection: 'IDAHO_EPSCOR/TERRACLIMATE', band: 'tmmx', reducer: 'mean', multiplier: 0.1, offset: 0,
+    units: 'C', scale: 4638.3, palette: COOL_HOT_PALETTE, visRange: 3,
+    exportName: 'TerraClimate_MaxTemperature', firstYear: 1958
+  },
+  terraclimate_pet: {
+    collection: 'IDAHO_EPSCOR/TERRACLIMATE', band: 'pet', reducer: 'sum', multiplier: 0.1, offset: 0,
+    units: 'mm', scale: 4638.3, palette: LOW_HIGH_ET_PALETTE, visRange: 80,
+    exportName: 'TerraClimate_PET', firstYear: 1958
+  },
+  terraclimate_def: {
+    collection: 'IDAHO_EPSCOR/TERRACLIMATE', band: 'def', reducer: 'sum', multiplier: 0.1, offset: 0,
+    units: 'mm', scale: 4638.3, palette: ['#0066FF', 'white', '#8B4513'], visRange: 80,
+    exportName: 'TerraClimate_Climatic_Water_Deficit', firstYear: 1958
+  }
+};
+
+var DESCRIPTOR_FIELDS = ['collection', 'band', 'reducer', 'multiplier', 'offset', 'units', 'scale',
+                         'palette', 'visRange', 'exportName', 'firstYear'];
+var REDUCERS = ['sum', 'mean'];
+
+// Study-region assets; any US state name or other region also works (see resolveRegion()).
+var REGION_ASSETS = {
+  arizona: 'projects/paul-gee/assets/ARIZONA_borders'
+};
+
+// Options of runAnomalies(). region: US state name (TIGER/2018/States), {asset: ID} or an
+// ee.Geometry / ee.Feature / ee.FeatureCollection. regionLabel, if set, prefixes export names.
+var DEFAULT_OPTIONS = {
+  variables: ['precip'],
+  region: {asset: REGION_ASSETS.arizona},
+  regionLabel: null,
+  baselineStart: '1991-01-01',
+  baselineEnd: '2020-12-31',
+  addLayers: true,
+  noData: -9999
+};
+
+// --- 2. HELPERS ---
+
+var getVariable = function(name) {
+  if (!VARIABLES.hasOwnProperty(name)) {
+    throw new Error('Unknown climate variable "' + name + '". Available: ' + Object.keys(VARIABLES).join(', '));
+  }
+  return VARIABLES[name];
+};
+
+// Seasonal aggregate of one variable for one year, in the variable's output units.
+var seasonalValue = function(variable, year, season) {
+  var startDate = ee.Date.fromYMD(year, season.startMonth, season.startDay);
+  var endDate = ee.Date.fromYMD(year, season.endMonth, season.endDay);
+  return ee.ImageCollection(variable.collection)
+    .filterDate(startDate, endDate)
+    .select(variable.band)
+    .reduce(ee.Reducer[variable.reducer]())
+    .multiply(variable.multiplier)
+    .add(variable.offset)
+    .set('year', year);
+};
+
+// One seasonal image per baseline year.
+var baselineCollection = function(variable, baselineStart, baselineEnd, season) {
+  var baselineYears = ee.List.sequence(ee.Date(baselineStart).get('year'), ee.Date(baselineEnd).get('year'));
+  return ee.ImageCollection.fromImages(
+    baselineYears.map(function(y) {
+      return seasonalValue(variable, y, season);
+    })
+  );
+};
+
+// Number of source images in the season of one year (0 when the record does not cover it).
+var seasonImageCount = function(variable, year, season) {
+  return ee.ImageCollection(variable.collection)
+    .filterDate(ee.Date.fromYMD(year, season.startMonth, season.startDay),
+                ee.Date.fromYMD(year, season.endMonth, season.endDay))
+    .size();
+};
+
+// --- 3. PUBLIC API ---
+
+// Band names of standardizedAnomaly(), in export order.
+var STANDARDIZED_BANDS = ['anomaly', 'zscore', 'pct_of_normal', 'percentile', 'baseline_mean', 'baseline_sd'];
+
+// Units of each standardized band for a variable measured in `units`.
+var bandUnits = function(units) {
+  return {
+    anomaly: units,
+    zscore: 'standard deviations',
+    pct_of_normal: '%',
+    percentile: '%',
+    baseline_mean: units,
+    baseline_sd: units
+  };
+};
+
+// Adds (or replaces) a dataset descriptor so it can be used by name like the built-in ones.
+var registerVariable = function(name, descriptor) {
+  DESCRIPTOR_FIELDS.forEach(function(field) {
+    if (!descriptor.hasOwnProperty(field)) {
+      throw new Error('Climate variable "' + name + '" is missing "' + field + '".');
+    }
+  });
+  if (REDUCERS.indexOf(descriptor.reducer) === -1) {
+    throw new Error('Climate variable "' + name + '": reducer must be one of ' + REDUCERS.join(', ') + '.');
+  }
+  VARIABLES[name] = descriptor;
+  return descriptor;
+};
+
+// Geometry of a region: a US state name, {asset: ID} or an ee.Geometry/Feature/FeatureCollection.
+var resolveRegion = function(region) {
+  if (typeof region === 'string') {
+    return ee.FeatureCollection('TIGER/2018/States').filter(ee.Filter.eq('NAME', region)).geometry();
+  }
+  if (region && typeof region.asset === 'string') {
+    return ee.FeatureCollection(region.asset).geometry();
+  }
+  if (region && typeof region.geometry === 'function') {
+    return region.geometry();
+  }
+  if (region instanceof ee.Geometry) {
+    return region;
+  }
+  throw new Error('Region must be a US state name, {asset: ID} or an ee.Geometry/Feature/FeatureCollection.');
+};
+
+// Merges overrides into DEFAULT_OPTIONS and checks the variable names.
+var buildOptions = function(overrides) {
+  var options = {};
+  Object.keys(DEFAULT_OPTIONS).forEach(function(key) {
+    options[key] = DEFAULT_OPTIONS[key];
+  });
+  Object.keys(overrides || {}).forEach(function(key) {
+    if (!DEFAULT_OPTIONS.hasOwnProperty(key)) {
+      throw new Error('Unknown climate anomaly option "' + key + '".');
+    }
+    options[key] = overrides[key];
+  });
+  if (!Array.isArray(options.variables) || options.variables.length === 0) {
+    throw new Error('variables must be a non-empty list of climate variable names.');
+  }
+  var baselineFirstYear = parseInt(String(options.baselineStart).slice(0, 4), 10);
+  options.variables.forEach(function(name) {
+    var variable = getVariable(name);
+    if (baselineFirstYear < variable.firstYear) {
+      throw new Error('Climate variable "' + name + '" starts in ' + variable.firstYear +
+                      '; the baseline starts in ' + baselineFirstYear + '.');
+    }
+  });
+  return options;
+};
+
+// Multi-band standardized anomaly of a target seasonal image against a collection of
+// baseline seasonal images (one per baseline year). Band names are STANDARDIZED_BANDS;
+// units are stored in the 'band_units' property and in one 'units_<band>' property per band.
+// z-scores are masked where the baseline has no variability, percent-of-normal where the
+// baseline mean is zero.
+var standardizedAnomaly = function(baselineSeasonalCollection, targetValue, units) {
+  baselineSeasonalCollection = ee.ImageCollection(baselineSeasonalCollection);
+  var target = ee.Image(targetValue).rename('value');
+  var longTermMean = baselineSeasonalCollection.mean().rename('value');
+  var longTermSd = baselineSeasonalCollection.reduce(ee.Reducer.stdDev()).rename('value');
+
+  var anomaly = target.subtract(longTermMean);
+  var zscore = anomaly.divide(longTermSd).updateMask(longTermSd.gt(0));
+  var pctOfNormal = target.divide(longTermMean).multiply(100).updateMask(longTermMean.neq(0));
+  var below = baselineSeasonalCollection.map(function(image) {
+    return ee.Image(image).rename('value').lt(target);
+  }).mean();
+  var ties = baselineSeasonalCollection.map(function(image) {
+    return ee.Image(image).rename('value').eq(target);
+  }).mean();
+  var percentile = below.add(ties.multiply(0.5)).multiply(100);
+
+  var stack = ee.Image([anomaly, zscore, pctOfNormal, percentile, longTermMean, longTermSd])
+    .rename(STANDARDIZED_BANDS)
+    .toFloat();
+
+  var unitsByBand = bandUnits(units);
+  var properties = {'band_units': ee.Dictionary(unitsByBand), 'units': units};
+  STANDARDIZED_BANDS.forEach(function(band) {
+    properties['units_' + band] = unitsByBand[band];
+  });
+  return stack.set(properties);
+};
+
+// Standardized anomaly (STANDARDIZED_BANDS) of one variable for one target year. When the
+// dataset has no images for the target season, the result is fully masked and its
+// 'data_available' property is 0.
+var variableAnomaly = function(name, year, baselineStart, baselineEnd, season) {
+  var variable = getVariable(name);
+  var hasData = seasonImageCount(variable, year, season).gt(0);
+  var standardized = ee.Image(ee.Algorithms.If(
+    hasData,
+    standardizedAnomaly(baselineCollection(variable, baselineStart, baselineEnd, season),
+                        seasonalValue(variable, year, season), variable.units),
+    ee.Image.constant(STANDARDIZED_BANDS.map(function() { return 0; }))
+      .rename(STANDARDIZED_BANDS).toFloat().mask(ee.Image(0))
+  ));
+  return standardized.set({
+    'variable': name,
+    'dataset': variable.collection,
+    'year': year,
+    'units': variable.units,
+    'data_available': hasData
+  });
+};
+
+// Anomaly image (single band '<name>_anomaly') of one variable for one target year:
+// target season value minus the mean of the same season over the baseline years.
+var seasonalAnomaly = function(name, year, baselineStart, baselineEnd, season) {
+  var variable = getVariable(name);
+  var longTermMean = baselineCollection(variable, baselineStart, baselineEnd, season).mean();
+
+  return seasonalValue(variable, year, season)
+    .subtract(longTermMean)
+    .rename(name + '_anomaly')
+    .set({'variable': name, 'units': variable.units, 'year': year});
+};
+
+// Multi-band image with one '<name>_anomaly' band per requested variable for one year.
+var anomalyStack = function(names, year, baselineStart, baselineEnd, season) {
+  return ee.Image(names.map(function(name) {
+    return seasonalAnomaly(name, year, baselineStart, baselineEnd, season);
+  })).set('year', year);
+};
+
+// Export name of one variable and year, e.g. 'Precipitation_Anomaly_2024_mm'.
+var exportName = function(name, year, options) {
+  var variable = getVariable(name);
+  var prefix = options.regionLabel ? options.regionLabel + '_' : '';
+  return prefix + variable.exportName + '_Anomaly_' + year + '_' + variable.units;
+};
+
+// Computes, maps and exports the standardized anomaly of every variable in options.variables
+// for every analysis year of cfg, over options.region, as multi-band GeoTIFFs in
+// cfg.exportFolder (or the cfg.output destination, modules/outputs.js) at each variable's native scale. Returns the images, variable by variable
+// and year by year.
+var runAnomalies = function(overrides, cfg) {
+  var options = buildOptions(overrides);
+  // The statewide anomalies may use a baseline that includes the target years (e.g. ERA5 1981-2022).
+  config.baselineYears(options.baselineStart, options.baselineEnd);
+  var region = resolveRegion(options.region);
+  var results = [];
+
+  options.variables.forEach(function(name) {
+    var variable = getVariable(name);
+    config.yearsList(cfg).forEach(function(year) {
+      print('Processing ' + name + ' anomalies for year: ' + year);
+      var standardized = variableAnomaly(name, year, options.baselineStart, options.baselineEnd, cfg.season);
+
+      if (options.addLayers) {
+        var visParams = {min: -variable.visRange, max: variable.visRange, palette: variable.palette};
+        Map.addLayer(standardized.select('anomaly').clip(region), visParams,
+                     variable.exportName + ' Anomaly ' + year + ' (' + variable.units + ')');
+        Map.addLayer(standardized.select('zscore').clip(region), {min: -2, max: 2, palette: variable.palette},
+                     variable.exportName + ' Z-score ' + year, false);
+      }
+
+      var description = exportName(name, year, options);
+      outputs.exportImage(standardized.unmask(options.noData), description, cfg, { // Set NoData value
+        region: region,
+        scale: variable.scale,
+        crs: 'EPSG:4326'
+      });
+      results.push(standardized);
+    });
+  });
+
+  print('Climate anomaly export tasks submitted: ' + results.length);
+  return results;
+};
+
+exports.VARIABLES = VARIABLES;
+exports.REGION_ASSETS = REGION_ASSETS;
+exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+exports.STANDARDIZED_BANDS = STANDARDIZED_BANDS;
+exports.bandUnits = bandUnits;
+exports.registerVariable = registerVariable;
+exports.resolveRegion = resolveRegion;
+exports.buildOptions = buildOptions;
+exports.standardizedAnomaly = standardizedAnomaly;
+exports.variableAnomaly = variableAnomaly;
+exports.seasonalAnomaly = seasonalAnomaly;
+exports.anomalyStack = anomalyStack;
+exports.exportName = exportName;
+exports.runAnomalies = runAnomalies;
@@ -0,0 +1,382 @@
+// Google Earth Engine Module: Yearly Composites and Per-Polygon Time Series
+// This module holds the compositing and per-polygon steps shared by the Sentinel-2 index
+// script, the Sentinel-1 RVI script and the polygon explorer app:
+//   - opticalCollection(): masked Sentinel-2 and/or harmonized Landsat (cfg.opticalSources).
+//   - yearlyIndexComposites(): Spring/Summer 95th-percentile composites of spectral indices.
+//   - yearlySarComposites(): Spring/Summer median composites of SAR metrics (modules/sar_indices.js).
+//   - polygonMeans(): mean of each band per polygon and year (one feature per polygon-year).
+//   - polygonLongStats(): distribution statistics per polygon, year and band (long format).
+//   - polygonTracks(): Sentinel-1 tracks that covered each polygon-year.
+//   - polygonTrend(): trend statistics of one band for one polygon (modules/trend_stats.js).
+// Every yearly composite carries 'year', 'system:time_start', 'system:time_end',
+// 'num_images_in_composite' and 'has_data_in_polygons', and the per-pixel quality bands
+// QUALITY_BANDS ('obs_count', 'first_obs_doy', 'last_obs_doy') and '<band>_stddev'. Pixels and years
+// without observations are masked, never zero-filled, so they cannot enter a fit or a mean;
+// per-polygon outputs drop polygon-years whose valid-pixel fraction is below cfg.minCoverage.
+// With a tree canopy mask (cfg.landCover, modules/land_cover.js) the images are masked outside
+// the canopy before compositing; 'valid_fraction' is then the share of the polygon's canopy with
+// valid pixels, and 'masked_area_fraction' the share of the polygon outside the canopy.
+//
+// Usage (Code Editor):
+//   var composites = require('users/paularellano/GEE_scripts:modules/composites.js');
+//   var indexCollection = composites.opticalCollection(cfg, studyArea).map(spectralIndices.addIndices(cfg.indices));
+//   var yearly = composites.yearlyIndexComposites(indexCollection, cfg.indices, cfg, studyArea);
+//
+// By: Paul Arellan - Paul Gee
+// Email: paul.arellano@nau.edu
+//
+
+var config = require('users/paularellano/GEE_scripts:modules/config.js');
+var s2Masking = require('users/paularellano/GEE_scripts:modules/s2_masking.js');
+var landsat = require('users/paularellano/GEE_scripts:modules/landsat.js');
+var trendStatistics = require('users/paularellano/GEE_scripts:modules/trend_stats.js');
+var landCover = require('users/paularellano/GEE_scripts:modules/land_cover.js');
+
+// --- 1. SOURCE COLLECTIONS ---
+
+// Masked Sentinel-2 (reflectance 0-1) over the analysis range of cfg.
+var sentinel2Collection = function(cfg, region) {
+  var range = config.analysisRange(cfg);
+  var raw = ee.ImageCollection(s2Masking.COLLECTION)
+    .filterBounds(region)
+    .filterDate(range.start, range.end);
+  return s2Masking.maskCollection(raw, cfg.cloudMask);
+};
+
+// Optical images from the sources in cfg.opticalSources, with the S2 band names. sentinel2 is
+// an already masked S2 collection (optional; loaded from cfg when omitted).
+var opticalCollection = function(cfg, region, sentinel2) {
+  var range = config.analysisRange(cfg);
+  var merged = ee.ImageCollection([]);
+  if (cfg.opticalSources.indexOf('S2') !== -1) {
+    merged = merged.merge(sentinel2 || sentinel2Collection(cfg, region));
+  }
+  if (cfg.opticalSources.indexOf('LANDSAT') !== -1) {
+    merged = merged.merge(landsat.loadCollection(region, range.start, range.end, cfg.landsat));
+  }
+  return merged;
+};
+
+// --- 2. YEARLY COMPOSITES ---
+
+// A fully masked image with the given bands. It is merged into each year's collection so the
+// reducers always return the expected bands; a year without images stays masked instead of zero.
+var emptyImage = function(bandNames) {
+  return ee.Image.constant(bandNames.map(function() { return 0; })).rename(bandNames).toFloat().updateMask(0);
+};
+
+// Percentile of the yearly index composites.
+var INDEX_PERCENTILE = 95;
+
+// Per-pixel data-quality bands added to every yearly composite, besides '<band>_stddev'.
+var QUALITY_BANDS = ['obs_count', 'first_obs_doy', 'last_obs_doy'];
+
+// Quality bands exported with one composite band: QUALITY_BANDS and '<band>_stddev'.
+var qualityBandNames = function(bandName) {
+  return QUALITY_BANDS.concat([bandName + '_stddev']);
+};
+
+// Per-pixel quality of one year's observations (collection holds bandNames):
+//   obs_count      - valid observations of the first band (0 where there are none)
+//   first_obs_doy  - day of year of the first valid observation (masked where there are none)
+//   last_obs_doy   - day of year of the last valid observation
+//   <band>_stddev  - standard deviation between the observations of each band
+var qualityBands = function(collection, bandNames, region) {
+  var primary = bandNames[0];
+  var doy = collection.map(function(image) {
+    return ee.Image.constant(image.date().getRelative('day', 'year').add(1)).rename('doy').toFloat()
+      .updateMask(image.select(primary).mask());
+  }).merge(ee.ImageCollection([emptyImage(['doy'])]));
+  var withEmpty = collection.merge(ee.ImageCollection([emptyImage(bandNames)]));
+
+  var count = withEmpty.select(primary).count().unmask(0).rename('obs_count').toUint16();
+  var first = doy.min().rename('first_obs_doy').toUint16();
+  var last = doy.max().rename('last_obs_doy').toUint16();
+  var stdDev = withEmpty.reduce(ee.Reducer.stdDev())
+    .rename(bandNames.map(function(name) { return name + '_stddev'; }))
+    .toFloat();
+  return ee.Image.cat([count, first, last, stdDev]).clip(region);
+};
+
+// True when bandName has at least one unmasked pixel in the region.
+var hasDataIn = function(image, bandName, region, cfg) {
+  var count = image.select(bandName).mask().gt(0).selfMask().reduceRegion({
+    reducer: ee.Reducer.count(),
+    geometry: region,
+    scale: cfg.scale,
+    tileScale: 16
+  }).get(bandName);
+  return ee.Number(ee.Algorithms.If(count, count, 0)).gt(0);
+};
+
+// Spring/Summer 95th-percentile composites of the index bands, one image per analysis year,
+// plus the quality bands (qualityBands(): 'obs_count', 'first_obs_doy', 'last_obs_doy' and
+// '<INDEX>_stddev'). Pixels without a valid observation, and pixels outside the cfg.landCover tree
+// canopy, are masked; a year without images is fully masked (has_data_in_polygons = false).
+var yearlyIndexComposites = function(indexCollection, indexNames, cfg, region) {
+  var primaryIndex = indexNames[0];
+  var p95BandNames = indexNames.map(function(name) { return name + '_p' + INDEX_PERCENTILE; }); // Percentile reducer output names
+  var canopyCollection = landCover.maskCollection(indexCollection, cfg, region);
+
+  var yearly = ee.List(config.yearsList(cfg)).map(function(year) {
+    year = ee.Number(year);
+    var season = config.seasonRange(cfg, year);
+    var collectionForYear = canopyCollection.filterDate(season.start, season.end).select(indexNames);
+    var numImagesInYear = collectionForYear.size();
+    var withEmpty = collectionForYear.merge(ee.ImageCollection([emptyImage(indexNames)]));
+
+    // Rename the '<INDEX>_p95' bands to the index names.
+    var composite = withEmpty.reduce(ee.Reducer.percentile([INDEX_PERCENTILE])).select(p95BandNames, indexNames)
+      .clip(region)
+      .addBands(qualityBands(collectionForYear, indexNames, region));
+
+    return composite
+      .set('year', year)
+      .set('system:time_start', season.start.millis())
+      .set('system:time_end', season.end.millis())
+      .set('num_images_in_composite', numImagesInYear)
+      .set('sensor_mix', ee.List(collectionForYear.aggregate_array('sensor')).distinct().sort().join(',')) // e.g. 'LANDSAT_7,LANDSAT_8'
+      .set('has_data_in_polygons', hasDataIn(composite, primaryIndex, region, cfg));
+  });
+  return ee.ImageCollection(yearly);
+};
+
+// Spring/Summer median composites of the SAR bands (median reduces speckle), one image per
+// analysis year, plus the quality bands (qualityBands(), counted on the first band). Pixels outside
+// the cfg.landCover tree canopy are masked, and a year without images is fully masked. 'track_mix'
+// lists the Sentinel-1 tracks ('track_id', e.g. 'ASCENDING_129,DESCENDING_56') of the year.
+var yearlySarComposites = function(sarCollection, bandNames, cfg, region) {
+  var canopyCollection = landCover.maskCollection(sarCollection, cfg, region);
+  var yearly = ee.List(config.yearsList(cfg)).map(function(year) {
+    year = ee.Number(year);
+    var season = config.seasonRange(cfg, year);
+    var collectionForYear = canopyCollection.filterDate(season.start, season.end).select(bandNames);
+    var numImagesInYear = collectionForYear.size();
+    var withEmpty = collectionForYear.merge(ee.ImageCollection([emptyImage(bandNames)]));
+
+    var composite = withEmpty.reduce(ee.Reducer.median()).rename(bandNames)
+      .clip(region)
+      .addBands(qualityBands(collectionForYear, bandNames, region));
+
+    return composite
+      .set('year', year)
+      .set('system:time_start', season.start.millis())
+      .set('system:time_end', season.end.millis())
+      .set('num_images_in_composite', numImagesInYear)
+      .set('track_mix', ee.List(collectionForYear.aggregate_array('track_id')).distinct().sort().join(','))
+      .set('has_data_in_polygons', hasDataIn(composite, bandNames[0], region, cfg));
+  });
+  return ee.ImageCollection(yearly);
+};
+
+// --- 3. PER-POLYGON STATISTICS ---
+
+// Polygon identifier: the cfg.idProperty value, or system:index when it is empty.
+var polygonId = function(feature, cfg) {
+  return ee.Algorithms.If(feature.get(cfg.idProperty), ee.String(feature.get(cfg.idProperty)), ee.String(feature.id()));
+};
+
+// Fraction of the polygon's pixels where bandName is valid ('valid_fraction', 0-1).
+var validFraction = function(image, bandName) {
+  return image.select(bandName).mask().gt(0).unmask(0).rename('valid_fraction').toFloat();
+};
+
+// Bands whose polygon means are the coverage columns: 'valid_fraction' (validFraction() over the
+// tree canopy only) and 'masked_area_fraction' (share of the polygon outside the canopy, 0-1).
+var coverageBands = function(image, bandName, canopy) {
+  return validFraction(image, bandName).updateMask(canopy)
+    .addBands(canopy.not().rename('masked_area_fraction').toFloat());
+};
+
+// Mean of each band in bandNames per polygon and year, as properties named after the bands,
+// plus 'year', 'polygon_id_prop', 'valid_fraction' (of the first band, over the tree canopy) and
+// 'masked_area_fraction'. Polygon-years with a valid fraction below cfg.minCoverage, or without
+// canopy, are dropped.
+var polygonMeans = function(yearly, bandNames, polygons, cfg) {
+  var reduced = bandNames.concat(['valid_fraction', 'masked_area_fraction']);
+  var canopy = landCover.treeMask(cfg, polygons.geometry());
+  return yearly.map(function(image) {
+    return image.select(bandNames).addBands(coverageBands(image, bandNames[0], canopy)).reduceRegions({
+      collection: polygons,
+      reducer: ee.Reducer.mean().forEach(reduced), // One mean property per band, named after the band
+      scale: cfg.scale,
+      tileScale: 4
+    }).map(function(f) {
+      return f.set('year', image.get('year')).set('polygon_id_prop', polygonId(f, cfg));
+    });
+  }).flatten().filter(ee.Filter.gte('valid_fraction', cfg.minCoverage));
+};
+
+// Columns of polygonLongStats() besides the polygons' own attributes (prefixed ATTRIBUTE_PREFIX).
+var LONG_STATS_COLUMNS = ['polygon_id_prop', 'year', 'metric', 'mean', 'median', 'stddev', 'p10', 'p90',
+                          'min', 'max', 'valid_pixels', 'valid_area_ha', 'polygon_area_ha', 'valid_fraction',
+                          'masked_area_fraction'];
+
+// Prefix of the polygon attributes copied into the long-format statistics.
+var ATTRIBUTE_PREFIX = 'attr_';
+
+// Polygons with 'masked_area_fraction': the share of each polygon outside the cfg.landCover tree
+// canopy (0 without a mask). The mask does not change between years, so it is reduced once.
+var maskedAreaFractions = function(polygons, cfg) {
+  if (!landCover.isEnabled(cfg)) {
+    return polygons.map(function(f) { return f.set('masked_area_fraction', 0); });
+  }
+  return landCover.treeMask(cfg, polygons.geometry()).not().rename('masked_area_fraction').toFloat().reduceRegions({
+    collection: polygons,
+    reducer: ee.Reducer.mean().forEach(['masked_area_fraction']),
+    scale: cfg.scale,
+    tileScale: 4
+  });
+};
+
+// Polygon with every attribute renamed to ATTRIBUTE_PREFIX + name and 'polygon_id_prop', so an
+// attribute named like a statistic column (e.g. 'mean', 'year', 'max') is not overwritten by it.
+var prefixAttributes = function(polygon, cfg) {
+  var names = polygon.toDictionary().keys();
+  var prefixed = names.map(function(name) { return ee.String(ATTRIBUTE_PREFIX).cat(name); });
+  return polygon.select(names, prefixed).set('polygon_id_prop', polygonId(polygon, cfg));
+};
+
+// Long-format statistics: one feature (no geometry) per polygon, year and band in bandNames with
+// the polygon's original attributes prefixed 'attr_' (e.g. 'attr_NAME'), 'polygon_id_prop', 'year',
+// 'metric' (band name) and the distribution of the band's valid pixels: 'mean', 'median', 'stddev',
+// 'p10', 'p90', 'min', 'max', 'valid_pixels' (count), 'valid_area_ha', 'polygon_area_ha',
+// 'valid_fraction' (valid area over the polygon's tree canopy area) and 'masked_area_fraction'.
+// Rows are not filtered by cfg.minCoverage, so every polygon-year behind a trend is present.
+var polygonLongStats = function(yearly, bandNames, polygons, cfg) {
+  // Inputs: valid area (ha) to sum, then the band to the distribution reducers.
+  var reducer = ee.Reducer.sum().combine({
+    reducer2: ee.Reducer.mean()
+      .combine({reducer2: ee.Reducer.median(), sharedInputs: true})
+      .combine({reducer2: ee.Reducer.stdDev(), sharedInputs: true})
+      .combine({reducer2: ee.Reducer.percentile([10, 90]), sharedInputs: true})
+      .combine({reducer2: ee.Reducer.minMax(), sharedInputs: true})
+      .combine({reducer2: ee.Reducer.count(), sharedInputs: true}),
+    sharedInputs: false
+  });
+  var hectares = ee.Image.pixelArea().divide(1e4);
+  var withMaskedFraction = maskedAreaFractions(polygons.map(function(f) { return prefixAttributes(f, cfg); }), cfg);
+
+  return yearly.map(function(image) {
+    return ee.FeatureCollection(bandNames.map(function(bandName) {
+      var band = image.select(bandName);
+      return hectares.updateMask(band.mask()).addBands(band).reduceRegions({
+        collection: withMaskedFraction,
+        reducer: reducer,
+        scale: cfg.scale,
+        tileScale: 4
+      }).map(function(f) {
+        var polygonArea = f.geometry().area(1).divide(1e4);
+        var validArea = ee.Number(ee.Algorithms.If(f.get('sum'), f.get('sum'), 0));
+        var maskedFraction = ee.Number(ee.Algorithms.If(f.get('masked_area_fraction'), f.get('masked_area_fraction'), 0));
+        var canopyArea = polygonArea.multiply(ee.Number(1).subtract(maskedFraction));
+        return ee.Feature(null, f.select([ATTRIBUTE_PREFIX + '.*']).toDictionary()).set({
+          'polygon_id_prop': f.get('polygon_id_prop'),
+          'year': image.get('year'),
+          'metric': bandName,
+          'mean': f.get('mean'),
+          'median': f.get('median'),
+          'stddev': f.get('stdDev'),
+          'p10': f.get('p10'),
+          'p90': f.get('p90'),
+          'min': f.get('min'),
+          'max': f.get('max'),
+          'valid_pixels': f.get('count'),
+          'valid_area_ha': validArea,
+          'polygon_area_ha': polygonArea,
+          'valid_fraction': validArea.divide(canopyArea.max(1e-9)),
+          'masked_area_fraction': maskedFraction
+        });
+      });
+    })).flatten();
+  }).flatten();
+};
+
+// Adds 'tracks' (comma-separated 'track_id' values) and 'n_tracks' to polygon-year features
+// (polygonMeans()): the Sentinel-1 tracks with images over the polygon in that year's season.
+var polygonTracks = function(stats, s1Collection, cfg) {
+  return stats.map(function(f) {
+    var season = config.seasonRange(cfg, f.get('year'));
+    var tracks = ee.List(s1Collection.filterDate(season.start, season.end).filterBounds(f.geometry())
+      .aggregate_array('track_id')).distinct().sort();
+    return f.set({'tracks': tracks.join(','), 'n_tracks': tracks.size()});
+  });
+};
+
+// Yearly mean of one band over one polygon, every analysis year: features with 'year',
+// 'index_y' (null without valid pixels), 'valid_fraction' and 'masked_area_fraction'
+// (coverageBands()).
+var polygonYears = function(yearly, bandName, feature, cfg) {
+  var canopy = landCover.treeMask(cfg, feature.geometry());
+  return yearly.map(function(image) {
+    var means = image.select(bandName).addBands(coverageBands(image, bandName, canopy)).reduceRegion({
+      reducer: ee.Reducer.mean(),
+      geometry: feature.geometry(),
+      scale: cfg.scale,
+      maxPixels: 1e9,
+      tileScale: 4
+    });
+    return ee.Feature(null, {
+      'year': image.getNumber('year'),
+      'index_y': means.get(bandName),
+      'valid_fraction': means.get('valid_fraction'),
+      'masked_area_fraction': means.get('masked_area_fraction')
+    });
+  });
+};
+
+// Years of polygonYears() with a value and a valid fraction of at least cfg.minCoverage.
+var coveredYears = function(years, cfg) {
+  return years
+    .filter(ee.Filter.notNull(['year', 'index_y']))
+    .filter(ee.Filter.gte('valid_fraction', cfg.minCoverage));
+};
+
+// Yearly mean of one band over one polygon: features with 'year', 'index_y' and
+// 'valid_fraction', without the years below cfg.minCoverage.
+var polygonSeries = function(yearly, bandName, feature, cfg) {
+  return coveredYears(polygonYears(yearly, bandName, feature, cfg), cfg);
+};
+
+// Copies the trend statistics of one band over one polygon onto the polygon feature as
+// '<band>_slope', '<band>_sen_slope', ... (trendStatistics.trendColumns(band)), with
+// 'polygon_id_prop', 'trend_status' ('ok', or 'insufficient_years' below cfg.minTrendYears),
+// 'mean_valid_fraction' (over the analysis years), 'years_below_coverage' (left out of the fit) and
+// 'masked_area_fraction' (share of the polygon outside the cfg.landCover tree canopy).
+var polygonTrend = function(feature, yearly, bandName, cfg) {
+  var years = polygonYears(yearly, bandName, feature, cfg);
+  var series = coveredYears(years, cfg);
+  var hasEnoughYears = series.size().gte(cfg.minTrendYears);
+  var stats = trendStatistics.seriesTrend(series, 'year', 'index_y', cfg.minTrendYears, cfg.trendAlpha);
+  return trendStatistics.setTrendProperties(feature, stats, bandName).set({
+    'polygon_id_prop': polygonId(feature, cfg),
+    'trend_status': ee.Algorithms.If(hasEnoughYears, 'ok', 'insufficient_years'),
+    'mean_valid_fraction': years.aggregate_mean('valid_fraction'),
+    'years_below_coverage': years.size().subtract(series.size()),
+    'masked_area_fraction': years.aggregate_mean('masked_area_fraction')
+  });
+};
+
+// CSV columns written by polygonTrend() for one band.
+var polygonTrendColumns = function(bandName) {
+  return trendStatistics.trendColumns(bandName).concat(['trend_status', 'mean_valid_fraction', 'years_below_coverage',
+                                                        'masked_area_fraction']);
+};
+
+exports.QUALITY_BANDS = QUALITY_BANDS;
+exports.qualityBandNames = qualityBandNames;
+exports.sentinel2Collection = sentinel2Collection;
+exports.opticalCollection = opticalCollection;
+exports.INDEX_PERCENTILE = INDEX_PERCENTILE;
+exports.yearlyIndexComposites = yearlyIndexComposites;
+exports.yearlySarComposites = yearlySarComposites;
+exports.polygonId = polygonId;
+exports.polygonMeans = polygonMeans;
+exports.LONG_STATS_COLUMNS = LONG_STATS_COLUMNS;
+exports.ATTRIBUTE_PREFIX = ATTRIBUTE_PREFIX;
+exports.maskedAreaFractions = maskedAreaFractions;
+exports.polygonLongStats = polygonLongStats;
+exports.polygonTracks = polygonTracks;
+exports.polygonSeries = polygonSeries;
+exports.polygonTrend = polygonTrend;
+exports.polygonTrendColumns = polygonTrendColumns;
@@ -0,0 +1,541 @@
+// Google Earth Engine Module: Shared Configuration
+// This module holds the inputs shared by the USFS flight-area change-detection scripts
+// and the Arizona climate anomaly scripts: polygon asset, polygon ID property, analysis
+// years, the Spring/Summer season window, analysis scale, the Drive export folder and the
+// Sentinel-2 cloud masking settings and the spectral and SAR indices to compute.
+// Every script reads its settings through build(), which validates the values and
+// throws an error when they conflict (e.g. an export year outside the analysis years).
+//
+// Usage (Code Editor):
+//   var config = require('users/paularellano/GEE_scripts:modules/config.js');
+//   var cfg = config.build({polygonAsset: config.POLYGON_ASSETS.priority2});
+//
+// By: Paul Arellan - Paul Gee
+// Email: paul.arellano@nau.edu
+//
+
+var spectralIndices = require('users/paularellano/GEE_scripts:modules/spectral_indices.js');
+var landsat = require('users/paularellano/GEE_scripts:modules/landsat.js');
+var sentinel1 = require('users/paularellano/GEE_scripts:modules/sentinel1.js');
+var sarIndices = require('users/paularellano/GEE_scripts:modules/sar_indices.js');
+var outputs = require('users/paularellano/GEE_scripts:modules/outputs.js');
+
+// --- 1. KNOWN POLYGON ASSETS ---
+// Pick one of these (or any other asset path) instead of commenting lines in and out.
+var POLYGON_ASSETS = {
+  priority1: 'projects/paul-gee/assets/Priority1_WGS84_Arizona_4_2',
+  priority2: 'projects/paul-gee/assets/Priority2',
+  priority2Cleaned: 'projects/paul-gee/assets/Priority_2_WGS84_Arizona_cleaned',
+  priority3North: 'projects/paul-gee/assets/Priority_3_WGS84_Arizona_cleaned_north',
+  priority3South: 'projects/paul-gee/assets/Priority_3_WGS84_Arizona_cleaned_south_2'
+};
+
+// --- 2. SENSOR RECORDS ---
+// First year with a complete Spring/Summer season for each source; startYear is checked
+// against these by checkSensorYears().
+var SENSOR_START_YEARS = {
+  S2: 2017,      // COPERNICUS/S2_SR_HARMONIZED (from March 2017)
+  S1: 2015,      // COPERNICUS/S1_GRD (IW dual-pol from October 2014)
+  LANDSAT: 1984  // LANDSAT/LT05/C02/T1_L2 (Landsat 5 from March 1984)
+};
+
+// --- 3. DEFAULT VALUES ---
+var DEFAULTS = {
+  polygonAsset: POLYGON_ASSETS.priority1,
+  idProperty: 'Name',          // Polygon property used as the ID in charts and CSVs
+  startYear: 2023,             // First analysis year (inclusive)
+  endYear: 2024,               // Last analysis year (inclusive)
+  minTrendYears: 3,            // Fewest valid yearly values needed to fit a trend, per pixel and per polygon
+  trendAlpha: 0.05,            // Mann-Kendall significance level for the sig_decline flag
+  minCoverage: 0.5,            // Smallest valid-pixel fraction of a polygon-year kept in per-polygon outputs
+  exportYears: null,           // Years to export; null exports every analysis year
+  season: {                    // Spring/Summer window; the end date is exclusive
+    startMonth: 3,
+    startDay: 1,
+    endMonth: 9,
+    endDay: 30
+  },
+  scale: 30,                   // Analysis/export scale in meters
+  exportFolder: 'GEE_Exports_USFS', // Drive folder (null for the Drive root), or the object prefix in a GCS bucket
+  cloudMask: {                 // Sentinel-2 masking (see modules/s2_masking.js)
+    mode: 'SCL',               // 'NONE', 'QA60', 'SCL', 'CS_PLUS' or 'S2CLOUDLESS'
+    maxScenePercent: 80,       // Scene CLOUDY_PIXEL_PERCENTAGE prefilter; null disables it
+    sclClasses: [1, 3, 8, 9, 10, 11],
+    csBand: 'cs_cdf',          // Cloud Score+ band: 'cs' or 'cs_cdf'
+    csThreshold: 0.6,          // Cloud Score+ minimum clear score (0-1)
+    probThreshold: 40          // s2cloudless maximum cloud probability (0-100)
+  },
+  indices: ['NDVI'],           // Spectral indices (modules/spectral_indices.js); the first is the primary index
+  sarIndices: ['RVI'],         // SAR metrics (modules/sar_indices.js); the first is the primary SAR metric
+  opticalSources: ['S2'],      // Optical sources for the index composites: 'S2' and/or 'LANDSAT'
+  landsat: {                   // Landsat Collection 2 Level-2 (see modules/landsat.js)
+    sensors: ['LT05', 'LE07', 'LC08', 'LC09'],
+    harmonize: true,           // Adjust TM/ETM+/OLI reflectance to Sentinel-2 MSI
+    maskSnow: true             // Also mask QA_PIXEL snow
+  },
+  sentinel1: {                 // Sentinel-1 GRD loading and preprocessing (see modules/sentinel1.js)
+    orbitPasses: ['ASCENDING'], // 'ASCENDING' and/or 'DESCENDING'
+    normalizeTracks: false,    // Shift each track to the common per-pixel baseline before compositing
+    trackGrouping: 'PASS',     // Normalization groups: 'PASS' (orbit pass) or 'TRACK' (relative orbit)
+    borderNoise: false,        // Mask swath-edge border noise by incidence angle
+    speckleFilter: 'NONE',     // 'NONE', 'REFINED_LEE', 'LEE_SIGMA', 'GAMMA_MAP' or 'QUEGAN'
+    speckleKernel: 7,          // Window size in pixels (LEE_SIGMA, GAMMA_MAP, QUEGAN)
+    queganWindowDays: 24,      // QUEGAN: images of the same track within +/- this many days
+    terrainFlattening: false,  // Volume-model radiometric terrain normalization
+    dem: 'USGS/SRTMGL1_003',   // DEM image asset for terrain flattening
+    shadowBuffer: 0            // Buffer (m) around layover/shadow masks; 0 = none
+  },
+  phenology: {                 // Sub-annual series and harmonic fits (see modules/phenology.js)
+    compositeMode: 'MONTHLY',  // Sub-annual composites: 'MONTHLY' or '16DAY'
+    harmonics: 2               // Fourier terms in the harmonic regression: 1 or 2
+  },
+  disturbance: {               // LandTrendr segmentation of the yearly composites (see modules/disturbance.js)
+    maxSegments: 6,            // Most straight-line segments fitted per pixel
+    spikeThreshold: 0.9,       // Spike dampening (1 = none)
+    recoveryThreshold: 0.25,   // Fastest allowed recovery, 1 / years
+    pvalThreshold: 0.05,       // Largest p-value of an accepted fit
+    minObservations: 6,        // Fewest valid yearly values needed to segment a pixel
+    minLossMagnitude: 0.1      // Smallest loss (index units) reported as a disturbance
+  },
+  fusion: {                    // Optical-SAR fusion (see modules/fusion.js)
+    crs: 'EPSG:32612'          // Common grid for the S2 and S1 composites (UTM 12N covers Arizona), at cfg.scale
+  },
+  changeDetection: {           // Pre/post-period change and severity (see modules/change_detection.js)
+    preStartYear: 2019,        // Pre-period (inclusive)
+    preEndYear: 2021,
+    postStartYear: 2024,       // Post-period (inclusive)
+    postEndYear: 2024,
+    severityMetric: 'RdNBR',   // Band classified into severity classes: 'dNDVI', 'dNBR', 'RdNBR' or 'z_score'
+    thresholds: [69, 316, 641] // Lower bounds of the low, moderate and high classes (RdNBR, Miller & Thode 2007)
+  },
+  landCover: {                 // Tree canopy mask applied before compositing (see modules/land_cover.js)
+    source: 'NONE',            // 'NONE', 'NLCD', 'WORLDCOVER', 'DYNAMIC_WORLD' or 'HANSEN'
+    canopyThreshold: 25,       // Smallest canopy cover (NLCD, HANSEN) or 'trees' probability (DYNAMIC_WORLD) kept, %
+    worldCoverClasses: [10]    // WorldCover classes kept (10 = tree cover)
+  },
+  output: {                    // Export destination and naming (see modules/outputs.js)
+    destination: 'DRIVE',      // 'DRIVE', 'GCS' or 'ASSET'
+    bucket: null,              // GCS bucket name (destination 'GCS')
+    assetRoot: null,           // Asset folder, e.g. 'projects/paul-gee/assets/usfs_runs' (destination 'ASSET')
+    nameTemplate: '{product}', // Tokens {product}, {run} and {date}, e.g. '{run}_{product}'
+    runId: null,               // Value of {run}; null uses the UTC start time of the run
+    tableFormat: 'CSV'         // 'CSV', 'GeoJSON', 'SHP', 'KML', 'KMZ' or 'TFRecord'
+  }
+};
+
+// Option groups that are merged key by key instead of replaced.
+var NESTED_OPTIONS = ['season', 'cloudMask', 'landsat', 'sentinel1', 'phenology', 'disturbance', 'fusion',
+                      'changeDetection', 'landCover', 'output'];
+
+var OPTICAL_SOURCES = ['S2', 'LANDSAT'];
+
+var CLOUD_MASK_MODES = ['NONE', 'QA60', 'SCL', 'CS_PLUS', 'S2CLOUDLESS'];
+
+var COMPOSITE_MODES = ['MONTHLY', '16DAY'];
+
+var CHANGE_METRICS = ['dNDVI', 'dNBR', 'RdNBR', 'z_score'];
+
+var LAND_COVER_SOURCES = ['NONE', 'NLCD', 'WORLDCOVER', 'DYNAMIC_WORLD', 'HANSEN'];
+
+// ESA WorldCover classes (10 tree cover, 20 shrubland, ... 95 mangroves, 100 moss and lichen).
+var WORLDCOVER_CLASSES = [10, 20, 30, 40, 50, 60, 70, 80, 90, 95, 100];
+
+// Dynamic World starts in June 2015; its first full Spring/Summer season is 2016.
+var DYNAMIC_WORLD_START_YEAR = 2016;
+
+// --- 4. HELPERS ---
+
+var fail = function(message) {
+  throw new Error('Config error: ' + message);
+};
+
+var isInteger = function(value) {
+  return typeof value === 'number' && isFinite(value) && Math.floor(value) === value;
+};
+
+var isNonEmptyString = function(value) {
+  return typeof value === 'string' && value.trim() !== '';
+};
+
+// Days per month for a non-leap year; Feb 29 is rejected so the window exists every year.
+var DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+var checkMonthDay = function(month, day, label) {
+  if (!isInteger(month) || month < 1 || month > 12) {
+    fail(label + ' month must be an integer between 1 and 12 (got ' + month + ').');
+  }
+  if (!isInteger(day) || day < 1 || day > DAYS_IN_MONTH[month - 1]) {
+    fail(label + ' day ' + day + ' is not valid for month ' + month + '.');
+  }
+};
+
+// Shallow copy of defaults with overrides applied; NESTED_OPTIONS are merged key by key.
+var merge = function(overrides) {
+  var cfg = {};
+  var key;
+  for (key in DEFAULTS) {
+    cfg[key] = DEFAULTS[key];
+  }
+  NESTED_OPTIONS.forEach(function(group) {
+    cfg[group] = {};
+    for (var groupKey in DEFAULTS[group]) {
+      cfg[group][groupKey] = DEFAULTS[group][groupKey];
+    }
+  });
+  overrides = overrides || {};
+  for (key in overrides) {
+    if (!DEFAULTS.hasOwnProperty(key)) {
+      fail('unknown option "' + key + '".');
+    }
+    if (NESTED_OPTIONS.indexOf(key) !== -1) {
+      for (var nestedKey in overrides[key]) {
+        if (!DEFAULTS[key].hasOwnProperty(nestedKey)) {
+          fail('unknown ' + key + ' option "' + nestedKey + '".');
+        }
+        cfg[key][nestedKey] = overrides[key][nestedKey];
+      }
+    } else {
+      cfg[key] = overrides[key];
+    }
+  }
+  return cfg;
+};
+
+// --- 5. VALIDATION ---
+
+// Throws on the first invalid or conflicting value. Returns the config unchanged.
+var validate = function(cfg) {
+  if (!isNonEmptyString(cfg.polygonAsset)) {
+    fail('polygonAsset must be a non-empty asset path.');
+  }
+  if (!isNonEmptyString(cfg.idProperty)) {
+    fail('idProperty must be a non-empty property name.');
+  }
+  if (!isInteger(cfg.startYear) || !isInteger(cfg.endYear)) {
+    fail('startYear and endYear must be integers (got ' + cfg.startYear + ', ' + cfg.endYear + ').');
+  }
+  if (cfg.startYear > cfg.endYear) {
+    fail('startYear (' + cfg.startYear + ') is after endYear (' + cfg.endYear + ').');
+  }
+  if (!isInteger(cfg.minTrendYears) || cfg.minTrendYears < 2) {
+    fail('minTrendYears must be an integer of at least 2 (got ' + cfg.minTrendYears + ').');
+  }
+  if (typeof cfg.trendAlpha !== 'number' || !(cfg.trendAlpha > 0 && cfg.trendAlpha < 1)) {
+    fail('trendAlpha must be a number between 0 and 1 (got ' + cfg.trendAlpha + ').');
+  }
+  if (typeof cfg.minCoverage !== 'number' || cfg.minCoverage < 0 || cfg.minCoverage > 1) {
+    fail('minCoverage must be a fraction between 0 and 1 (got ' + cfg.minCoverage + ').');
+  }
+
+  if (cfg.exportYears !== null) {
+    if (!Array.isArray(cfg.exportYears) || cfg.exportYears.length === 0) {
+      fail('exportYears must be null or a non-empty list of years.');
+    }
+    cfg.exportYears.forEach(function(year) {
+      if (!isInteger(year) || year < cfg.startYear || year > cfg.endYear) {
+        fail('export year ' + year + ' is outside the analysis years ' +
+             cfg.startYear + '-' + cfg.endYear + '.');
+      }
+    });
+  }
+
+  var s = cfg.season;
+  checkMonthDay(s.startMonth, s.startDay, 'season start');
+  checkMonthDay(s.endMonth, s.endDay, 'season end');
+  if (s.endMonth * 100 + s.endDay <= s.startMonth * 100 + s.startDay) {
+    fail('season end (' + s.endMonth + '/' + s.endDay + ') must come after season start (' +
+         s.startMonth + '/' + s.startDay + ') within the same year.');
+  }
+
+  if (typeof cfg.scale !== 'number' || !(cfg.scale > 0)) {
+    fail('scale must be a positive number of meters (got ' + cfg.scale + ').');
+  }
+  if (cfg.exportFolder !== null && !isNonEmptyString(cfg.exportFolder)) {
+    fail('exportFolder must be a non-empty Drive folder name, or null for the Drive root.');
+  }
+
+  var cm = cfg.cloudMask;
+  if (CLOUD_MASK_MODES.indexOf(cm.mode) === -1) {
+    fail('cloudMask.mode "' + cm.mode + '" is not one of ' + CLOUD_MASK_MODES.join(', ') + '.');
+  }
+  if (cm.maxScenePercent !== null &&
+      (typeof cm.maxScenePercent !== 'number' || cm.maxScenePercent <= 0 || cm.maxScenePercent > 100)) {
+    fail('cloudMask.maxScenePercent must be null or a number in (0, 100] (got ' + cm.maxScenePercent + ').');
+  }
+  if (!Array.isArray(cm.sclClasses) || cm.sclClasses.some(function(c) { return !isInteger(c) || c < 0 || c > 11; })) {
+    fail('cloudMask.sclClasses must be a list of SCL class values between 0 and 11.');
+  }
+  if (cm.csBand !== 'cs' && cm.csBand !== 'cs_cdf') {
+    fail('cloudMask.csBand must be "cs" or "cs_cdf" (got ' + cm.csBand + ').');
+  }
+  if (typeof cm.csThreshold !== 'number' || cm.csThreshold < 0 || cm.csThreshold > 1) {
+    fail('cloudMask.csThreshold must be between 0 and 1 (got ' + cm.csThreshold + ').');
+  }
+  if (typeof cm.probThreshold !== 'number' || cm.probThreshold < 0 || cm.probThreshold > 100) {
+    fail('cloudMask.probThreshold must be between 0 and 100 (got ' + cm.probThreshold + ').');
+  }
+
+  try {
+    spectralIndices.check(cfg.indices);
+    sarIndices.check(cfg.sarIndices);
+  } catch (e) {
+    fail(e.message);
+  }
+
+  if (!Array.isArray(cfg.opticalSources) || cfg.opticalSources.length === 0 ||
+      cfg.opticalSources.some(function(s) { return OPTICAL_SOURCES.indexOf(s) === -1; })) {
+    fail('opticalSources must be a non-empty list drawn from ' + OPTICAL_SOURCES.join(', ') + '.');
+  }
+  var ls = cfg.landsat;
+  if (!Array.isArray(ls.sensors) || ls.sensors.length === 0 ||
+      ls.sensors.some(function(s) { return !landsat.COLLECTIONS.hasOwnProperty(s); })) {
+    fail('landsat.sensors must be a non-empty list drawn from ' + Object.keys(landsat.COLLECTIONS).join(', ') + '.');
+  }
+  if (typeof ls.harmonize !== 'boolean' || typeof ls.maskSnow !== 'boolean') {
+    fail('landsat.harmonize and landsat.maskSnow must be true or false.');
+  }
+  if (cfg.opticalSources.indexOf('LANDSAT') !== -1) {
+    try {
+      landsat.checkIndices(cfg.indices);
+    } catch (e) {
+      fail(e.message);
+    }
+  }
+
+  var s1 = cfg.sentinel1;
+  if (!Array.isArray(s1.orbitPasses) || s1.orbitPasses.length === 0 ||
+      s1.orbitPasses.some(function(pass) { return sentinel1.ORBIT_PASSES.indexOf(pass) === -1; })) {
+    fail('sentinel1.orbitPasses must be a non-empty list drawn from ' + sentinel1.ORBIT_PASSES.join(', ') + '.');
+  }
+  if (typeof s1.normalizeTracks !== 'boolean') {
+    fail('sentinel1.normalizeTracks must be true or false.');
+  }
+  if (!sentinel1.TRACK_PROPERTIES.hasOwnProperty(s1.trackGrouping)) {
+    fail('sentinel1.trackGrouping "' + s1.trackGrouping + '" is not one of ' + Object.keys(sentinel1.TRACK_PROPERTIES).join(', ') + '.');
+  }
+  if (sentinel1.SPECKLE_FILTERS.indexOf(s1.speckleFilter) === -1) {
+    fail('sentinel1.speckleFilter "' + s1.speckleFilter + '" is not one of ' + sentinel1.SPECKLE_FILTERS.join(', ') + '.');
+  }
+  if (typeof s1.borderNoise !== 'boolean' || typeof s1.terrainFlattening !== 'boolean') {
+    fail('sentinel1.borderNoise and sentinel1.terrainFlattening must be true or false.');
+  }
+  if (!isInteger(s1.speckleKernel) || s1.speckleKernel < 3 || s1.speckleKernel % 2 === 0) {
+    fail('sentinel1.speckleKernel must be an odd integer of at least 3 (got ' + s1.speckleKernel + ').');
+  }
+  if (typeof s1.queganWindowDays !== 'number' || s1.queganWindowDays <= 0) {
+    fail('sentinel1.queganWindowDays must be a positive number (got ' + s1.queganWindowDays + ').');
+  }
+  if (!isNonEmptyString(s1.dem)) {
+    fail('sentinel1.dem must be a DEM image asset ID.');
+  }
+  if (typeof s1.shadowBuffer !== 'number' || s1.shadowBuffer < 0) {
+    fail('sentinel1.shadowBuffer must be a non-negative number (got ' + s1.shadowBuffer + ').');
+  }
+
+  var ph = cfg.phenology;
+  if (COMPOSITE_MODES.indexOf(ph.compositeMode) === -1) {
+    fail('phenology.compositeMode "' + ph.compositeMode + '" is not one of ' + COMPOSITE_MODES.join(', ') + '.');
+  }
+  if (ph.harmonics !== 1 && ph.harmonics !== 2) {
+    fail('phenology.harmonics must be 1 or 2 (got ' + ph.harmonics + ').');
+  }
+
+  var dist = cfg.disturbance;
+  if (!isInteger(dist.maxSegments) || dist.maxSegments < 1) {
+    fail('disturbance.maxSegments must be a positive integer (got ' + dist.maxSegments + ').');
+  }
+  if (!isInteger(dist.minObservations) || dist.minObservations < 3) {
+    fail('disturbance.minObservations must be an integer of at least 3 (got ' + dist.minObservations + ').');
+  }
+  ['spikeThreshold', 'recoveryThreshold', 'pvalThreshold'].forEach(function(key) {
+    if (typeof dist[key] !== 'number' || !(dist[key] > 0 && dist[key] <= 1)) {
+      fail('disturbance.' + key + ' must be a number in (0, 1] (got ' + dist[key] + ').');
+    }
+  });
+  if (typeof dist.minLossMagnitude !== 'number' || dist.minLossMagnitude < 0) {
+    fail('disturbance.minLossMagnitude must be a non-negative number (got ' + dist.minLossMagnitude + ').');
+  }
+
+  if (!/^EPSG:\d+$/.test(cfg.fusion.crs)) {
+    fail('fusion.crs must be an EPSG code such as "EPSG:32612" (got ' + cfg.fusion.crs + ').');
+  }
+
+  var cd = cfg.changeDetection;
+  ['preStartYear', 'preEndYear', 'postStartYear', 'postEndYear'].forEach(function(key) {
+    if (!isInteger(cd[key])) {
+      fail('changeDetection.' + key + ' must be an integer year (got ' + cd[key] + ').');
+    }
+  });
+  if (cd.preStartYear > cd.preEndYear || cd.postStartYear > cd.postEndYear) {
+    fail('changeDetection periods must start no later than they end (pre ' + cd.preStartYear + '-' +
+         cd.preEndYear + ', post ' + cd.postStartYear + '-' + cd.postEndYear + ').');
+  }
+  if (cd.preEndYear >= cd.postStartYear) {
+    fail('changeDetection pre-period ends in ' + cd.preEndYear + ', which is not before the post-period start ' +
+         cd.postStartYear + '.');
+  }
+  if (CHANGE_METRICS.indexOf(cd.severityMetric) === -1) {
+    fail('changeDetection.severityMetric "' + cd.severityMetric + '" is not one of ' + CHANGE_METRICS.join(', ') + '.');
+  }
+  if (!Array.isArray(cd.thresholds) || cd.thresholds.length !== 3 ||
+      cd.thresholds.some(function(t, i) { return typeof t !== 'number' || !isFinite(t) || (i > 0 && t <= cd.thresholds[i - 1]); })) {
+    fail('changeDetection.thresholds must be three increasing numbers (low, moderate, high).');
+  }
+
+  var lc = cfg.landCover;
+  if (LAND_COVER_SOURCES.indexOf(lc.source) === -1) {
+    fail('landCover.source "' + lc.source + '" is not one of ' + LAND_COVER_SOURCES.join(', ') + '.');
+  }
+  if (typeof lc.canopyThreshold !== 'number' || lc.canopyThreshold < 0 || lc.canopyThreshold > 100) {
+    fail('landCover.canopyThreshold must be a percentage between 0 and 100 (got ' + lc.canopyThreshold + ').');
+  }
+  if (!Array.isArray(lc.worldCoverClasses) || lc.worldCoverClasses.length === 0 ||
+      lc.worldCoverClasses.some(function(c) { return WORLDCOVER_CLASSES.indexOf(c) === -1; })) {
+    fail('landCover.worldCoverClasses must be a non-empty list drawn from ' + WORLDCOVER_CLASSES.join(', ') + '.');
+  }
+  if (lc.source === 'DYNAMIC_WORLD' && cfg.startYear < DYNAMIC_WORLD_START_YEAR) {
+    fail('landCover.source DYNAMIC_WORLD needs startYear ' + DYNAMIC_WORLD_START_YEAR + ' or later (got ' +
+         cfg.startYear + '); the mask uses the first analysis season.');
+  }
+
+  var out = cfg.output;
+  if (outputs.DESTINATIONS.indexOf(out.destination) === -1) {
+    fail('output.destination "' + out.destination + '" is not one of ' + outputs.DESTINATIONS.join(', ') + '.');
+  }
+  if (out.destination === 'GCS' && !isNonEmptyString(out.bucket)) {
+    fail('output.bucket must be set when output.destination is GCS.');
+  }
+  if (out.destination === 'ASSET' && !isNonEmptyString(out.assetRoot)) {
+    fail('output.assetRoot must be set when output.destination is ASSET.');
+  }
+  if (typeof out.nameTemplate !== 'string' || out.nameTemplate.indexOf('{product}') === -1) {
+    fail('output.nameTemplate must contain {product} (got ' + out.nameTemplate + ').');
+  }
+  if (out.runId !== null && !/^[A-Za-z0-9_\-]+$/.test(out.runId)) {
+    fail('output.runId must be null or letters, digits, "_" and "-" (got ' + out.runId + ').');
+  }
+  if (outputs.TABLE_FORMATS.indexOf(out.tableFormat) === -1) {
+    fail('output.tableFormat "' + out.tableFormat + '" is not one of ' + outputs.TABLE_FORMATS.join(', ') + '.');
+  }
+  return cfg;
+};
+
+// Checks that a climate baseline period is well formed and returns its first and last year.
+// baselineStart/baselineEnd are 'YYYY-MM-DD' strings as used by the anomaly scripts.
+var baselineYears = function(baselineStart, baselineEnd) {
+  var startYear = parseInt(String(baselineStart).slice(0, 4), 10);
+  var endYear = parseInt(String(baselineEnd).slice(0, 4), 10);
+  if (!isInteger(startYear) || !isInteger(endYear) || startYear > endYear) {
+    fail('baseline period ' + baselineStart + ' to ' + baselineEnd + ' is not valid.');
+  }
+  return {startYear: startYear, endYear: endYear};
+};
+
+// True when a (well formed) climate baseline period reaches into the analysis years.
+var baselineOverlaps = function(cfg, baselineStart, baselineEnd) {
+  return baselineYears(baselineStart, baselineEnd).endYear >= cfg.startYear;
+};
+
+// Checks that a climate baseline period is well formed and does not overlap the analysis years.
+var validateBaseline = function(cfg, baselineStart, baselineEnd) {
+  var endYear = baselineYears(baselineStart, baselineEnd).endYear;
+  if (baselineOverlaps(cfg, baselineStart, baselineEnd)) {
+    fail('baseline period ends in ' + endYear + ', which overlaps the analysis years ' +
+         cfg.startYear + '-' + cfg.endYear + '.');
+  }
+  return cfg;
+};
+
+// Checks that the change-detection pre- and post-periods lie within the analysis years, so the
+// yearly composites cover both.
+var checkChangePeriods = function(cfg) {
+  var cd = cfg.changeDetection;
+  if (cd.preStartYear < cfg.startYear || cd.postEndYear > cfg.endYear) {
+    fail('changeDetection periods ' + cd.preStartYear + '-' + cd.postEndYear + ' are outside the analysis years ' +
+         cfg.startYear + '-' + cfg.endYear + '.');
+  }
+  return cfg;
+};
+
+// Checks that the analysis years are covered by the given source ('S2', 'S1' or 'LANDSAT').
+var checkSensorYears = function(cfg, sensor) {
+  if (!SENSOR_START_YEARS.hasOwnProperty(sensor)) {
+    fail('unknown sensor "' + sensor + '". Use one of: ' + Object.keys(SENSOR_START_YEARS).join(', ') + '.');
+  }
+  var firstYear = SENSOR_START_YEARS[sensor];
+  if (cfg.startYear < firstYear) {
+    fail('startYear ' + cfg.startYear + ' is before the ' + sensor + ' record, which starts in ' + firstYear + '.');
+  }
+  return cfg;
+};
+
+// --- 6. PUBLIC API ---
+
+// Builds and validates a config from DEFAULTS plus the given overrides.
+var build = function(overrides) {
+  return validate(merge(overrides));
+};
+
+// Client-side list of analysis years, e.g. [2023, 2024].
+var yearsList = function(cfg) {
+  var years = [];
+  for (var y = cfg.startYear; y <= cfg.endYear; y++) {
+    years.push(y);
+  }
+  return years;
+};
+
+// Earliest-record sensor key of the configured optical sources, for checkSensorYears().
+var opticalRecordSensor = function(cfg) {
+  return cfg.opticalSources.indexOf('LANDSAT') !== -1 ? 'LANDSAT' : 'S2';
+};
+
+// True when the analysis years span enough values for a meaningful trend (cfg.minTrendYears).
+var hasTrendLength = function(cfg) {
+  return cfg.endYear - cfg.startYear + 1 >= cfg.minTrendYears;
+};
+
+// True when the analysis years span enough values for LandTrendr (cfg.disturbance.minObservations).
+var hasDisturbanceLength = function(cfg) {
+  return cfg.endYear - cfg.startYear + 1 >= cfg.disturbance.minObservations;
+};
+
+// Client-side list of years to export.
+var exportYearsList = function(cfg) {
+  return cfg.exportYears !== null ? cfg.exportYears.slice() : yearsList(cfg);
+};
+
+// Server-side season window for one year: {start: ee.Date, end: ee.Date}.
+var seasonRange = function(cfg, year) {
+  var s = cfg.season;
+  return {
+    start: ee.Date.fromYMD(year, s.startMonth, s.startDay),
+    end: ee.Date.fromYMD(year, s.endMonth, s.endDay)
+  };
+};
+
+// Server-side date range spanning every analysis season, for the initial filterDate.
+var analysisRange = function(cfg) {
+  return {
+    start: seasonRange(cfg, cfg.startYear).start,
+    end: seasonRange(cfg, cfg.endYear).end
+  };
+};
+
+exports.POLYGON_ASSETS = POLYGON_ASSETS;
+exports.SENSOR_START_YEARS = SENSOR_START_YEARS;
+exports.DEFAULTS = DEFAULTS;
+exports.build = build;
+exports.validate = validate;
+exports.baselineYears = baselineYears;
+exports.baselineOverlaps = baselineOverlaps;
+exports.validateBaseline = validateBaseline;
+exports.checkSensorYears = checkSensorYears;
+exports.checkChangePeriods = checkChangePeriods;
+exports.hasTrendLength = hasTrendLength;
+exports.hasDisturbanceLength = hasDisturbanceLength;
+exports.opticalRecordSensor = opticalRecordSensor;
+exports.yearsList = yearsList;
+exports.exportYearsList = exportYearsList;
+exports.seasonRange = seasonRange;
+exports.analysisRange = analysisRange;
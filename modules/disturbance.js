@@ -0,0 +1,160 @@
+// Google Earth Engine Module: Disturbance Detection (LandTrendr Segmentation)
+// A single straight-line trend cannot tell an abrupt kill (e.g. bark beetles in 2023) from a
+// gradual decline. This module segments each pixel's yearly composite series with LandTrendr
+// (ee.Algorithms.TemporalSegmentation.LandTrendr, settings in cfg.disturbance) and reports
+// the segment with the greatest loss:
+//   loss_year      - first year at the lower value (segment start year + 1)
+//   loss_magnitude - index loss over the segment (index units, positive)
+//   loss_duration  - segment length in years
+//   pre_slope      - slope of the segment before the loss (index units / year)
+//   post_slope     - slope of the segment after the loss (index units / year)
+//   recovery_rate  - fraction of the loss regained per year after it (post-loss segment)
+//   n_segments     - number of fitted segments
+//   fit_rmse       - RMSE of the LandTrendr fit (index units)
+// Pixels whose greatest loss is below cfg.disturbance.minLossMagnitude are masked.
+// Years without images are left out of the fit instead of counting as zero.
+// For most indices a loss is a decrease; for the indices in INCREASE_IS_LOSS it is an increase.
+//
+// Usage (Code Editor):
+//   var disturbance = require('users/paularellano/GEE_scripts:modules/disturbance.js');
+//   var ndviDisturbance = disturbance.greatestLoss(yearlyNDVI, 'NDVI', cfg);
+//   var areaPerYear = disturbance.disturbedArea(ndviDisturbance, polygons, cfg);
+//
+// By: Paul Arellan - Paul Gee
+// Email: paul.arellano@nau.edu
+//
+
+var config = require('users/paularellano/GEE_scripts:modules/config.js');
+var composites = require('users/paularellano/GEE_scripts:modules/composites.js');
+
+// --- 1. CONSTANTS ---
+
+var DISTURBANCE_BANDS = ['loss_year', 'loss_magnitude', 'loss_duration', 'pre_slope', 'post_slope',
+                         'recovery_rate', 'n_segments', 'fit_rmse'];
+
+// Indices that increase when vegetation is lost (moisture stress, tasseled-cap brightness).
+var INCREASE_IS_LOSS = ['MSI', 'TCB'];
+
+// LandTrendr fits losses as increases, so other bands are multiplied by -1 before the fit.
+var lossSign = function(bandName) {
+  return INCREASE_IS_LOSS.indexOf(bandName) !== -1 ? 1 : -1;
+};
+
+// --- 2. SEGMENTATION ---
+
+// LandTrendr output ('LandTrendr' array: rows year, source, fitted, is-vertex; and 'rmse') for
+// one band of yearly composites, in the loss-positive orientation of lossSign(bandName).
+var segmentation = function(yearly, bandName, cfg) {
+  var sign = lossSign(bandName);
+  var timeSeries = yearly.map(function(image) {
+    // Years without images, or without an unmasked pixel, are not observations.
+    var hasData = ee.Number(image.get('num_images_in_composite')).gt(0).and(ee.Number(ee.Algorithms.If(
+      image.propertyNames().contains('has_data_in_polygons'), image.get('has_data_in_polygons'), 1)));
+    return image.select(bandName).multiply(sign).toFloat()
+      .updateMask(ee.Image.constant(hasData))
+      .set('system:time_start', image.get('system:time_start'));
+  });
+  var settings = cfg.disturbance;
+  return ee.Algorithms.TemporalSegmentation.LandTrendr({
+    timeSeries: timeSeries,
+    maxSegments: settings.maxSegments,
+    spikeThreshold: settings.spikeThreshold,
+    vertexCountOvershoot: 3,
+    preventOneYearRecovery: true,
+    recoveryThreshold: settings.recoveryThreshold,
+    pvalThreshold: settings.pvalThreshold,
+    bestModelProportion: 0.75,
+    minObservationsNeeded: settings.minObservations
+  });
+};
+
+// Per-pixel segment table (array, one column per segment) with the rows
+// 0 start year, 1 end year, 2 loss (fitted, positive = loss), 3 duration, 4 slope (index units / year).
+var segmentTable = function(landTrendr, sign) {
+  var fit = landTrendr.select('LandTrendr');
+  var vertices = fit.arrayMask(fit.arraySlice(0, 3, 4));
+  var left = vertices.arraySlice(1, 0, -1);
+  var right = vertices.arraySlice(1, 1, null);
+  var startYear = left.arraySlice(0, 0, 1);
+  var endYear = right.arraySlice(0, 0, 1);
+  var loss = right.arraySlice(0, 2, 3).subtract(left.arraySlice(0, 2, 3));
+  var duration = endYear.subtract(startYear);
+  var slope = loss.multiply(sign).divide(duration);
+  return ee.Image.cat([startYear, endYear, loss, duration, slope]).toArray(0);
+};
+
+// --- 3. GREATEST LOSS ---
+
+// Disturbance metrics (DISTURBANCE_BANDS) of the greatest-loss segment of one band of yearly
+// composites (composites.yearlyIndexComposites / yearlySarComposites).
+var greatestLoss = function(yearly, bandName, cfg) {
+  var sign = lossSign(bandName);
+  var landTrendr = segmentation(yearly, bandName, cfg);
+  var segments = segmentTable(landTrendr, sign);
+
+  var nSegments = segments.arrayLength(1);
+  var lossColumn = segments.arraySlice(0, 2, 3).arrayArgmax().arrayGet([1]);
+
+  // Value of one row of the segment table, offset columns from the greatest-loss segment
+  // (masked when that segment does not exist).
+  var segmentValue = function(row, offset) {
+    var column = lossColumn.add(offset);
+    var exists = column.gte(0).and(column.lt(nSegments));
+    var position = ee.Image.cat([ee.Image.constant(row), column.max(0).min(nSegments.subtract(1))]).int();
+    return segments.arrayGet(position).updateMask(exists);
+  };
+
+  var lossMagnitude = segmentValue(2, 0);
+  var postSlope = segmentValue(4, 1);
+  var metrics = ee.Image.cat([
+    segmentValue(0, 0).add(1).rename('loss_year'),
+    lossMagnitude.rename('loss_magnitude'),
+    segmentValue(3, 0).rename('loss_duration'),
+    segmentValue(4, -1).rename('pre_slope'),
+    postSlope.rename('post_slope'),
+    postSlope.multiply(-sign).divide(lossMagnitude).rename('recovery_rate'),
+    nSegments.rename('n_segments'),
+    landTrendr.select('rmse').rename('fit_rmse')
+  ]).toFloat();
+
+  return metrics.updateMask(nSegments.gt(0).and(lossMagnitude.gte(cfg.disturbance.minLossMagnitude)));
+};
+
+// --- 4. PER-POLYGON DISTURBED AREA ---
+
+// Area (hectares) whose greatest loss falls in each analysis year, per polygon: one feature per
+// polygon and year with 'polygon_id_prop', 'year', 'disturbed_area_ha' and 'polygon_area_ha'.
+var disturbedArea = function(disturbance, polygons, cfg) {
+  var years = config.yearsList(cfg);
+  var bandNames = years.map(function(year) { return 'area_' + year; });
+  var lossYear = disturbance.select('loss_year');
+  var hectares = ee.Image.pixelArea().divide(1e4);
+  var areaByYear = ee.Image.cat(years.map(function(year, i) {
+    return hectares.multiply(lossYear.eq(year).unmask(0)).rename(bandNames[i]);
+  }));
+
+  var sums = areaByYear.reduceRegions({
+    collection: polygons,
+    reducer: ee.Reducer.sum().forEach(bandNames),
+    scale: cfg.scale,
+    tileScale: 4
+  });
+
+  return sums.map(function(f) {
+    var polygonArea = f.geometry().area(1).divide(1e4);
+    return ee.FeatureCollection(years.map(function(year, i) {
+      return ee.Feature(null, {
+        'polygon_id_prop': composites.polygonId(f, cfg),
+        'year': year,
+        'disturbed_area_ha': f.get(bandNames[i]),
+        'polygon_area_ha': polygonArea
+      });
+    }));
+  }).flatten();
+};
+
+exports.DISTURBANCE_BANDS = DISTURBANCE_BANDS;
+exports.INCREASE_IS_LOSS = INCREASE_IS_LOSS;
+exports.segmentation = segmentation;
+exports.greatestLoss = greatestLoss;
+exports.disturbedArea = disturbedArea;
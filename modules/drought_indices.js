@@ -0,0 +1,248 @@
+// Google Earth Engine Module: Drought Indices (SPI and SPEI)
+// This module computes the Standardized Precipitation Index (SPI) and the Standardized
+// Precipitation-Evapotranspiration Index (SPEI) per pixel at several accumulation scales
+// (1, 3, 6 and 12 months by default). For a target year and reference month, each index
+// accumulates the N months ending with that month and standardizes it against the same
+// N-month window of every baseline year:
+//   SPI  - precipitation sum, gamma distribution fitted with the Thom (1958) maximum-likelihood
+//          approximation; zero-precipitation years enter as a point mass (q + (1 - q) * G(x)).
+//   SPEI - climatic water balance (precipitation minus PET), 3-parameter log-logistic
+//          distribution fitted with probability-weighted moments (Vicente-Serrano et al. 2010).
+// The fitted cumulative probability is converted to a standard normal deviate, so both indices
+// read as standard deviations (< -1 moderately dry, < -1.5 severely dry, < -2 extremely dry).
+// Baseline years whose N-month window is not fully inside baselineStart/baselineEnd are dropped.
+//
+// Sources:
+//   precipSource - 'CHIRPS' (UCSB-CHG/CHIRPS/DAILY 'precipitation') or 'GRIDMET' (IDAHO_EPSCOR/GRIDMET 'pr')
+//   petBand      - GRIDMET 'pet' (grass reference ET) or 'etr' (alfalfa reference ET)
+//
+// Usage (Code Editor):
+//   var droughtIndices = require('users/paularellano/GEE_scripts:modules/drought_indices.js');
+//   var options = droughtIndices.buildOptions({baselineStart: '1981-01-01', baselineEnd: '2022-12-31'}, cfg);
+//   var drought2024 = droughtIndices.droughtStack(2024, options); // SPI_1 ... SPEI_12
+//
+// By: Paul Arellan - Paul Gee
+// Email: paul.arellano@nau.edu
+//
+
+// --- 1. SOURCES AND DEFAULTS ---
+
+var PRECIP_SOURCES = {
+  CHIRPS: {collection: 'UCSB-CHG/CHIRPS/DAILY', band: 'precipitation', scale: 5500},
+  GRIDMET: {collection: 'IDAHO_EPSCOR/GRIDMET', band: 'pr', scale: 4000}
+};
+
+var PET_COLLECTION = 'IDAHO_EPSCOR/GRIDMET';
+var PET_BANDS = ['pet', 'etr'];
+
+// referenceMonth defaults to the last month of cfg.season (see buildOptions()).
+var DEFAULT_OPTIONS = {
+  precipSource: 'CHIRPS',
+  petBand: 'pet',
+  scales: [1, 3, 6, 12],
+  baselineStart: '1981-01-01',
+  baselineEnd: '2022-12-31',
+  referenceMonth: null,
+  minProbability: 0.0001  // Probabilities are clamped to [min, 1 - min] (|index| <= 3.72)
+};
+
+// --- 2. HELPERS ---
+
+// Last month covered by a config season (the season end date is exclusive).
+var seasonEndMonth = function(season) {
+  if (season.endDay === 1) {
+    return season.endMonth === 1 ? 12 : season.endMonth - 1;
+  }
+  return season.endMonth;
+};
+
+// Sum of a daily band over the `months` months ending with `month` of `year`, as band 'value'.
+var accumulate = function(collectionId, band, year, month, months) {
+  var end = ee.Date.fromYMD(year, month, 1).advance(1, 'month');
+  var start = end.advance(-months, 'month');
+  return ee.ImageCollection(collectionId)
+    .filterDate(start, end)
+    .select(band)
+    .sum()
+    .rename('value')
+    .toFloat()
+    .set({'year': year, 'system:time_start': start.millis(), 'system:time_end': end.millis()});
+};
+
+var precipitation = function(options, year, months) {
+  var source = PRECIP_SOURCES[options.precipSource];
+  return accumulate(source.collection, source.band, year, options.referenceMonth, months);
+};
+
+// Climatic water balance (precipitation minus PET, mm).
+var waterBalance = function(options, year, months) {
+  var pet = accumulate(PET_COLLECTION, options.petBand, year, options.referenceMonth, months);
+  return ee.Image(precipitation(options, year, months).subtract(pet)
+    .copyProperties(pet, ['year', 'system:time_start', 'system:time_end']));
+};
+
+// One image per baseline year whose accumulation window lies inside the baseline period.
+var baselineSample = function(valueForYear, options) {
+  var years = ee.List.sequence(ee.Date(options.baselineStart).get('year'), ee.Date(options.baselineEnd).get('year'));
+  return ee.ImageCollection.fromImages(years.map(valueForYear))
+    .filter(ee.Filter.gte('system:time_start', ee.Date(options.baselineStart).millis()))
+    .filter(ee.Filter.lte('system:time_end', ee.Date(options.baselineEnd).advance(1, 'day').millis()));
+};
+
+// Cumulative probability -> standard normal deviate.
+var toStandardNormal = function(probability, minProbability) {
+  var p = probability.max(minProbability).min(1 - minProbability);
+  return p.multiply(2).subtract(1).erfInv().multiply(Math.SQRT2);
+};
+
+// --- 3. DISTRIBUTION FITS ---
+
+// Gamma CDF of target, fitted to the non-zero baseline values (Thom 1958), mixed with the
+// probability of zero.
+var gammaProbability = function(sample, target) {
+  var positive = sample.map(function(image) {
+    return image.updateMask(image.gt(0));
+  });
+  var mean = positive.mean();
+  var a = mean.log().subtract(positive.map(function(image) {
+    return image.log();
+  }).mean());
+  var shape = a.multiply(4 / 3).add(1).sqrt().add(1).divide(a.multiply(4));
+  var scale = mean.divide(shape);
+  var zeroFraction = sample.map(function(image) {
+    return image.eq(0);
+  }).mean();
+
+  // gammainc(x, a) is the regularized lower incomplete gamma function P(a, x).
+  var gammaCdf = target.max(0).divide(scale).gammainc(shape);
+  return zeroFraction.add(ee.Image(1).subtract(zeroFraction).multiply(gammaCdf));
+};
+
+// 3-parameter log-logistic CDF of target, fitted with probability-weighted moments
+// w_s = mean((1 - F_i)^s * x_i), F_i = (rank_i - 0.35) / N.
+var logLogisticProbability = function(sample, target) {
+  var n = sample.count();
+  var weighted = sample.map(function(image) {
+    var rank = sample.map(function(other) {
+      return other.lt(image);
+    }).sum().add(1);
+    var exceedance = ee.Image(1).subtract(rank.subtract(0.35).divide(n));
+    return image.addBands(image.multiply(exceedance))
+      .addBands(image.multiply(exceedance.pow(2)))
+      .rename(['w0', 'w1', 'w2']);
+  }).mean();
+  var w0 = weighted.select('w0');
+  var w1 = weighted.select('w1');
+  var w2 = weighted.select('w2');
+
+  var shape = w1.multiply(2).subtract(w0)
+    .divide(w1.multiply(6).subtract(w0).subtract(w2.multiply(6)));
+  var gammaTerms = ee.Image(1).add(ee.Image(1).divide(shape)).gamma()
+    .multiply(ee.Image(1).subtract(ee.Image(1).divide(shape)).gamma());
+  var scale = w0.subtract(w1.multiply(2)).multiply(shape).divide(gammaTerms);
+  var origin = w0.subtract(scale.multiply(gammaTerms));
+
+  var probability = ee.Image(1).divide(
+    ee.Image(1).add(scale.divide(target.subtract(origin)).pow(shape))
+  );
+  // Below the location parameter the CDF is zero.
+  return probability.where(target.lte(origin), 0);
+};
+
+// --- 4. PUBLIC API ---
+
+// Merges overrides into DEFAULT_OPTIONS and validates them. referenceMonth defaults to the
+// last month of cfg.season.
+var buildOptions = function(overrides, cfg) {
+  var options = {};
+  Object.keys(DEFAULT_OPTIONS).forEach(function(key) {
+    options[key] = DEFAULT_OPTIONS[key];
+  });
+  Object.keys(overrides || {}).forEach(function(key) {
+    if (!DEFAULT_OPTIONS.hasOwnProperty(key)) {
+      throw new Error('Unknown drought index option "' + key + '".');
+    }
+    options[key] = overrides[key];
+  });
+  if (options.referenceMonth === null) {
+    options.referenceMonth = seasonEndMonth(cfg.season);
+  }
+
+  if (!PRECIP_SOURCES.hasOwnProperty(options.precipSource)) {
+    throw new Error('precipSource must be one of: ' + Object.keys(PRECIP_SOURCES).join(', '));
+  }
+  if (PET_BANDS.indexOf(options.petBand) === -1) {
+    throw new Error('petBand must be one of: ' + PET_BANDS.join(', '));
+  }
+  if (!Array.isArray(options.scales) || options.scales.length === 0) {
+    throw new Error('scales must be a non-empty list of accumulation periods in months.');
+  }
+  options.scales.forEach(function(months) {
+    if (months !== Math.floor(months) || months < 1 || months > 48) {
+      throw new Error('Accumulation scale must be a whole number of months between 1 and 48, got ' + months + '.');
+    }
+  });
+  if (options.referenceMonth !== Math.floor(options.referenceMonth) || options.referenceMonth < 1 || options.referenceMonth > 12) {
+    throw new Error('referenceMonth must be a month number (1-12).');
+  }
+  return options;
+};
+
+// SPI over the `months` months ending with options.referenceMonth of `year` (band 'SPI_<months>').
+var spi = function(year, months, options) {
+  var sample = baselineSample(function(y) {
+    return precipitation(options, y, months);
+  }, options);
+  var probability = gammaProbability(sample, precipitation(options, year, months));
+  return toStandardNormal(probability, options.minProbability)
+    .rename('SPI_' + months);
+};
+
+// SPEI over the `months` months ending with options.referenceMonth of `year` (band 'SPEI_<months>').
+var spei = function(year, months, options) {
+  var sample = baselineSample(function(y) {
+    return waterBalance(options, y, months);
+  }, options);
+  var probability = logLogisticProbability(sample, waterBalance(options, year, months));
+  return toStandardNormal(probability, options.minProbability)
+    .rename('SPEI_' + months);
+};
+
+// Band names of droughtStack(), e.g. ['SPI_1', ..., 'SPEI_12'].
+var bandNames = function(options) {
+  var spiBands = options.scales.map(function(months) {
+    return 'SPI_' + months;
+  });
+  var speiBands = options.scales.map(function(months) {
+    return 'SPEI_' + months;
+  });
+  return spiBands.concat(speiBands);
+};
+
+// Multi-band float image with SPI and SPEI at every accumulation scale for one target year.
+var droughtStack = function(year, options) {
+  var bands = options.scales.map(function(months) {
+    return spi(year, months, options);
+  }).concat(options.scales.map(function(months) {
+    return spei(year, months, options);
+  }));
+  return ee.Image(bands).toFloat().set({
+    'year': year,
+    'reference_month': options.referenceMonth,
+    'precip_source': options.precipSource,
+    'pet_band': options.petBand,
+    'baseline_start': options.baselineStart,
+    'baseline_end': options.baselineEnd,
+    'units': 'standard deviations'
+  });
+};
+
+exports.PRECIP_SOURCES = PRECIP_SOURCES;
+exports.PET_COLLECTION = PET_COLLECTION;
+exports.PET_BANDS = PET_BANDS;
+exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+exports.buildOptions = buildOptions;
+exports.spi = spi;
+exports.spei = spei;
+exports.bandNames = bandNames;
+exports.droughtStack = droughtStack;
@@ -0,0 +1,187 @@
+// Google Earth Engine Module: Optical-SAR Fusion and Joint Change Score
+// This module compares the Sentinel-2 index composites (composites.yearlyIndexComposites) with
+// the Sentinel-1 composites (composites.yearlySarComposites) over the same polygons:
+//   - alignComposites(): one optical and one SAR band per year on a common grid
+//     (cfg.fusion.crs at cfg.scale, 10 m inputs averaged into each cell).
+//   - pixelChangeScore(): per-pixel agreement, change score and confidence.
+//   - polygonAgreement(): the same per polygon, from the polygon's yearly means.
+// Both sensors are compared through Sen's slope and the Mann-Kendall test (modules/trend_stats.js):
+//   change_score - mean of the two relative Sen's slopes (slope / mean level), in % per year,
+//                  with the sign flipped so that positive = decline
+//   agreement    - AGREEMENT_CLASSES: 'stable', 'both_decline', 'both_increase', 'divergent'
+//                  (opposite signs); per polygon also 'insufficient_years'
+//   confidence   - CONFIDENCE_CLASSES: 'none'; 'low' (both decline but neither significantly,
+//                  or one declines significantly without the other declining); 'medium' (both
+//                  decline, one significantly); 'high' (both decline significantly)
+// Images hold the class indices of AGREEMENT_CLASSES / CONFIDENCE_CLASSES; tables hold the names.
+//
+// Usage (Code Editor):
+//   var fusion = require('users/paularellano/GEE_scripts:modules/fusion.js');
+//   var fused = fusion.alignComposites(yearlyNDVI, 'NDVI', yearlyRVI, 'RVI', cfg);
+//   var scored = polygons.map(function(f) { return fusion.polygonAgreement(f, fused, 'NDVI', 'RVI', cfg); });
+//
+// By: Paul Arellan - Paul Gee
+// Email: paul.arellano@nau.edu
+//
+
+var composites = require('users/paularellano/GEE_scripts:modules/composites.js');
+var trendStatistics = require('users/paularellano/GEE_scripts:modules/trend_stats.js');
+
+// --- 1. CONSTANTS ---
+
+var AGREEMENT_CLASSES = ['stable', 'both_decline', 'both_increase', 'divergent'];
+var CONFIDENCE_CLASSES = ['none', 'low', 'medium', 'high'];
+
+// Pixel size (m) of the Sentinel-2 10 m bands and the Sentinel-1 GRD product.
+var SOURCE_SCALE = 10;
+
+// Smallest mean level used to turn a slope into a relative slope (avoids dividing by ~0).
+var MIN_LEVEL = 1e-6;
+
+// --- 2. COMMON GRID ---
+
+// Resamples one composite band to cfg.fusion.crs at cfg.scale, averaging the 10 m pixels.
+var toGrid = function(image, cfg) {
+  var grid = ee.Projection(cfg.fusion.crs);
+  return image
+    .setDefaultProjection(grid.atScale(SOURCE_SCALE))
+    .reduceResolution({reducer: ee.Reducer.mean(), maxPixels: 1024})
+    .reproject(grid.atScale(cfg.scale));
+};
+
+// One image per analysis year with opticalBand and sarBand on the common grid, 'year',
+// 'system:time_start' and the two composites' image counts ('num_images_optical', 'num_images_sar').
+var alignComposites = function(yearlyOptical, opticalBand, yearlySar, sarBand, cfg) {
+  return yearlyOptical.map(function(optical) {
+    var sar = ee.Image(yearlySar.filter(ee.Filter.eq('year', optical.get('year'))).first());
+    return ee.Image.cat([
+      toGrid(optical.select(opticalBand), cfg),
+      toGrid(sar.select(sarBand), cfg)
+    ]).set({
+      'year': optical.get('year'),
+      'system:time_start': optical.get('system:time_start'),
+      'num_images_optical': optical.get('num_images_in_composite'),
+      'num_images_sar': sar.get('num_images_in_composite')
+    });
+  });
+};
+
+// --- 3. PER-PIXEL SCORE ---
+
+// Per-pixel 'change_score', 'agreement' and 'confidence' (class indices) of aligned composites.
+var pixelChangeScore = function(fused, opticalBand, sarBand, cfg) {
+  var sensor = function(band) {
+    var trend = trendStatistics.pixelTrend(fused, band, cfg.trendAlpha, cfg.minTrendYears);
+    var level = fused.select(band).mean().abs().max(MIN_LEVEL);
+    return {
+      slope: trend.select('sen_slope'),
+      relative: trend.select('sen_slope').divide(level),
+      significant: trend.select('sig_decline').unmask(0).eq(1)
+    };
+  };
+  var optical = sensor(opticalBand);
+  var sar = sensor(sarBand);
+
+  var changeScore = optical.relative.add(sar.relative).divide(2).multiply(-100).rename('change_score');
+  var bothDecline = optical.slope.lt(0).and(sar.slope.lt(0));
+  var agreement = ee.Image(0)
+    .where(bothDecline, 1)
+    .where(optical.slope.gt(0).and(sar.slope.gt(0)), 2)
+    .where(optical.slope.multiply(sar.slope).lt(0), 3)
+    .rename('agreement');
+  var anySignificant = optical.significant.or(sar.significant);
+  var confidence = ee.Image(0)
+    .where(bothDecline.or(anySignificant), 1)
+    .where(bothDecline.and(anySignificant), 2)
+    .where(optical.significant.and(sar.significant), 3)
+    .rename('confidence');
+  return ee.Image.cat([changeScore, agreement, confidence])
+    .updateMask(optical.slope.mask().and(sar.slope.mask()))
+    .toFloat();
+};
+
+// --- 4. PER-POLYGON AGREEMENT ---
+
+// Trend statistics (trendStatistics.seriesTrend) of one band's yearly polygon means, plus 'level'
+// (mean of the yearly values).
+var sensorTrend = function(fused, bandName, feature, cfg) {
+  var series = composites.polygonSeries(fused, bandName, feature, cfg);
+  return trendStatistics.seriesTrend(series, 'year', 'index_y', cfg.minTrendYears, cfg.trendAlpha)
+    .set('level', series.aggregate_mean('index_y'));
+};
+
+// Table columns written by polygonAgreement(), e.g. 'NDVI_sen_slope', ..., 'confidence'.
+var fusionColumns = function(opticalBand, sarBand) {
+  var sensorColumns = function(band) {
+    return [band + '_sen_slope', band + '_mk_p', band + '_relative_slope'];
+  };
+  return sensorColumns(opticalBand).concat(sensorColumns(sarBand), ['change_score', 'agreement', 'confidence']);
+};
+
+// Copies the fusion statistics of one polygon onto the feature (fusionColumns()), with
+// 'polygon_id_prop'. Polygons with fewer than cfg.minTrendYears yearly values in either sensor
+// get agreement 'insufficient_years' and no score.
+var polygonAgreement = function(feature, fused, opticalBand, sarBand, cfg) {
+  var optical = sensorTrend(fused, opticalBand, feature, cfg);
+  var sar = sensorTrend(fused, sarBand, feature, cfg);
+  var hasBoth = ee.Number(optical.get('n_years')).gte(cfg.minTrendYears)
+    .and(ee.Number(sar.get('n_years')).gte(cfg.minTrendYears));
+
+  var relativeSlope = function(stats) {
+    return ee.Number(stats.get('sen_slope')).divide(ee.Number(stats.get('level')).abs().max(MIN_LEVEL));
+  };
+  var isSignificant = function(stats) {
+    return ee.Number(ee.Algorithms.If(stats.get('sig_decline'), stats.get('sig_decline'), 0)).eq(1);
+  };
+
+  var scored = function() {
+    var opticalSlope = ee.Number(optical.get('sen_slope'));
+    var sarSlope = ee.Number(sar.get('sen_slope'));
+    var bothDecline = opticalSlope.lt(0).and(sarSlope.lt(0));
+    var opticalSignificant = isSignificant(optical);
+    var sarSignificant = isSignificant(sar);
+    var anySignificant = opticalSignificant.or(sarSignificant);
+
+    var agreement = ee.Algorithms.If(bothDecline, 'both_decline',
+      ee.Algorithms.If(opticalSlope.gt(0).and(sarSlope.gt(0)), 'both_increase',
+        ee.Algorithms.If(opticalSlope.multiply(sarSlope).lt(0), 'divergent', 'stable')));
+    var confidence = ee.Algorithms.If(opticalSignificant.and(sarSignificant), 'high',
+      ee.Algorithms.If(bothDecline.and(anySignificant), 'medium',
+        ee.Algorithms.If(bothDecline.or(anySignificant), 'low', 'none')));
+    return ee.Dictionary({
+      'opticalRelative': relativeSlope(optical),
+      'sarRelative': relativeSlope(sar),
+      'change_score': relativeSlope(optical).add(relativeSlope(sar)).divide(2).multiply(-100),
+      'agreement': agreement,
+      'confidence': confidence
+    });
+  };
+  var result = ee.Dictionary(ee.Algorithms.If(hasBoth, scored(), ee.Dictionary({
+    'opticalRelative': null,
+    'sarRelative': null,
+    'change_score': null,
+    'agreement': 'insufficient_years',
+    'confidence': 'none'
+  })));
+
+  var properties = {
+    'polygon_id_prop': composites.polygonId(feature, cfg),
+    'change_score': result.get('change_score'),
+    'agreement': result.get('agreement'),
+    'confidence': result.get('confidence')
+  };
+  properties[opticalBand + '_sen_slope'] = optical.get('sen_slope');
+  properties[opticalBand + '_mk_p'] = optical.get('mk_p');
+  properties[opticalBand + '_relative_slope'] = result.get('opticalRelative');
+  properties[sarBand + '_sen_slope'] = sar.get('sen_slope');
+  properties[sarBand + '_mk_p'] = sar.get('mk_p');
+  properties[sarBand + '_relative_slope'] = result.get('sarRelative');
+  return feature.set(properties);
+};
+
+exports.AGREEMENT_CLASSES = AGREEMENT_CLASSES;
+exports.CONFIDENCE_CLASSES = CONFIDENCE_CLASSES;
+exports.alignComposites = alignComposites;
+exports.pixelChangeScore = pixelChangeScore;
+exports.fusionColumns = fusionColumns;
+exports.polygonAgreement = polygonAgreement;
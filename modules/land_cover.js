@@ -0,0 +1,143 @@
+// Google Earth Engine Module: Tree Canopy (Forest) Mask
+// USFS priority polygons are about forest, but they also hold roads, meadows, bare rock and
+// water. This module builds an optional tree canopy mask that the yearly composites apply to
+// every image before compositing (modules/composites.js), so the index and SAR trends and the
+// per-polygon means only see tree-covered pixels. Per-polygon outputs report the share of each
+// polygon outside the mask as 'masked_area_fraction'.
+//
+// Sources (cfg.landCover.source):
+//   'NONE'          - no mask (every pixel is kept).
+//   'NLCD'          - USFS/NLCD Tree Canopy Cover (USGS/NLCD_RELEASES/2021_REL/TCC/v2021-4, CONUS),
+//                     canopy % >= canopyThreshold in the release year closest to startYear.
+//   'WORLDCOVER'    - ESA WorldCover 2021 (ESA/WorldCover/v200), classes in worldCoverClasses
+//                     (default: 10 tree cover). canopyThreshold is not used.
+//   'DYNAMIC_WORLD' - Dynamic World (GOOGLE/DYNAMICWORLD/V1), mean 'trees' probability (%) of the
+//                     first analysis season >= canopyThreshold.
+//   'HANSEN'        - Hansen Global Forest Change (UMD/hansen/global_forest_change_2023_v1_11),
+//                     treecover2000 >= canopyThreshold, minus the pixels lost before startYear.
+// Every source describes the canopy at (or before) the first analysis year, so loss during the
+// analysis years stays inside the mask and shows up in the trends.
+//
+// Usage (Code Editor):
+//   var landCover = require('users/paularellano/GEE_scripts:modules/land_cover.js');
+//   var cfg = config.build({landCover: {source: 'HANSEN', canopyThreshold: 25}});
+//   var forestOnly = landCover.maskCollection(indexCollection, cfg, studyArea);
+//
+// By: Paul Arellan - Paul Gee
+// Email: paul.arellano@nau.edu
+//
+
+var config = require('users/paularellano/GEE_scripts:modules/config.js');
+
+var SOURCES = ['NONE', 'NLCD', 'WORLDCOVER', 'DYNAMIC_WORLD', 'HANSEN'];
+
+var NLCD_COLLECTION = 'USGS/NLCD_RELEASES/2021_REL/TCC/v2021-4';
+var NLCD_YEARS = [2011, 2021]; // First and last yearly release of the canopy cover
+var WORLDCOVER_COLLECTION = 'ESA/WorldCover/v200';
+var DYNAMIC_WORLD_COLLECTION = 'GOOGLE/DYNAMICWORLD/V1';
+var HANSEN_IMAGE = 'UMD/hansen/global_forest_change_2023_v1_11';
+
+// Collection or image ID read by each source.
+var SOURCE_IDS = {
+  NLCD: NLCD_COLLECTION,
+  WORLDCOVER: WORLDCOVER_COLLECTION,
+  DYNAMIC_WORLD: DYNAMIC_WORLD_COLLECTION,
+  HANSEN: HANSEN_IMAGE
+};
+
+// --- 1. CANOPY PER SOURCE (1 = tree canopy, 0 = other cover) ---
+
+var nlcdCanopy = function(cfg, region) {
+  var year = Math.min(Math.max(cfg.startYear, NLCD_YEARS[0]), NLCD_YEARS[1]);
+  return ee.ImageCollection(NLCD_COLLECTION)
+    .filterDate(ee.Date.fromYMD(year, 1, 1), ee.Date.fromYMD(year + 1, 1, 1))
+    .filterBounds(region)
+    .select('NLCD_Percent_Tree_Canopy_Cover')
+    .mosaic()
+    .gte(cfg.landCover.canopyThreshold);
+};
+
+var worldCoverCanopy = function(cfg, region) {
+  // remap() sends the listed classes to 1 and everything else to the default value 0.
+  var classes = cfg.landCover.worldCoverClasses;
+  var ones = classes.map(function() { return 1; });
+  return ee.ImageCollection(WORLDCOVER_COLLECTION).filterBounds(region).select('Map').mosaic()
+    .remap(classes, ones, 0);
+};
+
+var dynamicWorldCanopy = function(cfg, region) {
+  var season = config.seasonRange(cfg, cfg.startYear);
+  return ee.ImageCollection(DYNAMIC_WORLD_COLLECTION)
+    .filterBounds(region)
+    .filterDate(season.start, season.end)
+    .select('trees')
+    .mean()
+    .multiply(100)
+    .gte(cfg.landCover.canopyThreshold);
+};
+
+var hansenCanopy = function(cfg) {
+  var hansen = ee.Image(HANSEN_IMAGE);
+  // lossyear is the year of loss minus 2000 (0 = no loss).
+  var lostBefore = hansen.select('lossyear').gt(0).and(hansen.select('lossyear').lt(cfg.startYear - 2000));
+  return hansen.select('treecover2000').gte(cfg.landCover.canopyThreshold).and(lostBefore.not());
+};
+
+var CANOPY = {
+  NLCD: nlcdCanopy,
+  WORLDCOVER: worldCoverCanopy,
+  DYNAMIC_WORLD: dynamicWorldCanopy,
+  HANSEN: hansenCanopy
+};
+
+// --- 2. PUBLIC API ---
+
+var isEnabled = function(cfg) {
+  return cfg.landCover.source !== 'NONE';
+};
+
+// Tree canopy mask of cfg.landCover ('tree_mask': 1 = kept, 0 = masked out), unmasked everywhere so
+// pixels without land-cover data count as masked out. All ones when the source is 'NONE'.
+var treeMask = function(cfg, region) {
+  if (!isEnabled(cfg)) {
+    return ee.Image.constant(1).rename('tree_mask');
+  }
+  return CANOPY[cfg.landCover.source](cfg, region).unmask(0).rename('tree_mask').toByte();
+};
+
+// Masks every image of collection outside the tree canopy; returned unchanged when the source
+// is 'NONE'.
+var maskCollection = function(collection, cfg, region) {
+  if (!isEnabled(cfg)) {
+    return collection;
+  }
+  var mask = treeMask(cfg, region);
+  return collection.map(function(image) {
+    return image.updateMask(mask);
+  });
+};
+
+// Collection/image IDs read by the mask (empty for 'NONE'), for the run manifest.
+var collectionIds = function(cfg) {
+  return isEnabled(cfg) ? [SOURCE_IDS[cfg.landCover.source]] : [];
+};
+
+// Short description of the mask for reports, e.g. 'HANSEN, canopy >= 25%'.
+var describe = function(cfg) {
+  var lc = cfg.landCover;
+  if (lc.source === 'NONE') {
+    return 'NONE';
+  }
+  if (lc.source === 'WORLDCOVER') {
+    return 'WORLDCOVER, classes ' + lc.worldCoverClasses.join(',');
+  }
+  return lc.source + ', canopy >= ' + lc.canopyThreshold + '%';
+};
+
+exports.SOURCES = SOURCES;
+exports.SOURCE_IDS = SOURCE_IDS;
+exports.isEnabled = isEnabled;
+exports.treeMask = treeMask;
+exports.maskCollection = maskCollection;
+exports.collectionIds = collectionIds;
+exports.describe = describe;
@@ -0,0 +1,148 @@
+// Google Earth Engine Module: Harmonized Landsat 5/7/8/9 Collection 2 Level-2
+// This module loads Landsat Collection 2 Level-2 surface reflectance so NDVI (and the other
+// spectral indices) can be extended before the Sentinel-2 record. Images are:
+//   1. Scaled to reflectance (SR_B* * 0.0000275 - 0.2).
+//   2. Masked with QA_PIXEL (fill, dilated cloud, cirrus, cloud, cloud shadow and, optionally,
+//      snow) and QA_RADSAT (saturated pixels).
+//   3. Renamed to the Sentinel-2 band names used by modules/spectral_indices.js
+//      (B2 blue, B3 green, B4 red, B8/B8A NIR, B11 SWIR1, B12 SWIR2).
+//   4. Harmonized to Sentinel-2 MSI reflectance (optional): TM/ETM+ are first adjusted to OLI
+//      with the Roy et al. (2016) OLS coefficients, then OLI is adjusted to MSI by inverting the
+//      HLS MSI-to-OLI bandpass adjustment (Claverie et al. 2018).
+// Every image gets a 'sensor' property (SPACECRAFT_ID, e.g. 'LANDSAT_7') so yearly composites
+// can record which sensors contributed.
+//
+// Red-edge bands do not exist on Landsat, so the NDRE indices cannot be computed from it.
+//
+// Usage (Code Editor):
+//   var landsat = require('users/paularellano/GEE_scripts:modules/landsat.js');
+//   var ls = landsat.loadCollection(studyArea, startDate, endDate, cfg.landsat);
+//
+// By: Paul Arellan - Paul Gee
+// Email: paul.arellano@nau.edu
+//
+
+// --- 1. COLLECTIONS AND BAND MAPPINGS ---
+
+var COLLECTIONS = {
+  LT05: 'LANDSAT/LT05/C02/T1_L2',
+  LE07: 'LANDSAT/LE07/C02/T1_L2',
+  LC08: 'LANDSAT/LC08/C02/T1_L2',
+  LC09: 'LANDSAT/LC09/C02/T1_L2'
+};
+
+// Source bands in the order of OUTPUT_BANDS (blue, green, red, NIR, SWIR1, SWIR2).
+var TM_ETM_BANDS = ['SR_B1', 'SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B7'];
+var OLI_BANDS = ['SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B6', 'SR_B7'];
+var OUTPUT_BANDS = ['B2', 'B3', 'B4', 'B8', 'B11', 'B12'];
+
+var SOURCE_BANDS = {
+  LT05: TM_ETM_BANDS,
+  LE07: TM_ETM_BANDS,
+  LC08: OLI_BANDS,
+  LC09: OLI_BANDS
+};
+
+// Indices in modules/spectral_indices.js that need bands Landsat does not have.
+var UNSUPPORTED_INDICES = ['NDRE1', 'NDRE2', 'NDRE3'];
+
+// --- 2. HARMONIZATION COEFFICIENTS (reflectance 0-1, OUTPUT_BANDS order) ---
+
+// TM/ETM+ -> OLI, Roy et al. (2016), Table 2 OLS.
+var ETM_TO_OLI = {
+  slopes: [0.8474, 0.8483, 0.9047, 0.8462, 0.8937, 0.9071],
+  intercepts: [0.0003, 0.0088, 0.0061, 0.0412, 0.0254, 0.0172]
+};
+
+// MSI -> OLI bandpass adjustment from HLS (Claverie et al. 2018): OLI = slope * MSI + offset.
+// Applied inverted here to bring OLI to MSI.
+var MSI_TO_OLI = {
+  slopes: [0.9778, 1.0053, 0.9765, 0.9983, 0.9987, 1.003],
+  offsets: [-0.004, -0.0009, 0.0009, -0.0001, -0.0011, -0.0012]
+};
+
+// --- 3. PER-IMAGE PREPARATION ---
+
+// QA_PIXEL bits: 0 fill, 1 dilated cloud, 2 cirrus, 3 cloud, 4 cloud shadow, 5 snow.
+var qaMask = function(image, maskSnow) {
+  var qa = image.select('QA_PIXEL');
+  var bits = (1 << 0) | (1 << 1) | (1 << 2) | (1 << 3) | (1 << 4);
+  if (maskSnow) {
+    bits = bits | (1 << 5);
+  }
+  var clear = qa.bitwiseAnd(bits).eq(0);
+  var unsaturated = image.select('QA_RADSAT').eq(0);
+  return clear.and(unsaturated);
+};
+
+var etmToOli = function(image) {
+  return image.multiply(ee.Image.constant(ETM_TO_OLI.slopes))
+    .add(ee.Image.constant(ETM_TO_OLI.intercepts));
+};
+
+var oliToMsi = function(image) {
+  return image.subtract(ee.Image.constant(MSI_TO_OLI.offsets))
+    .divide(ee.Image.constant(MSI_TO_OLI.slopes));
+};
+
+// Scales, masks, renames and (optionally) harmonizes one Landsat image of the given sensor key.
+// 'source_id' keeps the scene's 'system:index' (e.g. 'LC08_037036_20230415') through the merges.
+var prepareImage = function(image, sensorKey, options) {
+  var reflectance = image.select(SOURCE_BANDS[sensorKey])
+    .multiply(0.0000275)
+    .add(-0.2)
+    .rename(OUTPUT_BANDS);
+
+  if (options.harmonize) {
+    if (sensorKey === 'LT05' || sensorKey === 'LE07') {
+      reflectance = etmToOli(reflectance);
+    }
+    reflectance = oliToMsi(reflectance).rename(OUTPUT_BANDS);
+  }
+
+  // Landsat has one NIR band; B8A duplicates it so the tasseled-cap coefficients apply.
+  reflectance = reflectance.addBands(reflectance.select(['B8'], ['B8A']));
+
+  return ee.Image(reflectance.updateMask(qaMask(image, options.maskSnow))
+    .copyProperties(image, ['system:time_start', 'system:time_end', 'system:index']))
+    .set('sensor', image.get('SPACECRAFT_ID'))
+    .set('source_id', image.get('system:index'))
+    .set('harmonized_to_msi', options.harmonize);
+};
+
+// --- 4. PUBLIC API ---
+
+// Throws if any requested spectral index needs bands Landsat does not provide.
+var checkIndices = function(indexNames) {
+  indexNames.forEach(function(name) {
+    if (UNSUPPORTED_INDICES.indexOf(name) !== -1) {
+      throw new Error('Spectral index "' + name + '" needs Sentinel-2 red-edge bands and cannot use the Landsat source.');
+    }
+  });
+  return indexNames;
+};
+
+// Loads, prepares and merges the Landsat sensors in options.sensors for a region and date range.
+var loadCollection = function(region, startDate, endDate, options) {
+  var merged = ee.ImageCollection([]);
+  options.sensors.forEach(function(sensorKey) {
+    if (!COLLECTIONS.hasOwnProperty(sensorKey)) {
+      throw new Error('Unknown Landsat sensor "' + sensorKey + '". Use one of: ' + Object.keys(COLLECTIONS).join(', '));
+    }
+    var prepared = ee.ImageCollection(COLLECTIONS[sensorKey])
+      .filterBounds(region)
+      .filterDate(startDate, endDate)
+      .map(function(image) {
+        return prepareImage(image, sensorKey, options);
+      });
+    merged = merged.merge(prepared);
+  });
+  return merged.sort('system:time_start');
+};
+
+exports.COLLECTIONS = COLLECTIONS;
+exports.OUTPUT_BANDS = OUTPUT_BANDS;
+exports.UNSUPPORTED_INDICES = UNSUPPORTED_INDICES;
+exports.prepareImage = prepareImage;
+exports.checkIndices = checkIndices;
+exports.loadCollection = loadCollection;
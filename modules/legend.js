@@ -0,0 +1,43 @@
+// Google Earth Engine Module: Map Legends
+// This module builds ui.Panel legends for continuous layers: a title, a color bar drawn from
+// the layer's palette and the min / mid / max values of its visualization parameters.
+//
+// Usage (Code Editor):
+//   var legend = require('users/paularellano/GEE_scripts:modules/legend.js');
+//   Map.add(legend.colorbar('Precipitation Anomaly (mm)', {min: -200, max: 200, palette: ['red', 'white', 'blue']}));
+//
+// By: Paul Arellan - Paul Gee
+// Email: paul.arellano@nau.edu
+//
+
+// Horizontal color bar of a palette (ui.Thumbnail of a 0-1 longitude ramp).
+var colorBar = function(palette) {
+  return ui.Thumbnail({
+    image: ee.Image.pixelLonLat().select(0),
+    params: {bbox: [0, 0, 1, 0.1], dimensions: '100x10', format: 'png', min: 0, max: 1, palette: palette},
+    style: {stretch: 'horizontal', margin: '0px 8px', maxHeight: '24px'}
+  });
+};
+
+// Legend panel for one layer. position defaults to 'bottom-left'.
+var colorbar = function(title, vis, position) {
+  var legendTitle = ui.Label({
+    value: title,
+    style: {fontWeight: 'bold', fontSize: '14px', margin: '0 0 4px 0', padding: '0'}
+  });
+  var labels = ui.Panel({
+    widgets: [
+      ui.Label(String(vis.min), {margin: '4px 8px'}),
+      ui.Label(String((vis.min + vis.max) / 2), {margin: '4px 8px', textAlign: 'center', stretch: 'horizontal'}),
+      ui.Label(String(vis.max), {margin: '4px 8px'})
+    ],
+    layout: ui.Panel.Layout.flow('horizontal')
+  });
+  return ui.Panel({
+    widgets: [legendTitle, colorBar(vis.palette), labels],
+    style: {position: position || 'bottom-left', padding: '8px 15px'}
+  });
+};
+
+exports.colorBar = colorBar;
+exports.colorbar = colorbar;
@@ -0,0 +1,194 @@
+// Google Earth Engine Module: Run Manifest
+// Every script (USFS change detection, climate anomalies, drought indices) exports a manifest
+// next to its results, so a GeoTIFF or table can be
+// reproduced months later from what the run actually used. The manifest is one row (CSV and
+// GeoJSON, or one table asset with cfg.output.destination 'ASSET') named
+// 'Run_Manifest_<script>' with the columns:
+//   run_id, run_started_utc  - {run} of the export names (modules/outputs.js) and the start time
+//   script, script_version   - script file name and VERSION of the scripts and modules
+//   polygon_asset            - cfg.polygonAsset (or the region asset of the climate and drought
+//                              scripts), with 'polygon_asset_updated' (last update time of the
+//                              asset, i.e. its version) and 'polygon_count'
+//   collections              - Earth Engine collection/image IDs read (JSON list)
+//   season_windows           - Spring/Summer window of every analysis year, end exclusive (JSON)
+//   optical_reducer, sar_reducer - reducers of the yearly composites ('' when not used)
+//   cloud_mask_mode          - Sentinel-2 masking mode ('' without Sentinel-2)
+//   land_cover_mask          - tree canopy mask of the composites (modules/land_cover.js), e.g.
+//                              'HANSEN, canopy >= 25%', or 'NONE'
+//   climate_baseline         - baseline period of the climate anomalies or drought indices ('' when
+//                              not used)
+//   image_ids                - 'source_id' (the 'system:index' in the source collection, set by
+//                              s2_masking, landsat and sentinel1 before any merge) of the images in
+//                              each year's window, per source (JSON)
+//   export_tasks             - every task submitted before the manifest, with its target,
+//                              format, scale, CRS and selectors (JSON)
+//   config                   - the full configuration (JSON)
+//
+// Usage (Code Editor), after the last export of the script:
+//   var manifest = require('users/paularellano/GEE_scripts:modules/manifest.js');
+//   manifest.exportManifest('GEE_USFS_Optical_SAR_Fusion', cfg, {polygons: polygons, optical: indexCollection, sar: s1Collection});
+//
+// By: Paul Arellan - Paul Gee
+// Email: paul.arellano@nau.edu
+//
+
+var config = require('users/paularellano/GEE_scripts:modules/config.js');
+var s2Masking = require('users/paularellano/GEE_scripts:modules/s2_masking.js');
+var landsat = require('users/paularellano/GEE_scripts:modules/landsat.js');
+var sentinel1 = require('users/paularellano/GEE_scripts:modules/sentinel1.js');
+var composites = require('users/paularellano/GEE_scripts:modules/composites.js');
+var climateAnomalies = require('users/paularellano/GEE_scripts:modules/climate_anomalies.js');
+var droughtIndices = require('users/paularellano/GEE_scripts:modules/drought_indices.js');
+var landCover = require('users/paularellano/GEE_scripts:modules/land_cover.js');
+var outputs = require('users/paularellano/GEE_scripts:modules/outputs.js');
+
+// --- 1. CONSTANTS ---
+
+// Version of the scripts and modules, equal to the package.json version. Bump it with every change
+// that alters an output by running `npm version <patch|minor|major>`, which also rewrites this line
+// (tools/sync_version.js); npm test fails when the two differ.
+var VERSION = '1.1.0';
+
+var MANIFEST_FORMATS = ['CSV', 'GeoJSON'];
+
+// --- 2. RUN INPUTS ---
+
+var pad = function(value) {
+  return (value < 10 ? '0' : '') + value;
+};
+
+// Spring/Summer window of every analysis year, e.g. {2023: ['2023-03-01', '2023-09-30']}.
+var seasonWindows = function(cfg) {
+  var s = cfg.season;
+  var windows = {};
+  config.yearsList(cfg).forEach(function(year) {
+    windows[year] = [
+      year + '-' + pad(s.startMonth) + '-' + pad(s.startDay),
+      year + '-' + pad(s.endMonth) + '-' + pad(s.endDay)
+    ];
+  });
+  return windows;
+};
+
+// Collection and image IDs read for the inputs given ('optical', 'sar', 'climate' and 'drought'),
+// and by the tree canopy mask of the composites.
+var collectionIds = function(cfg, inputs) {
+  var ids = [];
+  if (inputs.optical) {
+    if (cfg.opticalSources.indexOf('S2') !== -1) {
+      ids.push(s2Masking.COLLECTION);
+      if (cfg.cloudMask.mode === 'CS_PLUS') {
+        ids.push(s2Masking.CS_PLUS_COLLECTION);
+      } else if (cfg.cloudMask.mode === 'S2CLOUDLESS') {
+        ids.push(s2Masking.S2CLOUDLESS_COLLECTION);
+      }
+    }
+    if (cfg.opticalSources.indexOf('LANDSAT') !== -1) {
+      cfg.landsat.sensors.forEach(function(sensorKey) {
+        ids.push(landsat.COLLECTIONS[sensorKey]);
+      });
+    }
+  }
+  if (inputs.sar) {
+    ids.push(sentinel1.COLLECTION);
+    if (cfg.sentinel1.terrainFlattening) {
+      ids.push(cfg.sentinel1.dem);
+    }
+  }
+  if (inputs.optical || inputs.sar) {
+    ids = ids.concat(landCover.collectionIds(cfg));
+  }
+  var addOnce = function(id) {
+    if (ids.indexOf(id) === -1) {
+      ids.push(id);
+    }
+  };
+  if (inputs.climate) {
+    inputs.climate.variables.forEach(function(name) {
+      addOnce(climateAnomalies.VARIABLES[name].collection);
+    });
+  }
+  if (inputs.drought) {
+    addOnce(droughtIndices.PRECIP_SOURCES[inputs.drought.precipSource].collection);
+    addOnce(droughtIndices.PET_COLLECTION);
+  }
+  return ids;
+};
+
+// Last update time of an asset (e.g. '2025-05-02T17:03:11.52Z'), or 'unknown' when its metadata
+// cannot be read.
+var assetUpdateTime = function(assetId) {
+  try {
+    return ee.data.getAsset(assetId).updateTime || 'unknown';
+  } catch (e) {
+    return 'unknown';
+  }
+};
+
+// Server-side {year: ['source_id', ...]} of the images of collection in each year's window.
+// 'system:index' is not used: merge() prefixes it with '1_'/'2_', which is not a product ID.
+var imageIdsPerYear = function(collection, cfg) {
+  var years = config.yearsList(cfg);
+  return ee.Dictionary.fromLists(
+    years.map(String),
+    years.map(function(year) {
+      var season = config.seasonRange(cfg, year);
+      return collection.filterDate(season.start, season.end).aggregate_array('source_id');
+    }));
+};
+
+// --- 3. MANIFEST ---
+
+// One feature (no geometry) describing this run. inputs: polygons (the polygon collection, or the
+// region of the climate and drought scripts), polygonAsset (its asset ID; default cfg.polygonAsset),
+// optical and/or sar (the image collections the yearly composites were built from), climate
+// (the options of modules/polygon_climate.js or climateAnomalies.buildOptions()) and drought
+// (droughtIndices.buildOptions()).
+var buildManifest = function(script, cfg, inputs) {
+  var polygonAsset = inputs.polygonAsset || cfg.polygonAsset;
+  var baseline = inputs.climate || inputs.drought;
+  var imageIds = {};
+  if (inputs.optical) {
+    imageIds.optical = imageIdsPerYear(inputs.optical, cfg);
+  }
+  if (inputs.sar) {
+    imageIds.sar = imageIdsPerYear(inputs.sar, cfg);
+  }
+
+  return ee.Feature(null, {
+    'run_id': outputs.runId(cfg),
+    'run_started_utc': outputs.RUN_STARTED.toISOString(),
+    'script': script,
+    'script_version': VERSION,
+    'polygon_asset': polygonAsset,
+    'polygon_asset_updated': assetUpdateTime(polygonAsset),
+    'polygon_count': inputs.polygons.size(),
+    'collections': JSON.stringify(collectionIds(cfg, inputs)),
+    'season_windows': JSON.stringify(seasonWindows(cfg)),
+    'optical_reducer': inputs.optical ? 'percentile ' + composites.INDEX_PERCENTILE : '',
+    'sar_reducer': inputs.sar ? 'median' : '',
+    'cloud_mask_mode': inputs.optical && cfg.opticalSources.indexOf('S2') !== -1 ? cfg.cloudMask.mode : '',
+    'land_cover_mask': inputs.optical || inputs.sar ? landCover.describe(cfg) : '',
+    'climate_baseline': baseline ? baseline.baselineStart + '/' + baseline.baselineEnd : '',
+    'image_ids': ee.String.encodeJSON(ee.Dictionary(imageIds)),
+    'export_tasks': JSON.stringify(outputs.exportedTasks()),
+    'config': JSON.stringify(cfg)
+  });
+};
+
+// Builds the manifest and exports it as 'Run_Manifest_<script>' (CSV and GeoJSON; one table for
+// assets). Returns the manifest feature, e.g. to print it.
+var exportManifest = function(script, cfg, inputs) {
+  var manifest = buildManifest(script, cfg, inputs);
+  var table = ee.FeatureCollection([manifest]);
+  var formats = cfg.output.destination === 'ASSET' ? [MANIFEST_FORMATS[0]] : MANIFEST_FORMATS;
+  formats.forEach(function(format) {
+    outputs.exportTable(table, 'Run_Manifest_' + script, cfg, {format: format, geometry: false});
+  });
+  return manifest;
+};
+
+exports.VERSION = VERSION;
+exports.collectionIds = collectionIds;
+exports.buildManifest = buildManifest;
+exports.exportManifest = exportManifest;
@@ -0,0 +1,234 @@
+// Google Earth Engine Module: Export Layer (Drive, Cloud Storage, Earth Engine Assets)
+// Every script exports through exportImage() and exportTable() instead of calling
+// Export.image.toDrive / Export.table.toDrive directly, so one setting (cfg.output) sends all
+// results of a run to the same place:
+//   DRIVE - the Drive folder cfg.exportFolder, or the Drive root when it is null (GeoTIFF images,
+//           tables in cfg.output.tableFormat)
+//   GCS   - the bucket cfg.output.bucket, under the prefix cfg.exportFolder (none when null)
+//   ASSET - Earth Engine assets under cfg.output.assetRoot. Yearly images go into one
+//           ImageCollection per product (created if missing) with a 'year' property, so the next
+//           script can read them with ee.ImageCollection(...).filter(ee.Filter.eq('year', 2023)).
+// Names come from cfg.output.nameTemplate with the tokens {product} (e.g. 'NDVI_SpringSummer_2023'),
+// {run} (cfg.output.runId, or the UTC start time of the run, e.g. '20261019_154210') and {date}
+// (UTC start date, e.g. '20261019'); '{date}_{product}' gives date-stamped names and
+// '{run}_{product}' one set of names per run.
+// Exported images carry a 'run_id' property. Every task is recorded (exportedTasks()) for the run
+// manifest (modules/manifest.js).
+//
+// Usage (Code Editor):
+//   var outputs = require('users/paularellano/GEE_scripts:modules/outputs.js');
+//   outputs.exportImage(composite.unmask(-9999), 'NDVI_SpringSummer', cfg, {region: studyArea.bounds(), year: 2023});
+//   outputs.exportTable(trendStats, 'NDVI_Trend_Stats_Per_Polygon', cfg, {selectors: ['polygon_id_prop', 'NDVI_slope']});
+//
+// By: Paul Arellan - Paul Gee
+// Email: paul.arellano@nau.edu
+//
+
+// --- 1. CONSTANTS ---
+
+var DESTINATIONS = ['DRIVE', 'GCS', 'ASSET'];
+var TABLE_FORMATS = ['CSV', 'GeoJSON', 'SHP', 'KML', 'KMZ', 'TFRecord'];
+
+// Table formats that need a geometry on every feature.
+var GEOMETRY_FORMATS = ['SHP', 'KML', 'KMZ'];
+
+// Client-side start time of this run, for the {run} and {date} tokens.
+var RUN_STARTED = new Date();
+
+// --- 2. NAMING ---
+
+var pad = function(value) {
+  return (value < 10 ? '0' : '') + value;
+};
+
+// UTC start date of the run, e.g. '20261019'.
+var runDate = function() {
+  return RUN_STARTED.getUTCFullYear() + pad(RUN_STARTED.getUTCMonth() + 1) + pad(RUN_STARTED.getUTCDate());
+};
+
+// cfg.output.runId, or the UTC start time of the run, e.g. '20261019_154210'.
+var runId = function(cfg) {
+  if (cfg.output.runId !== null) {
+    return cfg.output.runId;
+  }
+  return runDate() + '_' + pad(RUN_STARTED.getUTCHours()) + pad(RUN_STARTED.getUTCMinutes()) +
+         pad(RUN_STARTED.getUTCSeconds());
+};
+
+// Export name of a product (with '_<year>' when year is given) from cfg.output.nameTemplate.
+var exportName = function(product, cfg, year) {
+  var base = year === undefined || year === null ? product : product + '_' + year;
+  return cfg.output.nameTemplate
+    .split('{product}').join(base)
+    .split('{run}').join(runId(cfg))
+    .split('{date}').join(runDate());
+};
+
+// Task descriptions allow letters, digits, '_' and '-', up to 100 characters.
+var taskDescription = function(name) {
+  return name.replace(/[^A-Za-z0-9_\-]/g, '_').slice(0, 100);
+};
+
+// --- 3. ASSETS ---
+
+var createdCollections = {};
+
+var COLLECTION_TYPES = ['IMAGE_COLLECTION', 'ImageCollection']; // ee.data.getAsset() type (Cloud API, legacy)
+
+// Creates the ImageCollection asset once per run when it does not exist yet; an existing
+// collection is left as it is. Throws when the path holds another asset type or the collection
+// cannot be created (bad output.assetRoot, missing parent folder, no write permission).
+var ensureCollection = function(path) {
+  if (createdCollections[path]) {
+    return;
+  }
+  var existing = null;
+  try {
+    existing = ee.data.getAsset(path);
+  } catch (e) {
+    existing = null; // Missing (or unreadable); createAsset() below reports the actual problem.
+  }
+  if (existing) {
+    if (COLLECTION_TYPES.indexOf(existing.type) === -1) {
+      throw new Error('Output asset ' + path + ' exists as ' + existing.type + ', not as an ImageCollection.');
+    }
+  } else {
+    try {
+      ee.data.createAsset({type: 'ImageCollection'}, path);
+    } catch (e) {
+      throw new Error('Could not create the ImageCollection ' + path + ' (check output.assetRoot): ' + e.message);
+    }
+  }
+  createdCollections[path] = true;
+};
+
+// --- 4. TASK RECORD ---
+
+var tasks = [];
+
+// Records one submitted task: its description, kind ('image' or 'table'), destination, target
+// (Drive file prefix, GCS object prefix or asset ID) and the export parameters.
+var recordTask = function(kind, params, target, options) {
+  tasks.push({
+    task: params.description,
+    kind: kind,
+    destination: params.assetId ? 'ASSET' : (params.bucket ? 'GCS' : 'DRIVE'),
+    target: target,
+    folder: params.folder || params.bucket || null,
+    format: params.fileFormat || null,
+    year: options.year === undefined ? null : options.year,
+    scale: params.scale || null,
+    crs: params.crs || null,
+    selectors: options.selectors || null
+  });
+};
+
+// Copy of the tasks submitted so far in this run, in submission order.
+var exportedTasks = function() {
+  return tasks.slice();
+};
+
+// --- 5. PUBLIC API ---
+
+// Exports one image to cfg.output.destination. options: region (required), year (yearly
+// products), scale (default cfg.scale), crs (optional).
+var exportImage = function(image, product, cfg, options) {
+  var out = cfg.output;
+  var name = exportName(product, cfg, options.year);
+  var params = {
+    image: image.set('run_id', runId(cfg)),
+    description: taskDescription(name),
+    region: options.region,
+    scale: options.scale || cfg.scale,
+    maxPixels: 1e13
+  };
+  if (options.crs) {
+    params.crs = options.crs;
+  }
+
+  if (out.destination === 'ASSET') {
+    var assetId = out.assetRoot + '/' + name;
+    if (options.year !== undefined && options.year !== null) {
+      var collectionPath = out.assetRoot + '/' + exportName(product, cfg);
+      ensureCollection(collectionPath);
+      assetId = collectionPath + '/' + name;
+      params.image = params.image.set('year', options.year);
+    }
+    params.assetId = assetId;
+    Export.image.toAsset(params);
+    recordTask('image', params, assetId, options);
+    return;
+  }
+
+  params.fileFormat = 'GEO_TIFF';
+  params.formatOptions = {
+    cloudOptimized: true
+  };
+  if (out.destination === 'GCS') {
+    params.bucket = out.bucket;
+    params.fileNamePrefix = cfg.exportFolder ? cfg.exportFolder + '/' + name : name;
+    Export.image.toCloudStorage(params);
+  } else {
+    if (cfg.exportFolder) {
+      params.folder = cfg.exportFolder;
+    }
+    params.fileNamePrefix = name;
+    Export.image.toDrive(params);
+  }
+  recordTask('image', params, params.fileNamePrefix, options);
+};
+
+// Exports one table to cfg.output.destination. options: selectors (column list), year,
+// format (overrides cfg.output.tableFormat), geometry (false for features without geometry,
+// which are written as CSV when the format needs one).
+var exportTable = function(collection, product, cfg, options) {
+  options = options || {};
+  var out = cfg.output;
+  var name = exportName(product, cfg, options.year);
+
+  if (out.destination === 'ASSET') {
+    var assetParams = {
+      collection: options.selectors ? collection.select(options.selectors) : collection,
+      description: taskDescription(name),
+      assetId: out.assetRoot + '/' + name
+    };
+    Export.table.toAsset(assetParams);
+    recordTask('table', assetParams, assetParams.assetId, options);
+    return;
+  }
+
+  var format = options.format || out.tableFormat;
+  if (options.geometry === false && GEOMETRY_FORMATS.indexOf(format) !== -1) {
+    print('Note: ' + name + ' has no geometry, exported as CSV instead of ' + format + '.');
+    format = 'CSV';
+  }
+  var params = {
+    collection: collection,
+    description: taskDescription(name),
+    fileFormat: format
+  };
+  if (options.selectors) {
+    params.selectors = options.selectors;
+  }
+  if (out.destination === 'GCS') {
+    params.bucket = out.bucket;
+    params.fileNamePrefix = cfg.exportFolder ? cfg.exportFolder + '/' + name : name;
+    Export.table.toCloudStorage(params);
+  } else {
+    if (cfg.exportFolder) {
+      params.folder = cfg.exportFolder;
+    }
+    params.fileNamePrefix = name;
+    Export.table.toDrive(params);
+  }
+  recordTask('table', params, params.fileNamePrefix, options);
+};
+
+exports.DESTINATIONS = DESTINATIONS;
+exports.TABLE_FORMATS = TABLE_FORMATS;
+exports.RUN_STARTED = RUN_STARTED;
+exports.runId = runId;
+exports.exportName = exportName;
+exports.exportImage = exportImage;
+exports.exportTable = exportTable;
+exports.exportedTasks = exportedTasks;
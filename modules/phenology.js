@@ -0,0 +1,292 @@
+// Google Earth Engine Module: Sub-Annual Composites and Harmonic (Phenology) Fitting
+// Yearly composites hide within-season dieback or late green-up. This module works on the
+// full image series instead:
+//   - subAnnualComposites(): median composites per month or per 16-day period
+//     (cfg.phenology.compositeMode) over the analysis range; empty periods are masked.
+//   - harmonicFit(): per-pixel harmonic regression
+//       y = constant + trend * t + sum_k (cos_k * cos(2 pi k t) + sin_k * sin(2 pi k t))
+//     with t in years and k = 1..cfg.phenology.harmonics.
+//   - polygonHarmonics(): the same regression on a polygon's mean value per image.
+// Both report (HARMONIC_BANDS / '<BAND>_<metric>' properties):
+//   amplitude, phase     - first harmonic amplitude (index units) and phase (radians, 0 = Jan 1)
+//   amplitude_2, phase_2 - second harmonic (only with 2 harmonics)
+//   peak_doy             - day of year of the fitted seasonal maximum
+//   season_length        - days per year the fitted curve is above half its seasonal range
+//   n_obs                - number of observations used
+// The seasonal curve is evaluated every CURVE_STEP days; the trend term is left out so peak
+// and season length describe the average seasonal shape.
+//
+// Usage (Code Editor):
+//   var phenology = require('users/paularellano/GEE_scripts:modules/phenology.js');
+//   var monthly = phenology.subAnnualComposites(ndviCollection, ['NDVI'], cfg, studyArea);
+//   var ndviPhenology = phenology.harmonicFit(ndviCollection, 'NDVI', cfg.phenology.harmonics);
+//
+// By: Paul Arellan - Paul Gee
+// Email: paul.arellano@nau.edu
+//
+
+var config = require('users/paularellano/GEE_scripts:modules/config.js');
+var composites = require('users/paularellano/GEE_scripts:modules/composites.js');
+
+// --- 1. CONSTANTS ---
+
+var EPOCH = ee.Date('1970-01-01');
+var CURVE_STEP = 5;      // Days between evaluations of the fitted seasonal curve
+var DAYS_PER_YEAR = 365.25;
+
+var CURVE_DAYS = [];
+for (var day = 0; day < 365; day += CURVE_STEP) {
+  CURVE_DAYS.push(day);
+}
+
+// Band / property names of the phenology metrics for a number of harmonics.
+var metricNames = function(harmonics) {
+  var names = ['amplitude', 'phase'];
+  if (harmonics === 2) {
+    names = names.concat(['amplitude_2', 'phase_2']);
+  }
+  return names.concat(['peak_doy', 'season_length', 'n_obs']);
+};
+
+// Regression terms: ['constant', 't', 'cos_1', 'sin_1', ...].
+var termNames = function(harmonics) {
+  var names = ['constant', 't'];
+  for (var k = 1; k <= harmonics; k++) {
+    names.push('cos_' + k, 'sin_' + k);
+  }
+  return names;
+};
+
+// --- 2. SUB-ANNUAL COMPOSITES ---
+
+// Median composites of bandNames per month or 16-day period over the analysis range of cfg.
+// Every composite has 'system:time_start', 'period_end', 'year' and 'num_images'.
+var subAnnualComposites = function(collection, bandNames, cfg, region) {
+  var range = config.analysisRange(cfg);
+  var monthly = cfg.phenology.compositeMode === 'MONTHLY';
+  var unit = monthly ? 'month' : 'day';
+  var step = monthly ? 1 : 16;
+  var periods = ee.List.sequence(0, range.end.difference(range.start, unit).divide(step).ceil().subtract(1));
+
+  var emptyImage = ee.Image.constant(bandNames.map(function() { return 0; }))
+    .rename(bandNames).toFloat().updateMask(0);
+
+  return ee.ImageCollection.fromImages(periods.map(function(i) {
+    var start = range.start.advance(ee.Number(i).multiply(step), unit);
+    var end = ee.Date(ee.Algorithms.If(
+      start.advance(step, unit).millis().lt(range.end.millis()),
+      start.advance(step, unit),
+      range.end
+    ));
+    var images = collection.filterDate(start, end).select(bandNames);
+    var composite = ee.Image(ee.Algorithms.If(
+      images.size().gt(0),
+      images.median().rename(bandNames).toFloat(),
+      emptyImage
+    ));
+    return composite.clip(region).set({
+      'system:time_start': start.millis(),
+      'period_end': end.millis(),
+      'year': start.get('year'),
+      'num_images': images.size()
+    });
+  }));
+};
+
+// --- 3. PER-PIXEL HARMONIC FIT ---
+
+// Adds the regression terms and the dependent band 'y' to one image; every band is masked
+// where the index band is masked.
+var addTerms = function(bandName, harmonics) {
+  return function(image) {
+    var y = image.select(bandName).rename('y').toFloat();
+    var t = ee.Image.constant(image.date().difference(EPOCH, 'year')).rename('t').toFloat();
+    var terms = [ee.Image.constant(1).rename('constant').toFloat(), t];
+    for (var k = 1; k <= harmonics; k++) {
+      var angle = t.multiply(2 * Math.PI * k);
+      terms.push(angle.cos().rename('cos_' + k), angle.sin().rename('sin_' + k));
+    }
+    return ee.Image(terms).addBands(y).updateMask(y.mask());
+  };
+};
+
+// Fitted seasonal value (without the trend term) at a fraction of the year, from per-pixel
+// coefficient bands.
+var seasonalValueImage = function(coefficients, harmonics, yearFraction) {
+  var value = coefficients.select('constant');
+  for (var k = 1; k <= harmonics; k++) {
+    var angle = 2 * Math.PI * k * yearFraction;
+    value = value.add(coefficients.select('cos_' + k).multiply(Math.cos(angle)))
+      .add(coefficients.select('sin_' + k).multiply(Math.sin(angle)));
+  }
+  return value.rename('value');
+};
+
+// Per-pixel harmonic fit of one band over an image series. Returns a float image with the
+// metricNames(harmonics) bands followed by the regression coefficients (termNames).
+var harmonicFit = function(collection, bandName, harmonics) {
+  var names = termNames(harmonics);
+  var withTerms = collection.map(addTerms(bandName, harmonics));
+  var coefficients = withTerms.select(names.concat(['y']))
+    .reduce(ee.Reducer.linearRegression({numX: names.length, numY: 1}))
+    .select('coefficients')
+    .arrayProject([0])
+    .arrayFlatten([names]);
+
+  var metrics = [
+    coefficients.select('cos_1').hypot(coefficients.select('sin_1')).rename('amplitude'),
+    coefficients.select('sin_1').atan2(coefficients.select('cos_1')).rename('phase')
+  ];
+  if (harmonics === 2) {
+    metrics.push(
+      coefficients.select('cos_2').hypot(coefficients.select('sin_2')).rename('amplitude_2'),
+      coefficients.select('sin_2').atan2(coefficients.select('cos_2')).rename('phase_2')
+    );
+  }
+
+  var curve = ee.ImageCollection.fromImages(CURVE_DAYS.map(function(doy) {
+    return seasonalValueImage(coefficients, harmonics, doy / DAYS_PER_YEAR)
+      .addBands(ee.Image.constant(doy + 1).rename('peak_doy').toFloat());
+  }));
+  var curveMax = curve.select('value').max();
+  var curveMin = curve.select('value').min();
+  var halfRange = curveMin.add(curveMax.subtract(curveMin).multiply(0.5));
+  var seasonLength = curve.map(function(image) {
+    return image.select('value').gte(halfRange);
+  }).sum().multiply(CURVE_STEP).rename('season_length');
+
+  metrics.push(
+    curve.qualityMosaic('value').select('peak_doy'),
+    seasonLength,
+    withTerms.select('y').count().rename('n_obs')
+  );
+  return ee.Image(metrics).addBands(coefficients).toFloat();
+};
+
+// --- 4. PER-POLYGON HARMONIC FIT ---
+
+// Mean of one band over one polygon for every image of the series: features with
+// 'system:time_start', 't' (years since 1970), the regression terms and 'value'.
+var polygonObservations = function(collection, bandName, feature, cfg, harmonics) {
+  return collection.map(function(image) {
+    var value = image.select(bandName).reduceRegion({
+      reducer: ee.Reducer.mean(),
+      geometry: feature.geometry(),
+      scale: cfg.scale,
+      maxPixels: 1e9,
+      tileScale: 4
+    }).get(bandName);
+    var t = image.date().difference(EPOCH, 'year');
+    var properties = {'system:time_start': image.date().millis(), 'constant': 1, 't': t, 'value': value};
+    for (var k = 1; k <= harmonics; k++) {
+      properties['cos_' + k] = t.multiply(2 * Math.PI * k).cos();
+      properties['sin_' + k] = t.multiply(2 * Math.PI * k).sin();
+    }
+    return ee.Feature(null, properties);
+  }).filter(ee.Filter.notNull(['value']));
+};
+
+// Regression coefficients (ee.Dictionary keyed by termNames) of a polygon's observations.
+var polygonCoefficients = function(observations, harmonics) {
+  var names = termNames(harmonics);
+  var fit = ee.Dictionary(observations.reduceColumns(
+    ee.Reducer.linearRegression({numX: names.length, numY: 1}),
+    names.concat(['value'])
+  ));
+  return ee.Dictionary.fromLists(names, ee.Array(fit.get('coefficients')).project([0]).toList());
+};
+
+// Phenology metrics (ee.Dictionary keyed by metricNames) from polygon coefficients.
+var polygonMetrics = function(coefficients, harmonics, nObs) {
+  var c = function(name) {
+    return ee.Number(coefficients.get(name));
+  };
+  var metrics = {
+    amplitude: c('cos_1').hypot(c('sin_1')),
+    phase: c('sin_1').atan2(c('cos_1'))
+  };
+  if (harmonics === 2) {
+    metrics.amplitude_2 = c('cos_2').hypot(c('sin_2'));
+    metrics.phase_2 = c('sin_2').atan2(c('cos_2'));
+  }
+  var curve = ee.List(CURVE_DAYS.map(function(doy) {
+    var value = c('constant');
+    for (var k = 1; k <= harmonics; k++) {
+      var angle = 2 * Math.PI * k * doy / DAYS_PER_YEAR;
+      value = value.add(c('cos_' + k).multiply(Math.cos(angle))).add(c('sin_' + k).multiply(Math.sin(angle)));
+    }
+    return value;
+  }));
+  var curveMax = ee.Number(curve.reduce(ee.Reducer.max()));
+  var curveMin = ee.Number(curve.reduce(ee.Reducer.min()));
+  var halfRange = curveMin.add(curveMax.subtract(curveMin).multiply(0.5));
+  metrics.peak_doy = curve.indexOf(curveMax).multiply(CURVE_STEP).add(1);
+  metrics.season_length = curve.filter(ee.Filter.gte('item', halfRange)).size().multiply(CURVE_STEP);
+  metrics.n_obs = nObs;
+  return ee.Dictionary(metrics);
+};
+
+// Copies the harmonic fit of one band over one polygon onto the feature as
+// '<band>_amplitude', '<band>_phase', ..., '<band>_n_obs', with 'polygon_id_prop'. Metrics are
+// null when the polygon has fewer observations than regression terms plus one.
+var polygonHarmonics = function(feature, collection, bandName, cfg) {
+  var harmonics = cfg.phenology.harmonics;
+  var names = metricNames(harmonics);
+  var observations = polygonObservations(collection, bandName, feature, cfg, harmonics);
+  var nObs = observations.size();
+
+  var empty = {};
+  names.forEach(function(name) {
+    empty[name] = null;
+  });
+  empty.n_obs = nObs;
+
+  var metrics = ee.Dictionary(ee.Algorithms.If(
+    nObs.gt(termNames(harmonics).length),
+    polygonMetrics(polygonCoefficients(observations, harmonics), harmonics, nObs),
+    ee.Dictionary(empty)
+  ));
+
+  var properties = {};
+  names.forEach(function(name) {
+    properties[bandName + '_' + name] = metrics.get(name);
+  });
+  properties.polygon_id_prop = composites.polygonId(feature, cfg);
+  return feature.set(properties);
+};
+
+// CSV column names written by polygonHarmonics() for one band.
+var phenologyColumns = function(bandName, harmonics) {
+  return metricNames(harmonics).map(function(name) {
+    return bandName + '_' + name;
+  });
+};
+
+// Observed polygon means with the fitted harmonic curve ('observed', 'fitted' and
+// 'system:time_start'), for ui.Chart.feature.byFeature().
+var polygonFitSeries = function(feature, collection, bandName, cfg) {
+  var harmonics = cfg.phenology.harmonics;
+  var names = termNames(harmonics);
+  var observations = polygonObservations(collection, bandName, feature, cfg, harmonics);
+  var coefficients = polygonCoefficients(observations, harmonics);
+  return observations.map(function(observation) {
+    var fitted = ee.Number(0);
+    names.forEach(function(name) {
+      fitted = fitted.add(ee.Number(coefficients.get(name)).multiply(observation.getNumber(name)));
+    });
+    return ee.Feature(null, {
+      'system:time_start': observation.get('system:time_start'),
+      'observed': observation.get('value'),
+      'fitted': fitted
+    });
+  });
+};
+
+exports.CURVE_STEP = CURVE_STEP;
+exports.metricNames = metricNames;
+exports.termNames = termNames;
+exports.subAnnualComposites = subAnnualComposites;
+exports.harmonicFit = harmonicFit;
+exports.polygonHarmonics = polygonHarmonics;
+exports.phenologyColumns = phenologyColumns;
+exports.polygonFitSeries = polygonFitSeries;
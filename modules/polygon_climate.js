@@ -0,0 +1,62 @@
+// Google Earth Engine Module: Per-Polygon Climate Anomalies Joined to Vegetation Stats
+// This module reduces the seasonal climate anomalies of modules/climate_anomalies.js
+// (precip, tmmx, etr, total_evaporation) over the USFS priority polygons for each target
+// year, and attaches them to per-polygon, per-year vegetation statistics (NDVI/RVI means).
+// The result is one table where each row holds the polygon, the year, the vegetation
+// metric(s) and the climate anomalies, so decline can be attributed to drought.
+//
+// Usage (Code Editor):
+//   var polygonClimate = require('users/paularellano/GEE_scripts:modules/polygon_climate.js');
+//   var joined = polygonClimate.attachAnomalies(ndviStats, polygonClimate.DEFAULT_OPTIONS, cfg);
+//
+// By: Paul Arellan - Paul Gee
+// Email: paul.arellano@nau.edu
+//
+
+var config = require('users/paularellano/GEE_scripts:modules/config.js');
+var climateAnomalies = require('users/paularellano/GEE_scripts:modules/climate_anomalies.js');
+
+// Baseline is the 1991-2020 climate normal. When it overlaps the vegetation analysis years
+// (cfg.startYear 2020 or earlier), attachAnomalies() prints a note and still runs; pass options
+// with an earlier baseline (e.g. 1981-2010) to keep the anomalies independent of those years.
+var DEFAULT_OPTIONS = {
+  variables: ['precip', 'tmmx', 'etr', 'total_evaporation'],
+  baselineStart: '1991-01-01',
+  baselineEnd: '2020-12-31',
+  scale: 1000  // Reduction scale (m); finer than the climate grids so small polygons get a value
+};
+
+// Column names added by attachAnomalies(), e.g. ['precip_anomaly', ...].
+var anomalyColumns = function(options) {
+  return options.variables.map(function(name) {
+    return name + '_anomaly';
+  });
+};
+
+// Adds the mean of each '<variable>_anomaly' over its polygon to every feature of
+// statsCollection. Features must carry a numeric 'year' property and the polygon geometry
+// (as produced by reduceRegions over the polygons). Years outside cfg's analysis years are dropped.
+// A baseline that overlaps the analysis years only prints a note, so the change-detection
+// scripts keep running for any startYear; a malformed baseline throws (config.baselineYears).
+var attachAnomalies = function(statsCollection, options, cfg) {
+  if (config.baselineOverlaps(cfg, options.baselineStart, options.baselineEnd)) {
+    print('Note: the climate baseline ' + options.baselineStart + ' to ' + options.baselineEnd +
+          ' overlaps the analysis years ' + cfg.startYear + '-' + cfg.endYear +
+          '; the anomalies of the overlapping years are relative to a normal that includes them.');
+  }
+  var columns = anomalyColumns(options);
+  var perYear = config.yearsList(cfg).map(function(year) {
+    var stack = climateAnomalies.anomalyStack(options.variables, year, options.baselineStart, options.baselineEnd, cfg.season);
+    return stack.reduceRegions({
+      collection: statsCollection.filter(ee.Filter.eq('year', year)),
+      reducer: ee.Reducer.mean().forEach(columns),
+      scale: options.scale,
+      tileScale: 4
+    });
+  });
+  return ee.FeatureCollection(perYear).flatten();
+};
+
+exports.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+exports.anomalyColumns = anomalyColumns;
+exports.attachAnomalies = attachAnomalies;
@@ -0,0 +1,184 @@
+// Google Earth Engine Module: Sentinel-2 Cloud/Shadow Masking
+// This module provides switchable cloud and shadow masking strategies for Sentinel-2 L2A
+// (COPERNICUS/S2_SR_HARMONIZED) imagery, a scene-level CLOUDY_PIXEL_PERCENTAGE prefilter,
+// and a per-polygon, per-year report of the percentage of pixel observations each mode masked.
+//
+// Modes (cfg.cloudMask.mode):
+//   'NONE'        - no pixel masking (reflectance is still scaled to 0-1).
+//   'QA60'        - QA60 opaque cloud (bit 10) and cirrus (bit 11) flags.
+//   'SCL'         - Scene Classification Layer classes in cfg.cloudMask.sclClasses (default:
+//                   1 saturated/defective, 3 shadow, 8 medium prob., 9 high prob., 10 cirrus,
+//                   11 snow/ice).
+//   'CS_PLUS'     - Cloud Score+ (GOOGLE/CLOUD_SCORE_PLUS/V1/S2_HARMONIZED), keeps pixels
+//                   whose csBand score is >= csThreshold.
+//   'S2CLOUDLESS' - s2cloudless probability (COPERNICUS/S2_CLOUD_PROBABILITY), keeps pixels
+//                   whose probability is < probThreshold.
+//
+// Usage (Code Editor):
+//   var s2Masking = require('users/paularellano/GEE_scripts:modules/s2_masking.js');
+//   var masked = s2Masking.maskCollection(rawS2, cfg.cloudMask);
+//
+// By: Paul Arellan - Paul Gee
+// Email: paul.arellano@nau.edu
+//
+
+var config = require('users/paularellano/GEE_scripts:modules/config.js');
+
+var MODES = ['NONE', 'QA60', 'SCL', 'CS_PLUS', 'S2CLOUDLESS'];
+
+// Surface reflectance bands kept after masking (scaled from 0-10000 to 0-1).
+var REFLECTANCE_BANDS = ['B2', 'B3', 'B4', 'B5', 'B6', 'B7', 'B8', 'B8A', 'B11', 'B12'];
+
+var COLLECTION = 'COPERNICUS/S2_SR_HARMONIZED';
+var CS_PLUS_COLLECTION = 'GOOGLE/CLOUD_SCORE_PLUS/V1/S2_HARMONIZED';
+var S2CLOUDLESS_COLLECTION = 'COPERNICUS/S2_CLOUD_PROBABILITY';
+
+// --- 1. PER-IMAGE CLEAR MASKS (1 = clear, 0 = cloud/shadow) ---
+
+var qa60Clear = function(image) {
+  var qa = image.select('QA60');
+  var cloudBitMask = 1 << 10;
+  var cirrusBitMask = 1 << 11;
+  return qa.bitwiseAnd(cloudBitMask).eq(0)
+    .and(qa.bitwiseAnd(cirrusBitMask).eq(0));
+};
+
+var sclClear = function(image, options) {
+  var scl = image.select('SCL');
+  // remap() sends the listed classes to 0 and everything else to the default value 1.
+  var classes = options.sclClasses;
+  var zeros = classes.map(function() { return 0; });
+  return scl.remap(classes, zeros, 1);
+};
+
+var csPlusClear = function(image, options) {
+  return image.select(options.csBand).gte(options.csThreshold);
+};
+
+var s2cloudlessClear = function(image, options) {
+  return image.select('probability').lt(options.probThreshold);
+};
+
+// Returns the clear mask for one image. Pixels without a cloud score (e.g. no matching
+// Cloud Score+ or s2cloudless image) are treated as not clear.
+var clearMask = function(image, options) {
+  var clear;
+  if (options.mode === 'NONE') {
+    clear = ee.Image(1);
+  } else if (options.mode === 'QA60') {
+    clear = qa60Clear(image);
+  } else if (options.mode === 'SCL') {
+    clear = sclClear(image, options);
+  } else if (options.mode === 'CS_PLUS') {
+    clear = csPlusClear(image, options);
+  } else if (options.mode === 'S2CLOUDLESS') {
+    clear = s2cloudlessClear(image, options);
+  } else {
+    throw new Error('Unknown cloud mask mode "' + options.mode + '". Use one of: ' + MODES.join(', '));
+  }
+  return clear.unmask(0).rename('clear');
+};
+
+// --- 2. COLLECTION PREPARATION ---
+
+// Applies the scene-level prefilter and links the cloud-score bands the mode needs.
+var prepareCollection = function(collection, options) {
+  if (options.maxScenePercent !== null && options.maxScenePercent < 100) {
+    collection = collection.filter(ee.Filter.lt('CLOUDY_PIXEL_PERCENTAGE', options.maxScenePercent));
+  }
+  if (options.mode === 'CS_PLUS') {
+    collection = collection.linkCollection(ee.ImageCollection(CS_PLUS_COLLECTION), [options.csBand]);
+  } else if (options.mode === 'S2CLOUDLESS') {
+    collection = collection.linkCollection(ee.ImageCollection(S2CLOUDLESS_COLLECTION), ['probability']);
+  }
+  return collection;
+};
+
+// Masks one image and scales its reflectance bands to 0-1, keeping the image properties.
+// 'source_id' keeps the product's 'system:index', which merge() prefixes with '1_'/'2_'.
+var maskImage = function(image, options) {
+  var masked = image.select(REFLECTANCE_BANDS)
+    .divide(10000)
+    .updateMask(clearMask(image, options));
+  return ee.Image(masked.copyProperties(image, image.propertyNames()))
+    .set('cloud_mask_mode', options.mode)
+    .set('source_id', image.get('system:index'))
+    .set('sensor', image.get('SPACECRAFT_NAME')); // e.g. 'Sentinel-2A', matches the Landsat 'sensor' property
+};
+
+// Prefilters, masks and scales a raw S2_SR_HARMONIZED collection.
+var maskCollection = function(collection, options) {
+  return prepareCollection(collection, options).map(function(image) {
+    return maskImage(image, options);
+  });
+};
+
+// --- 3. MASKING REPORT (per polygon, per year) ---
+
+// Per-pixel observation and clear counts for one image: 'obs' marks pixels with data,
+// 'clear' marks pixels with data that the mode kept.
+var observationBands = function(image, options) {
+  var obs = image.select('B4').mask().gt(0).rename('obs');
+  var clear = obs.and(clearMask(image, options)).rename('clear');
+  return obs.addBands(clear).toFloat();
+};
+
+// Returns a FeatureCollection with one row per polygon per year holding the number of
+// pixel observations, the number kept as clear and the percentage masked by the mode.
+// rawCollection is the unmasked S2 collection (before maskCollection).
+var maskingReport = function(rawCollection, options, polygons, cfg) {
+  var prepared = prepareCollection(rawCollection, options);
+  var years = ee.List.sequence(cfg.startYear, cfg.endYear);
+
+  return ee.FeatureCollection(years.map(function(year) {
+    year = ee.Number(year);
+    var season = config.seasonRange(cfg, year);
+    var yearCollection = prepared.filterDate(season.start, season.end);
+
+    var counts = yearCollection.map(function(image) {
+      return observationBands(image, options);
+    }).sum();
+    // Keep the band names stable when the year has no scenes.
+    counts = ee.Image(ee.Algorithms.If(
+      yearCollection.size().gt(0),
+      counts,
+      ee.Image.constant([0, 0]).rename(['obs', 'clear']).toFloat()
+    ));
+
+    return counts.reduceRegions({
+      collection: polygons,
+      reducer: ee.Reducer.sum(),
+      scale: cfg.scale,
+      tileScale: 4
+    }).map(function(f) {
+      var obs = ee.Number(f.get('obs'));
+      var clear = ee.Number(f.get('clear'));
+      var maskedPct = ee.Algorithms.If(
+        obs.gt(0),
+        ee.Number(1).subtract(clear.divide(obs)).multiply(100),
+        null
+      );
+      var polygonId = ee.Algorithms.If(f.get(cfg.idProperty), ee.String(f.get(cfg.idProperty)), ee.String(f.id()));
+      return f.set({
+        'polygon_id_prop': polygonId,
+        'year': year,
+        'mask_mode': options.mode,
+        'scenes_used': yearCollection.size(),
+        'obs_count': obs,
+        'clear_count': clear,
+        'masked_pct': maskedPct
+      });
+    });
+  })).flatten();
+};
+
+exports.MODES = MODES;
+exports.COLLECTION = COLLECTION;
+exports.CS_PLUS_COLLECTION = CS_PLUS_COLLECTION;
+exports.S2CLOUDLESS_COLLECTION = S2CLOUDLESS_COLLECTION;
+exports.REFLECTANCE_BANDS = REFLECTANCE_BANDS;
+exports.clearMask = clearMask;
+exports.prepareCollection = prepareCollection;
+exports.maskImage = maskImage;
+exports.maskCollection = maskCollection;
+exports.maskingReport = maskingReport;
@@ -0,0 +1,209 @@
+// Google Earth Engine Module: SAR Vegetation Index Library (Sentinel-1)
+// This module is a registry of vegetation metrics computed from Sentinel-1 GRD VV/VH backscatter
+// in dB (see modules/sentinel1.js), in the same style as modules/spectral_indices.js. Any subset
+// can be requested by name (cfg.sarIndices); each metric is added as a band named after its
+// registry key, so compositing, trend fitting, per-polygon statistics and exports loop over names.
+//
+// Per-image metrics (ratios and RVIs from backscatter in linear power):
+//   RVI         - 4 * VH / (VV + VH)
+//   RVI_DP      - dual-pol RVI (RVI4S1): sqrt(VV / (VV + VH)) * 4 * VH / (VV + VH)
+//   DPRVI       - dual-pol RVI from the 2x2 covariance matrix C2 (Mandal et al. 2020):
+//                 1 - m * beta, m = degree of polarization, beta = largest eigenvalue / trace.
+//                 GRD has no VV-VH phase, so the off-diagonal term of C2 is zero.
+//   VH_VV_RATIO - cross-pol ratio VH / VV
+//   VV_DB, VH_DB - backscatter in dB
+// Change metrics (added to the yearly composites by addChangeBands()):
+//   VV_LR, VH_LR - log-ratio change from the previous analysis year,
+//                  10 * log10(composite / previous composite) in dB (the first year is masked)
+//
+// Usage (Code Editor):
+//   var sarIndices = require('users/paularellano/GEE_scripts:modules/sar_indices.js');
+//   var s1 = s1Collection.map(sarIndices.addIndices(cfg.sarIndices));
+//   var yearly = composites.yearlySarComposites(s1, sarIndices.compositeBands(cfg.sarIndices), cfg, studyArea);
+//   yearly = sarIndices.addChangeBands(yearly, cfg.sarIndices);
+//
+// By: Paul Arellan - Paul Gee
+// Email: paul.arellano@nau.edu
+//
+
+// --- 1. INDEX FUNCTIONS ---
+// Each function takes a VV/VH image in dB and returns a single float band named after the metric.
+
+var linear = function(image, band) {
+  return ee.Image(10).pow(image.select(band).divide(10));
+};
+
+var rvi = function(image) {
+  var vv = linear(image, 'VV');
+  var vh = linear(image, 'VH');
+  return vh.multiply(4).divide(vv.add(vh)).rename('RVI').toFloat();
+};
+
+var dualPolRvi = function(image) {
+  var vv = linear(image, 'VV');
+  var vh = linear(image, 'VH');
+  var total = vv.add(vh);
+  return vv.divide(total).sqrt().multiply(vh.multiply(4).divide(total)).rename('RVI_DP').toFloat();
+};
+
+var dpRvi = function(image) {
+  var c11 = linear(image, 'VV');
+  var c22 = linear(image, 'VH');
+  var c12 = ee.Image(0); // |<S_VV S_VH*>| is not available from GRD
+  var trace = c11.add(c22);
+  var det = c11.multiply(c22).subtract(c12.pow(2));
+  var m = ee.Image(1).subtract(det.multiply(4).divide(trace.pow(2))).sqrt();
+  var lambda1 = trace.divide(2).add(trace.pow(2).divide(4).subtract(det).sqrt());
+  var beta = lambda1.divide(trace);
+  return ee.Image(1).subtract(m.multiply(beta)).rename('DPRVI').toFloat();
+};
+
+var crossPolRatio = function(image) {
+  return linear(image, 'VH').divide(linear(image, 'VV')).rename('VH_VV_RATIO').toFloat();
+};
+
+var backscatter = function(band, name) {
+  return function(image) {
+    return image.select(band).rename(name).toFloat();
+  };
+};
+
+// --- 2. REGISTRY ---
+// vis holds default visualization parameters for Map layers of the annual composites.
+
+// RVI values typically range from 0 to 1. Higher values indicate more vegetation.
+// This palette shows low RVI in red/yellow and high RVI in green.
+var RVI_PALETTE = ['#CE7E45', '#DF923D', '#F1B555', '#FCD163', '#99B718', '#74A901', '#66A000', '#529400', '#3E8601', '#207401', '#056201', '#004C00', '#023B01', '#012E01', '#011D01', '#011301'];
+
+var INDICES = {
+  RVI: {
+    description: 'Radar Vegetation Index (4 VH / (VV + VH))',
+    compute: rvi,
+    vis: {min: 0.2, max: 0.8, palette: RVI_PALETTE}
+  },
+  RVI_DP: {
+    description: 'Dual-pol Radar Vegetation Index (RVI4S1)',
+    compute: dualPolRvi,
+    vis: {min: 0.1, max: 0.6, palette: RVI_PALETTE}
+  },
+  DPRVI: {
+    description: 'Dual-pol Radar Vegetation Index from the covariance matrix',
+    compute: dpRvi,
+    vis: {min: 0.2, max: 0.7, palette: RVI_PALETTE}
+  },
+  VH_VV_RATIO: {
+    description: 'Cross-polarization ratio VH / VV',
+    compute: crossPolRatio,
+    vis: {min: 0.05, max: 0.4, palette: ['#8B4513', 'yellow', 'green']}
+  },
+  VV_DB: {
+    description: 'VV backscatter (dB)',
+    compute: backscatter('VV', 'VV_DB'),
+    vis: {min: -20, max: 0, palette: ['black', 'white']}
+  },
+  VH_DB: {
+    description: 'VH backscatter (dB)',
+    compute: backscatter('VH', 'VH_DB'),
+    vis: {min: -28, max: -8, palette: ['black', 'white']}
+  }
+};
+
+// Metrics computed between consecutive yearly composites of a per-image metric (source).
+var CHANGE_INDICES = {
+  VV_LR: {
+    description: 'VV log-ratio change from the previous year (dB)',
+    source: 'VV_DB',
+    vis: {min: -3, max: 3, palette: ['red', 'white', 'blue']}
+  },
+  VH_LR: {
+    description: 'VH log-ratio change from the previous year (dB)',
+    source: 'VH_DB',
+    vis: {min: -3, max: 3, palette: ['red', 'white', 'blue']}
+  }
+};
+
+// --- 3. PUBLIC API ---
+
+// Registry keys, e.g. ['RVI', 'RVI_DP', ..., 'VV_LR', 'VH_LR'].
+var names = function() {
+  return Object.keys(INDICES).concat(Object.keys(CHANGE_INDICES));
+};
+
+// Throws if any requested name is not in the registry. Returns the names unchanged.
+var check = function(indexNames) {
+  if (!Array.isArray(indexNames) || indexNames.length === 0) {
+    throw new Error('SAR index list must be a non-empty list of names.');
+  }
+  indexNames.forEach(function(name) {
+    if (!INDICES.hasOwnProperty(name) && !CHANGE_INDICES.hasOwnProperty(name)) {
+      throw new Error('Unknown SAR index "' + name + '". Available: ' + names().join(', '));
+    }
+  });
+  return indexNames;
+};
+
+// Per-image metrics needed for indexNames: the per-image names plus the sources of the change
+// metrics, without duplicates. These are the bands to composite.
+var compositeBands = function(indexNames) {
+  check(indexNames);
+  var bands = [];
+  indexNames.forEach(function(name) {
+    var band = CHANGE_INDICES.hasOwnProperty(name) ? CHANGE_INDICES[name].source : name;
+    if (bands.indexOf(band) === -1) {
+      bands.push(band);
+    }
+  });
+  return bands;
+};
+
+// Returns a function for ImageCollection.map() that adds one band per per-image metric in
+// compositeBands(indexNames).
+var addIndices = function(indexNames) {
+  var bandNames = compositeBands(indexNames);
+  return function(image) {
+    var bands = bandNames.map(function(name) {
+      return INDICES[name].compute(image);
+    });
+    return image.addBands(ee.Image(bands));
+  };
+};
+
+// Adds the change metrics in indexNames to yearly composites of their sources (sorted by
+// 'year'); the first year has no previous composite and is masked. Returns the collection
+// unchanged when indexNames has no change metric.
+var addChangeBands = function(yearly, indexNames) {
+  var changeNames = check(indexNames).filter(function(name) {
+    return CHANGE_INDICES.hasOwnProperty(name);
+  });
+  if (changeNames.length === 0) {
+    return yearly;
+  }
+  var sorted = yearly.sort('year').toList(yearly.size());
+  return ee.ImageCollection(ee.List.sequence(0, sorted.size().subtract(1)).map(function(i) {
+    i = ee.Number(i);
+    var current = ee.Image(sorted.get(i));
+    var previous = ee.Image(sorted.get(i.subtract(1).max(0)));
+    var hasPrevious = ee.Image.constant(i.gt(0));
+    var changes = changeNames.map(function(name) {
+      var source = CHANGE_INDICES[name].source;
+      // Composites are in dB, so the log-ratio is a difference.
+      return current.select(source).subtract(previous.select(source)).updateMask(hasPrevious).rename(name).toFloat();
+    });
+    return current.addBands(ee.Image(changes));
+  }));
+};
+
+// Default visualization parameters for one metric.
+var vis = function(name) {
+  check([name]);
+  return INDICES.hasOwnProperty(name) ? INDICES[name].vis : CHANGE_INDICES[name].vis;
+};
+
+exports.INDICES = INDICES;
+exports.CHANGE_INDICES = CHANGE_INDICES;
+exports.names = names;
+exports.check = check;
+exports.compositeBands = compositeBands;
+exports.addIndices = addIndices;
+exports.addChangeBands = addChangeBands;
+exports.vis = vis;
@@ -0,0 +1,355 @@
+// Google Earth Engine Module: Sentinel-1 GRD Loading and Preprocessing
+// This module loads Sentinel-1 GRD backscatter (dB) for the RVI change-detection script and
+// the polygon explorer app. SAR vegetation metrics (RVI, VH/VV ratio, ...) are added from the
+// registry in modules/sar_indices.js.
+// Images are IW mode, dual-polarized (VV + VH), from the orbit passes in cfg.sentinel1.orbitPasses
+// ('ASCENDING' and/or 'DESCENDING'). Every image gets a 'track_id' ('<pass>_<relative orbit>',
+// e.g. 'ASCENDING_129') so composites and per-polygon statistics can record their tracks.
+//
+// Preprocessing (each step toggled in cfg.sentinel1, applied in this order in linear power):
+//   1. Border noise: pixels outside the incidence-angle range BORDER_ANGLES are masked.
+//   2. Speckle filter (speckleFilter):
+//        'NONE'
+//        'REFINED_LEE' - Lee (1981) refined filter with 7x7 edge-aligned windows
+//        'LEE_SIGMA'   - Lee et al. (2009) improved sigma filter (sigma 0.9, 4 looks),
+//                        keeping strong point scatterers
+//        'GAMMA_MAP'   - Gamma maximum a posteriori filter (Lopes et al. 1990)
+//        'QUEGAN'      - multi-temporal filter (Quegan & Yu 2001) over the images of the same
+//                        relative orbit within queganWindowDays
+//      speckleKernel sets the window size (pixels) of LEE_SIGMA, GAMMA_MAP and QUEGAN.
+//   3. Terrain flattening: volume-model radiometric terrain normalization (Vollrath et al.
+//      2020) with a DEM; layover and shadow are masked (optionally buffered by shadowBuffer m).
+// The output keeps the VV, VH (dB) and angle bands, so the SAR metrics work on raw and processed images.
+//
+// Track normalization (normalizeTracks(), cfg.sentinel1.normalizeTracks): each orbit pass or
+// relative orbit (trackGrouping 'PASS' or 'TRACK') is shifted per pixel so its mean over the
+// analysis range equals the mean of all images. Viewing-geometry offsets between tracks then do
+// not show up as a trend when the mix of tracks changes from year to year.
+//
+// Usage (Code Editor):
+//   var sentinel1 = require('users/paularellano/GEE_scripts:modules/sentinel1.js');
+//   var s1 = sentinel1.loadCollection(studyArea, startDate, endDate, cfg.sentinel1)
+//     .map(sarIndices.addIndices(cfg.sarIndices));
+//   var s1Normalized = sentinel1.normalizeTracks(s1, sarIndices.compositeBands(cfg.sarIndices), cfg.sentinel1);
+//
+// By: Paul Arellan - Paul Gee
+// Email: paul.arellano@nau.edu
+//
+
+// --- 1. CONSTANTS ---
+
+var COLLECTION = 'COPERNICUS/S1_GRD';
+var POLARIZATIONS = ['VV', 'VH'];
+
+var ORBIT_PASSES = ['ASCENDING', 'DESCENDING'];
+
+var SPECKLE_FILTERS = ['NONE', 'REFINED_LEE', 'LEE_SIGMA', 'GAMMA_MAP', 'QUEGAN'];
+
+// Image property that identifies the groups of normalizeTracks() for each trackGrouping.
+var TRACK_PROPERTIES = {PASS: 'orbitProperties_pass', TRACK: 'track_id'};
+
+// Incidence angles (degrees) outside which IW swath edges carry border noise.
+var BORDER_ANGLES = {min: 30.63, max: 45.23};
+
+// --- 2. TRACKS, UNIT CONVERSION AND BORDER NOISE ---
+
+// Sets 'track_id' (e.g. 'ASCENDING_129') and 'source_id' (the scene's 'system:index', which the
+// per-track flatten() of normalizeTracks() does not keep).
+var setTrackId = function(image) {
+  return image.set('track_id', ee.String(image.get('orbitProperties_pass')).cat('_')
+    .cat(ee.Number(image.get('relativeOrbitNumber_start')).format('%d')))
+    .set('source_id', image.get('system:index'));
+};
+
+var toLinear = function(image) {
+  var linear = ee.Image(10).pow(image.select(POLARIZATIONS).divide(10)).rename(POLARIZATIONS);
+  return image.addBands(linear, null, true);
+};
+
+var toDb = function(image) {
+  var db = image.select(POLARIZATIONS).log10().multiply(10).rename(POLARIZATIONS);
+  return image.addBands(db, null, true);
+};
+
+var maskBorderNoise = function(image) {
+  var angle = image.select('angle');
+  return image.updateMask(angle.gt(BORDER_ANGLES.min).and(angle.lt(BORDER_ANGLES.max)));
+};
+
+// --- 3. SINGLE-IMAGE SPECKLE FILTERS (one band in linear power) ---
+
+// Refined Lee: local statistics in the 7x7 half-window aligned with the strongest edge.
+var refinedLee = function(band) {
+  var kernel3 = ee.Kernel.fixed(3, 3, ee.List.repeat(ee.List.repeat(1, 3), 3), 1, 1, false);
+  var mean3 = band.reduceNeighborhood(ee.Reducer.mean(), kernel3);
+  var variance3 = band.reduceNeighborhood(ee.Reducer.variance(), kernel3);
+
+  // 3x3 means and variances at the centers of the nine 3x3 blocks of the 7x7 window.
+  var sampleWeights = ee.List([[0, 0, 0, 0, 0, 0, 0], [0, 1, 0, 1, 0, 1, 0], [0, 0, 0, 0, 0, 0, 0],
+    [0, 1, 0, 1, 0, 1, 0], [0, 0, 0, 0, 0, 0, 0], [0, 1, 0, 1, 0, 1, 0], [0, 0, 0, 0, 0, 0, 0]]);
+  var sampleKernel = ee.Kernel.fixed(7, 7, sampleWeights, 3, 3, false);
+  var sampleMean = mean3.neighborhoodToBands(sampleKernel);
+  var sampleVar = variance3.neighborhoodToBands(sampleKernel);
+
+  // Edge direction: the largest of the four gradients, then the side of the edge.
+  var gradients = ee.Image.cat([
+    sampleMean.select(1).subtract(sampleMean.select(7)).abs(),
+    sampleMean.select(6).subtract(sampleMean.select(2)).abs(),
+    sampleMean.select(3).subtract(sampleMean.select(5)).abs(),
+    sampleMean.select(0).subtract(sampleMean.select(8)).abs()
+  ]);
+  var gradientMask = gradients.eq(gradients.reduce(ee.Reducer.max()));
+  gradientMask = gradientMask.addBands(gradientMask);
+
+  var center = sampleMean.select(4);
+  var directions = ee.Image.cat([
+    sampleMean.select(1).subtract(center).gt(center.subtract(sampleMean.select(7))).multiply(1),
+    sampleMean.select(6).subtract(center).gt(center.subtract(sampleMean.select(2))).multiply(2),
+    sampleMean.select(3).subtract(center).gt(center.subtract(sampleMean.select(5))).multiply(3),
+    sampleMean.select(0).subtract(center).gt(center.subtract(sampleMean.select(8))).multiply(4)
+  ]);
+  directions = directions.addBands(ee.Image.cat([
+    directions.select(0).not().multiply(5),
+    directions.select(1).not().multiply(6),
+    directions.select(2).not().multiply(7),
+    directions.select(3).not().multiply(8)
+  ]));
+  directions = directions.updateMask(gradientMask).reduce(ee.Reducer.sum());
+
+  // Speckle noise variance: mean of the five most homogeneous blocks.
+  var sigmaV = sampleVar.divide(sampleMean.multiply(sampleMean)).toArray()
+    .arraySort().arraySlice(0, 0, 5).arrayReduce(ee.Reducer.mean(), [0]);
+
+  var rectWeights = ee.List.repeat(ee.List.repeat(0, 7), 3).cat(ee.List.repeat(ee.List.repeat(1, 7), 4));
+  var diagWeights = ee.List([[1, 0, 0, 0, 0, 0, 0], [1, 1, 0, 0, 0, 0, 0], [1, 1, 1, 0, 0, 0, 0],
+    [1, 1, 1, 1, 0, 0, 0], [1, 1, 1, 1, 1, 0, 0], [1, 1, 1, 1, 1, 1, 0], [1, 1, 1, 1, 1, 1, 1]]);
+  var rectKernel = ee.Kernel.fixed(7, 7, rectWeights, 3, 3, false);
+  var diagKernel = ee.Kernel.fixed(7, 7, diagWeights, 3, 3, false);
+
+  var dirMeans = [];
+  var dirVars = [];
+  for (var i = 0; i < 4; i++) {
+    var rect = rectKernel.rotate(i);
+    var diag = diagKernel.rotate(i);
+    dirMeans.push(band.reduceNeighborhood(ee.Reducer.mean(), rect).updateMask(directions.eq(2 * i + 1)),
+                  band.reduceNeighborhood(ee.Reducer.mean(), diag).updateMask(directions.eq(2 * i + 2)));
+    dirVars.push(band.reduceNeighborhood(ee.Reducer.variance(), rect).updateMask(directions.eq(2 * i + 1)),
+                 band.reduceNeighborhood(ee.Reducer.variance(), diag).updateMask(directions.eq(2 * i + 2)));
+  }
+  var dirMean = ee.ImageCollection(dirMeans).sum();
+  var dirVar = ee.ImageCollection(dirVars).sum();
+
+  var varX = dirVar.subtract(dirMean.multiply(dirMean).multiply(sigmaV)).divide(sigmaV.add(1));
+  var b = varX.divide(dirVar);
+  return dirMean.add(b.multiply(band.subtract(dirMean)))
+    .arrayProject([0]).arrayFlatten([['filtered']]).toFloat();
+};
+
+// MMSE estimate of the local mean (shared by the Lee-Sigma steps).
+var mmse = function(band, kernelSize, eta) {
+  var stats = band.reduceNeighborhood({
+    reducer: ee.Reducer.mean().combine({reducer2: ee.Reducer.variance(), sharedInputs: true}),
+    kernel: ee.Kernel.square(kernelSize / 2, 'pixels'),
+    optimization: 'window'
+  });
+  var mean = stats.select(0);
+  var variance = stats.select(1);
+  var varX = variance.subtract(mean.pow(2).multiply(eta * eta)).divide(1 + eta * eta);
+  var b = varX.divide(variance);
+  return ee.Image(1).subtract(b).multiply(mean).add(b.multiply(band));
+};
+
+// Lee-Sigma (sigma 0.9 for 4-look intensity): each pixel is the MMSE estimate from the neighbors
+// in the sigma range around the a-priori mean (the a-priori mean when there are none); point
+// targets (7 of 9 neighbors above the 98th percentile) are kept. Only masked input pixels stay masked.
+var leeSigma = function(band, kernelSize) {
+  var looks = 4;
+  var sigmaRange = {low: 0.378, high: 2.094, eta: 0.3991}; // Lee et al. (2009), sigma = 0.9
+  // A scene without valid pixels has no percentile (an empty dictionary or a null value) and no
+  // point targets either, so the threshold falls back to 0.
+  var percentile = band.reduceRegion({
+    reducer: ee.Reducer.percentile([98]),
+    geometry: band.geometry(),
+    scale: 100,
+    bestEffort: true
+  }).values().add(0).get(0);
+  var p98 = ee.Algorithms.If(percentile, percentile, 0);
+  var bright = band.gte(ee.Image.constant(p98));
+  var pointTarget = bright.reduceNeighborhood(ee.Reducer.sum(), ee.Kernel.square(1, 'pixels')).gte(7);
+
+  var prior = mmse(band, 3, 1 / Math.sqrt(looks));
+  var inRange = band.gte(prior.multiply(sigmaRange.low)).and(band.lte(prior.multiply(sigmaRange.high)));
+  var filtered = mmse(band.updateMask(inRange), kernelSize, sigmaRange.eta).unmask(prior).updateMask(band.mask());
+  return band.updateMask(pointTarget).unmask(filtered).rename('filtered').toFloat();
+};
+
+// Gamma-MAP (5 looks): mean where homogeneous, MAP estimate where textured, original values
+// for point targets.
+var gammaMap = function(band, kernelSize) {
+  var looks = 5;
+  var stats = band.reduceNeighborhood({
+    reducer: ee.Reducer.mean().combine({reducer2: ee.Reducer.stdDev(), sharedInputs: true}),
+    kernel: ee.Kernel.square(kernelSize / 2, 'pixels'),
+    optimization: 'window'
+  });
+  var mean = stats.select(0);
+  var ci = stats.select(1).divide(mean);
+  var cu = 1 / Math.sqrt(looks);
+  var cmax = Math.sqrt(2) * cu;
+
+  var alpha = ee.Image(1 + cu * cu).divide(ci.pow(2).subtract(cu * cu));
+  var q = mean.pow(2).multiply(mean.multiply(alpha).subtract(looks + 1).pow(2))
+    .add(alpha.multiply(4 * looks).multiply(band).multiply(mean));
+  var map = mean.multiply(alpha.subtract(looks + 1)).add(q.sqrt()).divide(alpha.multiply(2));
+
+  return ee.ImageCollection([
+    mean.updateMask(ci.lte(cu)),
+    map.updateMask(ci.gt(cu).and(ci.lt(cmax))),
+    band.updateMask(ci.gte(cmax))
+  ]).sum().rename('filtered').toFloat();
+};
+
+// Applies a single-band filter to VV and VH of a linear-power image.
+var filterPolarizations = function(filter, kernelSize) {
+  return function(image) {
+    var filtered = ee.Image.cat(POLARIZATIONS.map(function(pol) {
+      return filter(image.select(pol), kernelSize).rename(pol);
+    }));
+    return image.addBands(filtered, null, true);
+  };
+};
+
+// --- 4. MULTI-TEMPORAL SPECKLE FILTER ---
+
+// Quegan & Yu: each image's local mean times the mean ratio (image / local mean) of the images
+// from the same relative orbit within windowDays.
+var queganFilter = function(collection, kernelSize, windowDays) {
+  var kernel = ee.Kernel.square(kernelSize / 2, 'pixels');
+  var localMean = function(image) {
+    return image.select(POLARIZATIONS).reduceNeighborhood(ee.Reducer.mean(), kernel).rename(POLARIZATIONS);
+  };
+  var ratios = collection.map(function(image) {
+    return image.select(POLARIZATIONS).divide(localMean(image))
+      .copyProperties(image, ['system:time_start', 'relativeOrbitNumber_start']);
+  });
+  return collection.map(function(image) {
+    var neighbors = ratios
+      .filterDate(image.date().advance(-windowDays, 'day'), image.date().advance(windowDays, 'day'))
+      .filter(ee.Filter.eq('relativeOrbitNumber_start', image.get('relativeOrbitNumber_start')));
+    return image.addBands(localMean(image).multiply(neighbors.mean()), null, true);
+  });
+};
+
+// --- 5. TERRAIN FLATTENING ---
+
+// Volume-model terrain flattening of a linear-power image: sigma0 to gamma0, divided by the
+// volume scattering correction of the range-facing slope; layover and shadow are masked.
+var terrainFlatten = function(dem, shadowBuffer) {
+  var ninety = Math.PI / 2;
+  return function(image) {
+    var geometry = image.geometry();
+    var elevation = dem.resample('bilinear').reproject({crs: image.select('VV').projection(), scale: 10}).clip(geometry);
+
+    // Satellite heading from the along-track gradient of the incidence angle.
+    var heading = ee.Terrain.aspect(image.select('angle'))
+      .reduceRegion(ee.Reducer.mean(), geometry, 1000).get('aspect');
+    var thetaI = image.select('angle').multiply(Math.PI / 180);
+    var phiI = ee.Image.constant(heading).multiply(Math.PI / 180);
+
+    var slope = ee.Terrain.slope(elevation).multiply(Math.PI / 180);
+    var aspect = ee.Terrain.aspect(elevation);
+    var phiS = aspect.where(aspect.gt(180), aspect.subtract(360)).multiply(-Math.PI / 180);
+    var phiR = phiI.subtract(phiS);
+    var alphaR = slope.tan().multiply(phiR.cos()).atan(); // Slope facing the radar (range)
+
+    var gamma0 = image.select(POLARIZATIONS).divide(thetaI.cos());
+    var scf = ee.Image(ninety).subtract(thetaI).add(alphaR).tan()
+      .divide(ee.Image(ninety).subtract(thetaI).tan());
+    var flattened = gamma0.divide(scf);
+
+    var layover = alphaR.lt(thetaI);
+    var shadow = alphaR.gt(thetaI.subtract(ninety));
+    var valid = layover.and(shadow);
+    if (shadowBuffer > 0) {
+      valid = valid.not().focal_max({radius: shadowBuffer, units: 'meters'}).not();
+    }
+    return image.addBands(flattened.updateMask(valid), null, true);
+  };
+};
+
+// --- 6. LOADING ---
+
+// Loads IW, VV+VH Sentinel-1 GRD images for a region and date range (bands VV, VH in dB and angle)
+// and applies the preprocessing steps switched on in options (cfg.sentinel1).
+var loadCollection = function(region, startDate, endDate, options) {
+  var collection = ee.ImageCollection(COLLECTION)
+    .filterBounds(region)
+    .filterDate(startDate, endDate)
+    // 'IW' (Interferometric Wide) mode is the standard mode over land.
+    .filter(ee.Filter.eq('instrumentMode', 'IW'))
+    .filter(ee.Filter.listContains('transmitterReceiverPolarisation', 'VV'))
+    .filter(ee.Filter.listContains('transmitterReceiverPolarisation', 'VH'))
+    .filter(ee.Filter.inList('orbitProperties_pass', options.orbitPasses))
+    .select(['VV', 'VH', 'angle'])
+    .map(setTrackId)
+    .map(toLinear);
+
+  if (options.borderNoise) {
+    collection = collection.map(maskBorderNoise);
+  }
+
+  if (SPECKLE_FILTERS.indexOf(options.speckleFilter) === -1) {
+    throw new Error('Unknown speckle filter "' + options.speckleFilter + '". Use one of: ' + SPECKLE_FILTERS.join(', '));
+  }
+  if (options.speckleFilter === 'REFINED_LEE') {
+    collection = collection.map(filterPolarizations(refinedLee));
+  } else if (options.speckleFilter === 'LEE_SIGMA') {
+    collection = collection.map(filterPolarizations(leeSigma, options.speckleKernel));
+  } else if (options.speckleFilter === 'GAMMA_MAP') {
+    collection = collection.map(filterPolarizations(gammaMap, options.speckleKernel));
+  } else if (options.speckleFilter === 'QUEGAN') {
+    collection = queganFilter(collection, options.speckleKernel, options.queganWindowDays);
+  }
+
+  if (options.terrainFlattening) {
+    collection = collection.map(terrainFlatten(ee.Image(options.dem), options.shadowBuffer));
+  }
+  return collection.map(toDb);
+};
+
+// --- 7. TRACK NORMALIZATION ---
+
+// Shifts bandNames of each track (options.trackGrouping) by the per-pixel difference between the
+// mean of all images and the track's mean, so every track shares the same baseline level.
+// Returns the collection unchanged when options.normalizeTracks is false.
+var normalizeTracks = function(collection, bandNames, options) {
+  if (!options.normalizeTracks) {
+    return collection;
+  }
+  var trackProperty = TRACK_PROPERTIES[options.trackGrouping];
+  var pooledMean = collection.select(bandNames).mean();
+  var tracks = ee.List(collection.aggregate_array(trackProperty)).distinct();
+  var normalized = tracks.map(function(track) {
+    var trackImages = collection.filter(ee.Filter.eq(trackProperty, track));
+    var offset = pooledMean.subtract(trackImages.select(bandNames).mean());
+    return trackImages.map(function(image) {
+      return image.addBands(image.select(bandNames).add(offset), null, true);
+    });
+  });
+  // A list of collections becomes one collection through a FeatureCollection of collections.
+  return ee.ImageCollection(ee.FeatureCollection(normalized).flatten()).sort('system:time_start');
+};
+
+exports.COLLECTION = COLLECTION;
+exports.ORBIT_PASSES = ORBIT_PASSES;
+exports.SPECKLE_FILTERS = SPECKLE_FILTERS;
+exports.TRACK_PROPERTIES = TRACK_PROPERTIES;
+exports.BORDER_ANGLES = BORDER_ANGLES;
+exports.maskBorderNoise = maskBorderNoise;
+exports.refinedLee = refinedLee;
+exports.leeSigma = leeSigma;
+exports.gammaMap = gammaMap;
+exports.queganFilter = queganFilter;
+exports.terrainFlatten = terrainFlatten;
+exports.loadCollection = loadCollection;
+exports.normalizeTracks = normalizeTracks;
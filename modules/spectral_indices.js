@@ -0,0 +1,168 @@
+// Google Earth Engine Module: Spectral Index Library (Sentinel-2)
+// This module is a registry of vegetation/moisture indices computed from Sentinel-2
+// surface reflectance scaled to 0-1 (see modules/s2_masking.js). Any subset can be
+// requested by name; each index is added as a band named after its registry key, so
+// compositing, trend fitting, per-polygon statistics and exports can loop over names.
+//
+// Indices:
+//   NDVI  - (B8 - B4) / (B8 + B4)
+//   NBR   - (B8 - B12) / (B8 + B12)
+//   NDMI  - (B8 - B11) / (B8 + B11)
+//   EVI   - 2.5 * (B8 - B4) / (B8 + 6 * B4 - 7.5 * B2 + 1)
+//   SAVI  - 1.5 * (B8 - B4) / (B8 + B4 + 0.5)
+//   MSI   - B11 / B8 (higher = more moisture stress)
+//   NDRE1 - (B8A - B5) / (B8A + B5)   red-edge 1
+//   NDRE2 - (B8A - B6) / (B8A + B6)   red-edge 2
+//   NDRE3 - (B8A - B7) / (B8A + B7)   red-edge 3
+//   TCB, TCG, TCW - Tasseled-cap brightness, greenness and wetness
+//                   (Shi & Xu 2019 coefficients for B2, B3, B4, B8A, B11, B12)
+//
+// Usage (Code Editor):
+//   var spectralIndices = require('users/paularellano/GEE_scripts:modules/spectral_indices.js');
+//   var withIndices = maskedS2.map(spectralIndices.addIndices(['NDVI', 'NBR']));
+//
+// By: Paul Arellan - Paul Gee
+// Email: paul.arellano@nau.edu
+//
+
+// --- 1. INDEX FUNCTIONS ---
+// Each function takes a scaled S2 image and returns a single float band named after the index.
+
+var normalizedDifference = function(name, bandA, bandB) {
+  return function(image) {
+    return image.normalizedDifference([bandA, bandB]).rename(name).toFloat();
+  };
+};
+
+// Linear combination of bands, used for the tasseled-cap components.
+var tasseledCap = function(name, coefficients) {
+  var bands = ['B2', 'B3', 'B4', 'B8A', 'B11', 'B12'];
+  return function(image) {
+    return image.select(bands)
+      .multiply(ee.Image.constant(coefficients))
+      .reduce(ee.Reducer.sum())
+      .rename(name).toFloat();
+  };
+};
+
+// --- 2. REGISTRY ---
+// vis holds default visualization parameters for Map layers of the annual composites.
+
+var INDICES = {
+  NDVI: {
+    description: 'Normalized Difference Vegetation Index',
+    compute: normalizedDifference('NDVI', 'B8', 'B4'),
+    vis: {min: 0, max: 1, palette: ['red', 'yellow', 'green']}
+  },
+  NBR: {
+    description: 'Normalized Burn Ratio',
+    compute: normalizedDifference('NBR', 'B8', 'B12'),
+    vis: {min: -0.2, max: 0.8, palette: ['red', 'yellow', 'green']}
+  },
+  NDMI: {
+    description: 'Normalized Difference Moisture Index',
+    compute: normalizedDifference('NDMI', 'B8', 'B11'),
+    vis: {min: -0.3, max: 0.5, palette: ['#8B4513', 'white', '#0066FF']}
+  },
+  EVI: {
+    description: 'Enhanced Vegetation Index',
+    compute: function(image) {
+      return image.expression('2.5 * (NIR - RED) / (NIR + 6 * RED - 7.5 * BLUE + 1)', {
+        NIR: image.select('B8'),
+        RED: image.select('B4'),
+        BLUE: image.select('B2')
+      }).rename('EVI').toFloat();
+    },
+    vis: {min: 0, max: 0.8, palette: ['red', 'yellow', 'green']}
+  },
+  SAVI: {
+    description: 'Soil Adjusted Vegetation Index (L = 0.5)',
+    compute: function(image) {
+      return image.expression('1.5 * (NIR - RED) / (NIR + RED + 0.5)', {
+        NIR: image.select('B8'),
+        RED: image.select('B4')
+      }).rename('SAVI').toFloat();
+    },
+    vis: {min: 0, max: 0.8, palette: ['red', 'yellow', 'green']}
+  },
+  MSI: {
+    description: 'Moisture Stress Index',
+    compute: function(image) {
+      return image.select('B11').divide(image.select('B8')).rename('MSI').toFloat();
+    },
+    vis: {min: 0.4, max: 2, palette: ['green', 'yellow', 'red']}
+  },
+  NDRE1: {
+    description: 'Normalized Difference Red-Edge (B8A, B5)',
+    compute: normalizedDifference('NDRE1', 'B8A', 'B5'),
+    vis: {min: 0, max: 0.6, palette: ['red', 'yellow', 'green']}
+  },
+  NDRE2: {
+    description: 'Normalized Difference Red-Edge (B8A, B6)',
+    compute: normalizedDifference('NDRE2', 'B8A', 'B6'),
+    vis: {min: 0, max: 0.4, palette: ['red', 'yellow', 'green']}
+  },
+  NDRE3: {
+    description: 'Normalized Difference Red-Edge (B8A, B7)',
+    compute: normalizedDifference('NDRE3', 'B8A', 'B7'),
+    vis: {min: 0, max: 0.3, palette: ['red', 'yellow', 'green']}
+  },
+  TCB: {
+    description: 'Tasseled-cap brightness',
+    compute: tasseledCap('TCB', [0.3510, 0.3813, 0.3437, 0.7196, 0.2396, 0.1949]),
+    vis: {min: 0, max: 0.6, palette: ['black', 'white']}
+  },
+  TCG: {
+    description: 'Tasseled-cap greenness',
+    compute: tasseledCap('TCG', [-0.3599, -0.3533, -0.4734, 0.6633, 0.0087, -0.2856]),
+    vis: {min: -0.1, max: 0.3, palette: ['#8B4513', 'white', 'green']}
+  },
+  TCW: {
+    description: 'Tasseled-cap wetness',
+    compute: tasseledCap('TCW', [0.2578, 0.2305, 0.0883, 0.1071, -0.7611, -0.5308]),
+    vis: {min: -0.3, max: 0.1, palette: ['#8B4513', 'white', '#0066FF']}
+  }
+};
+
+// --- 3. PUBLIC API ---
+
+// Registry keys, e.g. ['NDVI', 'NBR', ...].
+var names = function() {
+  return Object.keys(INDICES);
+};
+
+// Throws if any requested name is not in the registry. Returns the names unchanged.
+var check = function(indexNames) {
+  if (!Array.isArray(indexNames) || indexNames.length === 0) {
+    throw new Error('Spectral index list must be a non-empty list of names.');
+  }
+  indexNames.forEach(function(name) {
+    if (!INDICES.hasOwnProperty(name)) {
+      throw new Error('Unknown spectral index "' + name + '". Available: ' + names().join(', '));
+    }
+  });
+  return indexNames;
+};
+
+// Returns a function for ImageCollection.map() that adds one band per requested index.
+var addIndices = function(indexNames) {
+  check(indexNames);
+  return function(image) {
+    var bands = indexNames.map(function(name) {
+      return INDICES[name].compute(image);
+    });
+    return image.addBands(ee.Image(bands));
+  };
+};
+
+// Default visualization parameters for one index.
+var vis = function(name) {
+  check([name]);
+  return INDICES[name].vis;
+};
+
+exports.INDICES = INDICES;
+exports.names = names;
+exports.check = check;
+exports.addIndices = addIndices;
+exports.vis = vis;
@@ -0,0 +1,144 @@
+// Google Earth Engine Module: Robust Trend Statistics
+// This module fits trends through yearly composites, per pixel and per polygon, and
+// reports more than the OLS slope/offset of ee.Reducer.linearFit():
+//   - OLS slope ('scale'), intercept ('offset'), R² ('r2') and slope standard error ('se').
+//   - Sen's slope ('sen_slope'), the median of all pairwise slopes, which is robust to a
+//     single bad composite.
+//   - Mann-Kendall tau ('mk_tau') and two-sided p-value ('mk_p') of the monotonic trend.
+//   - Number of yearly values used ('n_years') and a significant-decline flag
+//     ('sig_decline' = 1 where mk_p < alpha and sen_slope < 0).
+//
+// Usage (Code Editor):
+//   var trendStatistics = require('users/paularellano/GEE_scripts:modules/trend_stats.js');
+//   var trend = trendStatistics.pixelTrend(yearlyNDVI, 'NDVI', 0.05, 3);
+//   var stats = trendStatistics.seriesTrend(timeSeriesFeatures, 'year', 'index_y', 3, 0.05);
+//
+// By: Paul Arellan - Paul Gee
+// Email: paul.arellano@nau.edu
+//
+
+// Band / property names produced by this module, in export order.
+var STAT_NAMES = ['scale', 'offset', 'r2', 'se', 'sen_slope', 'mk_tau', 'mk_p', 'n_years', 'sig_decline'];
+
+// --- 1. PER-PIXEL TRENDS ---
+
+// Converts yearly composites (with a 'year' property) into x/y images. The x band is
+// masked wherever y is masked, so every reducer sees the same pairs.
+var toXY = function(collection, bandName) {
+  return collection.map(function(image) {
+    var y = image.select(bandName).rename('y').toFloat();
+    var x = ee.Image.constant(ee.Number(image.get('year'))).rename('x').toFloat().updateMask(y.mask());
+    return x.addBands(y);
+  });
+};
+
+// Per-pixel trend statistics of one band across yearly composites. Returns a float image
+// with the bands in STAT_NAMES. Pixels with fewer than minYears valid values (default 2) are
+// masked; pixels with fewer than three values have no R²/SE.
+var pixelTrend = function(collection, bandName, alpha, minYears) {
+  minYears = minYears || 2;
+  var xy = toXY(collection, bandName);
+
+  var ols = xy.reduce(ee.Reducer.linearFit()); // scale, offset
+  var sen = xy.reduce(ee.Reducer.sensSlope()).select(['slope'], ['sen_slope']);
+  var mk = xy.reduce(ee.Reducer.kendallsCorrelation(2)).select(['tau', 'p-value'], ['mk_tau', 'mk_p']);
+  var pearson = xy.reduce(ee.Reducer.pearsonsCorrelation()).select('correlation');
+  var n = xy.select('y').count().rename('n_years');
+  var varX = xy.select('x').reduce(ee.Reducer.variance());
+  var varY = xy.select('y').reduce(ee.Reducer.variance());
+
+  var r2 = pearson.pow(2).rename('r2');
+  // SE(slope) = sqrt((1 - r²) / (n - 2) * var(y) / var(x)); the variance normalization cancels.
+  var se = ee.Image(1).subtract(r2)
+    .divide(n.subtract(2))
+    .multiply(varY.divide(varX))
+    .sqrt()
+    .updateMask(n.gt(2))
+    .rename('se');
+  var sigDecline = mk.select('mk_p').lt(alpha)
+    .and(sen.select('sen_slope').lt(0))
+    .rename('sig_decline');
+
+  return ols.addBands([r2, se, sen, mk, n, sigDecline]).select(STAT_NAMES).toFloat().updateMask(n.gte(minYears));
+};
+
+// --- 2. PER-POLYGON (TABLE) TRENDS ---
+
+// Trend statistics of a FeatureCollection time series (one feature per year) with the
+// independent variable in xProperty and the dependent variable in yProperty.
+// Returns an ee.Dictionary keyed by STAT_NAMES; every statistic except n_years is null
+// when the series has fewer than minYears values.
+var seriesTrend = function(series, xProperty, yProperty, minYears, alpha) {
+  series = ee.FeatureCollection(series);
+  var n = series.size();
+  var selectors = [xProperty, yProperty];
+
+  var fitted = function() {
+    var ols = ee.Dictionary(series.reduceColumns(ee.Reducer.linearFit(), selectors));
+    var sen = ee.Dictionary(series.reduceColumns(ee.Reducer.sensSlope(), selectors));
+    var mk = ee.Dictionary(series.reduceColumns(ee.Reducer.kendallsCorrelation(2), selectors));
+    var pearson = ee.Dictionary(series.reduceColumns(ee.Reducer.pearsonsCorrelation(), selectors));
+    var r = ee.Number(pearson.get('correlation'));
+    var r2 = r.pow(2);
+    var varX = ee.Number(series.aggregate_sample_var(xProperty));
+    var varY = ee.Number(series.aggregate_sample_var(yProperty));
+    var se = ee.Algorithms.If(
+      n.gt(2).and(varX.gt(0)),
+      ee.Number(1).subtract(r2).divide(n.subtract(2)).multiply(varY.divide(varX)).sqrt(),
+      null
+    );
+    var senSlope = ee.Number(sen.get('slope'));
+    var mkP = ee.Number(mk.get('p-value'));
+    return ee.Dictionary({
+      scale: ols.get('scale'),
+      offset: ols.get('offset'),
+      r2: r2,
+      se: se,
+      sen_slope: senSlope,
+      mk_tau: mk.get('tau'),
+      mk_p: mkP,
+      n_years: n,
+      sig_decline: mkP.lt(alpha).and(senSlope.lt(0))
+    });
+  };
+
+  var empty = ee.Dictionary({
+    scale: null, offset: null, r2: null, se: null, sen_slope: null,
+    mk_tau: null, mk_p: null, n_years: n, sig_decline: null
+  });
+
+  return ee.Dictionary(ee.Algorithms.If(n.gte(minYears), fitted(), empty));
+};
+
+// Copies a seriesTrend() dictionary onto a feature as '<prefix>_<stat>' properties
+// (n_years is stored as 'trend_points_used', matching the per-polygon CSVs).
+var setTrendProperties = function(feature, stats, prefix) {
+  var properties = {};
+  STAT_NAMES.forEach(function(name) {
+    if (name === 'n_years') {
+      properties.trend_points_used = stats.get(name);
+    } else if (name === 'scale') {
+      properties[prefix + '_slope'] = stats.get(name);
+    } else {
+      properties[prefix + '_' + name] = stats.get(name);
+    }
+  });
+  return feature.set(properties);
+};
+
+// CSV column names written by setTrendProperties() for one prefix.
+var trendColumns = function(prefix) {
+  return STAT_NAMES.map(function(name) {
+    if (name === 'n_years') {
+      return 'trend_points_used';
+    }
+    return prefix + '_' + (name === 'scale' ? 'slope' : name);
+  });
+};
+
+exports.STAT_NAMES = STAT_NAMES;
+exports.toXY = toXY;
+exports.pixelTrend = pixelTrend;
+exports.seriesTrend = seriesTrend;
+exports.setTrendProperties = setTrendProperties;
+exports.trendColumns = trendColumns;
@@ -0,0 +1,105 @@
+// Tests of modules/climate_anomalies.js: standardized anomaly math and the seasonal anomaly of a
+// registered synthetic GRIDMET collection; and the baseline note of modules/polygon_climate.js.
+// Run with: npm test
+
+var test = require('node:test');
+var assert = require('node:assert');
+var mock = require('./mock_ee.js').install();
+
+var climateAnomalies = mock.load('modules/climate_anomalies.js');
+var ee = mock.ee;
+
+var SEASON = {startMonth: 3, startDay: 1, endMonth: 9, endDay: 30};
+
+var assertNear = function(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, message + ': ' + actual + ' != ' + expected);
+};
+
+// Pixel 0: baseline 1, 2, 3, 4 and target 5. Pixel 1: constant baseline 2 and target 2.
+// Pixel 2: baseline mean 0.
+var baseline = ee.ImageCollection([[1, 2, -1], [2, 2, 1], [3, 2, -1], [4, 2, 1]].map(function(values) {
+  return mock.image({value: values});
+}));
+var target = mock.image({value: [5, 2, 3]});
+
+test('standardizedAnomaly computes the anomaly, z-score, percent of normal and percentile', function() {
+  var standardized = climateAnomalies.standardizedAnomaly(baseline, target, 'mm');
+  assert.deepStrictEqual(mock.unwrap(standardized.bandNames()), climateAnomalies.STANDARDIZED_BANDS);
+
+  assert.deepStrictEqual(mock.pixels(standardized, 'anomaly'), [2.5, 0, 3]);
+  assert.deepStrictEqual(mock.pixels(standardized, 'baseline_mean'), [2.5, 2, 0]);
+  // Baseline standard deviation of 1, 2, 3, 4 (population, as ee.Reducer.stdDev()).
+  assertNear(mock.pixels(standardized, 'baseline_sd')[0], Math.sqrt(1.25), 'baseline_sd');
+  assertNear(mock.pixels(standardized, 'zscore')[0], 2.5 / Math.sqrt(1.25), 'zscore');
+  assert.strictEqual(mock.pixels(standardized, 'pct_of_normal')[0], 200);
+  // The target is above every baseline year; ties count as half.
+  assert.deepStrictEqual(mock.pixels(standardized, 'percentile'), [100, 50, 100]);
+});
+
+test('standardizedAnomaly masks the z-score without baseline variability and percent of normal at a zero mean', function() {
+  var standardized = climateAnomalies.standardizedAnomaly(baseline, target, 'mm');
+  assert.strictEqual(mock.pixels(standardized, 'zscore')[1], null);
+  assert.strictEqual(mock.pixels(standardized, 'pct_of_normal')[1], 100);
+  assert.strictEqual(mock.pixels(standardized, 'pct_of_normal')[2], null);
+  assert.strictEqual(mock.unwrap(standardized.get('units_zscore')), 'standard deviations');
+  assert.strictEqual(mock.unwrap(standardized.get('units_anomaly')), 'mm');
+});
+
+// One GRIDMET image per year on June 1st (precipitation 100 + year offset, tmmx in Kelvin).
+var gridmet = function(firstYear, lastYear) {
+  var images = [];
+  for (var year = firstYear; year <= lastYear; year++) {
+    images.push(mock.image({pr: [100 + (year - firstYear), 50], tmmx: [300, 290 + (year % 2)], etr: [600, 600]}, {
+      'system:time_start': Date.UTC(year, 5, 1),
+      'system:index': String(year) + '0601'
+    }));
+  }
+  return images;
+};
+
+test('seasonalAnomaly subtracts the baseline mean of the same season', function() {
+  mock.registerCollection('IDAHO_EPSCOR/GRIDMET', gridmet(2010, 2024));
+  var precip = climateAnomalies.seasonalAnomaly('precip', 2024, '2010-01-01', '2022-12-31', SEASON);
+  // Baseline 2010-2022 has 100 ... 112 (mean 106); 2024 has 114.
+  assert.deepStrictEqual(mock.pixels(precip, 'precip_anomaly'), [8, 0]);
+
+  var tmmx = climateAnomalies.seasonalAnomaly('tmmx', 2023, '2010-01-01', '2022-12-31', SEASON);
+  // Kelvin offsets cancel; 2023 is odd (291 K) and the baseline has seven even and six odd years.
+  assertNear(mock.pixels(tmmx, 'tmmx_anomaly')[1], 1 - 6 / 13, 'tmmx anomaly');
+});
+
+test('variableAnomaly is fully masked when the target season has no images', function() {
+  mock.registerCollection('IDAHO_EPSCOR/GRIDMET', gridmet(2010, 2023));
+  var missing = climateAnomalies.variableAnomaly('precip', 2024, '2010-01-01', '2022-12-31', SEASON);
+  assert.strictEqual(mock.unwrap(missing.get('data_available')), 0);
+  assert.deepStrictEqual(mock.pixels(missing, 'anomaly'), [null]);
+});
+
+test('buildOptions rejects unknown variables and baselines before the record', function() {
+  assert.throws(function() { climateAnomalies.buildOptions({variables: ['rain']}); }, /Unknown climate variable "rain"/);
+  assert.throws(function() {
+    climateAnomalies.buildOptions({variables: ['precip'], baselineStart: '1971-01-01'});
+  }, /starts in 1979/);
+});
+
+test('attachAnomalies notes a baseline that overlaps the analysis years and still attaches the anomalies', function() {
+  var config = mock.load('modules/config.js');
+  var polygonClimate = mock.load('modules/polygon_climate.js');
+  mock.registerCollection('IDAHO_EPSCOR/GRIDMET', gridmet(1991, 2020));
+  var cfg = config.build({startYear: 2019, endYear: 2020});
+  var stats = ee.FeatureCollection([2019, 2020].map(function(year) {
+    return ee.Feature(ee.Geometry.Rectangle([0, 0, 60, 30]), {Name: 'P1', year: year});
+  }));
+  var printed = mock.state.printed.length;
+
+  var joined = polygonClimate.attachAnomalies(stats, {variables: ['precip'], baselineStart: '1991-01-01', baselineEnd: '2020-12-31', scale: 1000}, cfg);
+
+  assert.match(mock.state.printed[printed][0], /baseline 1991-01-01 to 2020-12-31 overlaps the analysis years 2019-2020/);
+  // Pixel 0: 128 and 129 against the 1991-2020 mean of 114.5; pixel 1 has no anomaly.
+  var rows = mock.unwrap(joined.getInfo().features);
+  assert.deepStrictEqual(rows.map(function(f) { return [f.properties.year, f.properties.precip_anomaly]; }), [[2019, 6.75], [2020, 7.25]]);
+  assert.doesNotThrow(function() { config.validateBaseline(cfg, '1981-01-01', '2010-12-31'); });
+  assert.throws(function() {
+    config.validateBaseline(cfg, '1991-01-01', '2020-12-31');
+  }, /baseline period ends in 2020, which overlaps the analysis years 2019-2020/);
+});
@@ -0,0 +1,92 @@
+// Tests of modules/land_cover.js: the tree canopy mask of each source on registered synthetic
+// land-cover data, the masking of a collection, and the landCover options of modules/config.js.
+// Run with: npm test
+
+var test = require('node:test');
+var assert = require('node:assert');
+var mock = require('./mock_ee.js').install();
+
+var ee = mock.ee;
+
+// Fresh modules and registrations for each test.
+var setUp = function() {
+  mock.reset();
+  return {
+    config: mock.load('modules/config.js'),
+    landCover: mock.load('modules/land_cover.js')
+  };
+};
+
+var maskOf = function(modules, landCoverOptions) {
+  var cfg = modules.config.build({landCover: landCoverOptions});
+  return mock.pixels(modules.landCover.treeMask(cfg, null), 'tree_mask');
+};
+
+test('HANSEN keeps canopy above the threshold, without the loss before startYear', function() {
+  var modules = setUp();
+  // Pixel 2 was lost in 2015, before the 2023-2024 analysis; pixel 3 is lost in 2023 and stays in.
+  mock.registerAsset(modules.landCover.SOURCE_IDS.HANSEN, mock.image({
+    treecover2000: [80, 10, 60, 70, null],
+    lossyear: [0, 0, 15, 23, null]
+  }));
+  assert.deepStrictEqual(maskOf(modules, {source: 'HANSEN', canopyThreshold: 25}), [1, 0, 0, 1, 0]);
+  assert.deepStrictEqual(maskOf(modules, {source: 'HANSEN', canopyThreshold: 5}), [1, 1, 0, 1, 0]);
+});
+
+test('NLCD uses the canopy release of the analysis start, clamped to the record', function() {
+  var modules = setUp();
+  var tile = function(year, values) {
+    return mock.image({NLCD_Percent_Tree_Canopy_Cover: values}, {'system:time_start': Date.UTC(year, 0, 1)});
+  };
+  // Two 2021 tiles cover one pixel each; startYear 2023 is after the last release (2021).
+  mock.registerCollection(modules.landCover.SOURCE_IDS.NLCD, [
+    tile(2011, [90, 90, 90]), tile(2021, [40, null, null]), tile(2021, [null, 10, null])
+  ]);
+  assert.deepStrictEqual(maskOf(modules, {source: 'NLCD', canopyThreshold: 25}), [1, 0, 0]);
+});
+
+test('WORLDCOVER keeps the listed classes', function() {
+  var modules = setUp();
+  mock.registerCollection(modules.landCover.SOURCE_IDS.WORLDCOVER, [mock.image({Map: [10, 30, 80, 95]})]);
+  assert.deepStrictEqual(maskOf(modules, {source: 'WORLDCOVER'}), [1, 0, 0, 0]);
+  assert.deepStrictEqual(maskOf(modules, {source: 'WORLDCOVER', worldCoverClasses: [10, 95]}), [1, 0, 0, 1]);
+});
+
+test('DYNAMIC_WORLD thresholds the mean tree probability of the first analysis season', function() {
+  var modules = setUp();
+  var scene = function(month, trees) {
+    return mock.image({trees: trees}, {'system:time_start': Date.UTC(2023, month - 1, 15)});
+  };
+  // The November scene is outside the Spring/Summer window.
+  mock.registerCollection(modules.landCover.SOURCE_IDS.DYNAMIC_WORLD, [
+    scene(5, [0.5, 0.1]), scene(7, [0.3, 0.2]), scene(11, [0, 0.9])
+  ]);
+  assert.deepStrictEqual(maskOf(modules, {source: 'DYNAMIC_WORLD', canopyThreshold: 25}), [1, 0]);
+});
+
+test('maskCollection masks every image outside the canopy and is a no-op without a source', function() {
+  var modules = setUp();
+  mock.registerAsset(modules.landCover.SOURCE_IDS.HANSEN, mock.image({treecover2000: [80, 10], lossyear: [0, 0]}));
+  var collection = ee.ImageCollection([mock.image({NDVI: [0.6, 0.3]}), mock.image({NDVI: [0.5, null]})]);
+
+  assert.strictEqual(modules.landCover.maskCollection(collection, modules.config.build(), null), collection);
+  var masked = modules.landCover.maskCollection(collection, modules.config.build({landCover: {source: 'HANSEN'}}), null);
+  assert.deepStrictEqual(masked.elements.map(function(image) { return mock.pixels(image, 'NDVI'); }), [[0.6, null], [0.5, null]]);
+  assert.deepStrictEqual(mock.pixels(modules.landCover.treeMask(modules.config.build(), null), 'tree_mask'), [1]);
+});
+
+test('the manifest lists the land-cover source and the config rejects invalid options', function() {
+  var modules = setUp();
+  var manifest = mock.load('modules/manifest.js');
+  var cfg = modules.config.build({landCover: {source: 'HANSEN', canopyThreshold: 30}});
+  assert.deepStrictEqual(manifest.collectionIds(cfg, {optical: true}),
+                         ['COPERNICUS/S2_SR_HARMONIZED', modules.landCover.SOURCE_IDS.HANSEN]);
+  assert.strictEqual(modules.landCover.describe(cfg), 'HANSEN, canopy >= 30%');
+
+  assert.throws(function() { modules.config.build({landCover: {source: 'CORINE'}}); }, /landCover.source "CORINE"/);
+  assert.throws(function() { modules.config.build({landCover: {canopyThreshold: 120}}); }, /canopyThreshold/);
+  assert.throws(function() { modules.config.build({landCover: {worldCoverClasses: [15]}}); }, /worldCoverClasses/);
+  assert.throws(function() {
+    modules.config.build({startYear: 2015, landCover: {source: 'DYNAMIC_WORLD'}});
+  }, /DYNAMIC_WORLD needs startYear 2016/);
+});
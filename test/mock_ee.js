@@ -0,0 +1,2058 @@
+// Offline Test Harness: Stand-In for the Earth Engine Globals (ee, Map, ui, Export, print)
+// The modules and scripts run in the Code Editor, where ee, Map, ui, Export and print are
+// globals and modules are loaded with require('users/paularellano/GEE_scripts:modules/x.js').
+// install() provides the same globals and require paths in Node, so the analysis modules can
+// be tested without an Earth Engine account:
+//   - ee evaluates eagerly: every ee.Number, ee.List, ee.Image, ... holds its value, and images
+//     are a few pixels (one array per band, null = masked) instead of tiles. Band arithmetic,
+//     masks, remap, ImageCollection reducers (mean, median, sum, count, min, max, stdDev, variance,
+//     percentile, linearFit, linearRegression, sensSlope, kendallsCorrelation,
+//     pearsonsCorrelation, minMax, forEach), mosaic, qualityMosaic and FeatureCollection columns
+//     follow the Earth Engine rules (bands broadcast from one-band images, masked pixels are
+//     skipped per reducer input, results that are not finite are masked). linearRegression()
+//     gives array images (one nested array per pixel), which band arithmetic combines element by
+//     element and arraySlice/arrayMask/arrayGet/arrayProject/arrayFlatten read.
+//   - ee.Algorithms.TemporalSegmentation.LandTrendr() fits one least-squares segment per pixel
+//     (the first and last valid years are the vertices) in the LandTrendr output layout.
+//   - The pixels of an image are one row: reduceNeighborhood() with ee.Kernel.square(r) reduces
+//     the r pixels on each side, and reduceRegion()/reduceRegions() reduce every pixel for each
+//     region (geometry and scale are ignored). Every pixel is 30 m (ee.Image.pixelArea() is
+//     900 m²), while Geometry.area() is the planar area of a rectangle or polygon in its
+//     coordinate units, so a 60 x 30 rectangle covers two pixels.
+//   - ee.Date.difference() counts calendar months and years (day fractions over 30 days).
+//   - Errors of image operations (a missing band, the band-less reduction of an empty
+//     collection, ...) are kept in the image and thrown when it is read (pixels(), getInfo()):
+//     Earth Engine only fails when an image is computed, and the eager ee.Algorithms.If() also
+//     builds the branch it does not take.
+//   - Export.image/table.* calls are recorded as tasks (state.tasks) instead of being queued,
+//     Map.addLayer() calls as layers (state.layers) and print() calls in state.printed.
+//   - ui widgets and charts are inert objects that keep their arguments.
+// Collections, tables and asset metadata a test reads are registered beforehand; any other
+// asset ID fails like a missing asset. Operations the modules under test do not use throw
+// 'not available in the offline mock' rather than returning a guess.
+//
+// Usage (Node):
+//   var mock = require('./mock_ee.js').install();
+//   var sarIndices = mock.load('modules/sar_indices.js');
+//   var image = mock.image({VV: [-10, -8], VH: [-16, null]});
+//   mock.pixels(sarIndices.addIndices(['RVI'])(image), 'RVI'); // [0.8, null]
+//
+// By: Paul Arellan - Paul Gee
+// Email: paul.arellano@nau.edu
+//
+
+var Module = require('module');
+var fs = require('fs');
+var path = require('path');
+
+var REPO_ROOT = path.join(__dirname, '..');
+var REPO_PREFIX = 'users/paularellano/GEE_scripts:';
+
+var state = {
+  tasks: [],       // {type: 'image' | 'table', destination: 'DRIVE' | 'GCS' | 'ASSET', params}
+  layers: [],      // {object, vis, name, shown}
+  printed: [],     // Arguments of every print() call
+  createdAssets: [], // {path, type} of ee.data.createAsset()
+  collections: {}, // ImageCollection ID -> images
+  tables: {},      // FeatureCollection ID -> features
+  assets: {}       // Asset ID -> ee.data.getAsset() metadata
+};
+
+var notAvailable = function(name) {
+  return function() {
+    throw new Error(name + ' is not available in the offline mock.');
+  };
+};
+
+// --- 1. VALUES ---
+
+// Base of the eager server-side objects; _v holds the value.
+var Computed = function() {};
+Computed.prototype.getInfo = function(callback) {
+  var info = unwrap(this);
+  if (callback) {
+    callback(info);
+  }
+  return info;
+};
+Computed.prototype.evaluate = function(callback) {
+  callback(this.getInfo());
+};
+
+// Plain JavaScript value of a mock object (recursively for lists and dictionaries).
+var unwrap = function(value) {
+  if (value instanceof Computed && value.hasOwnProperty('_v')) {
+    return unwrap(value._v);
+  }
+  if (Array.isArray(value)) {
+    return value.map(unwrap);
+  }
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    var plain = {};
+    Object.keys(value).forEach(function(key) {
+      plain[key] = unwrap(value[key]);
+    });
+    return plain;
+  }
+  return value;
+};
+
+// Wraps a list element for a map() callback, as Earth Engine passes computed objects.
+var wrap = function(value) {
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return new EENumber(value);
+  }
+  if (typeof value === 'string') {
+    return new EEString(value);
+  }
+  if (Array.isArray(value)) {
+    return new EEList(value);
+  }
+  return value;
+};
+
+var truthy = function(value) {
+  value = unwrap(value);
+  return value !== null && value !== undefined && value !== 0 && value !== false && value !== '';
+};
+
+// Scalar operators shared by ee.Number and ee.Image (booleans are 1/0, as in Earth Engine).
+var BINARY = {
+  add: function(a, b) { return a + b; },
+  subtract: function(a, b) { return a - b; },
+  multiply: function(a, b) { return a * b; },
+  divide: function(a, b) { return a / b; },
+  pow: function(a, b) { return Math.pow(a, b); },
+  mod: function(a, b) { return a % b; },
+  max: function(a, b) { return Math.max(a, b); },
+  min: function(a, b) { return Math.min(a, b); },
+  lt: function(a, b) { return a < b ? 1 : 0; },
+  lte: function(a, b) { return a <= b ? 1 : 0; },
+  gt: function(a, b) { return a > b ? 1 : 0; },
+  gte: function(a, b) { return a >= b ? 1 : 0; },
+  eq: function(a, b) { return a === b ? 1 : 0; },
+  neq: function(a, b) { return a !== b ? 1 : 0; },
+  and: function(a, b) { return a && b ? 1 : 0; },
+  or: function(a, b) { return a || b ? 1 : 0; },
+  atan2: Math.atan2,
+  hypot: Math.hypot
+};
+
+var UNARY = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  exp: Math.exp,
+  log: Math.log,
+  log10: Math.log10,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  not: function(a) { return a ? 0 : 1; },
+  cos: Math.cos,
+  sin: Math.sin
+};
+
+// --- 2. ee.Number, ee.String, ee.List, ee.Dictionary, ee.Date ---
+
+var EENumber = function(value) {
+  this._v = unwrap(value);
+};
+EENumber.prototype = Object.create(Computed.prototype);
+Object.keys(BINARY).forEach(function(op) {
+  EENumber.prototype[op] = function(other) {
+    return new EENumber(BINARY[op](this._v, unwrap(other)));
+  };
+});
+Object.keys(UNARY).forEach(function(op) {
+  EENumber.prototype[op] = function() {
+    return new EENumber(UNARY[op](this._v));
+  };
+});
+EENumber.prototype.toInt = EENumber.prototype.round;
+EENumber.prototype.toFloat = function() { return this; };
+// Supports the '%.<n>f' and '%d' patterns the scripts use.
+EENumber.prototype.format = function(pattern) {
+  var value = this._v;
+  var text = (pattern || '%s').replace(/%\.(\d+)f|%d|%s/, function(token, digits) {
+    if (digits !== undefined) {
+      return value.toFixed(Number(digits));
+    }
+    return token === '%d' ? String(Math.round(value)) : String(value);
+  });
+  return new EEString(text);
+};
+
+var EEString = function(value) {
+  this._v = String(unwrap(value));
+};
+EEString.prototype = Object.create(Computed.prototype);
+EEString.prototype.cat = function(other) {
+  return new EEString(this._v + unwrap(other));
+};
+EEString.prototype.length = function() {
+  return new EENumber(this._v.length);
+};
+EEString.prototype.slice = function(start, end) {
+  return new EEString(this._v.slice(unwrap(start), end === undefined ? undefined : unwrap(end)));
+};
+EEString.prototype.compareTo = function(other) {
+  var b = unwrap(other);
+  return new EENumber(this._v < b ? -1 : (this._v > b ? 1 : 0));
+};
+
+var EEList = function(value) {
+  this._v = value instanceof EEList ? value._v.slice() : (value === null || value === undefined ? [] : value.slice());
+};
+EEList.prototype = Object.create(Computed.prototype);
+EEList.prototype.get = function(index) {
+  index = unwrap(index);
+  if (index < 0) {
+    index += this._v.length;
+  }
+  if (index < 0 || index >= this._v.length) {
+    throw new Error('List.get: index ' + index + ' out of bounds.');
+  }
+  return this._v[index];
+};
+EEList.prototype.size = function() { return new EENumber(this._v.length); };
+EEList.prototype.length = EEList.prototype.size;
+EEList.prototype.map = function(fn) {
+  return new EEList(this._v.map(function(item) { return fn(wrap(item)); }).filter(function(item) {
+    return item !== null && item !== undefined;
+  }));
+};
+EEList.prototype.iterate = function(fn, first) {
+  return this._v.reduce(function(previous, item) { return fn(wrap(item), previous); }, first);
+};
+EEList.prototype.contains = function(item) {
+  return new EENumber(unwrap(this._v).indexOf(unwrap(item)) !== -1);
+};
+EEList.prototype.indexOf = function(item) {
+  return new EENumber(unwrap(this._v).indexOf(unwrap(item)));
+};
+EEList.prototype.distinct = function() {
+  var seen = [];
+  unwrap(this._v).forEach(function(item) {
+    if (seen.indexOf(item) === -1) {
+      seen.push(item);
+    }
+  });
+  return new EEList(seen);
+};
+EEList.prototype.sort = function() {
+  return new EEList(unwrap(this._v).slice().sort(function(a, b) { return a < b ? -1 : (a > b ? 1 : 0); }));
+};
+EEList.prototype.join = function(separator) {
+  return new EEString(unwrap(this._v).join(separator === undefined ? ', ' : unwrap(separator)));
+};
+EEList.prototype.add = function(item) { return new EEList(this._v.concat([item])); };
+EEList.prototype.cat = function(other) { return new EEList(this._v.concat(unwrap(other))); };
+EEList.prototype.slice = function(start, end) {
+  return new EEList(this._v.slice(unwrap(start), end === undefined ? undefined : unwrap(end)));
+};
+EEList.prototype.flatten = function() {
+  return new EEList([].concat.apply([], unwrap(this._v)));
+};
+// Filters on the list items, e.g. ee.Filter.gte('item', 0.5).
+EEList.prototype.filter = function(filter) {
+  return new EEList(this._v.filter(function(item) { return filter.test({props: {item: item}}); }));
+};
+EEList.prototype.reduce = function(reducer) {
+  var values = unwrap(this._v).filter(function(item) { return item !== null; });
+  return reducer._columns(values.map(function(item) { return [item]; }))[reducer.outputs[0]];
+};
+EEList.sequence = function(start, end, step, count) {
+  start = unwrap(start);
+  step = unwrap(step) || 1;
+  var items = [];
+  if (count !== undefined && count !== null) {
+    for (var i = 0; i < unwrap(count); i++) {
+      items.push(start + i * step);
+    }
+  } else {
+    for (var v = start; v <= unwrap(end); v += step) {
+      items.push(v);
+    }
+  }
+  return new EEList(items);
+};
+
+var EEDictionary = function(value) {
+  var source = value instanceof EEDictionary ? value._v : (value || {});
+  this._v = {};
+  var self = this;
+  Object.keys(source).forEach(function(key) {
+    self._v[key] = source[key];
+  });
+};
+EEDictionary.prototype = Object.create(Computed.prototype);
+EEDictionary.prototype.get = function(key, defaultValue) {
+  key = unwrap(key);
+  if (this._v.hasOwnProperty(key)) {
+    return this._v[key];
+  }
+  if (defaultValue !== undefined) {
+    return defaultValue;
+  }
+  throw new Error('Dictionary does not contain key: ' + key + '.');
+};
+EEDictionary.prototype.set = function(key, value) {
+  var copy = new EEDictionary(this);
+  copy._v[unwrap(key)] = value;
+  return copy;
+};
+EEDictionary.prototype.keys = function() { return new EEList(Object.keys(this._v)); };
+EEDictionary.prototype.values = function() {
+  var self = this;
+  return new EEList(Object.keys(this._v).map(function(key) { return self._v[key]; }));
+};
+EEDictionary.prototype.contains = function(key) {
+  return new EENumber(this._v.hasOwnProperty(unwrap(key)));
+};
+EEDictionary.prototype.combine = function(other) {
+  var copy = new EEDictionary(this);
+  var source = other instanceof EEDictionary ? other._v : other;
+  Object.keys(source).forEach(function(key) {
+    copy._v[key] = source[key];
+  });
+  return copy;
+};
+EEDictionary.fromLists = function(keys, values) {
+  keys = unwrap(keys);
+  values = values instanceof EEList ? values._v : values;
+  var dict = new EEDictionary({});
+  keys.forEach(function(key, i) {
+    dict._v[key] = values[i];
+  });
+  return dict;
+};
+
+var MS_PER_DAY = 86400000;
+
+var EEDate = function(value) {
+  value = unwrap(value);
+  this._v = typeof value === 'string' ? Date.parse(value.length === 10 ? value + 'T00:00:00Z' : value) : value;
+};
+EEDate.prototype = Object.create(Computed.prototype);
+EEDate.prototype.millis = function() { return new EENumber(this._v); };
+EEDate.prototype.get = function(unit) {
+  var d = new Date(this._v);
+  var parts = {
+    year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(),
+    hour: d.getUTCHours(), minute: d.getUTCMinutes(), second: d.getUTCSeconds()
+  };
+  return new EENumber(parts[unwrap(unit)]);
+};
+// Only getRelative('day', 'year') (0-based day of year) is used by the modules.
+EEDate.prototype.getRelative = function(unit, relativeTo) {
+  if (unwrap(unit) !== 'day' || unwrap(relativeTo) !== 'year') {
+    throw new Error('Date.getRelative(' + unit + ', ' + relativeTo + ') is not available in the offline mock.');
+  }
+  var d = new Date(this._v);
+  return new EENumber(Math.floor((this._v - Date.UTC(d.getUTCFullYear(), 0, 1)) / MS_PER_DAY));
+};
+// Fractional difference in days or smaller units; months and years count calendar months plus the
+// fraction of the last one (30 days).
+EEDate.prototype.difference = function(start, unit) {
+  var from = new EEDate(start)._v;
+  var ms = this._v - from;
+  unit = unwrap(unit);
+  var sizes = {week: 7 * MS_PER_DAY, day: MS_PER_DAY, hour: 3600000, minute: 60000, second: 1000};
+  if (sizes[unit]) {
+    return new EENumber(ms / sizes[unit]);
+  }
+  var a = new Date(from);
+  var b = new Date(this._v);
+  var months = (b.getUTCFullYear() - a.getUTCFullYear()) * 12 + b.getUTCMonth() - a.getUTCMonth() +
+               (b.getUTCDate() - a.getUTCDate()) / 30;
+  if (unit === 'month') {
+    return new EENumber(months);
+  }
+  if (unit === 'year') {
+    return new EENumber(months / 12);
+  }
+  throw new Error('Date.difference in ' + unit + ' is not available in the offline mock.');
+};
+EEDate.prototype.advance = function(delta, unit) {
+  delta = unwrap(delta);
+  var d = new Date(this._v);
+  if (unwrap(unit) === 'year') {
+    d.setUTCFullYear(d.getUTCFullYear() + delta);
+  } else if (unwrap(unit) === 'month') {
+    d.setUTCMonth(d.getUTCMonth() + delta);
+  } else {
+    d = new Date(this._v + delta * MS_PER_DAY);
+  }
+  return new EEDate(d.getTime());
+};
+EEDate.prototype.format = function() {
+  return new EEString(new Date(this._v).toISOString().slice(0, 10));
+};
+EEDate.fromYMD = function(year, month, day) {
+  return new EEDate(Date.UTC(unwrap(year), unwrap(month) - 1, unwrap(day)));
+};
+
+// --- 3. REDUCERS ---
+// A reducer turns samples (arrays of numInputs values, masked samples left out) into a
+// dictionary of its outputs. Single-input reducers applied to image bands name their outputs
+// '<band>_<output>', e.g. 'NDVI_p95'.
+
+var Reducer = function(outputs, numInputs, columns) {
+  this.outputs = outputs;
+  this.numInputs = numInputs;
+  this._columns = columns;
+};
+// Reduces samples whose masked inputs are null: only the samples with every input valid count,
+// except for forEach() reducers, where each copy skips its own masked inputs.
+Reducer.prototype._reduce = function(samples) {
+  return this._columns(samples.filter(function(sample) {
+    return sample.every(function(v) { return v !== null; });
+  }));
+};
+// Both reducers read the same inputs (sharedInputs) or reducer2 reads the inputs after those of
+// this reducer; the outputs of reducer2 get outputPrefix.
+Reducer.prototype.combine = function(reducer2, outputPrefix, sharedInputs) {
+  if (!(reducer2 instanceof Reducer)) {
+    outputPrefix = reducer2.outputPrefix;
+    sharedInputs = reducer2.sharedInputs;
+    reducer2 = reducer2.reducer2;
+  }
+  var reducer1 = this;
+  var prefix = outputPrefix || '';
+  var offset = sharedInputs ? 0 : reducer1.numInputs;
+  var outputs = reducer1.outputs.concat(reducer2.outputs.map(function(name) { return prefix + name; }));
+  return new Reducer(outputs, offset + reducer2.numInputs, function(samples) {
+    var result = reducer1._columns(samples.map(function(sample) { return sample.slice(0, reducer1.numInputs); }));
+    var result2 = reducer2._columns(samples.map(function(sample) { return sample.slice(offset, offset + reducer2.numInputs); }));
+    Object.keys(result2).forEach(function(name) {
+      result[prefix + name] = result2[name];
+    });
+    return result;
+  });
+};
+// One copy of this reducer per name, each reading the next numInputs inputs; the outputs are
+// named after the names ('<name>_<output>' for reducers with several outputs).
+Reducer.prototype.forEach = function(outputNames) {
+  var base = this;
+  var names = unwrap(outputNames);
+  var outputName = function(name, output) {
+    return base.outputs.length === 1 ? name : name + '_' + output;
+  };
+  var reducer = new Reducer([].concat.apply([], names.map(function(name) {
+    return base.outputs.map(function(output) { return outputName(name, output); });
+  })), names.length * base.numInputs, function(samples) {
+    var result = {};
+    names.forEach(function(name, k) {
+      var outputs = base._reduce(samples.map(function(sample) {
+        return sample.slice(k * base.numInputs, (k + 1) * base.numInputs);
+      }));
+      base.outputs.forEach(function(output) {
+        result[outputName(name, output)] = outputs[output];
+      });
+    });
+    return result;
+  });
+  reducer._reduce = reducer._columns;
+  return reducer;
+};
+
+var firstColumn = function(samples) {
+  return samples.map(function(sample) { return sample[0]; });
+};
+
+var sum = function(values) {
+  return values.reduce(function(a, b) { return a + b; }, 0);
+};
+
+var mean = function(values) {
+  return values.length ? sum(values) / values.length : null;
+};
+
+// Population variance, as ee.Reducer.variance().
+var variance = function(values) {
+  if (!values.length) {
+    return null;
+  }
+  var m = mean(values);
+  return mean(values.map(function(v) { return (v - m) * (v - m); }));
+};
+
+var sorted = function(values) {
+  return values.slice().sort(function(a, b) { return a - b; });
+};
+
+// Linear interpolation between the closest ranks.
+var percentileOf = function(values, p) {
+  if (!values.length) {
+    return null;
+  }
+  var s = sorted(values);
+  var rank = (p / 100) * (s.length - 1);
+  var lower = Math.floor(rank);
+  var upper = Math.ceil(rank);
+  return s[lower] + (s[upper] - s[lower]) * (rank - lower);
+};
+
+var single = function(name, fn) {
+  return function() {
+    return new Reducer([name], 1, function(samples) {
+      var result = {};
+      result[name] = fn(firstColumn(samples));
+      return result;
+    });
+  };
+};
+
+// Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26).
+var normalCdf = function(z) {
+  var t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  var erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) *
+            t * Math.exp(-z * z / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+var linearFit = function(samples) {
+  var xs = firstColumn(samples);
+  var ys = samples.map(function(sample) { return sample[1]; });
+  var mx = mean(xs);
+  var my = mean(ys);
+  var sxy = 0;
+  var sxx = 0;
+  xs.forEach(function(x, i) {
+    sxy += (x - mx) * (ys[i] - my);
+    sxx += (x - mx) * (x - mx);
+  });
+  var scale = samples.length > 1 && sxx > 0 ? sxy / sxx : null;
+  return {scale: scale, offset: scale === null ? null : my - scale * mx};
+};
+
+var sensSlope = function(samples) {
+  var slopes = [];
+  for (var i = 0; i < samples.length; i++) {
+    for (var j = i + 1; j < samples.length; j++) {
+      if (samples[j][0] !== samples[i][0]) {
+        slopes.push((samples[j][1] - samples[i][1]) / (samples[j][0] - samples[i][0]));
+      }
+    }
+  }
+  var slope = slopes.length ? percentileOf(slopes, 50) : null;
+  var offset = slope === null ? null : percentileOf(samples.map(function(s) { return s[1] - slope * s[0]; }), 50);
+  return {slope: slope, offset: offset};
+};
+
+// Kendall's tau-a and the two-sided p-value of the Mann-Kendall S statistic (normal approximation).
+var kendall = function(samples) {
+  var n = samples.length;
+  if (n < 2) {
+    return {'tau': null, 'p-value': null};
+  }
+  var s = 0;
+  for (var i = 0; i < n; i++) {
+    for (var j = i + 1; j < n; j++) {
+      s += Math.sign(samples[j][0] - samples[i][0]) * Math.sign(samples[j][1] - samples[i][1]);
+    }
+  }
+  var varS = n * (n - 1) * (2 * n + 5) / 18;
+  return {'tau': s / (n * (n - 1) / 2), 'p-value': 2 * (1 - normalCdf(Math.abs(s) / Math.sqrt(varS)))};
+};
+
+// Least-squares fit of the last numY inputs on the first numX: 'coefficients' (numX x numY array)
+// and 'residuals' (root mean square residual of each y). null when the normal equations are singular.
+var linearRegression = function(numX, numY) {
+  return function(samples) {
+    var xtx = [];
+    var xty = [];
+    for (var r = 0; r < numX; r++) {
+      xtx.push([]);
+      xty.push([]);
+      for (var c = 0; c < numX; c++) {
+        xtx[r].push(sum(samples.map(function(sample) { return sample[r] * sample[c]; })));
+      }
+      for (var j = 0; j < numY; j++) {
+        xty[r].push(sum(samples.map(function(sample) { return sample[r] * sample[numX + j]; })));
+      }
+    }
+    // Gauss-Jordan elimination with partial pivoting on [XᵀX | XᵀY].
+    var rows = xtx.map(function(row, r) { return row.concat(xty[r]); });
+    for (var k = 0; k < numX; k++) {
+      var pivot = k;
+      for (var i = k + 1; i < numX; i++) {
+        if (Math.abs(rows[i][k]) > Math.abs(rows[pivot][k])) {
+          pivot = i;
+        }
+      }
+      if (Math.abs(rows[pivot][k]) < 1e-12) {
+        return {coefficients: null, residuals: null};
+      }
+      var swap = rows[k];
+      rows[k] = rows[pivot];
+      rows[pivot] = swap;
+      for (var m = 0; m < numX; m++) {
+        if (m !== k) {
+          var factor = rows[m][k] / rows[k][k];
+          rows[m] = rows[m].map(function(v, col) { return v - factor * rows[k][col]; });
+        }
+      }
+    }
+    var coefficients = rows.map(function(row, r) { return row.slice(numX).map(function(v) { return v / rows[r][r]; }); });
+    var residuals = [];
+    for (var y = 0; y < numY; y++) {
+      residuals.push(Math.sqrt(mean(samples.map(function(sample) {
+        var fitted = sum(coefficients.map(function(row, r) { return row[y] * sample[r]; }));
+        return (sample[numX + y] - fitted) * (sample[numX + y] - fitted);
+      }))));
+    }
+    return {coefficients: coefficients, residuals: residuals};
+  };
+};
+
+var pearson = function(samples) {
+  var xs = firstColumn(samples);
+  var ys = samples.map(function(sample) { return sample[1]; });
+  var vx = variance(xs);
+  var vy = variance(ys);
+  if (samples.length < 2 || !vx || !vy) {
+    return {'correlation': null, 'p-value': null};
+  }
+  var mx = mean(xs);
+  var my = mean(ys);
+  var r = mean(xs.map(function(x, i) { return (x - mx) * (ys[i] - my); })) / Math.sqrt(vx * vy);
+  return {'correlation': r, 'p-value': null};
+};
+
+var ReducerFactory = {
+  mean: single('mean', mean),
+  median: single('median', function(values) { return percentileOf(values, 50); }),
+  sum: single('sum', function(values) { return values.length ? sum(values) : null; }),
+  count: single('count', function(values) { return values.length; }),
+  min: single('min', function(values) { return values.length ? Math.min.apply(null, values) : null; }),
+  max: single('max', function(values) { return values.length ? Math.max.apply(null, values) : null; }),
+  variance: single('variance', variance),
+  minMax: function() {
+    return new Reducer(['min', 'max'], 1, function(samples) {
+      var values = firstColumn(samples);
+      return {
+        min: values.length ? Math.min.apply(null, values) : null,
+        max: values.length ? Math.max.apply(null, values) : null
+      };
+    });
+  },
+  stdDev: single('stdDev', function(values) {
+    var v = variance(values);
+    return v === null ? null : Math.sqrt(v);
+  }),
+  percentile: function(percentiles) {
+    var names = percentiles.map(function(p) { return 'p' + p; });
+    return new Reducer(names, 1, function(samples) {
+      var values = firstColumn(samples);
+      var result = {};
+      percentiles.forEach(function(p, i) {
+        result[names[i]] = percentileOf(values, p);
+      });
+      return result;
+    });
+  },
+  linearFit: function() { return new Reducer(['scale', 'offset'], 2, linearFit); },
+  sensSlope: function() { return new Reducer(['slope', 'offset'], 2, sensSlope); },
+  kendallsCorrelation: function() { return new Reducer(['tau', 'p-value'], 2, kendall); },
+  pearsonsCorrelation: function() { return new Reducer(['correlation', 'p-value'], 2, pearson); },
+  linearRegression: function(numX, numY) {
+    if (typeof numX === 'object') {
+      numY = numX.numY;
+      numX = numX.numX;
+    }
+    numY = numY || 1;
+    return new Reducer(['coefficients', 'residuals'], numX + numY, linearRegression(numX, numY));
+  }
+};
+
+// --- 4. ee.Image ---
+// One array per band; arrays of length 1 are constants that broadcast over the other bands.
+
+var valueAt = function(array, i) {
+  return array.length === 1 ? array[0] : array[i];
+};
+
+// Array pixels (array images) combine element by element, and a number pairs with every element.
+var elementWise = function(fn) {
+  var apply = function(a, b) {
+    if (!Array.isArray(a) && !Array.isArray(b)) {
+      return fn(a, b);
+    }
+    if (Array.isArray(a) && Array.isArray(b) && a.length !== b.length) {
+      throw new Error('Array images must have the same shape (lengths ' + a.length + ' and ' + b.length + ').');
+    }
+    var length = Array.isArray(a) ? a.length : b.length;
+    var out = [];
+    for (var k = 0; k < length; k++) {
+      out.push(apply(Array.isArray(a) ? a[k] : a, Array.isArray(b) ? b[k] : b));
+    }
+    return out;
+  };
+  return apply;
+};
+
+// A band: name, data (numbers) and mask (1 valid, 0 masked).
+var band = function(name, data, mask) {
+  return {name: name, data: data, mask: mask || data.map(function(v) { return v === null ? 0 : 1; })};
+};
+
+// Pixel values are finite numbers or arrays (array images, e.g. regression coefficients).
+var clean = function(value) {
+  return (typeof value === 'number' && isFinite(value)) || Array.isArray(value) ? value : null;
+};
+
+var Image = function(bands, props) {
+  this.bands = bands || [];
+  this.props = props || {};
+};
+Image.prototype = Object.create(Computed.prototype);
+
+// Renames duplicate band names to '<name>_1', '<name>_2', ... like ee.Image.cat().
+var uniqueBands = function(bands) {
+  var used = {};
+  return bands.map(function(b) {
+    var name = b.name;
+    var n = 0;
+    while (used[name]) {
+      n += 1;
+      name = b.name + '_' + n;
+    }
+    used[name] = true;
+    return band(name, b.data, b.mask);
+  });
+};
+
+var toImage = function(value) {
+  value = value instanceof Computed && !(value instanceof Image) && value.hasOwnProperty('_v') ? unwrap(value) : value;
+  if (value instanceof Image) {
+    return value;
+  }
+  if (value === undefined || value === null) {
+    return new Image([]);
+  }
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return new Image([band('constant', [Number(value)])]);
+  }
+  if (Array.isArray(value)) {
+    var images = value.map(toImage);
+    var failed = images.filter(function(item) { return item.error; })[0];
+    return failed || new Image(uniqueBands([].concat.apply([], images.map(function(item) { return item.bands; }))));
+  }
+  if (typeof value === 'string') {
+    if (!state.assets.hasOwnProperty(value) || !(state.assets[value] instanceof Image)) {
+      throw new Error('Image asset "' + value + '" not found (register it with mock.registerAsset()).');
+    }
+    return state.assets[value];
+  }
+  throw new Error('Cannot convert ' + value + ' to an ee.Image.');
+};
+
+var pixelCount = function(bands) {
+  return bands.reduce(function(n, b) { return Math.max(n, b.data.length); }, 1);
+};
+
+// Applies fn to pixel pairs of two images: one-band images broadcast, otherwise bands pair in
+// order; the output names come from the image with more bands (the left one when equal).
+var binaryImage = function(left, right, fn) {
+  right = toImage(right);
+  if (right.error) {
+    return right;
+  }
+  if (left.bands.length === 0 || right.bands.length === 0) {
+    throw new Error('Image has no bands.');
+  }
+  var n = Math.max(left.bands.length, right.bands.length);
+  if (left.bands.length !== right.bands.length && left.bands.length !== 1 && right.bands.length !== 1) {
+    throw new Error('Images must have the same number of bands or one band (' + left.bands.length + ' and ' +
+                    right.bands.length + ').');
+  }
+  var bands = [];
+  for (var k = 0; k < n; k++) {
+    var a = left.bands[left.bands.length === 1 ? 0 : k];
+    var b = right.bands[right.bands.length === 1 ? 0 : k];
+    var length = Math.max(a.data.length, b.data.length);
+    var data = [];
+    var mask = [];
+    for (var i = 0; i < length; i++) {
+      var valid = valueAt(a.mask, i) > 0 && valueAt(b.mask, i) > 0;
+      var value = valid ? clean(fn(valueAt(a.data, i), valueAt(b.data, i))) : null;
+      data.push(value);
+      mask.push(value === null ? 0 : Math.min(valueAt(a.mask, i), valueAt(b.mask, i)));
+    }
+    bands.push(band(left.bands.length >= right.bands.length ? a.name : b.name, data, mask));
+  }
+  return new Image(bands, left.props);
+};
+
+var mapBands = function(image, fn) {
+  return new Image(image.bands.map(function(b) {
+    var data = [];
+    var mask = [];
+    b.data.forEach(function(v, i) {
+      var value = b.mask[i] > 0 ? clean(fn(v)) : null;
+      data.push(value);
+      mask.push(value === null ? 0 : b.mask[i]);
+    });
+    return band(b.name, data, mask);
+  }), image.props);
+};
+
+Object.keys(BINARY).forEach(function(op) {
+  Image.prototype[op] = function(other) {
+    return binaryImage(this, other, elementWise(BINARY[op]));
+  };
+});
+Object.keys(UNARY).forEach(function(op) {
+  Image.prototype[op] = function() {
+    return mapBands(this, elementWise(UNARY[op]));
+  };
+});
+// Listed values are replaced by the matching 'to' value; other values take defaultValue, or are
+// masked without one.
+Image.prototype.remap = function(from, to, defaultValue) {
+  from = unwrap(from);
+  to = unwrap(to);
+  defaultValue = unwrap(defaultValue);
+  return mapBands(this, function(v) {
+    var k = from.indexOf(v);
+    if (k !== -1) {
+      return to[k];
+    }
+    return defaultValue === undefined ? null : defaultValue;
+  });
+};
+['toFloat', 'toDouble', 'clip', 'clipToCollection', 'reproject', 'resample', 'setDefaultProjection'].forEach(function(op) {
+  Image.prototype[op] = function() {
+    return this;
+  };
+});
+['int', 'toByte', 'toInt', 'toInt8', 'toInt16', 'toInt32', 'toUint8', 'toUint16'].forEach(function(op) {
+  Image.prototype[op] = function() {
+    return mapBands(this, Math.round);
+  };
+});
+
+var bandNamesOf = function(selectors) {
+  selectors = unwrap(selectors);
+  return Array.isArray(selectors) ? selectors : [selectors];
+};
+
+Image.prototype.select = function(selectors, newNames) {
+  var self = this;
+  var names = Array.isArray(unwrap(selectors)) || selectors instanceof EEList ? bandNamesOf(selectors) :
+              Array.prototype.slice.call(arguments).filter(function(arg) { return typeof arg === 'string' || typeof arg === 'number'; });
+  var renamed = newNames && typeof newNames !== 'string' ? bandNamesOf(newNames) : null;
+  return new Image(names.map(function(name, i) {
+    var found = typeof name === 'number' ? self.bands[name] :
+                self.bands.filter(function(b) { return b.name === name; })[0];
+    if (!found) {
+      throw new Error('Image.select: band "' + name + '" not found (bands: ' + self.bands.map(function(b) { return b.name; }).join(', ') + ').');
+    }
+    return band(renamed ? renamed[i] : found.name, found.data, found.mask);
+  }), this.props);
+};
+
+Image.prototype.rename = function(names) {
+  names = arguments.length > 1 ? Array.prototype.slice.call(arguments) : bandNamesOf(names);
+  if (names.length !== this.bands.length) {
+    throw new Error('Image.rename: ' + names.length + ' names for ' + this.bands.length + ' bands.');
+  }
+  return new Image(this.bands.map(function(b, i) { return band(names[i], b.data, b.mask); }), this.props);
+};
+
+Image.prototype.addBands = function(other, names, overwrite) {
+  var added = toImage(other);
+  if (added.error) {
+    return added;
+  }
+  if (names) {
+    added = added.select(names);
+  }
+  var bands = this.bands;
+  if (overwrite) {
+    var addedNames = added.bands.map(function(b) { return b.name; });
+    bands = bands.filter(function(b) { return addedNames.indexOf(b.name) === -1; });
+  }
+  return new Image(uniqueBands(bands.concat(added.bands)), this.props);
+};
+
+Image.prototype.bandNames = function() {
+  checkImage(this);
+  return new EEList(this.bands.map(function(b) { return b.name; }));
+};
+
+// mask() returns the mask as an image; mask(image) is updateMask(image).
+Image.prototype.mask = function(maskImage) {
+  if (maskImage !== undefined) {
+    return this.updateMask(maskImage);
+  }
+  return new Image(this.bands.map(function(b) { return band(b.name, b.mask.slice(), b.mask.map(function() { return 1; })); }), this.props);
+};
+
+Image.prototype.updateMask = function(maskImage) {
+  var m = toImage(maskImage);
+  var length = pixelCount(this.bands.concat(m.bands));
+  return new Image(this.bands.map(function(b, k) {
+    var mb = m.bands[m.bands.length === 1 ? 0 : k];
+    var data = [];
+    var mask = [];
+    for (var i = 0; i < length; i++) {
+      var mv = valueAt(mb.mask, i) > 0 ? valueAt(mb.data, i) : 0;
+      var newMask = Math.min(valueAt(b.mask, i), Math.max(0, Math.min(1, mv || 0)));
+      data.push(newMask > 0 ? valueAt(b.data, i) : null);
+      mask.push(newMask);
+    }
+    return band(b.name, data, mask);
+  }), this.props);
+};
+
+// unmask(image) fills the masked pixels with the pixels (and mask) of image.
+Image.prototype.unmask = function(value) {
+  var fill = toImage(value === undefined || value === null ? 0 : value);
+  var length = pixelCount(this.bands.concat(fill.bands));
+  return new Image(this.bands.map(function(b, k) {
+    var fb = fill.bands[fill.bands.length === 1 ? 0 : k];
+    var data = [];
+    var mask = [];
+    for (var i = 0; i < length; i++) {
+      var keep = valueAt(b.mask, i) > 0;
+      data.push(keep ? valueAt(b.data, i) : valueAt(fb.data, i));
+      mask.push(keep ? valueAt(b.mask, i) : valueAt(fb.mask, i));
+    }
+    return band(b.name, data, mask);
+  }), this.props);
+};
+
+Image.prototype.selfMask = function() {
+  return this.updateMask(this.neq(0).unmask(0));
+};
+
+Image.prototype.where = function(test, value) {
+  var t = toImage(test);
+  var v = toImage(value);
+  var length = pixelCount(this.bands.concat(t.bands, v.bands));
+  return new Image(this.bands.map(function(b, k) {
+    var tb = t.bands[t.bands.length === 1 ? 0 : k];
+    var vb = v.bands[v.bands.length === 1 ? 0 : k];
+    var data = [];
+    var mask = [];
+    for (var i = 0; i < length; i++) {
+      var replace = valueAt(tb.mask, i) > 0 && valueAt(tb.data, i) && valueAt(vb.mask, i) > 0;
+      data.push(replace ? valueAt(vb.data, i) : valueAt(b.data, i));
+      mask.push(replace ? valueAt(vb.mask, i) : valueAt(b.mask, i));
+    }
+    return band(b.name, data, mask);
+  }), this.props);
+};
+
+Image.prototype.normalizedDifference = function(bandNames) {
+  bandNames = bandNames ? bandNamesOf(bandNames) : [this.bands[0].name, this.bands[1].name];
+  var a = this.select(bandNames[0]);
+  var b = this.select(bandNames[1]);
+  return a.subtract(b).divide(a.add(b)).rename('nd');
+};
+
+// Reduces the bands of each pixel with a single-input reducer; the output band is named after it.
+Image.prototype.reduce = function(reducer) {
+  var self = this;
+  var length = pixelCount(this.bands);
+  var data = [];
+  for (var i = 0; i < length; i++) {
+    var samples = [];
+    self.bands.forEach(function(b) {
+      if (valueAt(b.mask, i) > 0) {
+        samples.push([valueAt(b.data, i)]);
+      }
+    });
+    data.push(clean(reducer._columns(samples)[reducer.outputs[0]]));
+  }
+  return new Image([band(reducer.outputs[0], data)], this.props);
+};
+
+// Single-input reducer over the valid pixels within kernel.radius of each pixel of the row; the
+// outputs are named '<band>_<output>'.
+Image.prototype.reduceNeighborhood = function(reducer, kernel) {
+  if (!(reducer instanceof Reducer)) {
+    kernel = reducer.kernel;
+    reducer = reducer.reducer;
+  }
+  var length = pixelCount(this.bands);
+  return new Image([].concat.apply([], this.bands.map(function(b) {
+    var results = [];
+    for (var i = 0; i < length; i++) {
+      var samples = [];
+      for (var j = Math.max(0, i - kernel.radius); j <= Math.min(length - 1, i + kernel.radius); j++) {
+        if (valueAt(b.mask, j) > 0) {
+          samples.push([valueAt(b.data, j)]);
+        }
+      }
+      results.push(reducer._columns(samples));
+    }
+    return reducer.outputs.map(function(name) {
+      return band(b.name + '_' + name, results.map(function(r) { return clean(r[name]); }));
+    });
+  })), this.props);
+};
+
+// Projects an array value onto the kept axes (every other axis must have length 1), e.g. [0] turns
+// a numX x 1 coefficient array into a vector.
+var projectArray = function(value, axes) {
+  if (value === null || !Array.isArray(value[0])) {
+    return value;
+  }
+  return axes[0] === 0 ? value.map(function(row) { return row[0]; }) : value[0];
+};
+
+Image.prototype.arrayProject = function(axes) {
+  axes = unwrap(axes);
+  return new Image(this.bands.map(function(b) {
+    return band(b.name, b.data.map(function(v) { return v === null ? null : projectArray(v, axes); }), b.mask);
+  }), this.props);
+};
+
+// One band per array element of the first band: names [['a', 'b']] for vectors and
+// [['a', 'b'], ['x', 'y']] ('a_x', 'a_y', ...) for 2-D arrays.
+Image.prototype.arrayFlatten = function(labels) {
+  labels = unwrap(labels);
+  var source = this.bands[0];
+  var bands = [];
+  labels[0].forEach(function(rowName, r) {
+    (labels[1] || [null]).forEach(function(columnName, c) {
+      bands.push(band(columnName === null ? rowName : rowName + '_' + columnName, source.data.map(function(v) {
+        if (v === null) {
+          return null;
+        }
+        return clean(columnName === null ? v[r] : v[r][c]);
+      })));
+    });
+  });
+  return new Image(bands, this.props);
+};
+
+// Elements start to end (exclusive, negative counts from the end, null for the end) of one axis.
+var sliceArray = function(value, axis, start, end) {
+  if (axis === 0) {
+    return value.slice(start || 0, end === null || end === undefined ? undefined : end);
+  }
+  return value.map(function(row) { return sliceArray(row, axis - 1, start, end); });
+};
+
+Image.prototype.arraySlice = function(axis, start, end) {
+  axis = unwrap(axis);
+  start = unwrap(start);
+  end = unwrap(end);
+  return mapBands(this, function(v) { return sliceArray(v, axis, start, end); });
+};
+
+// Keeps the elements (vectors), or the rows or columns of a 2-D array, where the mask array of
+// the same length (a column or a row for 2-D arrays) is not zero.
+Image.prototype.arrayMask = function(mask) {
+  return binaryImage(this, mask, function(v, m) {
+    if (!Array.isArray(v[0])) {
+      return v.filter(function(x, k) { return m[k]; });
+    }
+    if (m.length === 1) {
+      return v.map(function(row) { return row.filter(function(x, k) { return m[0][k]; }); });
+    }
+    if (m[0].length === 1) {
+      return v.filter(function(row, k) { return m[k][0]; });
+    }
+    throw new Error('Image.arrayMask: the mask must be a row or a column of the array.');
+  });
+};
+
+Image.prototype.arrayLength = function(axis) {
+  axis = unwrap(axis);
+  return mapBands(this, function(v) { return axis === 0 ? v.length : (v[0] || []).length; });
+};
+
+// Position of the largest element ([k] for vectors, [row, column] for 2-D arrays); empty arrays are masked.
+Image.prototype.arrayArgmax = function() {
+  return mapBands(this, function(v) {
+    var best = null;
+    var visit = function(value, position) {
+      if (Array.isArray(value)) {
+        value.forEach(function(x, k) { visit(x, position.concat([k])); });
+      } else if (best === null || value > best.value) {
+        best = {value: value, position: position};
+      }
+    };
+    visit(v, []);
+    return best === null ? null : best.position;
+  });
+};
+
+// Element at a position given as a list, or as an image with one band per axis (per-pixel
+// positions); positions outside the array are masked.
+Image.prototype.arrayGet = function(position) {
+  var fixed = position instanceof Image ? null : unwrap(position);
+  var length = Math.max(pixelCount(this.bands), fixed ? 1 : pixelCount(position.bands));
+  return new Image(this.bands.map(function(b) {
+    var data = [];
+    for (var i = 0; i < length; i++) {
+      var value = valueAt(b.mask, i) > 0 ? valueAt(b.data, i) : null;
+      var at = fixed || position.bands.map(function(p) { return valueAt(p.mask, i) > 0 ? valueAt(p.data, i) : null; });
+      at.forEach(function(k) {
+        value = value === null || k === null || !Array.isArray(value) || value[k] === undefined ? null : value[k];
+      });
+      data.push(clean(value));
+    }
+    return band(b.name, data);
+  }), this.props);
+};
+
+// One 'array' band: the band values of each pixel as a vector, or array bands concatenated
+// along axis 0; masked where any band is masked.
+Image.prototype.toArray = function(axis) {
+  if ((unwrap(axis) || 0) !== 0) {
+    throw new Error('Image.toArray along axis ' + unwrap(axis) + ' is not available in the offline mock.');
+  }
+  var bands = this.bands;
+  var data = [];
+  for (var i = 0; i < pixelCount(bands); i++) {
+    var values = bands.map(function(b) { return valueAt(b.mask, i) > 0 ? valueAt(b.data, i) : null; });
+    data.push(values.indexOf(null) !== -1 ? null : [].concat.apply([], values.map(function(v) {
+      return Array.isArray(v) ? v : [v];
+    })));
+  }
+  return new Image([band('array', data)], this.props);
+};
+
+Image.prototype.geometry = function() {
+  return new Geometry('Footprint', null);
+};
+
+Image.prototype.set = function(key, value) {
+  var props = {};
+  var self = this;
+  Object.keys(this.props).forEach(function(k) { props[k] = self.props[k]; });
+  if (key && typeof key === 'object' && !(key instanceof Computed)) {
+    Object.keys(key).forEach(function(k) { props[k] = key[k]; });
+  } else if (key instanceof EEDictionary) {
+    Object.keys(key._v).forEach(function(k) { props[k] = key._v[k]; });
+  } else {
+    props[unwrap(key)] = value;
+  }
+  return new Image(this.bands, props);
+};
+
+Image.prototype.get = function(key) {
+  var value = this.props[unwrap(key)];
+  return value === undefined ? null : value;
+};
+
+Image.prototype.getNumber = function(key) {
+  return new EENumber(this.get(key));
+};
+
+Image.prototype.getString = function(key) {
+  return new EEString(this.get(key));
+};
+
+Image.prototype.propertyNames = function() {
+  return new EEList(Object.keys(this.props));
+};
+
+Image.prototype.toDictionary = function() {
+  return new EEDictionary(this.props);
+};
+
+Image.prototype.copyProperties = function(source, properties) {
+  var names = properties ? unwrap(properties) : Object.keys(source.props).filter(function(k) { return k.indexOf('system:') !== 0; });
+  var copied = {};
+  names.forEach(function(k) {
+    if (source.props.hasOwnProperty(k)) {
+      copied[k] = source.props[k];
+    }
+  });
+  return this.set(copied);
+};
+
+Image.prototype.date = function() {
+  return new EEDate(unwrap(this.props['system:time_start']));
+};
+
+Image.prototype.getInfo = function() {
+  checkImage(this);
+  return {
+    type: 'Image',
+    bands: this.bands.map(function(b) { return {id: b.name}; }),
+    properties: unwrap(this.props)
+  };
+};
+
+// Image operations that fail return an image holding the error (see the header); operations
+// on such an image return it unchanged.
+var failedImage = function(message) {
+  var image = new Image([]);
+  image.error = message;
+  return image;
+};
+
+var checkImage = function(image) {
+  if (image.error) {
+    throw new Error(image.error);
+  }
+};
+
+var NOT_DEFERRED = ['get', 'getNumber', 'getString', 'propertyNames', 'toDictionary', 'date', 'getInfo', 'bandNames'];
+Object.keys(Image.prototype).forEach(function(name) {
+  var method = Image.prototype[name];
+  if (typeof method !== 'function' || NOT_DEFERRED.indexOf(name) !== -1) {
+    return;
+  }
+  Image.prototype[name] = function() {
+    if (this.error) {
+      return this;
+    }
+    var failed = Array.prototype.filter.call(arguments, function(arg) { return arg instanceof Image && arg.error; })[0];
+    if (failed) {
+      return failed;
+    }
+    try {
+      return method.apply(this, arguments);
+    } catch (e) {
+      return failedImage(e.message);
+    }
+  };
+});
+
+['sample', 'focalMean', 'focalMedian', 'expression', 'connectedPixelCount',
+ 'projection'].forEach(function(op) {
+  Image.prototype[op] = notAvailable('Image.' + op);
+});
+
+// Reduces every pixel of the row, as the pixels of one region. A reducer with one input per band
+// gives its outputs; a one-input reducer is applied to each band, giving '<band>' for one output and
+// '<band>_<output>' otherwise. reduceRegions() names the outputs of a one-band image after the
+// reducer (e.g. 'mean'), like Earth Engine. Throws for a failed image (it is computed here).
+var reduceRow = function(image, reducer, perRegion) {
+  checkImage(image);
+  var names = image.bands.map(function(b) { return b.name; });
+  var length = pixelCount(image.bands);
+  var samples = [];
+  for (var i = 0; i < length; i++) {
+    samples.push(image.bands.map(function(b) { return valueAt(b.mask, i) > 0 ? valueAt(b.data, i) : null; }));
+  }
+  var result = {};
+  if (reducer.numInputs === names.length && (reducer.numInputs > 1 || perRegion)) {
+    var outputs = reducer._reduce(samples);
+    reducer.outputs.forEach(function(name) {
+      result[name] = clean(outputs[name]);
+    });
+  } else if (reducer.numInputs === 1) {
+    names.forEach(function(bandName, k) {
+      var bandOutputs = reducer._reduce(samples.map(function(sample) { return [sample[k]]; }));
+      reducer.outputs.forEach(function(name) {
+        result[reducer.outputs.length === 1 ? bandName : bandName + '_' + name] = clean(bandOutputs[name]);
+      });
+    });
+  } else {
+    throw new Error('The reducer needs ' + reducer.numInputs + ' inputs, the image has ' + names.length + ' bands.');
+  }
+  return result;
+};
+
+// Dictionary of the reducer over the valid pixels (reduceRow()).
+Image.prototype.reduceRegion = function(reducer) {
+  reducer = reducer instanceof Reducer ? reducer : reducer.reducer;
+  return new EEDictionary(reduceRow(this, reducer, false));
+};
+
+// Each feature of the collection with the reducer outputs over the valid pixels (reduceRow()) as
+// properties; the row stands for every feature, so all features get the same values.
+Image.prototype.reduceRegions = function(collection, reducer) {
+  if (!(collection instanceof CollectionBase)) {
+    reducer = collection.reducer;
+    collection = collection.collection;
+  }
+  var outputs = reduceRow(this, reducer, true);
+  return collection.map(function(feature) { return feature.set(outputs); });
+};
+
+var eeImage = function(value) {
+  return toImage(value);
+};
+eeImage.prototype = Image.prototype;
+eeImage.constant = function(value) {
+  value = unwrap(value);
+  if (value === null || value === undefined) {
+    return failedImage("Image.constant: Parameter 'value' is required.");
+  }
+  if (Array.isArray(value)) {
+    return new Image(value.map(function(v, i) { return band('constant_' + i, [Number(v)]); }));
+  }
+  return new Image([band('constant', [Number(value)])]);
+};
+eeImage.cat = function() {
+  return toImage(Array.prototype.concat.apply([], Array.prototype.slice.call(arguments)));
+};
+// Every pixel is a 30 m pixel (900 m²).
+eeImage.pixelArea = function() {
+  return new Image([band('area', [900])]);
+};
+
+// --- 5. ee.ImageCollection ---
+
+var Filter = function(test) {
+  this.test = test;
+};
+var propertyOf = function(element, name) {
+  return unwrap(element.props[name]);
+};
+var FilterFactory = {
+  eq: function(name, value) { return new Filter(function(e) { return propertyOf(e, name) === unwrap(value); }); },
+  neq: function(name, value) { return new Filter(function(e) { return propertyOf(e, name) !== unwrap(value); }); },
+  lt: function(name, value) { return new Filter(function(e) { return propertyOf(e, name) < unwrap(value); }); },
+  lte: function(name, value) { return new Filter(function(e) { return propertyOf(e, name) <= unwrap(value); }); },
+  gt: function(name, value) { return new Filter(function(e) { return propertyOf(e, name) > unwrap(value); }); },
+  gte: function(name, value) { return new Filter(function(e) { return propertyOf(e, name) >= unwrap(value); }); },
+  inList: function(name, values) {
+    return new Filter(function(e) { return unwrap(values).indexOf(propertyOf(e, name)) !== -1; });
+  },
+  listContains: function(name, value) {
+    return new Filter(function(e) { return (propertyOf(e, name) || []).indexOf(unwrap(value)) !== -1; });
+  },
+  rangeContains: function(name, min, max) {
+    return new Filter(function(e) {
+      var v = propertyOf(e, name);
+      return v >= unwrap(min) && v <= unwrap(max);
+    });
+  },
+  stringStartsWith: function(name, prefix) {
+    return new Filter(function(e) { return String(propertyOf(e, name)).indexOf(unwrap(prefix)) === 0; });
+  },
+  notNull: function(names) {
+    return new Filter(function(e) {
+      return unwrap(names).every(function(name) {
+        var v = propertyOf(e, name);
+        return v !== null && v !== undefined;
+      });
+    });
+  },
+  and: function() {
+    var filters = Array.prototype.slice.call(arguments);
+    return new Filter(function(e) { return filters.every(function(f) { return f.test(e); }); });
+  },
+  or: function() {
+    var filters = Array.prototype.slice.call(arguments);
+    return new Filter(function(e) { return filters.some(function(f) { return f.test(e); }); });
+  },
+  date: function(start, end) {
+    return new Filter(function(e) {
+      var t = propertyOf(e, 'system:time_start');
+      return t >= new EEDate(start)._v && t < new EEDate(end)._v;
+    });
+  }
+};
+
+// Shared methods of ImageCollection and FeatureCollection; elements are in this.elements.
+var CollectionBase = function() {};
+CollectionBase.prototype = Object.create(Computed.prototype);
+CollectionBase.prototype._with = function(elements) {
+  var copy = Object.create(Object.getPrototypeOf(this));
+  copy.elements = elements;
+  copy.props = this.props;
+  return copy;
+};
+// An ImageCollection mapped to features or collections becomes a FeatureCollection (e.g. for flatten()).
+CollectionBase.prototype.map = function(fn) {
+  var mapped = this.elements.map(function(e) { return fn(e); }).filter(function(e) {
+    return e !== null && e !== undefined;
+  });
+  if (this instanceof ImageCollection && mapped.some(function(e) { return !(e instanceof Image); })) {
+    return new FeatureCollection(mapped);
+  }
+  return this._with(mapped);
+};
+CollectionBase.prototype.filter = function(filter) {
+  return this._with(this.elements.filter(function(e) { return filter.test(e); }));
+};
+CollectionBase.prototype.filterDate = function(start, end) {
+  return this.filter(FilterFactory.date(start, end));
+};
+CollectionBase.prototype.filterBounds = function() {
+  return this;
+};
+// Like Earth Engine, merge() prefixes each 'system:index' with '1_' (this collection) or '2_' (other).
+var withIndexPrefix = function(element, prefix) {
+  if (element.error || element.props['system:index'] === undefined) {
+    return element;
+  }
+  var props = {};
+  Object.keys(element.props).forEach(function(key) {
+    props[key] = element.props[key];
+  });
+  props['system:index'] = prefix + unwrap(props['system:index']);
+  return element instanceof Image ? new Image(element.bands, props) : new Feature(element._geometry, props);
+};
+CollectionBase.prototype.merge = function(other) {
+  return this._with(this.elements.map(function(element) { return withIndexPrefix(element, '1_'); })
+    .concat(other.elements.map(function(element) { return withIndexPrefix(element, '2_'); })));
+};
+CollectionBase.prototype.size = function() {
+  return new EENumber(this.elements.length);
+};
+CollectionBase.prototype.first = function() {
+  return this.elements[0];
+};
+CollectionBase.prototype.toList = function(count) {
+  return new EEList(this.elements.slice(0, unwrap(count)));
+};
+CollectionBase.prototype.sort = function(property, ascending) {
+  var direction = ascending === false ? -1 : 1;
+  return this._with(this.elements.slice().sort(function(a, b) {
+    var va = propertyOf(a, property);
+    var vb = propertyOf(b, property);
+    return direction * (va < vb ? -1 : (va > vb ? 1 : 0));
+  }));
+};
+CollectionBase.prototype.limit = function(n, property, ascending) {
+  var source = property ? this.sort(property, ascending) : this;
+  return this._with(source.elements.slice(0, unwrap(n)));
+};
+CollectionBase.prototype.aggregate_array = function(property) {
+  return new EEList(this.elements.map(function(e) {
+    return e.props[property] === undefined ? null : e.props[property];
+  }).filter(function(v) { return v !== null; }));
+};
+CollectionBase.prototype.aggregate_histogram = function(property) {
+  var histogram = {};
+  unwrap(this.aggregate_array(property)).forEach(function(v) {
+    histogram[v] = (histogram[v] || 0) + 1;
+  });
+  return new EEDictionary(histogram);
+};
+CollectionBase.prototype._numbers = function(property) {
+  return unwrap(this.aggregate_array(property)).filter(function(v) { return typeof v === 'number'; });
+};
+CollectionBase.prototype.aggregate_mean = function(property) {
+  return new EENumber(mean(this._numbers(property)));
+};
+CollectionBase.prototype.aggregate_sum = function(property) {
+  return new EENumber(sum(this._numbers(property)));
+};
+CollectionBase.prototype.aggregate_count = function(property) {
+  return new EENumber(this._numbers(property).length);
+};
+// Sample variance (n - 1), as aggregate_sample_var().
+CollectionBase.prototype.aggregate_sample_var = function(property) {
+  var values = this._numbers(property);
+  return new EENumber(values.length > 1 ? variance(values) * values.length / (values.length - 1) : null);
+};
+CollectionBase.prototype.set = function(key, value) {
+  var copy = this._with(this.elements);
+  copy.props = {};
+  var self = this;
+  Object.keys(this.props).forEach(function(k) { copy.props[k] = self.props[k]; });
+  copy.props[key] = value;
+  return copy;
+};
+CollectionBase.prototype.get = function(key) {
+  return this.props[key] === undefined ? null : this.props[key];
+};
+
+var ImageCollection = function(images) {
+  this.elements = images;
+  this.props = {};
+};
+ImageCollection.prototype = Object.create(CollectionBase.prototype);
+
+ImageCollection.prototype.select = function(selectors, newNames) {
+  return this.map(function(image) { return image.select(selectors, newNames); });
+};
+
+// Per-pixel reduction over the images. Single-input reducers reduce each band and name the
+// outputs '<band>_<output>'; reducers with more inputs read the first bands in order (x, then y).
+ImageCollection.prototype.reduce = function(reducer) {
+  if (this.elements.length === 0) {
+    return new Image([]);
+  }
+  var failed = this.elements.filter(function(image) { return image.error; })[0];
+  if (failed) {
+    return failed;
+  }
+  var images = this.elements;
+  var names = images[0].bands.map(function(b) { return b.name; });
+  var length = pixelCount([].concat.apply([], images.map(function(image) { return image.bands; })));
+  var samplesAt = function(bandIndices, i) {
+    var samples = [];
+    images.forEach(function(image) {
+      var bs = bandIndices.map(function(k) { return image.bands[k]; });
+      if (bs.every(function(b) { return b && valueAt(b.mask, i) > 0; })) {
+        samples.push(bs.map(function(b) { return valueAt(b.data, i); }));
+      }
+    });
+    return samples;
+  };
+  var output = function(bandIndices, prefix) {
+    var results = [];
+    for (var i = 0; i < length; i++) {
+      results.push(reducer._columns(samplesAt(bandIndices, i)));
+    }
+    return reducer.outputs.map(function(name) {
+      return band(prefix + name, results.map(function(r) { return clean(r[name]); }));
+    });
+  };
+  if (reducer.numInputs > 1) {
+    return new Image(output(names.slice(0, reducer.numInputs).map(function(name, k) { return k; }), ''));
+  }
+  return new Image([].concat.apply([], names.map(function(name, k) {
+    return output([k], name + '_');
+  })));
+};
+
+// mean(), median(), ... keep the band names.
+['mean', 'median', 'sum', 'count', 'min', 'max'].forEach(function(op) {
+  ImageCollection.prototype[op] = function() {
+    var reduced = this.reduce(ReducerFactory[op]());
+    var names = this.elements.length ? this.elements[0].bands.map(function(b) { return b.name; }) : [];
+    return names.length ? reduced.rename(names) : reduced;
+  };
+});
+// Later images are drawn on top of earlier ones where they are valid.
+ImageCollection.prototype.mosaic = function() {
+  if (this.elements.length === 0) {
+    return new Image([]);
+  }
+  var failed = this.elements.filter(function(image) { return image.error; })[0];
+  if (failed) {
+    return failed;
+  }
+  var images = this.elements;
+  var length = pixelCount([].concat.apply([], images.map(function(image) { return image.bands; })));
+  return new Image(images[0].bands.map(function(first, k) {
+    var data = [];
+    for (var i = 0; i < length; i++) {
+      var value = null;
+      images.forEach(function(image) {
+        var b = image.bands[k];
+        if (b && valueAt(b.mask, i) > 0) {
+          value = valueAt(b.data, i);
+        }
+      });
+      data.push(value);
+    }
+    return band(first.name, data);
+  }));
+};
+// Per pixel, the image with the highest valid value of bandName (the earlier one on ties).
+ImageCollection.prototype.qualityMosaic = function(bandName) {
+  if (this.elements.length === 0) {
+    return new Image([]);
+  }
+  var images = this.elements;
+  var length = pixelCount([].concat.apply([], images.map(function(image) { return image.bands; })));
+  var best = [];
+  for (var i = 0; i < length; i++) {
+    var chosen = null;
+    var top = null;
+    images.forEach(function(image) {
+      var q = image.select(bandName).bands[0];
+      if (valueAt(q.mask, i) > 0 && (top === null || valueAt(q.data, i) > top)) {
+        top = valueAt(q.data, i);
+        chosen = image;
+      }
+    });
+    best.push(chosen);
+  }
+  return new Image(images[0].bands.map(function(first, k) {
+    return band(first.name, best.map(function(image, i) {
+      var b = image ? image.bands[k] : null;
+      return b && valueAt(b.mask, i) > 0 ? valueAt(b.data, i) : null;
+    }));
+  }));
+};
+ImageCollection.prototype.linkCollection = notAvailable('ImageCollection.linkCollection');
+
+var eeImageCollection = function(value) {
+  if (value instanceof ImageCollection) {
+    return value;
+  }
+  if (typeof value === 'string') {
+    if (!state.collections.hasOwnProperty(value)) {
+      throw new Error('ImageCollection "' + value + '" not found (register it with mock.registerCollection()).');
+    }
+    return new ImageCollection(state.collections[value].slice());
+  }
+  if (value instanceof FeatureCollection) {
+    return new ImageCollection(value.elements.map(toImage)); // e.g. a flattened collection of collections
+  }
+  var items = value instanceof EEList ? value._v : (value || []);
+  return new ImageCollection(items.map(toImage));
+};
+eeImageCollection.prototype = ImageCollection.prototype;
+eeImageCollection.fromImages = function(images) {
+  return eeImageCollection(images);
+};
+
+// --- 6. ee.Geometry, ee.Feature, ee.FeatureCollection ---
+
+// Geometries only carry their type and coordinates (no spatial operations).
+var Geometry = function(type, coordinates) {
+  if (!(this instanceof Geometry)) {
+    return new Geometry(type, coordinates);
+  }
+  this.type = type;
+  this.coordinates = coordinates;
+};
+Geometry.prototype = Object.create(Computed.prototype);
+Geometry.prototype.bounds = function() { return this; };
+Geometry.prototype.buffer = function() { return this; };
+Geometry.prototype.geometry = function() { return this; };
+Geometry.prototype.getInfo = function() { return {type: this.type, coordinates: this.coordinates}; };
+// Planar area of a rectangle or polygon (outer ring) in the units of its coordinates, squared.
+Geometry.prototype.area = function() {
+  var c = this.coordinates;
+  if (this.type === 'Rectangle') {
+    return new EENumber(Math.abs((c[2] - c[0]) * (c[3] - c[1])));
+  }
+  if (this.type !== 'Polygon') {
+    throw new Error('Geometry.area of a ' + this.type + ' is not available in the offline mock.');
+  }
+  var ring = Array.isArray(c[0][0]) ? c[0] : c;
+  var twice = 0;
+  ring.forEach(function(point, i) {
+    var next = ring[(i + 1) % ring.length];
+    twice += point[0] * next[1] - next[0] * point[1];
+  });
+  return new EENumber(Math.abs(twice) / 2);
+};
+Geometry.Point = function(coordinates) { return new Geometry('Point', coordinates); };
+Geometry.Rectangle = function(coordinates) { return new Geometry('Rectangle', coordinates); };
+Geometry.Polygon = function(coordinates) { return new Geometry('Polygon', coordinates); };
+Geometry.MultiPolygon = function(coordinates) { return new Geometry('MultiPolygon', coordinates); };
+
+var Feature = function(geometry, props) {
+  this._geometry = geometry || null;
+  this.props = props || {};
+};
+Feature.prototype = Object.create(Computed.prototype);
+Feature.prototype.geometry = function() { return this._geometry; };
+Feature.prototype.id = function() {
+  return new EEString(unwrap(this.props['system:index']));
+};
+Feature.prototype.get = Image.prototype.get;
+Feature.prototype.getNumber = Image.prototype.getNumber;
+Feature.prototype.getString = Image.prototype.getString;
+Feature.prototype.propertyNames = Image.prototype.propertyNames;
+Feature.prototype.toDictionary = Image.prototype.toDictionary;
+Feature.prototype.set = function(key, value) {
+  var withProps = Image.prototype.set.call({props: this.props, bands: []}, key, value);
+  return new Feature(this._geometry, withProps.props);
+};
+Feature.prototype.copyProperties = function(source, properties) {
+  return Image.prototype.copyProperties.call(this, source, properties);
+};
+// Selectors are regular expressions matched against the whole property name; newProperties
+// renames the selected properties in order.
+Feature.prototype.select = function(properties, newProperties) {
+  var self = this;
+  var kept = {};
+  var newNames = newProperties ? bandNamesOf(newProperties) : null;
+  var n = 0;
+  bandNamesOf(properties).forEach(function(selector) {
+    var pattern = new RegExp('^(?:' + selector + ')$');
+    Object.keys(self.props).forEach(function(k) {
+      if (pattern.test(k)) {
+        kept[newNames ? newNames[n] : k] = self.props[k];
+        n += 1;
+      }
+    });
+  });
+  return new Feature(this._geometry, kept);
+};
+Feature.prototype.getInfo = function() {
+  return {type: 'Feature', geometry: this._geometry ? this._geometry.getInfo() : null, properties: unwrap(this.props)};
+};
+
+var eeFeature = function(geometry, props) {
+  if (geometry instanceof Feature) {
+    return geometry;
+  }
+  return new Feature(geometry, props instanceof EEDictionary ? props._v : props);
+};
+eeFeature.prototype = Feature.prototype;
+
+var FeatureCollection = function(features) {
+  this.elements = features;
+  this.props = {};
+};
+FeatureCollection.prototype = Object.create(CollectionBase.prototype);
+FeatureCollection.prototype.geometry = function() {
+  return new Geometry('MultiPolygon', this.elements.map(function(f) {
+    return f.geometry() ? f.geometry().coordinates : null;
+  }));
+};
+FeatureCollection.prototype.select = function(properties) {
+  return this.map(function(f) { return f.select(properties); });
+};
+FeatureCollection.prototype.flatten = function() {
+  return this._with([].concat.apply([], this.elements.map(function(e) { return e.elements; })));
+};
+// Reduces property columns: samples where a selector is missing or null are left out.
+FeatureCollection.prototype.reduceColumns = function(reducer, selectors) {
+  selectors = unwrap(selectors);
+  var samples = [];
+  this.elements.forEach(function(f) {
+    var sample = selectors.map(function(name) { return unwrap(f.props[name]); });
+    if (sample.every(function(v) { return typeof v === 'number'; })) {
+      samples.push(sample);
+    }
+  });
+  return new EEDictionary(reducer._columns(samples));
+};
+FeatureCollection.prototype.getInfo = function() {
+  return {type: 'FeatureCollection', features: this.elements.map(function(f) { return f.getInfo(); })};
+};
+
+var eeFeatureCollection = function(value) {
+  if (value instanceof FeatureCollection) {
+    return value;
+  }
+  if (typeof value === 'string') {
+    if (!state.tables.hasOwnProperty(value)) {
+      throw new Error('Table "' + value + '" not found (register it with mock.registerTable()).');
+    }
+    return new FeatureCollection(state.tables[value].slice());
+  }
+  if (value instanceof Feature) {
+    return new FeatureCollection([value]);
+  }
+  if (value instanceof Geometry) {
+    return new FeatureCollection([new Feature(value, {})]);
+  }
+  var items = value instanceof EEList ? value._v : (value || []);
+  // Collections are kept as elements, so flatten() can merge a collection of collections.
+  return new FeatureCollection(items.map(function(item) {
+    return item instanceof Feature || item instanceof CollectionBase ? item : new Feature(item, {});
+  }));
+};
+eeFeatureCollection.prototype = FeatureCollection.prototype;
+
+// --- 7. THE ee NAMESPACE ---
+
+// Stand-in for LandTrendr: one least-squares segment through the valid yearly values of the first
+// band, so the first and last valid years are the only vertices. 'LandTrendr' holds the rows year,
+// source, fitted and is-vertex; 'rmse' the fit residual. Pixels with fewer than
+// minObservationsNeeded values are masked.
+var landTrendr = function(params) {
+  var images = params.timeSeries.elements;
+  var minObservations = Math.max(unwrap(params.minObservationsNeeded) || 6, 2);
+  var length = pixelCount([].concat.apply([], images.map(function(image) { return image.bands; })));
+  var fits = [];
+  var rmse = [];
+  for (var i = 0; i < length; i++) {
+    var points = [];
+    images.forEach(function(image) {
+      var b = image.bands[0];
+      if (b && valueAt(b.mask, i) > 0) {
+        points.push([new Date(unwrap(image.props['system:time_start'])).getUTCFullYear(), valueAt(b.data, i)]);
+      }
+    });
+    points.sort(function(a, b) { return a[0] - b[0]; });
+    if (points.length < minObservations) {
+      fits.push(null);
+      rmse.push(null);
+      continue;
+    }
+    var n = points.length;
+    var meanX = points.reduce(function(sum, p) { return sum + p[0]; }, 0) / n;
+    var meanY = points.reduce(function(sum, p) { return sum + p[1]; }, 0) / n;
+    var sxy = points.reduce(function(sum, p) { return sum + (p[0] - meanX) * (p[1] - meanY); }, 0);
+    var sxx = points.reduce(function(sum, p) { return sum + (p[0] - meanX) * (p[0] - meanX); }, 0);
+    var fitted = points.map(function(p) { return meanY + sxy / sxx * (p[0] - meanX); });
+    fits.push([
+      points.map(function(p) { return p[0]; }),
+      points.map(function(p) { return p[1]; }),
+      fitted,
+      points.map(function(p, k) { return k === 0 || k === n - 1 ? 1 : 0; })
+    ]);
+    rmse.push(Math.sqrt(points.reduce(function(sum, p, k) { return sum + Math.pow(p[1] - fitted[k], 2); }, 0) / n));
+  }
+  return new Image([band('LandTrendr', fits), band('rmse', rmse)]);
+};
+
+// Nested JavaScript arrays (e.g. the 'coefficients' of ee.Reducer.linearRegression()).
+var EEArray = function(value) {
+  this._v = unwrap(value);
+};
+EEArray.prototype = Object.create(Computed.prototype);
+EEArray.prototype.project = function(axes) {
+  return new EEArray(projectArray(this._v, unwrap(axes)));
+};
+EEArray.prototype.toList = function() {
+  return new EEList(this._v);
+};
+EEArray.prototype.get = function(position) {
+  return unwrap(position).reduce(function(value, index) { return value[index]; }, this._v);
+};
+
+var constructor = function(Type) {
+  var fn = function(value) {
+    return value instanceof Type ? value : new Type(value);
+  };
+  fn.prototype = Type.prototype;
+  return fn;
+};
+
+var ee = {
+  Number: constructor(EENumber),
+  String: constructor(EEString),
+  List: constructor(EEList),
+  Dictionary: constructor(EEDictionary),
+  Array: constructor(EEArray),
+  Date: constructor(EEDate),
+  Image: eeImage,
+  ImageCollection: eeImageCollection,
+  Feature: eeFeature,
+  FeatureCollection: eeFeatureCollection,
+  Geometry: Geometry,
+  Filter: FilterFactory,
+  Reducer: ReducerFactory,
+  Algorithms: {
+    // Both branches are already evaluated; only the chosen one is returned.
+    If: function(condition, trueCase, falseCase) {
+      return truthy(condition) ? trueCase : falseCase;
+    },
+    TemporalSegmentation: {
+      LandTrendr: landTrendr
+    }
+  },
+  Kernel: {
+    square: function(radius, units) {
+      if (units !== undefined && units !== 'pixels') {
+        throw new Error('ee.Kernel.square in ' + units + ' is not available in the offline mock.');
+      }
+      return {radius: Math.floor(unwrap(radius))};
+    }
+  },
+  data: {
+    getAsset: function(id) {
+      if (!state.assets.hasOwnProperty(id)) {
+        throw new Error('Asset "' + id + '" not found (register it with mock.registerAsset()).');
+      }
+      if (state.assets[id] instanceof Error) {
+        throw state.assets[id];
+      }
+      return state.assets[id];
+    },
+    // Fails with the Error registered for the parent folder, if any (e.g. no write permission).
+    createAsset: function(value, path) {
+      var parent = path.slice(0, path.lastIndexOf('/'));
+      if (state.assets[parent] instanceof Error) {
+        throw state.assets[parent];
+      }
+      state.createdAssets.push({path: path, type: value.type});
+    }
+  }
+};
+ee.List.sequence = EEList.sequence;
+ee.Dictionary.fromLists = EEDictionary.fromLists;
+ee.Date.fromYMD = EEDate.fromYMD;
+ee.String.encodeJSON = function(value) {
+  return new EEString(JSON.stringify(unwrap(value)));
+};
+
+// --- 8. Map, ui, Export, print ---
+
+var MapStub = {
+  addLayer: function(object, vis, name, shown) {
+    state.layers.push({object: object, vis: vis || {}, name: name, shown: shown !== false});
+  },
+  centerObject: function() {},
+  setCenter: function() {},
+  setOptions: function() {},
+  style: function() { return {set: function() {}}; },
+  add: function() {},
+  remove: function() {},
+  clear: function() {},
+  onClick: function() {},
+  layers: function() {
+    return {reset: function() { state.layers.length = 0; }, add: function() {}, length: function() { return state.layers.length; }};
+  }
+};
+
+// Inert widget: keeps its constructor arguments, children, value and callbacks.
+var Widget = function(kind, args) {
+  this.kind = kind;
+  this.args = args;
+  this.children = [];
+  this.value = args[0] && typeof args[0] === 'object' ? args[0].value : undefined;
+  this.callbacks = [];
+};
+Widget.prototype.add = function(child) { this.children.push(child); return this; };
+Widget.prototype.insert = function(index, child) { this.children.splice(index, 0, child); return this; };
+Widget.prototype.remove = function(child) {
+  this.children = this.children.filter(function(c) { return c !== child; });
+  return this;
+};
+Widget.prototype.clear = function() { this.children = []; return this; };
+Widget.prototype.widgets = function() {
+  var self = this;
+  return {
+    reset: function(children) { self.children = children || []; },
+    add: function(child) { self.children.push(child); },
+    get: function(i) { return self.children[i]; },
+    length: function() { return self.children.length; }
+  };
+};
+Widget.prototype.style = function() { return {set: function() {}}; };
+Widget.prototype.getValue = function() { return this.value; };
+Widget.prototype.setValue = function(value) { this.value = value; return this; };
+['onClick', 'onChange', 'onSlide'].forEach(function(name) {
+  Widget.prototype[name] = function(callback) { this.callbacks.push(callback); return this; };
+});
+['setOptions', 'setChartType', 'setSeriesNames', 'setLabel', 'setDisabled', 'setShown', 'setUrl', 'setPlaceholder', 'items'].forEach(function(name) {
+  Widget.prototype[name] = function() { return this; };
+});
+
+var widgetFactory = function(kind) {
+  return function() {
+    return new Widget(kind, Array.prototype.slice.call(arguments));
+  };
+};
+
+var ui = {
+  Panel: widgetFactory('Panel'),
+  Label: widgetFactory('Label'),
+  Button: widgetFactory('Button'),
+  Select: widgetFactory('Select'),
+  Checkbox: widgetFactory('Checkbox'),
+  Textbox: widgetFactory('Textbox'),
+  Slider: widgetFactory('Slider'),
+  DateSlider: widgetFactory('DateSlider'),
+  Thumbnail: widgetFactory('Thumbnail'),
+  Chart: {
+    image: {series: widgetFactory('Chart'), seriesByRegion: widgetFactory('Chart'), doySeries: widgetFactory('Chart')},
+    feature: {byFeature: widgetFactory('Chart'), byProperty: widgetFactory('Chart'), groups: widgetFactory('Chart')},
+    array: {values: widgetFactory('Chart')}
+  },
+  root: new Widget('root', [])
+};
+ui.Panel.Layout = {flow: function(direction) { return direction; }, absolute: function() { return 'absolute'; }};
+
+var exportTask = function(type, destination) {
+  return function(params) {
+    state.tasks.push({type: type, destination: destination, params: params});
+  };
+};
+
+var Export = {
+  image: {
+    toDrive: exportTask('image', 'DRIVE'),
+    toCloudStorage: exportTask('image', 'GCS'),
+    toAsset: exportTask('image', 'ASSET')
+  },
+  table: {
+    toDrive: exportTask('table', 'DRIVE'),
+    toCloudStorage: exportTask('table', 'GCS'),
+    toAsset: exportTask('table', 'ASSET')
+  }
+};
+
+var print = function() {
+  state.printed.push(Array.prototype.slice.call(arguments));
+};
+
+// --- 9. PUBLIC API ---
+
+var installed = false;
+
+// Clears the recorded tasks, layers, prints and registrations, and the module cache of the
+// repository so the next load() starts from fresh module state (e.g. the outputs task record).
+var reset = function() {
+  state.tasks.length = 0;
+  state.layers.length = 0;
+  state.printed.length = 0;
+  state.createdAssets.length = 0;
+  state.collections = {};
+  state.tables = {};
+  state.assets = {};
+  Object.keys(require.cache).forEach(function(file) {
+    if (file.indexOf(REPO_ROOT) === 0 && file.indexOf(path.join(REPO_ROOT, 'test')) !== 0) {
+      delete require.cache[file];
+    }
+  });
+};
+
+// Sets the ee, Map, ui, Export and print globals and maps the Code Editor require paths
+// ('users/paularellano/GEE_scripts:modules/x.js') to the repository. Returns the API below.
+var install = function() {
+  if (!installed) {
+    var resolve = Module._resolveFilename;
+    Module._resolveFilename = function(request) {
+      if (typeof request === 'string' && request.indexOf(REPO_PREFIX) === 0) {
+        arguments[0] = path.join(REPO_ROOT, request.slice(REPO_PREFIX.length));
+      }
+      return resolve.apply(this, arguments);
+    };
+    installed = true;
+  }
+  global.ee = ee;
+  global.Map = MapStub;
+  global.ui = ui;
+  global.Export = Export;
+  global.print = print;
+  reset();
+  return api;
+};
+
+// Loads a repository module by its path from the repository root, e.g. 'modules/outputs.js'.
+var load = function(relativePath) {
+  return require(REPO_PREFIX + relativePath);
+};
+
+// Runs a Code Editor script (path from the repository root) with the mock globals.
+var runScript = function(relativePath) {
+  var source = fs.readFileSync(path.join(REPO_ROOT, relativePath), 'utf8');
+  new Function('require', source)(require);
+};
+
+// Synthetic image: {band: [values]} (null = masked pixel) and optional properties.
+var image = function(bands, props) {
+  return new Image(Object.keys(bands).map(function(name) {
+    return band(name, bands[name].slice());
+  }), props || {});
+};
+
+// Pixel values of one band, null where masked.
+var pixels = function(img, bandName) {
+  checkImage(img);
+  var b = img.select(bandName).bands[0];
+  return b.data.map(function(v, i) { return b.mask[i] > 0 ? v : null; });
+};
+
+var registerCollection = function(id, images) {
+  state.collections[id] = images;
+};
+
+// Features without a 'system:index' get their position ('0', '1', ...), as in a table asset.
+var registerTable = function(id, features) {
+  state.tables[id] = features.map(function(feature, k) {
+    return feature.props['system:index'] === undefined ? feature.set('system:index', String(k)) : feature;
+  });
+};
+
+// Registers ee.data.getAsset() metadata, an ee.Image for ee.Image(id), or an Error that
+// ee.data.getAsset(id) and ee.data.createAsset() of its children throw.
+var registerAsset = function(id, value) {
+  state.assets[id] = value;
+};
+
+var api = {
+  state: state,
+  ee: ee,
+  reset: reset,
+  load: load,
+  runScript: runScript,
+  image: image,
+  pixels: pixels,
+  unwrap: unwrap,
+  registerCollection: registerCollection,
+  registerTable: registerTable,
+  registerAsset: registerAsset
+};
+
+exports.install = install;
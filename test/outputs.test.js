@@ -0,0 +1,388 @@
+// Tests of the export task list: the tasks queued by whole scripts (ARIZONA_GRIDMET_anomalies,
+// ARIZONA_ERA5_ANOMALIES and the Sentinel-2 and RVI change-detection scripts), the destinations and names of modules/outputs.js, and the run manifest
+// of modules/manifest.js.
+// Run with: npm test
+
+var test = require('node:test');
+var assert = require('node:assert');
+var mock = require('./mock_ee.js').install();
+
+var ARIZONA = 'projects/paul-gee/assets/ARIZONA_borders';
+
+var ee = mock.ee;
+
+// Fresh modules and records for each test (outputs.js keeps the tasks of the run).
+var setUp = function() {
+  mock.reset();
+  return {
+    config: mock.load('modules/config.js'),
+    outputs: mock.load('modules/outputs.js')
+  };
+};
+
+var descriptions = function() {
+  return mock.state.tasks.map(function(task) { return task.params.description; });
+};
+
+var assertNear = function(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, message + ': ' + actual + ' != ' + expected);
+};
+
+test('ARIZONA_GRIDMET_anomalies queues one GeoTIFF per variable and year, then its manifest', function() {
+  setUp();
+  mock.registerTable(ARIZONA, [ee.Feature(ee.Geometry.Rectangle([-114.8, 31.3, -109, 37]), {NAME: 'Arizona'})]);
+  var images = [];
+  for (var year = 2010; year <= 2024; year++) {
+    images.push(mock.image({pr: [100 + year - 2010, null], tmmx: [300, 300], etr: [600, 610]}, {
+      'system:time_start': Date.UTC(year, 6, 1)
+    }));
+  }
+  mock.registerCollection('IDAHO_EPSCOR/GRIDMET', images);
+
+  mock.runScript('ARIZONA_GRIDMET_anomalies');
+
+  assert.deepStrictEqual(descriptions(), [
+    'Precipitation_Anomaly_2023_mm', 'Precipitation_Anomaly_2024_mm',
+    'MaxTemperature_Anomaly_2023_C', 'MaxTemperature_Anomaly_2024_C',
+    'Evapotranspiration_Anomaly_2023_mm', 'Evapotranspiration_Anomaly_2024_mm',
+    'Run_Manifest_ARIZONA_GRIDMET_anomalies', 'Run_Manifest_ARIZONA_GRIDMET_anomalies'
+  ]);
+  mock.state.tasks.slice(0, 6).forEach(function(task) {
+    assert.strictEqual(task.type, 'image');
+    assert.strictEqual(task.destination, 'DRIVE');
+    assert.strictEqual(task.params.folder, undefined); // Drive root, as before the shared config
+    assert.strictEqual(task.params.fileNamePrefix, task.params.description);
+    assert.strictEqual(task.params.fileFormat, 'GEO_TIFF');
+    assert.strictEqual(task.params.scale, 4000);
+    assert.strictEqual(task.params.crs, 'EPSG:4326');
+  });
+
+  // 2023 precipitation: 113 against the 2010-2022 mean of 106; the masked pixel is written as -9999.
+  var precip2023 = mock.state.tasks[0].params.image;
+  assert.deepStrictEqual(mock.pixels(precip2023, 'anomaly'), [7, -9999]);
+  assert.strictEqual(mock.state.layers.length, 1 + 2 * 6); // Boundary, then anomaly and z-score layers
+
+  var row = mock.unwrap(mock.state.tasks[6].params.collection.elements[0].props);
+  assert.strictEqual(row.polygon_asset, ARIZONA);
+  assert.strictEqual(row.polygon_count, 1);
+  assert.strictEqual(row.climate_baseline, '2010-01-01/2022-12-31');
+  assert.deepStrictEqual(JSON.parse(row.collections), ['IDAHO_EPSCOR/GRIDMET']);
+  assert.strictEqual(JSON.parse(row.export_tasks).length, 6);
+});
+
+test('ARIZONA_ERA5_ANOMALIES keeps its 2022-2023 targets and the TIGER boundary', function() {
+  setUp();
+  mock.registerTable('TIGER/2018/States', [ee.Feature(null, {NAME: 'Arizona'}), ee.Feature(null, {NAME: 'Utah'})]);
+  mock.registerCollection('ECMWF/ERA5_LAND/MONTHLY', [
+    mock.image({total_evaporation: [0.3]}, {'system:time_start': Date.UTC(2022, 5, 1)})
+  ]);
+
+  mock.runScript('ARIZONA_ERA5_ANOMALIES');
+
+  assert.deepStrictEqual(descriptions(), [
+    'Total_Evaporation_Anomaly_2022_mm', 'Total_Evaporation_Anomaly_2023_mm',
+    'Run_Manifest_ARIZONA_ERA5_ANOMALIES', 'Run_Manifest_ARIZONA_ERA5_ANOMALIES'
+  ]);
+  var row = mock.unwrap(mock.state.tasks[2].params.collection.elements[0].props);
+  assert.strictEqual(row.polygon_asset, 'TIGER/2018/States');
+  assert.strictEqual(row.polygon_count, 1);
+  assert.strictEqual(row.climate_baseline, '1981-01-01/2022-12-31');
+});
+
+// Study area and climate record of the change-detection scripts: two polygons of two mock pixels
+// each (60 x 30 m, two 900 m² pixels) on the priority assets of both scripts, and a GRIDMET and
+// ERA5-Land record for the 1991-2020 normal and the target years (section 7.1).
+var registerStudyArea = function() {
+  var polygons = [
+    ee.Feature(ee.Geometry.Rectangle([0, 0, 60, 30]), {Name: 'P1'}),
+    ee.Feature(ee.Geometry.Rectangle([100, 0, 160, 30]), {Name: 'P2'})
+  ];
+  var assets = mock.load('modules/config.js').POLYGON_ASSETS;
+  mock.registerTable(assets.priority1, polygons);
+  mock.registerTable(assets.priority2Cleaned, polygons);
+  var gridmet = [];
+  var era5 = [];
+  for (var year = 1991; year <= 2024; year++) {
+    gridmet.push(mock.image({pr: [100 + year % 7], tmmx: [300], etr: [600 + year % 5]}, {'system:time_start': Date.UTC(year, 5, 1)}));
+    era5.push(mock.image({total_evaporation: [0.3]}, {'system:time_start': Date.UTC(year, 5, 1)}));
+  }
+  mock.registerCollection('IDAHO_EPSCOR/GRIDMET', gridmet);
+  mock.registerCollection('ECMWF/ERA5_LAND/MONTHLY', era5);
+};
+
+// Four scenes per year, inside the Sentinel-2 (March 1 - June 17) and the RVI (March 1 -
+// September 30) seasons, so the two-harmonic phenology fit (six terms) has eight observations.
+var sceneDates = function(firstYear, lastYear) {
+  var dates = [];
+  for (var year = firstYear; year <= lastYear; year++) {
+    [2, 3, 4, 5].forEach(function(month) {
+      dates.push(Date.UTC(year, month, 10));
+    });
+  }
+  return dates;
+};
+
+// Sentinel-2 scenes with NDVI 0.6 on both pixels, or ndviOf(year) on the first; the second pixel is
+// cloud (SCL 9) in every 2023 scene.
+var registerSentinel2 = function(firstYear, lastYear, ndviOf) {
+  mock.registerCollection('COPERNICUS/S2_SR_HARMONIZED', sceneDates(firstYear, lastYear).map(function(time) {
+    var year = new Date(time).getUTCFullYear();
+    var ndvi = ndviOf ? ndviOf(year) : 0.6;
+    var bands = {SCL: [4, year === 2023 ? 9 : 4]};
+    mock.load('modules/s2_masking.js').REFLECTANCE_BANDS.forEach(function(name) { bands[name] = [1000, 1000]; });
+    bands.B8 = [4000, 4000];
+    bands.B4 = [4000 * (1 - ndvi) / (1 + ndvi), 1000];
+    return mock.image(bands, {
+      'system:index': 'S2_' + time,
+      'system:time_start': time,
+      'CLOUDY_PIXEL_PERCENTAGE': 5,
+      'SPACECRAFT_NAME': 'Sentinel-2A'
+    });
+  }));
+};
+
+// Sentinel-1 IW scenes of one ascending track; VH of the second pixel is masked in every 2023 scene.
+var registerSentinel1 = function(firstYear, lastYear) {
+  mock.registerCollection('COPERNICUS/S1_GRD', sceneDates(firstYear, lastYear).map(function(time) {
+    return mock.image({VV: [-8, -8], VH: [-14, new Date(time).getUTCFullYear() === 2023 ? null : -14], angle: [38, 38]}, {
+      'system:index': 'S1_' + time,
+      'system:time_start': time,
+      'instrumentMode': 'IW',
+      'transmitterReceiverPolarisation': ['VV', 'VH'],
+      'orbitProperties_pass': 'ASCENDING',
+      'relativeOrbitNumber_start': 129
+    });
+  }));
+};
+
+test('the Sentinel-2 script queues the masking, statistics, climate, phenology and composite exports', function() {
+  setUp();
+  registerStudyArea();
+  registerSentinel2(2023, 2024);
+
+  mock.runScript('GEE_Change_Detection_USFS_Flights_Areas_2025.js');
+
+  // 2023-2024 is shorter than cfg.minTrendYears, so no trend GeoTIFF or trend CSV is queued.
+  assert.deepStrictEqual(descriptions(), [
+    'S2_Mask_Stats_Per_Polygon_SCL', 'Index_Stats_Per_Polygon_Year_Long', 'Index_Climate_Anomalies_Per_Polygon_Year',
+    'NDVI_Harmonic_Phenology', 'Index_Phenology_Per_Polygon', 'NDVI_SpringSummer_2023', 'NDVI_SpringSummer_2024',
+    'Run_Manifest_GEE_Change_Detection_USFS_Flights_Areas_2025', 'Run_Manifest_GEE_Change_Detection_USFS_Flights_Areas_2025'
+  ]);
+  mock.state.tasks.forEach(function(task) {
+    assert.strictEqual(task.destination, 'DRIVE');
+    assert.strictEqual(task.params.folder, 'GEE_Exports_USFS');
+  });
+
+  // The cloudy 2023 pixel is masked (written as -9999), not a zero NDVI.
+  var composite2023 = mock.state.tasks[5].params.image;
+  assert.deepStrictEqual(composite2023.getInfo().bands.map(function(b) { return b.id; }),
+                         ['NDVI', 'obs_count', 'first_obs_doy', 'last_obs_doy', 'NDVI_stddev']);
+  assertNear(mock.pixels(composite2023, 'NDVI')[0], 0.6, 'NDVI');
+  assert.strictEqual(mock.pixels(composite2023, 'NDVI')[1], -9999);
+  assert.deepStrictEqual(mock.pixels(composite2023, 'obs_count'), [4, 0]);
+
+  var climateRows = mock.unwrap(mock.state.tasks[2].params.collection.getInfo().features);
+  assert.deepStrictEqual(climateRows.map(function(f) { return [f.properties.polygon_id_prop, f.properties.year]; }),
+                         [['P1', 2023], ['P2', 2023], ['P1', 2024], ['P2', 2024]]);
+  var phenologyImage = mock.state.tasks[3].params.image;
+  assert.deepStrictEqual(mock.pixels(phenologyImage, 'n_obs'), [8, 4]);
+
+  var row = mock.unwrap(mock.state.tasks[7].params.collection.elements[0].props);
+  assert.strictEqual(JSON.parse(row.export_tasks).length, 7);
+});
+
+test('the RVI script queues the composite, climate, statistics and phenology exports', function() {
+  setUp();
+  registerStudyArea();
+  registerSentinel1(2023, 2024);
+
+  mock.runScript('GEE_Change_Detection_USFS_Flights_Areas_2025_v4_Sentinel_INDEX.js');
+
+  assert.deepStrictEqual(descriptions(), [
+    'RVI_Composite_2023', 'RVI_Composite_2024', 'RVI_Climate_Anomalies_Per_Polygon_Year', 'RVI_Stats_Per_Polygon_Year_Long',
+    'RVI_Harmonic_Phenology_2023-2024', 'RVI_Phenology_Per_Polygon_2023-2024',
+    'Run_Manifest_GEE_Change_Detection_USFS_Flights_Areas_2025_v4_Sentinel_INDEX',
+    'Run_Manifest_GEE_Change_Detection_USFS_Flights_Areas_2025_v4_Sentinel_INDEX'
+  ]);
+
+  // RVI = 4 VH / (VV + VH) in linear power; the 2023 pixel without VH is masked (-9999).
+  var vv = Math.pow(10, -0.8);
+  var vh = Math.pow(10, -1.4);
+  var composite2023 = mock.state.tasks[0].params.image;
+  assertNear(mock.pixels(composite2023, 'RVI')[0], 4 * vh / (vv + vh), 'RVI');
+  assert.strictEqual(mock.pixels(composite2023, 'RVI')[1], -9999);
+
+  var climateRows = mock.unwrap(mock.state.tasks[2].params.collection.getInfo().features);
+  assert.deepStrictEqual(climateRows.map(function(f) { return f.properties.tracks; }), ['ASCENDING_129', 'ASCENDING_129', 'ASCENDING_129', 'ASCENDING_129']);
+});
+
+// Runs the scripts from 2017 (the first Sentinel-2 SR year): their config.build() calls keep the default
+// endYear and do not set startYear.
+var buildFrom2017 = function() {
+  var config = mock.load('modules/config.js');
+  var build = config.build;
+  config.build = function(overrides) {
+    return build(Object.assign({startYear: 2017}, overrides));
+  };
+};
+
+var printedNotes = function() {
+  return mock.state.printed.map(function(args) { return args[0]; }).filter(function(text) {
+    return typeof text === 'string' && text.indexOf('Note: ') === 0;
+  });
+};
+
+test('the Sentinel-2 script runs from 2017 with the 1991-2020 normal and adds the trend and disturbance exports', function() {
+  setUp();
+  buildFrom2017();
+  registerStudyArea();
+  // The first pixel loses 0.05 NDVI a year, from 0.6 in 2017 to 0.25 in 2024.
+  registerSentinel2(2017, 2024, function(year) { return 0.6 - 0.05 * (year - 2017); });
+
+  mock.runScript('GEE_Change_Detection_USFS_Flights_Areas_2025.js');
+
+  var composites = [2017, 2018, 2019, 2020, 2021, 2022, 2023, 2024].map(function(year) { return 'NDVI_SpringSummer_' + year; });
+  assert.deepStrictEqual(descriptions(), [
+    'S2_Mask_Stats_Per_Polygon_SCL', 'NDVI_Disturbance_LandTrendr', 'NDVI_Disturbed_Area_Per_Polygon_Year',
+    'Index_Stats_Per_Polygon_Year_Long', 'Index_Climate_Anomalies_Per_Polygon_Year', 'NDVI_Trend_Stats_Per_Polygon_SpringSummer',
+    'NDVI_Harmonic_Phenology', 'Index_Phenology_Per_Polygon'
+  ].concat(composites, [
+    'NDVI_Trend_Slope_SpringSummer',
+    'Run_Manifest_GEE_Change_Detection_USFS_Flights_Areas_2025', 'Run_Manifest_GEE_Change_Detection_USFS_Flights_Areas_2025'
+  ]));
+  assert.deepStrictEqual(printedNotes(), [
+    'Note: the climate baseline 1991-01-01 to 2020-12-31 overlaps the analysis years 2017-2024; ' +
+    'the anomalies of the overlapping years are relative to a normal that includes them.'
+  ]);
+
+  var climateRows = mock.unwrap(mock.state.tasks[4].params.collection.getInfo().features);
+  assert.strictEqual(climateRows.length, 2 * 8);
+  // The declining pixel is disturbed from 2018 (the year after the segment start) by 0.35 NDVI.
+  var disturbance = mock.state.tasks[1].params.image;
+  assert.strictEqual(mock.pixels(disturbance, 'loss_year')[0], 2018);
+  assertNear(mock.pixels(disturbance, 'loss_magnitude')[0], 0.35, 'loss_magnitude');
+});
+
+test('the RVI script runs from 2017 with the 1991-2020 normal and adds the trend exports', function() {
+  setUp();
+  buildFrom2017();
+  registerStudyArea();
+  registerSentinel1(2017, 2024);
+
+  mock.runScript('GEE_Change_Detection_USFS_Flights_Areas_2025_v4_Sentinel_INDEX.js');
+
+  var composites = [2017, 2018, 2019, 2020, 2021, 2022, 2023, 2024].map(function(year) { return 'RVI_Composite_' + year; });
+  assert.deepStrictEqual(descriptions(), composites.concat([
+    'RVI_Trend_Slope_2017-2024', 'RVI_Trend_Stats_Per_Polygon_2017-2024', 'RVI_Climate_Anomalies_Per_Polygon_Year',
+    'RVI_Stats_Per_Polygon_Year_Long', 'RVI_Harmonic_Phenology_2017-2024', 'RVI_Phenology_Per_Polygon_2017-2024',
+    'Run_Manifest_GEE_Change_Detection_USFS_Flights_Areas_2025_v4_Sentinel_INDEX',
+    'Run_Manifest_GEE_Change_Detection_USFS_Flights_Areas_2025_v4_Sentinel_INDEX'
+  ]));
+  assert.strictEqual(printedNotes().length, 1);
+  var climateRows = mock.unwrap(mock.state.tasks[10].params.collection.getInfo().features);
+  assert.strictEqual(climateRows.length, 2 * 8);
+});
+
+test('GCS and asset destinations use the bucket, the asset root and one collection per yearly product', function() {
+  var modules = setUp();
+  var image = mock.image({NDVI: [0.5]});
+
+  var gcs = modules.config.build({exportFolder: 'runs', output: {destination: 'GCS', bucket: 'usfs-exports'}});
+  modules.outputs.exportImage(image, 'NDVI_SpringSummer', gcs, {region: null, year: 2023});
+  assert.strictEqual(mock.state.tasks[0].destination, 'GCS');
+  assert.strictEqual(mock.state.tasks[0].params.bucket, 'usfs-exports');
+  assert.strictEqual(mock.state.tasks[0].params.fileNamePrefix, 'runs/NDVI_SpringSummer_2023');
+
+  var asset = modules.config.build({output: {destination: 'ASSET', assetRoot: 'projects/p/assets/usfs'}});
+  modules.outputs.exportImage(image, 'NDVI_SpringSummer', asset, {region: null, year: 2023});
+  modules.outputs.exportTable(ee.FeatureCollection([]), 'NDVI_Trend_Stats', asset, {selectors: ['polygon_id_prop']});
+  assert.deepStrictEqual(mock.state.createdAssets, [{path: 'projects/p/assets/usfs/NDVI_SpringSummer', type: 'ImageCollection'}]);
+  assert.strictEqual(mock.state.tasks[1].params.assetId, 'projects/p/assets/usfs/NDVI_SpringSummer/NDVI_SpringSummer_2023');
+  assert.strictEqual(mock.unwrap(mock.state.tasks[1].params.image.get('year')), 2023);
+  assert.strictEqual(mock.state.tasks[2].params.assetId, 'projects/p/assets/usfs/NDVI_Trend_Stats');
+
+  assert.deepStrictEqual(modules.outputs.exportedTasks().map(function(task) { return task.destination; }), ['GCS', 'ASSET', 'ASSET']);
+});
+
+test('asset exports reuse an existing collection and fail loudly when it cannot be created', function() {
+  var modules = setUp();
+  var image = mock.image({NDVI: [0.5]});
+  var existing = modules.config.build({output: {destination: 'ASSET', assetRoot: 'projects/p/assets/usfs'}});
+  mock.registerAsset('projects/p/assets/usfs/NDVI_SpringSummer', {type: 'IMAGE_COLLECTION'});
+  modules.outputs.exportImage(image, 'NDVI_SpringSummer', existing, {region: null, year: 2023});
+  assert.deepStrictEqual(mock.state.createdAssets, []);
+  assert.strictEqual(mock.state.tasks.length, 1);
+
+  mock.registerAsset('projects/p/assets/usfs/RVI_Composite', {type: 'IMAGE'});
+  assert.throws(function() {
+    modules.outputs.exportImage(image, 'RVI_Composite', existing, {region: null, year: 2023});
+  }, /RVI_Composite exists as IMAGE, not as an ImageCollection/);
+
+  mock.registerAsset('projects/p/assets/locked', new Error('Permission denied.'));
+  var locked = modules.config.build({output: {destination: 'ASSET', assetRoot: 'projects/p/assets/locked'}});
+  assert.throws(function() {
+    modules.outputs.exportImage(image, 'NDVI_SpringSummer', locked, {region: null, year: 2023});
+  }, /Could not create the ImageCollection projects\/p\/assets\/locked\/NDVI_SpringSummer .*Permission denied/);
+  assert.strictEqual(mock.state.tasks.length, 1, 'no task is queued after a failed collection');
+});
+
+test('names follow the template and tables without geometry fall back to CSV', function() {
+  var modules = setUp();
+  var cfg = modules.config.build({output: {nameTemplate: '{run}_{product}', runId: 'fire2024', tableFormat: 'SHP'}});
+  modules.outputs.exportImage(mock.image({RVI: [0.4]}), 'RVI_Composite', cfg, {region: null, year: 2024});
+  modules.outputs.exportTable(ee.FeatureCollection([]), 'RVI_Stats_Long', cfg, {geometry: false});
+  modules.outputs.exportTable(ee.FeatureCollection([]), 'RVI_Polygons', cfg, {});
+
+  assert.deepStrictEqual(descriptions(), ['fire2024_RVI_Composite_2024', 'fire2024_RVI_Stats_Long', 'fire2024_RVI_Polygons']);
+  assert.deepStrictEqual(mock.state.tasks.slice(1).map(function(task) { return task.params.fileFormat; }), ['CSV', 'SHP']);
+  assert.strictEqual(mock.unwrap(mock.state.tasks[0].params.image.get('run_id')), 'fire2024');
+});
+
+test('the run manifest lists the earlier tasks, image IDs per year and the config', function() {
+  var modules = setUp();
+  var manifest = mock.load('modules/manifest.js');
+  var cfg = modules.config.build({output: {runId: 'r1'}});
+  mock.registerAsset(cfg.polygonAsset, {updateTime: '2025-05-02T17:03:11Z'});
+  // Raw S2 scenes, loaded and merged by composites.opticalCollection() as in the scripts.
+  var bands = {SCL: [4]};
+  mock.load('modules/s2_masking.js').REFLECTANCE_BANDS.forEach(function(name) { bands[name] = [1000]; });
+  mock.registerCollection('COPERNICUS/S2_SR_HARMONIZED', ['20230415', '20230710', '20240502', '20241105'].map(function(date) {
+    return mock.image(bands, {
+      'system:index': date + 'T181921_' + date + 'T182654_T12SVD',
+      'system:time_start': Date.UTC(Number(date.slice(0, 4)), Number(date.slice(4, 6)) - 1, Number(date.slice(6))),
+      'CLOUDY_PIXEL_PERCENTAGE': 5,
+      'SPACECRAFT_NAME': 'Sentinel-2A'
+    });
+  }));
+  var optical = mock.load('modules/composites.js').opticalCollection(cfg, null);
+  modules.outputs.exportImage(mock.image({NDVI: [0.5]}), 'NDVI_SpringSummer', cfg, {region: null, year: 2023});
+
+  var row = manifest.exportManifest('GEE_Test_Script', cfg, {
+    polygons: ee.FeatureCollection([ee.Feature(null, {Name: 'A'}), ee.Feature(null, {Name: 'B'})]),
+    optical: optical
+  });
+
+  assert.deepStrictEqual(descriptions(), ['NDVI_SpringSummer_2023', 'Run_Manifest_GEE_Test_Script', 'Run_Manifest_GEE_Test_Script']);
+  assert.deepStrictEqual(mock.state.tasks.slice(1).map(function(task) { return task.params.fileFormat; }), ['CSV', 'GeoJSON']);
+
+  var properties = mock.unwrap(row.props);
+  assert.strictEqual(properties.run_id, 'r1');
+  assert.strictEqual(properties.polygon_asset_updated, '2025-05-02T17:03:11Z');
+  assert.strictEqual(properties.polygon_count, 2);
+  assert.strictEqual(properties.cloud_mask_mode, 'SCL');
+  assert.strictEqual(properties.optical_reducer, 'percentile 95');
+  assert.deepStrictEqual(JSON.parse(properties.collections), ['COPERNICUS/S2_SR_HARMONIZED']);
+  // Product IDs as in the source collection, without the merge() prefixes; the November scene is
+  // outside the Spring/Summer window.
+  assert.deepStrictEqual(JSON.parse(properties.image_ids), {optical: {
+    2023: ['20230415T181921_20230415T182654_T12SVD', '20230710T181921_20230710T182654_T12SVD'],
+    2024: ['20240502T181921_20240502T182654_T12SVD']
+  }});
+  assert.deepStrictEqual(JSON.parse(properties.export_tasks).map(function(task) { return task.task; }), ['NDVI_SpringSummer_2023']);
+  assert.deepStrictEqual(JSON.parse(properties.config), JSON.parse(JSON.stringify(cfg)));
+});
+
+test('manifest.VERSION is the package.json version (bumped with npm version)', function() {
+  mock.reset();
+  assert.strictEqual(mock.load('modules/manifest.js').VERSION, require('../package.json').version);
+});
@@ -0,0 +1,110 @@
+// Tests of modules/sar_indices.js (SAR metric formulas and the log-ratio change bands), of the
+// Lee-Sigma speckle filter and track normalization of modules/sentinel1.js and of the
+// normalized-difference indices of modules/spectral_indices.js, on synthetic pixels.
+// Run with: npm test
+
+var test = require('node:test');
+var assert = require('node:assert');
+var mock = require('./mock_ee.js').install();
+
+var sarIndices = mock.load('modules/sar_indices.js');
+var spectralIndices = mock.load('modules/spectral_indices.js');
+var sentinel1 = mock.load('modules/sentinel1.js');
+
+var linear = function(db) {
+  return Math.pow(10, db / 10);
+};
+
+var assertClose = function(actual, expected, message) {
+  assert.strictEqual(actual.length, expected.length, message);
+  expected.forEach(function(value, i) {
+    if (value === null) {
+      assert.strictEqual(actual[i], null, message + ' (pixel ' + i + ' should be masked)');
+    } else {
+      assert.ok(Math.abs(actual[i] - value) < 1e-9, message + ' (pixel ' + i + ': ' + actual[i] + ' != ' + value + ')');
+    }
+  });
+};
+
+// Three pixels in dB; the last one has no VH observation.
+var s1Image = mock.image({VV: [-10, -8, -12], VH: [-16, -14, null], angle: [35, 38, 40]});
+
+test('RVI is 4 VH / (VV + VH) in linear power', function() {
+  var withRvi = sarIndices.addIndices(['RVI'])(s1Image);
+  var expected = [0, 1].map(function(i) {
+    var vv = linear([-10, -8][i]);
+    var vh = linear([-16, -14][i]);
+    return 4 * vh / (vv + vh);
+  });
+  assertClose(mock.pixels(withRvi, 'RVI'), expected.concat([null]), 'RVI');
+  assert.deepStrictEqual(mock.unwrap(withRvi.bandNames()), ['VV', 'VH', 'angle', 'RVI']);
+});
+
+test('RVI_DP, DPRVI and the cross-pol ratio follow their formulas', function() {
+  var withIndices = sarIndices.addIndices(['RVI_DP', 'DPRVI', 'VH_VV_RATIO'])(s1Image);
+  var vv = linear(-10);
+  var vh = linear(-16);
+  var total = vv + vh;
+  // Without the VV-VH phase, m = |VV - VH| / (VV + VH) and beta = max(VV, VH) / (VV + VH).
+  var m = Math.abs(vv - vh) / total;
+  var beta = Math.max(vv, vh) / total;
+  assertClose(mock.pixels(withIndices, 'RVI_DP').slice(0, 1), [Math.sqrt(vv / total) * 4 * vh / total], 'RVI_DP');
+  assertClose(mock.pixels(withIndices, 'DPRVI').slice(0, 1), [1 - m * beta], 'DPRVI');
+  assertClose(mock.pixels(withIndices, 'VH_VV_RATIO'), [vh / vv, linear(-14) / linear(-8), null], 'VH_VV_RATIO');
+});
+
+test('change metrics are composited from their source bands', function() {
+  assert.deepStrictEqual(sarIndices.compositeBands(['RVI', 'VV_LR', 'VV_DB']), ['RVI', 'VV_DB']);
+  assert.throws(function() { sarIndices.compositeBands(['NDVI']); }, /Unknown SAR index "NDVI"/);
+});
+
+test('VV_LR is the dB difference from the previous year and masked in the first year', function() {
+  var yearly = mock.ee.ImageCollection([2024, 2022, 2023].map(function(year) {
+    return mock.image({VV_DB: [-10 + (year - 2022), -9]}, {year: year});
+  }));
+  var withChange = sarIndices.addChangeBands(yearly, ['VV_LR']);
+  var byYear = withChange.elements.map(function(image) {
+    return [mock.unwrap(image.get('year')), mock.pixels(image, 'VV_LR')];
+  });
+  assert.deepStrictEqual(byYear, [[2022, [null, null]], [2023, [1, 0]], [2024, [1, 0]]]);
+});
+
+test('Lee-Sigma filters every valid pixel and keeps a scene without valid pixels masked', function() {
+  // The 98th percentile of an all-masked band is null; ee.Image.constant(null) would fail the scene.
+  var empty = mock.image({VV: [null, null, null, null]});
+  assert.deepStrictEqual(mock.pixels(sentinel1.leeSigma(empty, 7), 'filtered'), [null, null, null, null]);
+
+  var speckled = mock.image({VV: [0.05, 0.2, 0.1, null, 0.3, 0.08, 0.15, 0.12, 0.04, 0.22]});
+  var filtered = mock.pixels(sentinel1.leeSigma(speckled, 3), 'filtered');
+  assert.strictEqual(filtered[3], null);
+  // Pixels outside the sigma range are filtered too, not dropped.
+  [0, 1, 2, 4, 5, 6, 7, 8, 9].forEach(function(i) { assert.ok(typeof filtered[i] === 'number', 'pixel ' + i + ' is valid'); });
+  assert.ok(filtered[0] > 0.05 && filtered[0] < 0.2, 'pixel 0 is smoothed toward its neighbors: ' + filtered[0]);
+});
+
+test('normalizeTracks shifts each track to the pooled per-pixel mean and is off by default', function() {
+  var config = mock.load('modules/config.js');
+  var scene = function(track, day, rvi) {
+    return mock.image({RVI: rvi}, {track_id: track, orbitProperties_pass: 'ASCENDING', 'system:time_start': Date.UTC(2023, 4, day)});
+  };
+  // Track 129 reads 0.2 higher than track 27 over the same pixels.
+  var collection = mock.ee.ImageCollection([scene('ASCENDING_27', 1, [0.4, 0.5]), scene('ASCENDING_129', 3, [0.6, 0.7]),
+                                            scene('ASCENDING_27', 13, [0.4, 0.5]), scene('ASCENDING_129', 15, [0.6, 0.7])]);
+  var defaults = config.build().sentinel1;
+  assert.strictEqual(sentinel1.normalizeTracks(collection, ['RVI'], defaults), collection);
+
+  var options = config.build({sentinel1: {normalizeTracks: true, trackGrouping: 'TRACK'}}).sentinel1;
+  var normalized = sentinel1.normalizeTracks(collection, ['RVI'], options);
+  assert.deepStrictEqual(normalized.elements.map(function(image) { return mock.unwrap(image.get('track_id')); }),
+                         ['ASCENDING_27', 'ASCENDING_129', 'ASCENDING_27', 'ASCENDING_129']);
+  normalized.elements.forEach(function(image) {
+    assertClose(mock.pixels(image, 'RVI'), [0.5, 0.6], 'normalized RVI');
+  });
+});
+
+test('NDVI and NBR are normalized differences of B8 with B4 and B12', function() {
+  var s2Image = mock.image({B4: [0.05, 0.1], B8: [0.35, 0.1], B12: [0.15, null]});
+  var withIndices = spectralIndices.addIndices(['NDVI', 'NBR'])(s2Image);
+  assertClose(mock.pixels(withIndices, 'NDVI'), [0.75, 0], 'NDVI');
+  assertClose(mock.pixels(withIndices, 'NBR'), [0.4, null], 'NBR');
+});
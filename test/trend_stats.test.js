@@ -0,0 +1,85 @@
+// Tests of modules/trend_stats.js: per-pixel and per-polygon (table) trend slopes on synthetic
+// yearly composites.
+// Run with: npm test
+
+var test = require('node:test');
+var assert = require('node:assert');
+var mock = require('./mock_ee.js').install();
+
+var trendStatistics = mock.load('modules/trend_stats.js');
+var ee = mock.ee;
+
+var YEARS = [2018, 2019, 2020, 2021, 2022, 2023];
+
+var assertNear = function(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, message + ': ' + actual + ' != ' + expected);
+};
+
+// Pixel 0: exact decline of 0.02 per year. Pixel 1: +0.01 per year with a 0.9 spike in 2020.
+// Pixel 2: only two valid years.
+var yearlyNDVI = ee.ImageCollection(YEARS.map(function(year, i) {
+  return mock.image({
+    NDVI: [0.8 - 0.02 * i, year === 2020 ? 0.9 : 0.5 + 0.01 * i, i < 2 ? 0.6 : null]
+  }, {year: year});
+}));
+
+test('pixelTrend fits the OLS and Sen slopes of a linear decline', function() {
+  var trend = trendStatistics.pixelTrend(yearlyNDVI, 'NDVI', 0.05, 3);
+  assert.deepStrictEqual(mock.unwrap(trend.bandNames()), trendStatistics.STAT_NAMES);
+  assertNear(mock.pixels(trend, 'scale')[0], -0.02, 'OLS slope');
+  assertNear(mock.pixels(trend, 'offset')[0], 0.8 + 0.02 * 2018, 'OLS offset');
+  assertNear(mock.pixels(trend, 'sen_slope')[0], -0.02, "Sen's slope");
+  assertNear(mock.pixels(trend, 'r2')[0], 1, 'R²');
+  assertNear(mock.pixels(trend, 'se')[0], 0, 'slope SE');
+  assertNear(mock.pixels(trend, 'mk_tau')[0], -1, 'Mann-Kendall tau');
+  assert.ok(mock.pixels(trend, 'mk_p')[0] < 0.05, 'Mann-Kendall p-value');
+  assert.strictEqual(mock.pixels(trend, 'n_years')[0], 6);
+  assert.strictEqual(mock.pixels(trend, 'sig_decline')[0], 1);
+});
+
+test("Sen's slope ignores a single outlier year that biases the OLS slope", function() {
+  var trend = trendStatistics.pixelTrend(yearlyNDVI, 'NDVI', 0.05, 3);
+  assertNear(mock.pixels(trend, 'sen_slope')[1], 0.01, "Sen's slope");
+  assert.ok(Math.abs(mock.pixels(trend, 'scale')[1] - 0.01) > 0.005, 'OLS slope is pulled by the spike');
+  assert.strictEqual(mock.pixels(trend, 'sig_decline')[1], 0);
+});
+
+test('pixelTrend masks pixels with fewer than minYears valid values', function() {
+  var trend = trendStatistics.pixelTrend(yearlyNDVI, 'NDVI', 0.05, 3);
+  trendStatistics.STAT_NAMES.forEach(function(name) {
+    assert.strictEqual(mock.pixels(trend, name)[2], null, name + ' of the two-year pixel');
+  });
+  var twoYears = trendStatistics.pixelTrend(yearlyNDVI, 'NDVI', 0.05, 2);
+  assertNear(mock.pixels(twoYears, 'scale')[2], 0, 'slope with minYears 2');
+  assert.strictEqual(mock.pixels(twoYears, 'se')[2], null, 'no SE from two values');
+});
+
+var series = function(values) {
+  return ee.FeatureCollection(values.map(function(value, i) {
+    return ee.Feature(null, {year: YEARS[i], index_y: value});
+  }));
+};
+
+test('seriesTrend fits the per-polygon yearly means', function() {
+  var stats = mock.unwrap(trendStatistics.seriesTrend(series([0.61, 0.58, 0.56, 0.52, 0.51, 0.47]), 'year', 'index_y', 3, 0.05));
+  assertNear(stats.scale, -0.475 / 17.5, 'OLS slope'); // Sum of (x - 2020.5)(y - mean y) / sum of (x - 2020.5)²
+  assertNear(stats.sen_slope, -0.0275, "Sen's slope");
+  assert.strictEqual(stats.n_years, 6);
+  assert.strictEqual(stats.mk_tau, -1);
+  assert.strictEqual(stats.sig_decline, 1);
+});
+
+test('seriesTrend returns null statistics below minYears', function() {
+  var stats = mock.unwrap(trendStatistics.seriesTrend(series([0.6, 0.5]), 'year', 'index_y', 3, 0.05));
+  assert.strictEqual(stats.n_years, 2);
+  ['scale', 'offset', 'r2', 'se', 'sen_slope', 'mk_tau', 'mk_p', 'sig_decline'].forEach(function(name) {
+    assert.strictEqual(stats[name], null, name);
+  });
+});
+
+test('setTrendProperties writes the CSV columns of trendColumns', function() {
+  var stats = trendStatistics.seriesTrend(series([0.6, 0.5, 0.4]), 'year', 'index_y', 3, 0.05);
+  var feature = trendStatistics.setTrendProperties(ee.Feature(null, {}), stats, 'NDVI');
+  assert.deepStrictEqual(Object.keys(feature.props).sort(), trendStatistics.trendColumns('NDVI').sort());
+  assertNear(mock.unwrap(feature.get('NDVI_slope')), -0.1, 'NDVI_slope');
+});
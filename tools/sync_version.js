@@ -0,0 +1,27 @@
+// Release Helper: Copy the package.json Version into modules/manifest.js
+// The Code Editor cannot read package.json, so the manifest keeps its own VERSION string.
+// npm runs this file as the "version" script of `npm version <patch|minor|major>`, after the
+// version in package.json is bumped and before the release commit, so both always match
+// (test/outputs.test.js fails when they differ).
+//
+// Usage (Node):
+//   npm version minor
+//
+// By: Paul Arellan - Paul Gee
+// Email: paul.arellano@nau.edu
+//
+
+var fs = require('fs');
+var path = require('path');
+
+var REPO_ROOT = path.join(__dirname, '..');
+var MANIFEST = path.join(REPO_ROOT, 'modules', 'manifest.js');
+var VERSION_LINE = /var VERSION = '[^']*';/;
+
+var version = require(path.join(REPO_ROOT, 'package.json')).version;
+var source = fs.readFileSync(MANIFEST, 'utf8');
+if (!VERSION_LINE.test(source)) {
+  throw new Error('modules/manifest.js has no "var VERSION = \'...\';" line.');
+}
+fs.writeFileSync(MANIFEST, source.replace(VERSION_LINE, "var VERSION = '" + version + "';"));
+console.log('modules/manifest.js VERSION set to ' + version);